@@ -0,0 +1,119 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Execution Algorithms
+ *
+ * Server-side algos that work a large parent order through ordinary child
+ * intents, so the full size never sits on the book:
+ *
+ *   twap     — split the parent into equal slices posted at regular
+ *              intervals over a duration; unfilled size rolls into the
+ *              next slice
+ *   iceberg  — show only a visible slice; when it fills, refill it from
+ *              the hidden remainder
+ *
+ * The parent's escrow is locked when the algo starts and released slice by
+ * slice into postIntent(). This module only validates parameters and sizes
+ * slices; scheduling and settlement live in index.js.
+ */
+
+const amounts = require('./amounts');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const TYPES = ['twap', 'iceberg'];
+
+// TWAP defaults: one slice a minute, never faster than one a second
+const DEFAULT_SLICE_MS = 60 * 1000;
+const MIN_SLICE_MS = 1000;
+const MAX_SLICES = 1000;
+
+// ============================================================================
+// Parameters & Slicing
+// ============================================================================
+
+/**
+ * Validate and normalise algo parameters.
+ *
+ * @param {'twap'|'iceberg'} type
+ * @param {bigint} amount - Parent give amount
+ * @param {object} params
+ * @param {number} [params.durationMs] - TWAP: total duration
+ * @param {number} [params.slices] - TWAP: number of slices (default one a minute)
+ * @param {string|number} [params.visibleAmount] - Iceberg: size shown on the book
+ * @param {string} [token] - Parent give token (iceberg amounts are parsed in it)
+ * @returns {{ params: object }|{ error: string }}
+ */
+function normalizeParams(type, amount, params = {}, token = null) {
+  if (!TYPES.includes(type)) return { error: `type must be one of ${TYPES.join(', ')}` };
+
+  if (type === 'twap') {
+    const durationMs = Number(params.durationMs);
+    if (!(durationMs >= MIN_SLICE_MS)) return { error: `durationMs must be at least ${MIN_SLICE_MS}` };
+
+    const slices =
+      params.slices !== undefined
+        ? Number(params.slices)
+        : Math.min(MAX_SLICES, Math.max(1, Math.round(durationMs / DEFAULT_SLICE_MS)));
+    if (!Number.isInteger(slices) || slices < 1 || slices > MAX_SLICES) {
+      return { error: `slices must be an integer between 1 and ${MAX_SLICES}` };
+    }
+    const intervalMs = Math.floor(durationMs / slices);
+    if (intervalMs < MIN_SLICE_MS) return { error: `slices must be at least ${MIN_SLICE_MS}ms apart` };
+
+    return { params: { durationMs, slices, intervalMs } };
+  }
+
+  const parsed = amounts.parse(token, params.visibleAmount);
+  if (parsed.error && params.visibleAmount !== undefined) return { error: `visibleAmount: ${parsed.error}` };
+  const visibleAmount = parsed.value;
+  if (!(visibleAmount > amounts.ZERO) || visibleAmount > amount) {
+    return { error: 'visibleAmount must be positive and no larger than the order' };
+  }
+  return { params: { visibleAmount } };
+}
+
+/**
+ * Size of the next child intent.
+ *
+ * TWAP spreads whatever is still unreleased evenly over the slices left,
+ * rounded down to the give token's decimals (the last slice takes the
+ * remainder); iceberg shows at most its visible amount.
+ *
+ * @param {object} algo - With type, give, params, unreleased and (TWAP) slicesPosted
+ * @returns {bigint}
+ */
+function nextSlice(algo) {
+  if (algo.type === 'twap') {
+    const left = BigInt(Math.max(1, algo.params.slices - algo.slicesPosted));
+    const slice = amounts.round(algo.give.token, algo.unreleased / left, 'down');
+    return slice > amounts.ZERO ? slice : algo.unreleased;
+  }
+  return amounts.min(algo.params.visibleAmount, algo.unreleased);
+}
+
+/**
+ * Volume-weighted average fill price in quote per base.
+ *
+ * @param {{ gave: bigint, received: bigint }[]} fills - In the parent's give/want tokens
+ * @param {boolean} givesBase - Whether the parent sells the pair's base token
+ * @returns {number|null}
+ */
+function averagePrice(fills, givesBase) {
+  const gave = amounts.toNumber(fills.reduce((s, f) => s + f.gave, amounts.ZERO));
+  const received = amounts.toNumber(fills.reduce((s, f) => s + f.received, amounts.ZERO));
+  if (!(gave > 0) || !(received > 0)) return null;
+  return givesBase ? received / gave : gave / received;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  TYPES,
+  normalizeParams,
+  nextSlice,
+  averagePrice,
+};
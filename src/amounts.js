@@ -0,0 +1,294 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Fixed-Point Amounts
+ *
+ * Every token amount in the engine (balances, escrow, fills, fees, USD
+ * volumes) is a BigInt fixed-point number with 18 fractional digits,
+ * quantised to the token's configured decimals:
+ *
+ *   USDC 6   ETH 18   SOL 9   BTC 8   MON 18   (USD volumes: 6)
+ *
+ * so 1.5 ETH is 1500000000000000000n and 2.5 USDC is 2500000000000000000n
+ * (only the top 6 fractional digits can ever be non-zero). One scale for
+ * every token keeps cross-token arithmetic simple; quantising keeps each
+ * token exact to its own base unit.
+ *
+ * Rounding is never implicit — every operation that can lose precision
+ * takes 'down' or 'up', and the engine picks the direction that favours
+ * the venue: fees round up, amounts paid to agents round down, amounts
+ * collected from agents round up.
+ *
+ * Prices stay JavaScript numbers (they are ratios, not balances); they
+ * only touch amounts through mulPrice()/divPrice(), which round explicitly.
+ *
+ * At the API boundary amounts are decimal strings ("1.5"). Input accepts
+ * strings or numbers but is rejected, not rounded, when it has more
+ * decimals than the token supports.
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const SCALE = 18;
+const ONE = 10n ** 18n;
+
+// Decimals per token (base unit = 10^-decimals)
+const TOKEN_DECIMALS = {
+  USDC: 6,
+  ETH: 18,
+  SOL: 9,
+  BTC: 8,
+  MON: 18,
+};
+
+// USD-denominated totals (volume, fees) are kept to the cent's ten-thousandth
+const USD = 'USD';
+const USD_DECIMALS = 6;
+
+const ZERO = 0n;
+
+function decimals(token) {
+  if (token === USD) return USD_DECIMALS;
+  return TOKEN_DECIMALS[token] !== undefined ? TOKEN_DECIMALS[token] : SCALE;
+}
+
+/**
+ * Smallest representable step of `token`, in fixed-point units.
+ */
+function quantum(token) {
+  return 10n ** BigInt(SCALE - decimals(token));
+}
+
+// ============================================================================
+// Parsing & Formatting
+// ============================================================================
+
+const DECIMAL_RE = /^(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Decimal string for a finite number, without exponent notation.
+ */
+function numberToString(n) {
+  return n.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 });
+}
+
+/**
+ * Parse a non-negative amount of `token` from a decimal string or number.
+ *
+ * @param {string} token
+ * @param {string|number|bigint} value - BigInt values are taken as already fixed-point
+ * @returns {{ value: bigint }|{ error: string }}
+ */
+function parse(token, value) {
+  if (typeof value === 'bigint') {
+    if (value < ZERO) return { error: 'Amount must not be negative' };
+    if (value % quantum(token) !== ZERO) return { error: `${token} supports at most ${decimals(token)} decimals` };
+    return { value };
+  }
+
+  let str;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return { error: 'Amount must be a decimal number' };
+    str = numberToString(value);
+  } else if (typeof value === 'string') {
+    str = value.trim();
+  } else {
+    return { error: 'Amount must be a decimal string' };
+  }
+
+  if (str.startsWith('-')) return { error: 'Amount must not be negative' };
+  const match = DECIMAL_RE.exec(str);
+  if (!match) return { error: `Invalid amount "${str}"` };
+
+  const fraction = (match[2] || '').replace(/0+$/, '');
+  if (fraction.length > decimals(token)) {
+    return { error: `${token} supports at most ${decimals(token)} decimals` };
+  }
+  return { value: BigInt(match[1]) * ONE + BigInt(fraction.padEnd(SCALE, '0') || '0') };
+}
+
+/**
+ * Decimal string with trailing zeros trimmed ("1.5", "0", "-0.25").
+ */
+function format(value) {
+  const negative = value < ZERO;
+  const abs = negative ? -value : value;
+  const whole = abs / ONE;
+  const fraction = (abs % ONE).toString().padStart(SCALE, '0').replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Fixed-point value of a JavaScript number (prices, rates), rounded
+ * toward zero at 18 decimals. Uses the number's shortest decimal form, so
+ * 2800.123457 is exactly 2800.123457 and not its binary neighbour.
+ */
+function fromNumber(n) {
+  if (!Number.isFinite(n)) throw new Error(`Not a finite number: ${n}`);
+  const [mantissa, exp] = Math.abs(n).toExponential().split('e');
+  const fraction = (mantissa.split('.')[1] || '').length;
+  const digits = BigInt(mantissa.replace('.', ''));
+  const shift = Number(exp) - fraction + SCALE;
+  const value = shift >= 0 ? digits * 10n ** BigInt(shift) : digits / 10n ** BigInt(-shift);
+  return n < 0 ? -value : value;
+}
+
+/**
+ * Approximate JavaScript number — for prices, ratios and display only.
+ */
+function toNumber(value) {
+  return Number(format(value));
+}
+
+/**
+ * On-chain integer units of an amount (wei, lamports, USDC's 6-decimal
+ * units), assuming the token's on-chain decimals are its decimals here.
+ * Amounts are always quantised to the token, so this is exact.
+ */
+function toUnits(token, value) {
+  return value / quantum(token);
+}
+
+/**
+ * Fixed-point amount of `token` from on-chain integer units.
+ */
+function fromUnits(token, units) {
+  return BigInt(units) * quantum(token);
+}
+
+// ============================================================================
+// Arithmetic
+// ============================================================================
+
+/**
+ * a / b rounded toward zero ('down') or away from it ('up'), for b > 0.
+ */
+function divRound(a, b, rounding) {
+  const q = a / b;
+  if (rounding === 'up' && q * b !== a && a > ZERO) return q + 1n;
+  return q;
+}
+
+/**
+ * Quantise to `token`'s decimals.
+ *
+ * @param {string} token
+ * @param {bigint} value
+ * @param {'down'|'up'} rounding
+ */
+function round(token, value, rounding) {
+  const q = quantum(token);
+  return divRound(value, q, rounding) * q;
+}
+
+/**
+ * value × price, as an amount of `token`.
+ *
+ * @param {bigint} value
+ * @param {number} price - Plain number (quote per base, USD per token, a rate)
+ * @param {string} token - Token of the result
+ * @param {'down'|'up'} rounding
+ */
+function mulPrice(value, price, token, rounding) {
+  return round(token, divRound(value * fromNumber(price), ONE, rounding), rounding);
+}
+
+/**
+ * value ÷ price, as an amount of `token`. Zero for a non-positive price.
+ */
+function divPrice(value, price, token, rounding) {
+  const p = fromNumber(price);
+  if (p <= ZERO) return ZERO;
+  return round(token, divRound(value * ONE, p, rounding), rounding);
+}
+
+/**
+ * value × numerator ÷ denominator, as an amount of `token` (pro-rata sizing).
+ */
+function mulDiv(value, numerator, denominator, token, rounding) {
+  if (denominator === ZERO) return ZERO;
+  return round(token, divRound(value * numerator, denominator, rounding), rounding);
+}
+
+/**
+ * USD value of `value` of `token` at a USD price — rounded down, so volume
+ * (and the rewards paid on it) is never overstated.
+ */
+function toUSD(value, usdPrice) {
+  return mulPrice(value, usdPrice, USD, 'down');
+}
+
+function min(a, b) {
+  return a < b ? a : b;
+}
+
+function max(a, b) {
+  return a > b ? a : b;
+}
+
+/**
+ * An empty balance sheet for `tokens`.
+ */
+function zeroes(tokens) {
+  return Object.fromEntries(tokens.map((t) => [t, ZERO]));
+}
+
+// ============================================================================
+// Serialization
+// ============================================================================
+
+/**
+ * JSON.stringify replacer for API output: BigInt amounts become decimal strings.
+ */
+function replacer(key, value) {
+  return typeof value === 'bigint' ? format(value) : value;
+}
+
+/**
+ * Lossless encoding for storage: BigInt amounts become { $amount: "1.5" },
+ * which revive() turns back into BigInt.
+ */
+function encode(key, value) {
+  return typeof value === 'bigint' ? { $amount: format(value) } : value;
+}
+
+function revive(key, value) {
+  if (value && typeof value === 'object' && typeof value.$amount === 'string' && Object.keys(value).length === 1) {
+    const str = value.$amount;
+    const parsed = parse(null, str.replace(/^-/, '')).value; // full 18-decimal precision
+    return str.startsWith('-') ? -parsed : parsed;
+  }
+  return value;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  SCALE,
+  ONE,
+  ZERO,
+  USD,
+  TOKEN_DECIMALS,
+  decimals,
+  quantum,
+  parse,
+  format,
+  fromNumber,
+  toNumber,
+  toUnits,
+  fromUnits,
+  round,
+  mulPrice,
+  divPrice,
+  mulDiv,
+  toUSD,
+  min,
+  max,
+  zeroes,
+  replacer,
+  encode,
+  revive,
+};
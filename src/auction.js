@@ -0,0 +1,178 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Batch Auctions
+ *
+ * Optional per-pair clearing mode. Instead of matching on arrival, intents
+ * for an auction pair rest on the book and the whole pair clears once per
+ * window at a single uniform price — the price that maximises matched
+ * volume. Every participant gets the same price, so reacting faster than
+ * other agents buys nothing (no front-running, no latency races).
+ *
+ * Configure with:
+ *   AUCTION_PAIRS=ETH/USDC,SOL/USDC   — pairs that start in auction mode
+ *   AUCTION_INTERVAL_MS=10000         — default clearing window
+ */
+
+const amounts = require('./amounts');
+const orderbook = require('./orderbook');
+const storage = require('./storage');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_INTERVAL_MS = parseInt(process.env.AUCTION_INTERVAL_MS || '10000', 10);
+
+// pair key -> { pair, intervalMs, lastClearedAt }
+const pairs = new Map();
+
+// Recent clearing results (newest last)
+const results = [];
+const MAX_RESULTS = 1000;
+
+/**
+ * Put a pair into batch-auction mode.
+ *
+ * @param {string} pairKey - Canonical pair ("ETH/USDC")
+ * @param {number} [intervalMs] - Clearing window
+ * @param {number} [now] - Start of the first window (ms)
+ */
+function enable(pairKey, intervalMs = DEFAULT_INTERVAL_MS, now = Date.now()) {
+  const existing = pairs.get(pairKey);
+  pairs.set(pairKey, {
+    pair: pairKey,
+    intervalMs,
+    lastClearedAt: existing ? existing.lastClearedAt : now,
+  });
+  return pairs.get(pairKey);
+}
+
+/**
+ * Return a pair to continuous (match-on-arrival) trading.
+ */
+function disable(pairKey) {
+  return pairs.delete(pairKey);
+}
+
+function isEnabled(pairKey) {
+  return pairs.has(pairKey);
+}
+
+/**
+ * Pairs whose clearing window has elapsed.
+ */
+function duePairs(now = Date.now()) {
+  return [...pairs.values()].filter((p) => now - p.lastClearedAt >= p.intervalMs).map((p) => p.pair);
+}
+
+function markCleared(pairKey, now = Date.now()) {
+  const p = pairs.get(pairKey);
+  if (p) p.lastClearedAt = now;
+}
+
+function getConfig() {
+  return [...pairs.values()].map((p) => ({
+    pair: p.pair,
+    intervalMs: p.intervalMs,
+    lastClearedAt: new Date(p.lastClearedAt).toISOString(),
+    nextClearingAt: new Date(p.lastClearedAt + p.intervalMs).toISOString(),
+  }));
+}
+
+// Pairs from the environment
+for (const key of (process.env.AUCTION_PAIRS || '').split(',').filter(Boolean)) {
+  const pair = orderbook.parsePair(key);
+  if (pair) enable(pair.key);
+}
+
+// ============================================================================
+// Clearing
+// ============================================================================
+
+/**
+ * Find the uniform clearing price for one pair.
+ *
+ * Candidate prices are the limit prices on the book. At each candidate p:
+ *   demand(p) = base wanted by bids with limit ≥ p
+ *   supply(p) = base offered by asks with limit ≤ p
+ *   volume(p) = min(demand, supply)
+ * The winner maximises volume; ties go to the smallest demand/supply
+ * imbalance, then the lowest price (deterministic).
+ *
+ * @param {object[]} bids - Open bid intents
+ * @param {object[]} asks - Open ask intents
+ * @returns {{ price: number, volume: bigint, demand: bigint, supply: bigint }|null}
+ */
+function clearingPrice(bids, asks) {
+  if (bids.length === 0 || asks.length === 0) return null;
+
+  const candidates = [...new Set([...bids, ...asks].map((i) => i.limitPrice))]
+    .filter((p) => p > 0 && Number.isFinite(p))
+    .sort((a, b) => a - b);
+
+  let best = null;
+  for (const price of candidates) {
+    const demand = bids.filter((b) => b.limitPrice >= price).reduce((s, b) => s + orderbook.capacity(b, price), 0n);
+    const supply = asks.filter((a) => a.limitPrice <= price).reduce((s, a) => s + orderbook.capacity(a, price), 0n);
+    const volume = amounts.min(demand, supply);
+    if (volume <= 0n) continue;
+
+    const imbalance = demand > supply ? demand - supply : supply - demand;
+    if (!best || volume > best.volume || (volume === best.volume && imbalance < best.imbalance)) {
+      best = { price, volume, demand, supply, imbalance };
+    }
+  }
+
+  if (!best) return null;
+  const { price, volume, demand, supply } = best;
+  return { price, volume, demand, supply };
+}
+
+/**
+ * Record a clearing result.
+ */
+function recordResult(result) {
+  results.push(result);
+  if (results.length > MAX_RESULTS) {
+    results.splice(0, results.length - MAX_RESULTS);
+  }
+  return result;
+}
+
+/**
+ * Recent clearing results, newest first, optionally for one pair.
+ */
+function getResults(pairKey, limit = 50) {
+  const list = pairKey ? results.filter((r) => r.pair === pairKey) : results;
+  return list.slice(-limit).reverse();
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+storage.registerSection('auction', {
+  snapshot: () => ({ pairs: [...pairs.values()], results }),
+  restore: (data) => {
+    pairs.clear();
+    for (const p of data.pairs) pairs.set(p.pair, { ...p });
+    results.splice(0, results.length, ...data.results);
+  },
+});
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  enable,
+  disable,
+  isEnabled,
+  duePairs,
+  markCleared,
+  getConfig,
+  clearingPrice,
+  recordResult,
+  getResults,
+  DEFAULT_INTERVAL_MS,
+};
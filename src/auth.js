@@ -0,0 +1,557 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Agent Authentication
+ *
+ * Proves that a request comes from the agent it acts for. There are two ways:
+ *
+ *   API key    — `Authorization: Bearer <key>`. An agent gets one key with
+ *                every scope at registration and can issue narrower ones
+ *                and revoke them. Only each key's SHA-256 is kept.
+ *   Signature  — the agent's wallet (agent.walletAddress) signs the request
+ *                method, path, a keccak256 hash of the body and a nonce. It
+ *                signs either as an EIP-191 personal message or as EIP-712
+ *                typed data. The signature goes in X-Signature, the nonce in
+ *                X-Nonce, and the format in X-Signature-Type (eip191, the
+ *                default, or eip712). Nonces are integers that must
+ *                increase per agent, so a signed request cannot be replayed.
+ *                A valid signature carries every scope.
+ *   Delegated  — an API key an agent issues to a sub-agent. It can only
+ *                post, amend and cancel intents, on the pairs it allows and
+ *                up to a USD notional per intent and per day, until it
+ *                expires. Those intents are the agent's: they escrow and
+ *                settle against its balance and carry the key's label.
+ *   Session    — `Authorization: Bearer <token>` from a Sign-In With
+ *                Ethereum (EIP-4361) login: the server issues a challenge
+ *                message for an address, and the wallet signs it. That binds
+ *                the address to the agent as its verified wallet. The token
+ *                is short-lived (SIWE_SESSION_TTL_MS, default one hour) and
+ *                carries every scope while the agent's wallet stays the
+ *                address that signed in.
+ *
+ * Scopes:
+ *
+ *   trade       — intents, conditionals and algos
+ *   funds       — deposits and withdrawals
+ *   governance  — proposals and votes
+ *   keys        — issuing and revoking API keys
+ *
+ * Keys, nonces and sessions live outside the engine (they are not part of the world
+ * a journal replays) and are persisted as their own storage section. So do
+ * delegated keys' daily totals; the intents they post record the key.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const amounts = require('./amounts');
+const orderbook = require('./orderbook');
+const storage = require('./storage');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const SCOPES = ['trade', 'funds', 'governance', 'keys'];
+
+const KEY_PREFIX = 'ask_';
+
+// EIP-712 domain and type of a signed request. No chainId: requests are
+// signed for the API, not for a chain
+const EIP712_DOMAIN = { name: 'AgentSwaps', version: '1' };
+const EIP712_TYPES = {
+  Request: [
+    { name: 'method', type: 'string' },
+    { name: 'path', type: 'string' },
+    { name: 'bodyHash', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+const SIGNATURE_TYPES = ['eip191', 'eip712'];
+
+// Lifetime of a delegated key issued without expiresAt
+const DELEGATE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const SESSION_PREFIX = 'ass_';
+const SESSION_TTL_MS = Number(process.env.SIWE_SESSION_TTL_MS) || 60 * 60 * 1000;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Chain the SIWE message names (Base mainnet)
+const SIWE_CHAIN_ID = 8453;
+
+// ============================================================================
+// State
+// ============================================================================
+
+const keys = new Map(); // sha256(key) -> { id, agent, scopes, delegate?, createdAt, lastUsedAt, revokedAt }
+const nonces = new Map(); // agent name -> last accepted nonce (decimal string)
+const challenges = new Map(); // nonce -> { agent, message, address, expiresAt } awaiting a signature
+const sessions = new Map(); // sha256(token) -> { agent, address, expiresAt }
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Drop every key and nonce. Tests use this to start clean.
+ */
+function reset() {
+  keys.clear();
+  nonces.clear();
+  challenges.clear();
+  sessions.clear();
+}
+
+// ============================================================================
+// API Keys
+// ============================================================================
+
+/**
+ * Issue an API key to an agent. The key itself is only in the result;
+ * afterwards it can only be checked, not read back.
+ *
+ * @param {string} agentName
+ * @param {string[]} [scopes] - Defaults to every scope
+ * @returns {{ success: boolean, error?: string, key?: string, id?: string, scopes?: string[] }}
+ */
+function issueKey(agentName, scopes = SCOPES) {
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((s) => !SCOPES.includes(s))) {
+    return { success: false, error: `scopes must be a non-empty list of ${SCOPES.join(', ')}` };
+  }
+
+  return createKey(agentName, [...new Set(scopes)]);
+}
+
+function createKey(agentName, scopes, delegate) {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const hash = hashKey(key);
+  const record = {
+    id: hash.slice(0, 16),
+    agent: agentName,
+    scopes,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+  if (delegate) record.delegate = delegate;
+  keys.set(hash, record);
+  storage.markDirty();
+  const issued = { success: true, key, id: record.id, scopes };
+  if (delegate) issued.delegate = delegateView(delegate);
+  return issued;
+}
+
+/**
+ * An agent's keys (never the keys themselves), oldest first.
+ */
+function listKeys(agentName) {
+  return [...keys.values()]
+    .filter((k) => k.agent === agentName)
+    .map((k) => (k.delegate ? { ...k, delegate: delegateView(k.delegate) } : { ...k }));
+}
+
+/**
+ * Revoke one of an agent's keys. Takes effect on the next request.
+ */
+function revokeKey(agentName, keyId) {
+  const record = [...keys.values()].find((k) => k.id === keyId && k.agent === agentName);
+  if (!record) return { success: false, error: 'Key not found' };
+  if (record.revokedAt) return { success: false, error: 'Key already revoked' };
+  record.revokedAt = new Date().toISOString();
+  storage.markDirty();
+  return { success: true, key: { ...record } };
+}
+
+// ============================================================================
+// Delegated Keys
+// ============================================================================
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * USD notional a delegated key has used today (UTC).
+ */
+function spentToday(delegate) {
+  return delegate.spent.day === today() ? delegate.spent.amount : amounts.ZERO;
+}
+
+function delegateView(delegate) {
+  const view = { ...delegate, spentToday: spentToday(delegate) };
+  delete view.spent;
+  return view;
+}
+
+/**
+ * Issue a delegated key for a sub-agent: trade scope only, limited to
+ * `pairs` and to a USD notional per intent and per UTC day. The sub-agent
+ * trades from the agent's balance; `label` names it in swap history.
+ *
+ * @param {string} agentName
+ * @param {object} limits
+ * @param {string} limits.label
+ * @param {string[]} limits.pairs - e.g. ["ETH-USDC"]
+ * @param {string|number} limits.maxPerIntent - USD, decimal
+ * @param {string|number} limits.maxPerDay - USD, decimal
+ * @param {string} [limits.expiresAt] - ISO timestamp (default: in 24 hours)
+ * @returns {{ success: boolean, error?: string, key?: string, id?: string, delegate?: object }}
+ */
+function issueDelegateKey(agentName, { label, pairs, maxPerIntent, maxPerDay, expiresAt } = {}) {
+  if (!label || typeof label !== 'string') return { success: false, error: 'label is required' };
+  if (!Array.isArray(pairs) || pairs.length === 0) {
+    return { success: false, error: 'pairs must be a non-empty list such as ["ETH-USDC"]' };
+  }
+  const parsed = pairs.map((p) => orderbook.parsePair(p));
+  const invalid = pairs.find((p, i) => !parsed[i]);
+  if (invalid !== undefined) return { success: false, error: `Invalid pair "${invalid}"` };
+
+  const perIntent = amounts.parse(amounts.USD, maxPerIntent);
+  if (perIntent.error || !(perIntent.value > amounts.ZERO)) {
+    return { success: false, error: `maxPerIntent: ${perIntent.error || 'must be positive'}` };
+  }
+  const perDay = amounts.parse(amounts.USD, maxPerDay);
+  if (perDay.error || perDay.value < perIntent.value) {
+    return { success: false, error: `maxPerDay: ${perDay.error || 'must be at least maxPerIntent'}` };
+  }
+
+  const expiry = expiresAt ? new Date(expiresAt) : new Date(Date.now() + DELEGATE_TTL_MS);
+  if (!(expiry > new Date())) return { success: false, error: 'expiresAt must be a future timestamp' };
+
+  return createKey(agentName, ['trade'], {
+    label,
+    pairs: [...new Set(parsed.map((p) => p.key))],
+    maxPerIntent: perIntent.value,
+    maxPerDay: perDay.value,
+    expiresAt: expiry.toISOString(),
+    spent: { day: null, amount: amounts.ZERO },
+  });
+}
+
+function findKey(keyId) {
+  return [...keys.values()].find((k) => k.id === keyId);
+}
+
+/**
+ * Check an order against a delegated key's limits: its pair, its USD
+ * notional, and `added` (what counts toward the day; an amendment only
+ * adds its increase) on top of today's total.
+ *
+ * @returns {string|null} Why the key may not place it, or null
+ */
+function checkDelegated(keyId, { pair, notional, added = notional }) {
+  const record = findKey(keyId);
+  const delegate = record && record.delegate;
+  if (!delegate) return 'Not a delegated key';
+  if (!delegate.pairs.includes(pair)) return `Delegated key may not trade ${pair}`;
+  const usd = (value) => `$${amounts.format(value)}`;
+  if (notional > delegate.maxPerIntent) {
+    return `Notional ${usd(notional)} is over the key's limit of ${usd(delegate.maxPerIntent)} per intent`;
+  }
+  const total = spentToday(delegate) + added;
+  if (total > delegate.maxPerDay) {
+    return `Today's notional would reach ${usd(total)}, over the key's limit of ${usd(delegate.maxPerDay)} per day`;
+  }
+  return null;
+}
+
+/**
+ * Count USD notional toward a delegated key's total for today.
+ */
+function recordDelegated(keyId, added) {
+  const { delegate } = findKey(keyId);
+  delegate.spent = { day: today(), amount: spentToday(delegate) + added };
+  storage.markDirty();
+}
+
+// ============================================================================
+// Signed Requests
+// ============================================================================
+
+/**
+ * keccak256 of a request body (raw bytes; an empty body hashes nothing).
+ */
+function bodyHash(body) {
+  return ethers.keccak256(body && body.length ? Buffer.from(body) : new Uint8Array());
+}
+
+/**
+ * The EIP-191 message a wallet signs for a request.
+ */
+function requestMessage({ method, path, body, nonce }) {
+  const lines = ['AgentSwaps request', `${method.toUpperCase()} ${path}`, `body: ${bodyHash(body)}`, `nonce: ${nonce}`];
+  return lines.join('\n');
+}
+
+/**
+ * The EIP-712 value a wallet signs for a request.
+ */
+function requestTypedData({ method, path, body, nonce }) {
+  return { method: method.toUpperCase(), path, bodyHash: bodyHash(body), nonce: BigInt(nonce) };
+}
+
+/**
+ * Sign a request with a wallet, for clients and tests.
+ *
+ * @param {ethers.Signer} wallet
+ * @param {{ method: string, path: string, body?: string, nonce: number|string }} request
+ * @param {'eip191'|'eip712'} [type]
+ * @returns {Promise<object>} The headers to send
+ */
+async function signRequest(wallet, request, type = 'eip191') {
+  const signature =
+    type === 'eip712'
+      ? await wallet.signTypedData(EIP712_DOMAIN, EIP712_TYPES, requestTypedData(request))
+      : await wallet.signMessage(requestMessage(request));
+  return { 'X-Signature': signature, 'X-Signature-Type': type, 'X-Nonce': String(request.nonce) };
+}
+
+function recoverSigner(type, request, signature) {
+  if (type === 'eip712') {
+    return ethers.verifyTypedData(EIP712_DOMAIN, EIP712_TYPES, requestTypedData(request), signature);
+  }
+  return ethers.verifyMessage(requestMessage(request), signature);
+}
+
+// ============================================================================
+// Sign-In With Ethereum (EIP-4361)
+// ============================================================================
+
+/**
+ * Issue the SIWE message `address` must sign to bind itself to the agent.
+ * Challenges are kept by nonce, so asking for a new one never invalidates
+ * another that is still waiting to be signed; they lapse after
+ * CHALLENGE_TTL_MS (see sweep()).
+ *
+ * @param {string} agentName
+ * @param {string} address
+ * @param {{ domain: string, uri: string }} origin - Where the API is served
+ * @returns {{ success: boolean, error?: string, message?: string, expiresAt?: string }}
+ */
+function createChallenge(agentName, address, { domain, uri }) {
+  if (!address || !ethers.isAddress(address)) return { success: false, error: 'A valid EVM address is required' };
+
+  const checksummed = ethers.getAddress(address);
+  const nonce = crypto.randomBytes(12).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+  const message = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    checksummed,
+    '',
+    `Bind this address to the AgentSwaps agent "${agentName}".`,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${SIWE_CHAIN_ID}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`,
+  ].join('\n');
+
+  challenges.set(nonce, { agent: agentName, message, address: checksummed, expiresAt: expiresAt.getTime() });
+  return { success: true, message, address: checksummed, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Check a signed challenge. The message must be one of the agent's
+ * pending challenges, unexpired, signed by its address. A challenge is
+ * used once, whatever the outcome.
+ *
+ * @returns {{ success: boolean, error?: string, address?: string }}
+ */
+function verifyChallenge(agentName, message, signature) {
+  const nonce = /\nNonce: ([0-9a-f]+)\n/.exec(message || '');
+  const challenge = nonce && challenges.get(nonce[1]);
+  if (!challenge || challenge.agent !== agentName || challenge.message !== message) {
+    return { success: false, error: 'No such challenge for this agent' };
+  }
+  challenges.delete(nonce[1]);
+  if (Date.now() > challenge.expiresAt) return { success: false, error: 'Challenge expired' };
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch {
+    return { success: false, error: 'Malformed signature' };
+  }
+  if (signer !== challenge.address) return { success: false, error: 'Signature is not from the challenged address' };
+  return { success: true, address: signer };
+}
+
+/**
+ * Issue a session token for an agent signed in as `address`. The token
+ * itself is only in the result.
+ */
+function issueSession(agentName, address) {
+  const token = SESSION_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  sessions.set(hashKey(token), { agent: agentName, address, expiresAt });
+  storage.markDirty();
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Drop expired sessions and challenges. Expired ones are refused anyway;
+ * this keeps them from piling up. Run on a timer.
+ *
+ * @returns {{ sessions: number, challenges: number }} How many were dropped
+ */
+function sweep(now = Date.now()) {
+  const dropped = { sessions: 0, challenges: 0 };
+  for (const [hash, session] of sessions) {
+    if (now > session.expiresAt) {
+      sessions.delete(hash);
+      dropped.sessions++;
+    }
+  }
+  for (const [nonce, challenge] of challenges) {
+    if (now > challenge.expiresAt) {
+      challenges.delete(nonce);
+      dropped.challenges++;
+    }
+  }
+  if (dropped.sessions) storage.markDirty();
+  return dropped;
+}
+
+// ============================================================================
+// Authentication
+// ============================================================================
+
+/**
+ * Check that a request acts for `agent` with `scope`, by API key, wallet
+ * signature or SIWE session. A signature's nonce is used up when it is accepted.
+ *
+ * @param {object} agent - The agent the request names
+ * @param {string} scope
+ * @param {object} request
+ * @param {string} request.method
+ * @param {string} request.path - Path with query string, as signed
+ * @param {Buffer|string} [request.body] - Raw body, as signed
+ * @param {(name: string) => string|undefined} request.get - Header lookup
+ * @returns {{ agent: string, via: 'key'|'signature'|'session', key?: string, delegate?: string, address?: string }
+ *   |{ status: number, error: string }}
+ */
+function authenticate(agent, scope, request) {
+  const authorization = request.get('Authorization');
+  if (authorization && authorization.startsWith(`Bearer ${SESSION_PREFIX}`)) {
+    const hash = hashKey(authorization.slice('Bearer '.length).trim());
+    const session = sessions.get(hash);
+    if (!session || Date.now() > session.expiresAt) {
+      sessions.delete(hash);
+      return { status: 401, error: 'Invalid or expired session' };
+    }
+    if (session.agent !== agent.name) return { status: 403, error: `Session does not belong to ${agent.name}` };
+    if (!agent.walletAddress || agent.walletAddress.toLowerCase() !== session.address.toLowerCase()) {
+      return { status: 401, error: `Session was for a wallet ${agent.name} no longer uses` };
+    }
+    return { agent: agent.name, via: 'session', address: session.address };
+  }
+  if (authorization && authorization.startsWith('Bearer ')) {
+    const record = keys.get(hashKey(authorization.slice('Bearer '.length).trim()));
+    if (!record || record.revokedAt) return { status: 401, error: 'Invalid or revoked API key' };
+    if (record.delegate && Date.now() > Date.parse(record.delegate.expiresAt)) {
+      return { status: 401, error: 'Delegated key expired' };
+    }
+    if (record.agent !== agent.name) return { status: 403, error: `API key does not belong to ${agent.name}` };
+    if (!record.scopes.includes(scope)) return { status: 403, error: `API key lacks the ${scope} scope` };
+    record.lastUsedAt = new Date().toISOString();
+    if (record.delegate) return { agent: agent.name, via: 'key', key: record.id, delegate: record.delegate.label };
+    return { agent: agent.name, via: 'key', key: record.id };
+  }
+
+  const signature = request.get('X-Signature');
+  if (signature) {
+    const type = (request.get('X-Signature-Type') || 'eip191').toLowerCase();
+    if (!SIGNATURE_TYPES.includes(type)) {
+      return { status: 400, error: `X-Signature-Type must be one of ${SIGNATURE_TYPES.join(', ')}` };
+    }
+    const nonce = request.get('X-Nonce');
+    if (!nonce || !/^\d{1,30}$/.test(nonce)) return { status: 400, error: 'X-Nonce must be an integer' };
+    if (!agent.walletAddress || !ethers.isAddress(agent.walletAddress)) {
+      return { status: 403, error: `${agent.name} has no wallet address to verify signatures against` };
+    }
+
+    let signer;
+    try {
+      const signed = { method: request.method, path: request.path, body: request.body, nonce };
+      signer = recoverSigner(type, signed, signature);
+    } catch {
+      return { status: 401, error: 'Malformed signature' };
+    }
+    if (signer.toLowerCase() !== agent.walletAddress.toLowerCase()) {
+      return { status: 401, error: `Signature is not from ${agent.name}'s wallet` };
+    }
+
+    const last = nonces.get(agent.name);
+    if (last !== undefined && BigInt(nonce) <= BigInt(last)) {
+      return { status: 401, error: `Nonce must be greater than ${last}` };
+    }
+    nonces.set(agent.name, nonce);
+    storage.markDirty();
+    return { agent: agent.name, via: 'signature', address: signer };
+  }
+
+  return {
+    status: 401,
+    error:
+      'Authentication required: Authorization: Bearer <api key or session token>, ' +
+      'or a wallet signature (X-Signature, X-Nonce)',
+  };
+}
+
+/**
+ * The agent and credential id behind an Authorization header, without
+ * using it: no scope check, no lastUsedAt. Rate limiting counts requests
+ * with it before a route authenticates them. Null unless it is a live key
+ * or session.
+ *
+ * @returns {{ agent: string, credential: string }|null}
+ */
+function identify(authorization) {
+  if (!authorization || !authorization.startsWith('Bearer ')) return null;
+  const hash = hashKey(authorization.slice('Bearer '.length).trim());
+  const record = keys.get(hash);
+  if (record && !record.revokedAt) return { agent: record.agent, credential: record.id };
+  const session = sessions.get(hash);
+  if (session && Date.now() <= session.expiresAt) return { agent: session.agent, credential: hash.slice(0, 16) };
+  return null;
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+storage.registerSection('auth', {
+  snapshot: () => ({ keys: [...keys.entries()], nonces: [...nonces.entries()], sessions: [...sessions.entries()] }),
+  restore: (data) => {
+    reset();
+    for (const [hash, record] of data.keys) keys.set(hash, record);
+    for (const [agent, nonce] of data.nonces) nonces.set(agent, nonce);
+    for (const [hash, session] of data.sessions || []) sessions.set(hash, session);
+  },
+});
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  SCOPES,
+  EIP712_DOMAIN,
+  EIP712_TYPES,
+  reset,
+  issueKey,
+  listKeys,
+  revokeKey,
+  issueDelegateKey,
+  checkDelegated,
+  recordDelegated,
+  bodyHash,
+  requestMessage,
+  signRequest,
+  createChallenge,
+  verifyChallenge,
+  issueSession,
+  sweep,
+  authenticate,
+  identify,
+};
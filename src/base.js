@@ -9,7 +9,8 @@
  *
  * Reads on-chain state and exposes it via REST endpoints.
  * Also provides functions for submitting on-chain transactions
- * (intent opening, settlement) when the server has a private key.
+ * (intent opening, settlement) when the server has a private key,
+ * and watches per-agent deposit addresses for confirmed ERC-20 deposits.
  */
 
 const { ethers } = require('ethers');
@@ -113,6 +114,14 @@ function initBase() {
   }
 }
 
+/**
+ * The Base mainnet provider, or null before initBase() (the price oracle
+ * reads Chainlink feeds through it).
+ */
+function getProvider() {
+  return initialized ? provider : null;
+}
+
 // ============================================================================
 // On-Chain State Queries
 // ============================================================================
@@ -258,6 +267,140 @@ async function getEthBalance(address) {
   }
 }
 
+// ============================================================================
+// Deposit Watcher — ERC-20 transfers into per-agent deposit addresses
+// ============================================================================
+
+// Each agent deposits to its own address, derived at the agent's deposit
+// index from DEPOSIT_XPUB — the extended public key of an HD account whose
+// keys the operator holds offline. The server never needs a private key to
+// issue addresses or see deposits; sweeping them is done out of band.
+const DEPOSIT_XPUB = process.env.DEPOSIT_XPUB || null;
+
+// Blocks a transfer needs (its own included) before it is credited
+const DEPOSIT_CONFIRMATIONS = Number(process.env.BASE_DEPOSIT_CONFIRMATIONS) || 12;
+
+// ERC-20s accepted as deposits (override with BASE_DEPOSIT_TOKENS, JSON).
+// Their decimals match the venue's tokens (see amounts.js)
+const DEPOSIT_TOKENS = process.env.BASE_DEPOSIT_TOKENS
+  ? JSON.parse(process.env.BASE_DEPOSIT_TOKENS)
+  : {
+      USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+      BTC: '0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf', // cbBTC
+      ETH: '0x4200000000000000000000000000000000000006', // WETH
+    };
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const MAX_LOG_RANGE = 2000; // blocks per eth_getLogs call
+const DEPOSIT_POLL_MS = 15_000;
+
+const depositAddresses = new Map(); // `${xpub}/${index}` -> address
+
+/**
+ * The deposit address at `index` of the HD account, or null when no
+ * DEPOSIT_XPUB is configured.
+ *
+ * @param {number} index - The agent's deposit index
+ * @param {string} [xpub] - Defaults to DEPOSIT_XPUB
+ */
+function depositAddress(index, xpub = DEPOSIT_XPUB) {
+  if (!xpub || !Number.isInteger(index)) return null;
+  const key = `${xpub}/${index}`;
+  if (!depositAddresses.has(key)) {
+    depositAddresses.set(key, ethers.HDNodeWallet.fromExtendedKey(xpub).deriveChild(index).address);
+  }
+  return depositAddresses.get(key);
+}
+
+/**
+ * Find the deposit transfers in blocks `fromBlock` up to the last block
+ * with enough confirmations (at most MAX_LOG_RANGE blocks per call).
+ *
+ * @param {object} rpc - An ethers provider
+ * @param {object} options
+ * @param {number} options.fromBlock - First block not scanned yet
+ * @param {string[]} options.addresses - Deposit addresses to look for
+ * @param {number} [options.confirmations]
+ * @param {object} [options.tokens] - ERC-20 addresses by token
+ * @returns {Promise<{ deposits: object[], nextBlock: number }>} `nextBlock` is where the next scan starts
+ */
+async function scanDeposits(
+  rpc,
+  { fromBlock, addresses, confirmations = DEPOSIT_CONFIRMATIONS, tokens = DEPOSIT_TOKENS }
+) {
+  const head = await rpc.getBlockNumber();
+  const lastConfirmed = head - confirmations + 1;
+  if (lastConfirmed < fromBlock) return { deposits: [], nextBlock: fromBlock };
+
+  const toBlock = Math.min(lastConfirmed, fromBlock + MAX_LOG_RANGE - 1);
+  if (addresses.length === 0) return { deposits: [], nextBlock: toBlock + 1 };
+
+  const byContract = new Map(Object.entries(tokens).map(([token, address]) => [address.toLowerCase(), token]));
+  const logs = await rpc.getLogs({
+    address: Object.values(tokens),
+    topics: [TRANSFER_TOPIC, null, addresses.map((a) => ethers.zeroPadValue(a, 32))],
+    fromBlock,
+    toBlock,
+  });
+
+  const deposits = logs
+    .filter((log) => byContract.has(log.address.toLowerCase()))
+    .map((log) => ({
+      chain: 'base',
+      ref: `${log.transactionHash}:${log.index}`,
+      token: byContract.get(log.address.toLowerCase()),
+      units: BigInt(log.data).toString(),
+      from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+      address: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+    }));
+
+  return { deposits, nextBlock: toBlock + 1 };
+}
+
+/**
+ * Poll for confirmed deposits until stopped. Each scan hands its deposits
+ * and the block the next one starts at to `onDeposits`, which should
+ * credit them and keep the block as its cursor. A scan that fails is
+ * retried from the same block on the next poll.
+ *
+ * @param {object} options
+ * @param {() => string[]} options.addresses - Current deposit addresses
+ * @param {number|null} options.fromBlock - Saved cursor, or null to start at the chain head
+ * @param {(deposits: object[], nextBlock: number) => void} options.onDeposits
+ * @param {number} [options.intervalMs]
+ * @returns {() => void} Stops the watcher
+ */
+function watchDeposits({ addresses, fromBlock, onDeposits, intervalMs = DEPOSIT_POLL_MS }) {
+  if (!initialized) throw new Error('Base chain not connected');
+  if (!DEPOSIT_XPUB) throw new Error('No DEPOSIT_XPUB configured');
+  let next = fromBlock;
+  let busy = false;
+
+  const poll = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      if (next === null || next === undefined) {
+        next = (await provider.getBlockNumber()) - DEPOSIT_CONFIRMATIONS + 1;
+      }
+      const scan = await scanDeposits(provider, { fromBlock: next, addresses: addresses() });
+      onDeposits(scan.deposits, scan.nextBlock);
+      next = scan.nextBlock;
+    } catch (err) {
+      console.error(`[base] Deposit scan failed: ${err.message}`);
+    } finally {
+      busy = false;
+    }
+  };
+
+  const timer = setInterval(poll, intervalMs);
+  poll();
+  console.log(`[base] Watching deposits (${DEPOSIT_CONFIRMATIONS} confirmations)`);
+  return () => clearInterval(timer);
+}
+
 // ============================================================================
 // Express Router
 // ============================================================================
@@ -319,11 +462,17 @@ router.get('/balance/:address', async (req, res) => {
 
 module.exports = {
   initBase,
+  getProvider,
   getOnChainState,
   getTokenBalance,
   getEthBalance,
+  depositAddress,
+  scanDeposits,
+  watchDeposits,
   router,
   CONTRACTS,
   CHAIN_ID,
   ERC8004_AGENT_ID,
+  DEPOSIT_CONFIRMATIONS,
+  DEPOSIT_TOKENS,
 };
@@ -0,0 +1,62 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Conditional Intents
+ *
+ * Stop-loss and take-profit orders that sit dormant (funds already in
+ * escrow) until the pair's market price crosses a trigger, then post a
+ * normal intent. They are evaluated server-side on every price refresh,
+ * so an agent's risk management keeps running if the agent goes offline.
+ *
+ * Which way the trigger fires depends on the side of the book:
+ *
+ *   selling base (ask)   stop_loss: price ≤ trigger   take_profit: price ≥ trigger
+ *   buying base (bid)    stop_loss: price ≥ trigger   take_profit: price ≤ trigger
+ *
+ * Prices are the pair's market price in quote per base (see orderbook.js).
+ * This module only decides direction and triggering; escrow and posting
+ * live in index.js.
+ */
+
+const orderbook = require('./orderbook');
+
+// ============================================================================
+// Triggers
+// ============================================================================
+
+const TYPES = ['stop_loss', 'take_profit'];
+
+/**
+ * Which way the price must move to fire a conditional.
+ *
+ * @param {'stop_loss'|'take_profit'} type
+ * @param {string} giveToken
+ * @param {string} wantToken
+ * @returns {'below'|'above'}
+ */
+function direction(type, giveToken, wantToken) {
+  const selling = giveToken === orderbook.getPair(giveToken, wantToken).base;
+  const stop = type === 'stop_loss';
+  return selling === stop ? 'below' : 'above';
+}
+
+/**
+ * Whether a pending conditional fires at `price`.
+ *
+ * @param {object} conditional - With trigger.price and trigger.direction
+ * @param {number} price - Current market price (quote per base)
+ */
+function isTriggered(conditional, price) {
+  if (!(price > 0)) return false;
+  const { price: trigger, direction: dir } = conditional.trigger;
+  return dir === 'below' ? price <= trigger : price >= trigger;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  TYPES,
+  direction,
+  isTriggered,
+};
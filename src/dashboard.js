@@ -47,18 +47,21 @@ function rpad(str, len) {
   return String(str).padStart(len);
 }
 
+// Amounts arrive as decimal strings ("1234.5"); prices as numbers
 function formatUSD(n) {
-  return '$' + (n || 0).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return '$' + Number(n || 0).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
 }
 
 async function render() {
   try {
-    const [world, intents, swaps, leaderboard] = await Promise.all([
+    const [world, intentPage, swapPage, leaderboard] = await Promise.all([
       apiCall('/api/world'),
-      apiCall('/api/intents'),
-      apiCall('/api/swaps?limit=10'),
+      apiCall('/api/intents?limit=8'),
+      apiCall('/api/swaps?limit=8'),
       apiCall('/api/leaderboard'),
     ]);
+    const intents = intentPage && intentPage.intents;
+    const swaps = swapPage && swapPage.swaps;
 
     if (!world) {
       console.log('Waiting for AgentSwaps server...');
@@ -107,7 +110,7 @@ async function render() {
     // Active Intents
     if (intents && intents.length > 0) {
       console.log('\x1b[33m  ▸ Active Intents\x1b[0m');
-      intents.slice(0, 8).forEach((intent) => {
+      intents.forEach((intent) => {
         console.log(
           `    ${pad(intent.agent, 16)} gives ${intent.give.amount} ${pad(intent.give.token, 6)} wants ${intent.want.token}`
         );
@@ -118,7 +121,7 @@ async function render() {
     // Recent Swaps
     if (swaps && swaps.length > 0) {
       console.log('\x1b[33m  ▸ Recent Swaps\x1b[0m');
-      swaps.slice(0, 8).forEach((swap) => {
+      swaps.forEach((swap) => {
         const time = new Date(swap.executedAt).toLocaleTimeString();
         console.log(
           `    \x1b[32m✓\x1b[0m ${time}  ${pad(swap.agentA, 14)} ${swap.giveA.amount} ${pad(swap.giveA.token, 5)} ↔ ${pad(swap.agentB, 14)} ${swap.giveB.amount} ${swap.giveB.token}  (${formatUSD(swap.volumeUSD)})`
@@ -12,21 +12,34 @@
  * 6. Both agents walk away with what they wanted
  *
  * No humans in the loop. Both sides are AI.
+ *
+ * Deposits here are credited without a transfer, so run the server with
+ * DEPOSIT_MODE=sandbox. Each agent acts with the API key it gets at
+ * registration, so run the demo against a fresh server.
  */
 
 const http = require('http');
 
 const BASE = 'http://localhost:8800';
 
+// API keys handed out at registration, by agent name
+const apiKeys = {};
+
 function apiCall(method, path, body) {
   return new Promise((resolve, reject) => {
     const url = new URL(BASE + path);
+    const headers = { 'Content-Type': 'application/json' };
+
+    // Act as the agent the request names, in the path or the body
+    const agent = (body && body.agent) || (path.match(/^\/api\/agents\/([^/]+)\//) || [])[1];
+    if (apiKeys[agent]) headers.Authorization = `Bearer ${apiKeys[agent]}`;
+
     const options = {
       hostname: url.hostname,
       port: url.port,
       path: url.pathname + url.search,
       method,
-      headers: { 'Content-Type': 'application/json' },
+      headers,
     };
 
     const req = http.request(options, (res) => {
@@ -67,6 +80,7 @@ async function runDemo() {
       description: 'AI trading agent focused on ETH momentum signals',
     },
   });
+  if (agentA.apiKey) apiKeys[agentA.agent.name] = agentA.apiKey.key;
   console.log(`Agent A registered: ${agentA.agent?.name || 'already exists'}`);
 
   const agentB = await apiCall('POST', '/api/agents', {
@@ -78,6 +92,7 @@ async function runDemo() {
       description: 'AI agent optimizing stablecoin yields across protocols',
     },
   });
+  if (agentB.apiKey) apiKeys[agentB.agent.name] = agentB.apiKey.key;
   console.log(`Agent B registered: ${agentB.agent?.name || 'already exists'}`);
 
   const agentC = await apiCall('POST', '/api/agents', {
@@ -89,6 +104,7 @@ async function runDemo() {
       description: 'AI arbitrage agent exploiting price differences',
     },
   });
+  if (agentC.apiKey) apiKeys[agentC.agent.name] = agentC.apiKey.key;
   console.log(`Agent C registered: ${agentC.agent?.name || 'already exists'}`);
 
   await sleep(500);
@@ -183,8 +199,8 @@ async function runDemo() {
   console.log(`Epoch: ${worldState.epoch}`);
   console.log(`Active Agents: ${worldState.agents}`);
   console.log(`Total Swaps: ${worldState.totalSwaps}`);
-  console.log(`Total Volume: $${worldState.totalVolume?.toFixed(2)}`);
-  console.log(`Total Fees Collected: $${worldState.totalFees?.toFixed(2)}`);
+  console.log(`Total Volume: $${Number(worldState.totalVolume).toFixed(2)}`);
+  console.log(`Total Fees Collected: $${Number(worldState.totalFees).toFixed(2)}`);
   console.log(`Active Intents: ${worldState.activeIntents}`);
 
   // Step 5: Show leaderboard
@@ -196,7 +212,7 @@ async function runDemo() {
     console.log('-----|---------------|-----------|-------|----');
     leaderboard.forEach((entry, i) => {
       console.log(
-        `  ${i + 1}  | ${entry.name.padEnd(13)} | $${entry.volume.toFixed(2).padStart(8)} | ${String(entry.swaps).padStart(5)} | ${entry.reputation}`
+        `  ${i + 1}  | ${entry.name.padEnd(13)} | $${Number(entry.volume).toFixed(2).padStart(8)} | ${String(entry.swaps).padStart(5)} | ${entry.reputation}`
       );
     });
   }
@@ -208,8 +224,8 @@ async function runDemo() {
     const agent = await apiCall('GET', `/api/agents/${name}`);
     if (agent && agent.balance) {
       const nonZero = Object.entries(agent.balance)
-        .filter(([, v]) => v > 0)
-        .map(([k, v]) => `${v.toFixed(4)} ${k}`)
+        .filter(([, v]) => Number(v) > 0)
+        .map(([k, v]) => `${v} ${k}`)
         .join(', ');
       console.log(`${name}: ${nonZero || 'empty'}`);
     }
@@ -7,11 +7,13 @@
  * - Trading rewards minted proportional to volume
  * - Proposal creation + vote-weighted governance
  *
- * All in-memory for hackathon demo — no blockchain yet.
+ * Balances, pool counters and proposals are persisted through storage.js.
  */
 
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const pagination = require('./pagination');
 
 // ============================================================================
 // $SWAP Token — Tokenomics
@@ -71,6 +73,7 @@ function rewardSwap(agentName, volumeUSD) {
   pool.minted += mintable;
   const prev = balances.get(agentName) || 0;
   balances.set(agentName, prev + mintable);
+  storage.markDirty();
 
   return {
     minted: mintable,
@@ -166,6 +169,7 @@ function createProposal(agentName, title, description, options) {
   };
 
   proposals.push(proposal);
+  storage.markDirty();
   return { success: true, proposal };
 }
 
@@ -214,54 +218,93 @@ function vote(agentName, proposalId, optionIndex) {
   proposal.options[optionIndex].votes += weight;
   proposal.options[optionIndex].voters.push(agentName);
   proposal.totalVotes += weight;
+  storage.markDirty();
 
   return { success: true, proposal: formatProposal(proposal) };
 }
 
+// Told about each proposal as it ends (see onProposalEnded)
+let endedListener = () => {};
+
+/**
+ * Call `listener(proposal)` whenever a proposal's voting ends, with its
+ * final status and winner set.
+ */
+function onProposalEnded(listener) {
+  endedListener = listener;
+}
+
 /**
  * Finalize a proposal after voting ends.
  */
 function finalizeProposal(proposal) {
   if (proposal.status !== 'active') return;
+  storage.markDirty();
 
   if (proposal.totalVotes === 0) {
     proposal.status = 'expired';
-    return;
-  }
+  } else {
+    // Find winning option
+    let maxVotes = 0;
+    let winnerIdx = -1;
+    for (let i = 0; i < proposal.options.length; i++) {
+      if (proposal.options[i].votes > maxVotes) {
+        maxVotes = proposal.options[i].votes;
+        winnerIdx = i;
+      }
+    }
 
-  // Find winning option
-  let maxVotes = 0;
-  let winnerIdx = -1;
-  for (let i = 0; i < proposal.options.length; i++) {
-    if (proposal.options[i].votes > maxVotes) {
-      maxVotes = proposal.options[i].votes;
-      winnerIdx = i;
+    // Majority = more than 50% of votes cast
+    if (maxVotes > proposal.totalVotes / 2) {
+      proposal.status = 'passed';
+      proposal.winner = proposal.options[winnerIdx].label;
+    } else {
+      proposal.status = 'rejected';
     }
   }
 
-  // Majority = more than 50% of votes cast
-  if (maxVotes > proposal.totalVotes / 2) {
-    proposal.status = 'passed';
-    proposal.winner = proposal.options[winnerIdx].label;
-  } else {
-    proposal.status = 'rejected';
-  }
+  endedListener(proposal);
 }
 
 /**
- * Get all proposals with formatted vote counts.
- * Auto-finalizes expired proposals.
+ * Finalize every active proposal whose voting period is over.
  */
-function getProposals() {
+function finalizeEnded() {
   const now = new Date();
   for (const p of proposals) {
     if (p.status === 'active' && now > new Date(p.votingEndsAt)) {
       finalizeProposal(p);
     }
   }
+}
+
+/**
+ * Get all proposals with formatted vote counts.
+ * Auto-finalizes expired proposals.
+ */
+function getProposals() {
+  finalizeEnded();
   return proposals.map(formatProposal);
 }
 
+/**
+ * Proposals, newest first, one page at a time.
+ *
+ * @param {object} query - From pagination.parseQuery: agent (proposer or
+ *   voter), status, from and to (createdAt) filters
+ */
+function listProposals(query) {
+  finalizeEnded();
+  const { agent, status } = query.filters;
+  const { items, page } = pagination.paginate(proposals, query, {
+    filter: (p) =>
+      (!agent || p.proposer === agent || p.options.some((o) => o.voters.includes(agent))) &&
+      (!status || status.includes(p.status)) &&
+      pagination.inRange(p.createdAt, query.filters),
+  });
+  return { proposals: items.map(formatProposal), page };
+}
+
 /**
  * Format a proposal for API response.
  */
@@ -284,6 +327,26 @@ function formatProposal(p) {
   };
 }
 
+// ============================================================================
+// Persistence
+// ============================================================================
+
+storage.registerSection('governance', {
+  snapshot: () => ({
+    balances: [...balances.entries()],
+    minted: Object.fromEntries(Object.entries(DISTRIBUTION).map(([k, p]) => [k, p.minted])),
+    proposals,
+  }),
+  restore: (data) => {
+    balances.clear();
+    for (const [name, balance] of data.balances) balances.set(name, balance);
+    for (const [key, minted] of Object.entries(data.minted)) {
+      if (DISTRIBUTION[key]) DISTRIBUTION[key].minted = minted;
+    }
+    proposals.splice(0, proposals.length, ...data.proposals);
+  },
+});
+
 // ============================================================================
 // REST API Router
 // ============================================================================
@@ -295,9 +358,11 @@ router.get('/tokenomics', (req, res) => {
   res.json(getTokenomics());
 });
 
-// GET /api/governance/proposals — list all proposals
+// GET /api/governance/proposals — list proposals, paginated and filtered
 router.get('/proposals', (req, res) => {
-  res.json(getProposals());
+  const query = pagination.parseQuery(req.query, ['agent', 'status', 'from', 'to']);
+  if (!query.success) return res.status(400).json({ error: query.error });
+  res.json(listProposals(query));
 });
 
 // POST /api/governance/proposals — create a proposal
@@ -337,6 +402,9 @@ module.exports = {
   createProposal,
   vote,
   getProposals,
+  listProposals,
+  finalizeEnded,
+  onProposalEnded,
   getTokenomics,
   TOTAL_SUPPLY,
   REWARD_PER_USD,
@@ -13,13 +13,29 @@
 
 const express = require('express');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
 const { ethers } = require('ethers');
 const solana = require('./solana');
 const governance = require('./governance');
 const x402 = require('./x402');
 const base = require('./base');
+const oracle = require('./oracle');
+const markets = require('./markets');
 const onchain = require('./onchain');
+const orderbook = require('./orderbook');
+const rings = require('./rings');
+const auction = require('./auction');
+const conditionals = require('./conditionals');
+const algos = require('./algos');
+const amounts = require('./amounts');
+const ledger = require('./ledger');
+const payouts = require('./payouts');
+const auth = require('./auth');
+const ratelimit = require('./ratelimit');
+const stream = require('./stream');
+const webhooks = require('./webhooks');
+const pagination = require('./pagination');
+const storage = require('./storage');
+const journal = require('./journal');
 
 // ============================================================================
 // World State — The persistent trading floor
@@ -37,17 +53,51 @@ const world = {
   // Active intents (orders)
   intents: new Map(),
 
+  // Dormant stop-loss / take-profit intents (escrowed until triggered)
+  conditionals: new Map(),
+
+  // TWAP / iceberg parent orders worked through child intents
+  algos: new Map(),
+
   // Completed swaps history
   swaps: [],
 
-  // World economy
+  // Completed multi-agent rings (3+ legs settled together)
+  rings: [],
+
+  // Withdrawals, from request to on-chain confirmation
+  withdrawals: new Map(),
+
+  // On-chain deposits seen by the watchers, by `${chain}:${ref}`
+  deposits: new Map(),
+
+  // Where each deposit watcher resumes: the next Base block, and the last
+  // Solana signature scanned per receiving account
+  depositCursors: { base: null, solana: {} },
+
+  // Matching engine settings
+  matching: {
+    rings: { ...rings.DEFAULT_CONFIG },
+
+    // Default self-trade prevention mode (see SELF_TRADE_MODES)
+    selfTradePrevention: process.env.SELF_TRADE_PREVENTION || 'cancel_newest',
+  },
+
+  // World economy — token amounts are fixed-point (see amounts.js), totals in USD
   economy: {
-    totalVolume: 0,
+    totalVolume: amounts.ZERO,
     totalSwaps: 0,
-    totalFees: 0,
+    totalFees: amounts.ZERO,
     feeRate: 0.003, // 0.3% like Uniswap
     entryFee: 1.0, // 1 USDC to enter the world
     supportedTokens: ['USDC', 'ETH', 'SOL', 'MON', 'BTC'],
+
+    // What the venue holds per token: fees plus the rounding residual of
+    // every fill (the buyer's quote rounds up, the seller's rounds down)
+    treasury: amounts.zeroes(['USDC', 'ETH', 'SOL', 'MON', 'BTC']),
+
+    // USD prices from the oracle (see oracle.js). Until a source quotes a
+    // token these starting values are shown but stale, so nothing trades on them
     tokenPrices: {
       USDC: 1.0,
       ETH: 2800.0,
@@ -55,165 +105,1829 @@ const world = {
       MON: 0.5,
       BTC: 98000.0,
     },
-  },
+    // token -> { updatedAt, expiresAt, confidence, sources } of its latest price
+    priceInfo: {},
+  },
+
+  // World events log, the last EVENT_HISTORY of them (what streaming
+  // clients can resume from), and the seq of the newest
+  events: [],
+  eventSeq: 0,
+
+  // Leaderboard
+  leaderboard: [],
+};
+
+// ============================================================================
+// Ledger — Every balance change as a balanced entry (see ledger.js)
+// ============================================================================
+
+const available = (agentName) => ledger.agentAccount(agentName, 'available');
+const escrow = (agentName) => ledger.agentAccount(agentName, 'escrow');
+
+/**
+ * Post a ledger entry and apply it to the balances the engine reads:
+ * available postings to agent.balance, treasury postings to
+ * economy.treasury. Escrow is held by the orders themselves (an intent's
+ * `remaining`, a conditional's amount, an algo's `unreleased`), so escrow
+ * postings only book the move.
+ */
+function settle(type, postings, ref) {
+  const entry = ledger.post(type, postings, ref);
+  if (!entry) return null;
+
+  for (const p of entry.postings) {
+    const owner = ledger.parseAccount(p.account);
+    let held = null;
+    if (owner && owner.kind === 'available') held = world.agents.get(owner.agent).balance;
+    else if (p.account === ledger.TREASURY) held = world.economy.treasury;
+    if (held) held[p.token] = (held[p.token] || amounts.ZERO) + p.amount;
+  }
+  return entry;
+}
+
+/**
+ * Move `amount` of `token` between two accounts (see settle()).
+ */
+function move(type, token, from, to, amount, ref) {
+  return settle(
+    type,
+    [
+      { account: from, token, amount: -amount },
+      { account: to, token, amount },
+    ],
+    ref
+  );
+}
+
+/**
+ * Lock an agent's tokens into escrow for an order.
+ */
+function lock(agentName, token, amount, ref) {
+  return move('escrow', token, available(agentName), escrow(agentName), amount, ref);
+}
+
+/**
+ * Return escrowed tokens to an agent's available balance.
+ */
+function release(agentName, token, amount, ref) {
+  return move('release', token, escrow(agentName), available(agentName), amount, ref);
+}
+
+/**
+ * Prove the books: every token sums to zero across all accounts — so what
+ * agents and the treasury hold is exactly what was deposited — and every
+ * ledger account agrees with the state the engine reads (balances, open
+ * orders, the treasury and $SWAP rewards).
+ *
+ * @returns {{ ok: boolean, errors: string[], deposited: object, entries: number }} `deposited` is
+ *   net of confirmed withdrawals
+ */
+function checkLedger() {
+  const errors = [];
+  const expect = (account, token, actual) => {
+    const booked = ledger.balance(account, token);
+    if (booked !== actual) {
+      errors.push(`${account} ${token}: ledger ${amounts.format(booked)}, state ${amounts.format(actual)}`);
+    }
+  };
+
+  for (const [token, total] of Object.entries(ledger.totals())) {
+    if (total !== amounts.ZERO) errors.push(`${token} does not balance: accounts sum to ${amounts.format(total)}`);
+  }
+
+  // What each agent has locked in its orders
+  const locked = new Map();
+  const add = (agentName, token, amount) => {
+    const held = locked.get(agentName) || {};
+    held[token] = (held[token] || amounts.ZERO) + amount;
+    locked.set(agentName, held);
+  };
+  for (const intent of world.intents.values()) {
+    if (isOpen(intent)) add(intent.agent, intent.give.token, intent.remaining);
+  }
+  for (const conditional of world.conditionals.values()) {
+    if (conditional.status === 'pending') add(conditional.agent, conditional.give.token, conditional.give.amount);
+  }
+  for (const algo of world.algos.values()) add(algo.agent, algo.give.token, algo.unreleased);
+
+  for (const agent of world.agents.values()) {
+    const held = locked.get(agent.name) || {};
+    const tokens = new Set([...world.economy.supportedTokens, ...Object.keys(agent.balance), ...Object.keys(held)]);
+    for (const token of tokens) {
+      expect(available(agent.name), token, agent.balance[token] || amounts.ZERO);
+      expect(escrow(agent.name), token, held[token] || amounts.ZERO);
+    }
+    expect(
+      ledger.agentAccount(agent.name, 'rewards'),
+      'SWAP',
+      amounts.fromNumber(governance.getTokenBalance(agent.name))
+    );
+  }
+  for (const [token, amount] of Object.entries(world.economy.treasury)) {
+    expect(ledger.TREASURY, token, amount);
+  }
+
+  // Withdrawn but not yet paid out
+  const inFlight = {};
+  for (const w of world.withdrawals.values()) {
+    if (isPaying(w)) inFlight[w.token] = (inFlight[w.token] || amounts.ZERO) + w.amount;
+  }
+  for (const token of new Set([...Object.keys(inFlight), ...Object.keys(ledger.getBalances(ledger.WITHDRAWALS))])) {
+    expect(ledger.WITHDRAWALS, token, inFlight[token] || amounts.ZERO);
+  }
+
+  const deposited = {};
+  for (const [token, amount] of Object.entries(ledger.getBalances(ledger.EXTERNAL))) deposited[token] = -amount;
+
+  return { ok: errors.length === 0, errors, deposited, entries: ledger.getStatus().entries };
+}
+
+// ============================================================================
+// Agent Registry
+// ============================================================================
+
+/**
+ * Register an agent. An agent run for another one declares it with
+ * `metadata.owner` (or `metadata.group`), the owner agent's name; it counts
+ * as the owner's once the owner approves it (approveMember). Agents that
+ * verified the same wallet are one owner either way.
+ * `metadata.selfTradePrevention` sets the agent's default self-trade mode.
+ * Missing or null metadata is stored as {}.
+ */
+function registerAgent(name, walletAddress, metadata) {
+  if (world.agents.has(name)) {
+    return { success: false, error: 'Agent already registered' };
+  }
+  metadata = metadata || {};
+  if (!isPlainObject(metadata)) return { success: false, error: 'metadata must be an object' };
+  if (metadata.selfTradePrevention && !SELF_TRADE_MODES.includes(metadata.selfTradePrevention)) {
+    return { success: false, error: `selfTradePrevention must be one of ${SELF_TRADE_MODES.join(', ')}` };
+  }
+
+  const agent = {
+    id: journal.newId(),
+    name,
+    walletAddress: walletAddress || null,
+    walletVerifiedAt: null, // set once the agent proves control of walletAddress (SIWE)
+    group: metadata.owner || metadata.group || null, // declared owner agent, for self-trade prevention
+    groupApprovedAt: null, // set once that owner approves the membership
+    metadata,
+    balance: amounts.zeroes(world.economy.supportedTokens),
+    depositIndex: world.agents.size, // HD index of its Base deposit address
+    reputation: 100, // Start with 100 reputation points
+    swapsCompleted: 0,
+    swapsFailed: 0,
+    totalVolume: amounts.ZERO, // USD
+    enteredAt: journal.timestamp(),
+    lastActive: journal.timestamp(),
+    status: 'active',
+  };
+
+  world.agents.set(name, agent);
+
+  addEvent('agent_entered', {
+    agent: name,
+    message: `${name} entered the trading floor`,
+  });
+
+  return { success: true, agent };
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function getAgent(name) {
+  return world.agents.get(name) || null;
+}
+
+/**
+ * Bind a wallet the agent has proven it controls (a verified SIWE login,
+ * see auth.js). It becomes the agent's walletAddress, and the address
+ * on-chain $SWAP rewards are sent to.
+ */
+function verifyWallet(agentName, address) {
+  const agent = world.agents.get(agentName);
+  if (!agent) return { success: false, error: 'Agent not found' };
+  if (!ethers.isAddress(address)) return { success: false, error: 'Invalid address' };
+
+  agent.walletAddress = ethers.getAddress(address);
+  agent.walletVerifiedAt = journal.timestamp();
+
+  addEvent('wallet_verified', {
+    agent: agentName,
+    address: agent.walletAddress,
+    message: `${agentName} verified wallet ${agent.walletAddress}`,
+  });
+  return { success: true, agent };
+}
+
+/**
+ * Approve an agent that declared `ownerName` as its owner: from now on the
+ * two (and the owner's other members) are related — they never trade with
+ * each other, and self-trade prevention may cancel either's intents.
+ */
+function approveMember(ownerName, memberName) {
+  const owner = world.agents.get(ownerName);
+  const member = world.agents.get(memberName);
+  if (!owner || !member) return { success: false, error: 'Agent not found' };
+  if (member.group !== ownerName) {
+    return { success: false, error: `${memberName} has not declared ${ownerName} as its owner` };
+  }
+  if (!member.groupApprovedAt) {
+    member.groupApprovedAt = journal.timestamp();
+    addEvent('member_approved', {
+      agent: ownerName,
+      agents: [ownerName, memberName],
+      message: `${ownerName} approved ${memberName} as one of its agents`,
+    });
+  }
+  return { success: true, agent: member };
+}
+
+/**
+ * Where an agent's on-chain rewards go: its walletAddress once verified,
+ * otherwise nowhere — an address someone only typed in earns nothing.
+ */
+function rewardAddress(agent) {
+  return agent.walletVerifiedAt ? agent.walletAddress : null;
+}
+
+// ============================================================================
+// Deposits — Verified on-chain transfers, or sandbox credits
+// ============================================================================
+
+// onchain — balances are credited only from transfers the Base and Solana
+//           watchers have seen confirmed (default)
+// sandbox — POST /api/agents/:name/deposit credits any amount without a
+//           transfer; for demos and local testing only
+const DEPOSIT_MODES = ['onchain', 'sandbox'];
+const DEPOSIT_MODE = DEPOSIT_MODES.includes(process.env.DEPOSIT_MODE) ? process.env.DEPOSIT_MODE : 'onchain';
+
+/**
+ * The memo that marks a Solana deposit as the agent's.
+ */
+function depositMemo(agent) {
+  return `as-${agent.id.replace(/-/g, '').slice(0, 12)}`;
+}
+
+/**
+ * Where an agent sends deposits: its own Base address (when DEPOSIT_XPUB
+ * is set) and the venue's Solana wallet with its memo (when
+ * SOLANA_DEPOSIT_ADDRESS is set).
+ */
+function getDepositInstructions(agent) {
+  const baseAddress = base.depositAddress(agent.depositIndex);
+  const solanaAddress = solana.getDepositAddress();
+  return {
+    agent: agent.name,
+    mode: DEPOSIT_MODE,
+    base: baseAddress && {
+      address: baseAddress,
+      tokens: Object.keys(base.DEPOSIT_TOKENS),
+      confirmations: base.DEPOSIT_CONFIRMATIONS,
+    },
+    solana: solanaAddress && {
+      address: solanaAddress,
+      memo: depositMemo(agent),
+      tokens: ['SOL', ...Object.keys(solana.DEPOSIT_MINTS)],
+      confirmations: solana.DEPOSIT_CONFIRMATIONS,
+    },
+  };
+}
+
+/**
+ * Which agent an on-chain deposit belongs to: the owner of the Base
+ * address it was sent to, or the agent whose memo it carries on Solana.
+ *
+ * @returns {string|null} The agent's name, or null when nobody claims it
+ */
+function depositOwner(deposit) {
+  for (const agent of world.agents.values()) {
+    const owned =
+      deposit.chain === 'solana'
+        ? deposit.memo === depositMemo(agent)
+        : deposit.address === base.depositAddress(agent.depositIndex);
+    if (owned) return agent.name;
+  }
+  return null;
+}
+
+/**
+ * Credit a confirmed on-chain deposit to its agent. Each transfer is
+ * credited once, however often a watcher reports it. A deposit nobody
+ * claims (no agent owns the address or memo) is recorded as unattributed
+ * and credited to no one.
+ *
+ * @param {string|null} agentName - From depositOwner()
+ * @param {object} deposit - From a watcher: { chain, ref, token, units, address, memo?, from?, txHash, blockNumber }
+ */
+function creditDeposit(agentName, deposit) {
+  const id = `${deposit.chain}:${deposit.ref}`;
+  if (world.deposits.has(id)) return { success: false, error: 'Deposit already recorded' };
+  if (!world.economy.supportedTokens.includes(deposit.token)) {
+    return { success: false, error: `Token ${deposit.token} not supported` };
+  }
+  const agent = agentName ? world.agents.get(agentName) : null;
+  if (agentName && !agent) return { success: false, error: 'Agent not found' };
+
+  const record = {
+    id,
+    agent: agent ? agent.name : null,
+    chain: deposit.chain,
+    token: deposit.token,
+    amount: amounts.fromUnits(deposit.token, deposit.units),
+    address: deposit.address,
+    memo: deposit.memo || null,
+    from: deposit.from || null,
+    txHash: deposit.txHash,
+    blockNumber: deposit.blockNumber,
+    status: agent ? 'credited' : 'unattributed',
+    creditedAt: journal.timestamp(),
+  };
+  world.deposits.set(id, record);
+
+  const what = `${amounts.format(record.amount)} ${record.token} on ${record.chain}`;
+  if (!agent) {
+    addEvent('deposit_unattributed', {
+      deposit: id,
+      txHash: record.txHash,
+      message: `Unattributed deposit of ${what} (${record.txHash})`,
+    });
+    return { success: true, deposit: record };
+  }
+
+  move('deposit', record.token, ledger.EXTERNAL, available(agent.name), record.amount, { deposit: id });
+  agent.lastActive = record.creditedAt;
+
+  addEvent('deposit', {
+    agent: agent.name,
+    token: record.token,
+    amount: record.amount,
+    chain: record.chain,
+    txHash: record.txHash,
+    message: `${agent.name} deposited ${what} (${record.txHash})`,
+  });
+
+  return { success: true, deposit: record, balance: agent.balance };
+}
+
+/**
+ * Credit what a watcher found, skipping transfers already recorded.
+ */
+function creditDeposits(deposits) {
+  for (const deposit of deposits) {
+    if (world.deposits.has(`${deposit.chain}:${deposit.ref}`)) continue;
+    commands.creditDeposit(depositOwner(deposit), deposit);
+  }
+}
+
+/**
+ * Start the Base and Solana deposit watchers, resuming from their saved
+ * cursors. A chain without a deposit address configured is skipped.
+ */
+function watchDeposits() {
+  const watchers = [
+    [
+      'base',
+      () =>
+        base.watchDeposits({
+          addresses: () => [...world.agents.values()].map((a) => base.depositAddress(a.depositIndex)).filter(Boolean),
+          fromBlock: world.depositCursors.base,
+          onDeposits: (deposits, nextBlock) => {
+            creditDeposits(deposits);
+            world.depositCursors.base = nextBlock;
+            storage.markDirty();
+          },
+        }),
+    ],
+    [
+      'solana',
+      () =>
+        solana.watchDeposits({
+          cursors: world.depositCursors.solana,
+          onDeposits: (deposits, cursors) => {
+            creditDeposits(deposits);
+            world.depositCursors.solana = cursors;
+            storage.markDirty();
+          },
+        }),
+    ],
+  ];
+  for (const [chain, watch] of watchers) {
+    try {
+      watch();
+    } catch (err) {
+      console.warn(`[deposits] Not watching ${chain}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * An agent's on-chain deposits, newest first.
+ */
+function getDeposits(agentName) {
+  return [...world.deposits.values()].filter((d) => d.agent === agentName).reverse();
+}
+
+/**
+ * Credit a deposit without a transfer. Only reachable over the API in
+ * sandbox mode.
+ */
+function depositTokens(agentName, token, amount) {
+  const agent = world.agents.get(agentName);
+  if (!agent) return { success: false, error: 'Agent not found' };
+  if (!world.economy.supportedTokens.includes(token)) {
+    return { success: false, error: `Token ${token} not supported` };
+  }
+  const parsed = amounts.parse(token, amount);
+  if (parsed.error) return { success: false, error: parsed.error };
+  if (!(parsed.value > amounts.ZERO)) return { success: false, error: 'Amount must be positive' };
+
+  move('deposit', token, ledger.EXTERNAL, available(agentName), parsed.value);
+  agent.lastActive = journal.timestamp();
+
+  addEvent('deposit', {
+    agent: agentName,
+    token,
+    amount: parsed.value,
+    message: `${agentName} deposited ${amounts.format(parsed.value)} ${token}`,
+  });
+
+  return { success: true, balance: agent.balance };
+}
+
+// ============================================================================
+// Withdrawals — Payouts to the agent's registered address (see payouts.js)
+// ============================================================================
+
+/**
+ * A withdrawal whose tokens have left the agent but not yet the venue.
+ */
+function isPaying(withdrawal) {
+  return withdrawal.status === 'pending' || withdrawal.status === 'broadcast';
+}
+
+/**
+ * Withdraw from the agent's available (non-escrowed) balance. The amount
+ * is debited at once and the payout queued; its status moves from
+ * `pending` to `broadcast` to `confirmed`, or to `failed` with the amount
+ * refunded.
+ *
+ * @param {string} agentName
+ * @param {string} token
+ * @param {string|number} amount - Decimal amount (see amounts.parse)
+ */
+function withdrawTokens(agentName, token, amount) {
+  const agent = world.agents.get(agentName);
+  if (!agent) return { success: false, error: 'Agent not found' };
+  if (!world.economy.supportedTokens.includes(token)) {
+    return { success: false, error: `Token ${token} not supported` };
+  }
+  const parsed = amounts.parse(token, amount);
+  if (parsed.error) return { success: false, error: parsed.error };
+  if (!(parsed.value > amounts.ZERO)) return { success: false, error: 'Amount must be positive' };
+
+  const destination = payouts.route(agent, token);
+  if (destination.error) return { success: false, error: destination.error };
+  const insufficient = insufficientBalance(agent, token, parsed.value);
+  if (insufficient) return { success: false, error: insufficient };
+
+  const withdrawal = {
+    id: journal.newId(),
+    agent: agentName,
+    token,
+    amount: parsed.value,
+    chain: destination.chain,
+    address: destination.address,
+    executor: payouts.getExecutor().name,
+    status: 'pending', // pending | broadcast | confirmed | failed
+    txHash: null,
+    blockNumber: null,
+    error: null,
+    requestedAt: journal.timestamp(),
+    updatedAt: journal.timestamp(),
+  };
+
+  move('withdrawal', token, available(agentName), ledger.WITHDRAWALS, parsed.value, { withdrawal: withdrawal.id });
+  world.withdrawals.set(withdrawal.id, withdrawal);
+  agent.lastActive = withdrawal.requestedAt;
+
+  addEvent('withdrawal_requested', {
+    agent: agentName,
+    withdrawal: withdrawal.id,
+    token,
+    amount: parsed.value,
+    message: `${agentName} withdrew ${amounts.format(parsed.value)} ${token} to ${withdrawal.address} on ${withdrawal.chain}`,
+  });
+
+  // The payout runs outside the command; its progress comes back as
+  // journaled withdrawal.updated commands (a replay re-reads those instead)
+  if (!journal.isReplaying()) setImmediate(() => payWithdrawal(withdrawal));
+
+  return { success: true, withdrawal, balance: agent.balance };
+}
+
+/**
+ * Record a payout step for a withdrawal. `failed` refunds the amount to
+ * the agent's available balance; `confirmed` books it as paid out. A null
+ * status only records the error (the outcome is not known yet).
+ *
+ * @param {string} withdrawalId
+ * @param {'broadcast'|'confirmed'|'failed'|null} status
+ * @param {{ txHash?: string, blockNumber?: number, error?: string }} [details]
+ */
+function updateWithdrawal(withdrawalId, status, details = {}) {
+  const withdrawal = world.withdrawals.get(withdrawalId);
+  if (!withdrawal) return { success: false, error: 'Withdrawal not found' };
+  if (!isPaying(withdrawal)) return { success: false, error: `Withdrawal is already ${withdrawal.status}` };
+
+  const ref = { withdrawal: withdrawal.id };
+  if (details.txHash !== undefined) withdrawal.txHash = details.txHash;
+  if (details.blockNumber !== undefined) withdrawal.blockNumber = details.blockNumber;
+  withdrawal.error = details.error || null;
+  withdrawal.updatedAt = journal.timestamp();
+  if (!status) return { success: true, withdrawal };
+
+  withdrawal.status = status;
+  if (status === 'confirmed') {
+    move('payout', withdrawal.token, ledger.WITHDRAWALS, ledger.EXTERNAL, withdrawal.amount, ref);
+  } else if (status === 'failed') {
+    move('withdrawal_refund', withdrawal.token, ledger.WITHDRAWALS, available(withdrawal.agent), withdrawal.amount, ref);
+  }
+
+  const what = `${amounts.format(withdrawal.amount)} ${withdrawal.token}`;
+  addEvent(`withdrawal_${status}`, {
+    agent: withdrawal.agent,
+    withdrawal: withdrawal.id,
+    txHash: withdrawal.txHash,
+    error: withdrawal.error,
+    message:
+      status === 'failed'
+        ? `${withdrawal.agent}'s withdrawal of ${what} failed (${withdrawal.error}) — refunded`
+        : `${withdrawal.agent}'s withdrawal of ${what} ${status}${withdrawal.txHash ? ` (${withdrawal.txHash})` : ''}`,
+  });
+
+  return { success: true, withdrawal };
+}
+
+/**
+ * Run a withdrawal's payout through the executor, journaling each step.
+ */
+function payWithdrawal(withdrawal) {
+  return payouts.run(withdrawal, (status, details) => {
+    try {
+      commands.updateWithdrawal(withdrawal.id, status, details);
+    } catch (err) {
+      console.error(`[payouts] Could not record ${withdrawal.id} ${status}: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * An agent's withdrawals, newest first.
+ */
+function getWithdrawals(agentName) {
+  return [...world.withdrawals.values()].filter((w) => w.agent === agentName).reverse();
+}
+
+// ============================================================================
+// Intent System — Post what you want to trade
+// ============================================================================
+
+// Time-in-force values for postIntent():
+//   gtt — rest until expiresAt (1hr default; explicit expiresAt required when requested)
+//   ioc — fill what crosses now, cancel the rest
+//   fok — fill completely now or reject
+const TIME_IN_FORCE = ['gtt', 'ioc', 'fok'];
+
+/**
+ * Parse an order's decimal amounts into fixed-point ones, in the give and
+ * want tokens' decimals. Shared by intents, conditionals and algos.
+ *
+ * @returns {{ give: object, want: object }|{ error: string }}
+ */
+function parseOrder(give, want) {
+  const amount = amounts.parse(give.token, give.amount);
+  if (amount.error) return { error: amount.error };
+  if (!(amount.value > amounts.ZERO)) return { error: 'Amount must be positive' };
+
+  const minAmount = amounts.parse(want.token, want.minAmount || amounts.ZERO);
+  if (minAmount.error) return { error: `minAmount: ${minAmount.error}` };
+
+  return {
+    give: { token: give.token, amount: amount.value },
+    want: { token: want.token, minAmount: minAmount.value, maxSlippage: want.maxSlippage || 0.01 },
+  };
+}
+
+/**
+ * Error message if `agent` cannot escrow `amount` of `token`, else null.
+ */
+function insufficientBalance(agent, token, amount) {
+  const have = agent.balance[token] || amounts.ZERO;
+  if (have >= amount) return null;
+  return `Insufficient ${token} balance. Have: ${amounts.format(have)}, Need: ${amounts.format(amount)}`;
+}
+
+/**
+ * Post an intent, match it and rest whatever is left.
+ *
+ * @param {string} agentName
+ * @param {{ token: string, amount: string|number }} give - Decimal amount (see amounts.parse)
+ * @param {{ token: string, minAmount?: string|number, maxSlippage?: number }} want
+ * @param {object} [options]
+ * @param {'gtt'|'ioc'|'fok'} [options.timeInForce='gtt']
+ * @param {boolean} [options.postOnly] - Reject instead of taking liquidity
+ * @param {string} [options.expiresAt] - ISO timestamp (gtt only)
+ * @param {'cancel_newest'|'cancel_oldest'|'cancel_both'} [options.selfTradePrevention]
+ *   - What to cancel if this intent would match a related agent (default: agent's, then world's)
+ * @param {object} [options.metadata]
+ * @param {{ key: string, label: string }} [options.delegate] - Delegated key it was posted with
+ */
+function postIntent(agentName, give, want, options = {}) {
+  const agent = world.agents.get(agentName);
+  if (!agent) return { success: false, error: 'Agent not registered' };
+
+  if (give.token === want.token) {
+    return { success: false, error: 'give and want must be different tokens' };
+  }
+  const order = parseOrder(give, want);
+  if (order.error) return { success: false, error: order.error };
+
+  const timeInForce = options.timeInForce || 'gtt';
+  if (!TIME_IN_FORCE.includes(timeInForce)) {
+    return { success: false, error: `timeInForce must be one of ${TIME_IN_FORCE.join(', ')}` };
+  }
+  if (options.timeInForce === 'gtt' && !options.expiresAt) {
+    return { success: false, error: 'gtt intents require expiresAt' };
+  }
+  if (options.postOnly && timeInForce !== 'gtt') {
+    return { success: false, error: `postOnly cannot be combined with ${timeInForce}` };
+  }
+  if (options.expiresAt && !(new Date(options.expiresAt) > new Date(journal.now()))) {
+    return { success: false, error: 'expiresAt must be a future timestamp' };
+  }
+
+  const selfTradePrevention =
+    options.selfTradePrevention || agent.metadata?.selfTradePrevention || world.matching.selfTradePrevention;
+  if (!SELF_TRADE_MODES.includes(selfTradePrevention)) {
+    return { success: false, error: `selfTradePrevention must be one of ${SELF_TRADE_MODES.join(', ')}` };
+  }
+
+  // Validate agent has sufficient balance
+  const insufficient = insufficientBalance(agent, give.token, order.give.amount);
+  if (insufficient) return { success: false, error: insufficient };
+
+  const intent = {
+    id: journal.newId(),
+    agent: agentName,
+    give: order.give,
+    want: order.want,
+    status: 'active', // active | partially_filled | filled | cancelled | expired | rejected
+    filledAmount: amounts.ZERO,
+    remaining: order.give.amount,
+    receivedAmount: amounts.ZERO, // want token received so far, before fees
+    fills: [], // swap ids, one per fill
+    timeInForce,
+    postOnly: Boolean(options.postOnly),
+    selfTradePrevention,
+    createdAt: journal.timestamp(),
+    expiresAt: options.expiresAt || new Date(journal.now() + 60 * 60 * 1000).toISOString(), // 1hr default
+    metadata: options.metadata || {},
+  };
+  if (options.delegate) intent.delegate = options.delegate;
+
+  // Place the intent on its pair's book (side + limit price)
+  const { pair, side, price } = orderbook.limitPrice(intent, referencePrice(give.token, want.token));
+  intent.pair = pair;
+  intent.side = side;
+  intent.limitPrice = price;
+
+  // Auction pairs only trade at the clearing, so nothing can fill immediately
+  if (timeInForce !== 'gtt' && auction.isEnabled(pair)) {
+    return { success: false, error: `${pair} is in batch-auction mode; ${timeInForce} intents are not accepted` };
+  }
+
+  // Worth less than one base unit of the want token at its own limit: could never fill
+  if (orderbook.isExhausted(intent)) {
+    return { success: false, error: `Amount too small to receive any ${want.token} at this price` };
+  }
+
+  // Lock the tokens (escrow)
+  lock(agentName, give.token, intent.give.amount, { intent: intent.id });
+
+  world.intents.set(intent.id, intent);
+  agent.lastActive = journal.timestamp();
+
+  addEvent('intent_posted', {
+    agent: agentName,
+    intent: intent.id,
+    pair: intent.pair,
+    give: `${amounts.format(intent.give.amount)} ${give.token}`,
+    want: `${want.token}`,
+    message: `${agentName} wants to swap ${amounts.format(intent.give.amount)} ${give.token} for ${want.token}`,
+  });
+
+  // Post-only must not take liquidity; fill-or-kill must be fully fillable up front
+  let rejection = null;
+  if (intent.postOnly && !auction.isEnabled(pair) && findMatch(intent)) {
+    rejection = 'postOnly intent would cross the book';
+  } else if (timeInForce === 'fok') {
+    rejection = checkFillOrKill(intent);
+  }
+  if (rejection) {
+    const refunded = closeIntent(intent, 'rejected', rejection);
+    return { success: false, error: rejection, intent, refunded, balance: agent.balance };
+  }
+
+  const { swaps, rings: ringFills } = matchIntent(intent, { rest: timeInForce === 'gtt' });
+
+  // Immediate-only intents never rest: whatever did not fill goes back to the agent
+  let refunded = amounts.ZERO;
+  if (timeInForce !== 'gtt' && isOpen(intent)) {
+    refunded = closeIntent(intent, 'cancelled', `${timeInForce} remainder`);
+  }
+
+  return {
+    success: true,
+    intent,
+    matched: swaps.length > 0 || ringFills.length > 0,
+    swaps,
+    rings: ringFills,
+    swap: swaps[0],
+    refunded,
+    balance: agent.balance,
+  };
+}
+
+/**
+ * Whether an intent can still trade (nothing filled yet, or partially filled).
+ */
+function isOpen(intent) {
+  return intent.status === 'active' || intent.status === 'partially_filled';
+}
+
+/**
+ * Match an intent against every crossing order until it is filled, then
+ * try rings through other agents' intents, then rest whatever is left on
+ * the book. Returns the swaps and rings executed.
+ *
+ * @param {object} intent
+ * @param {object} [options]
+ * @param {boolean} [options.rest=true] - Put the unfilled remainder on the book
+ */
+function matchIntent(intent, options = {}) {
+  // Auction pairs and post-only intents only rest — auctions clear together
+  // at the next window, post-only intents wait for a taker
+  if (auction.isEnabled(intent.pair) || intent.postOnly) {
+    if (isOpen(intent)) orderbook.add(intent);
+    return { swaps: [], rings: [] };
+  }
+
+  const swaps = [];
+  let match;
+  while (isOpen(intent) && (match = findMatch(intent))) {
+    // Never trade with a related agent — cancel per the incoming intent's mode
+    if (isRelated(intent.agent, match.agent)) {
+      preventSelfTrade(intent, match);
+      continue;
+    }
+    const result = executeSwap(intent, match);
+    if (!result.success) break;
+    swaps.push(result.swap);
+  }
+
+  const ringFills = [];
+  if (world.matching.rings.enabled) {
+    let legs;
+    while (isOpen(intent) && (legs = findRing(intent))) {
+      const result = executeRing(legs);
+      if (!result.success) break;
+      ringFills.push(result.ring);
+    }
+  }
+
+  if (isOpen(intent) && options.rest !== false) {
+    orderbook.add(intent);
+  }
+
+  return { swaps, rings: ringFills };
+}
+
+/**
+ * Look up an open intent owned by `agentName`.
+ */
+function getOwnedIntent(agentName, intentId) {
+  const intent = world.intents.get(intentId);
+  if (!intent) return { error: 'Intent not found' };
+  if (intent.agent !== agentName) return { error: 'Intent belongs to another agent' };
+  if (!isOpen(intent)) return { error: `Intent is ${intent.status}` };
+  return { intent };
+}
+
+// Event published for each way an intent can close with escrow left over
+const CLOSE_EVENTS = {
+  cancelled: 'intent_cancelled',
+  expired: 'intent_expired',
+  rejected: 'intent_rejected',
+};
+
+/**
+ * Close an open intent and return its unfilled escrow to the agent.
+ *
+ * @param {object} intent
+ * @param {'cancelled'|'expired'|'rejected'} status
+ * @param {string} [reason] - Why the engine closed it (ioc remainder, post-only cross, ...)
+ * @returns {bigint} Amount refunded (in the give token)
+ */
+function closeIntent(intent, status, reason) {
+  const agent = world.agents.get(intent.agent);
+  const refund = intent.remaining;
+
+  orderbook.remove(intent);
+  intent.status = status;
+  intent.remaining = amounts.ZERO;
+  intent.closedAt = journal.timestamp();
+  if (reason) intent.closeReason = reason;
+
+  if (agent) release(intent.agent, intent.give.token, refund, { intent: intent.id });
+
+  addEvent(CLOSE_EVENTS[status], {
+    agent: intent.agent,
+    intent: intent.id,
+    pair: intent.pair,
+    refunded: refund,
+    token: intent.give.token,
+    reason,
+    message: `${intent.agent}'s intent ${intent.id.slice(0, 8)} ${status}${reason ? ` (${reason})` : ''} — ${amounts.format(refund)} ${intent.give.token} returned`,
+  });
+
+  return refund;
+}
+
+/**
+ * Cancel an open intent and refund its remaining escrow.
+ */
+function cancelIntent(agentName, intentId) {
+  const { intent, error } = getOwnedIntent(agentName, intentId);
+  if (error) return { success: false, error };
+
+  const refunded = closeIntent(intent, 'cancelled');
+  return { success: true, intent, refunded, balance: world.agents.get(agentName).balance };
+}
+
+/**
+ * Amend an open intent's size, limit price or expiry.
+ *
+ * `amount` is the new total give amount (must exceed what has already
+ * filled); the escrow difference is locked or refunded. Changing the price
+ * or increasing the size loses time priority; reducing size keeps it.
+ * If the new price crosses the book, the intent matches immediately.
+ *
+ * @param {string} agentName - Owner of the intent
+ * @param {string} intentId
+ * @param {{ amount?: string|number, minAmount?: string|number, maxSlippage?: number, expiresAt?: string }} changes
+ */
+function amendIntent(agentName, intentId, changes = {}) {
+  const { intent, error } = getOwnedIntent(agentName, intentId);
+  if (error) return { success: false, error };
+
+  const agent = world.agents.get(agentName);
+  const token = intent.give.token;
+
+  let amount = intent.give.amount;
+  if (changes.amount !== undefined) {
+    const parsed = amounts.parse(token, changes.amount);
+    if (parsed.error) return { success: false, error: parsed.error };
+    amount = parsed.value;
+  }
+  if (!(amount > intent.filledAmount)) {
+    return {
+      success: false,
+      error: `amount must be greater than the filled amount (${amounts.format(intent.filledAmount)})`,
+    };
+  }
+  let changedMin = null;
+  if (changes.minAmount !== undefined) {
+    changedMin = amounts.parse(intent.want.token, changes.minAmount);
+    if (changedMin.error) return { success: false, error: `minAmount: ${changedMin.error}` };
+  }
+  if (changes.expiresAt !== undefined && !(new Date(changes.expiresAt) > new Date(journal.now()))) {
+    return { success: false, error: 'expiresAt must be a future timestamp' };
+  }
+
+  const delta = amount - intent.give.amount;
+  const insufficient = delta > amounts.ZERO && insufficientBalance(agent, token, delta);
+  if (insufficient) return { success: false, error: insufficient };
+
+  // Keep the limit price when only the size changes (rounded up: never a worse price)
+  let minAmount = intent.want.minAmount;
+  if (changedMin) {
+    minAmount = changedMin.value;
+  } else if (delta !== amounts.ZERO) {
+    minAmount = amounts.mulDiv(intent.want.minAmount, amount, intent.give.amount, intent.want.token, 'up');
+  }
+  if (intent.side === 'bid' && minAmount > amounts.ZERO && !(minAmount > intent.receivedAmount)) {
+    return {
+      success: false,
+      error: `minAmount must be greater than the amount received (${amounts.format(intent.receivedAmount)})`,
+    };
+  }
+
+  // Post-only intents must stay passive at their new price
+  if (intent.postOnly) {
+    const preview = {
+      ...intent,
+      give: { ...intent.give, amount },
+      want: {
+        ...intent.want,
+        minAmount,
+        maxSlippage: changes.maxSlippage !== undefined ? changes.maxSlippage : intent.want.maxSlippage,
+      },
+    };
+    preview.limitPrice = orderbook.limitPrice(preview, referencePrice(token, intent.want.token)).price;
+    if (findMatch(preview)) {
+      return { success: false, error: 'postOnly intent would cross the book' };
+    }
+  }
+
+  const oldPrice = intent.limitPrice;
+
+  // Lock or release the escrow difference
+  if (delta > amounts.ZERO) lock(agentName, token, delta, { intent: intent.id });
+  else release(agentName, token, -delta, { intent: intent.id });
+  intent.give.amount = amount;
+  intent.remaining += delta;
+  intent.want.minAmount = minAmount;
+  if (changes.maxSlippage !== undefined) intent.want.maxSlippage = changes.maxSlippage;
+  if (changes.expiresAt !== undefined) intent.expiresAt = new Date(changes.expiresAt).toISOString();
+  intent.limitPrice = orderbook.limitPrice(intent, referencePrice(token, intent.want.token)).price;
+  intent.amendedAt = journal.timestamp();
+  agent.lastActive = intent.amendedAt;
+
+  // Size reductions at an unchanged price keep their place in the queue
+  const keepsPriority = delta <= amounts.ZERO && intent.limitPrice === oldPrice;
+
+  addEvent('intent_amended', {
+    agent: agentName,
+    intent: intent.id,
+    pair: intent.pair,
+    amount,
+    minAmount,
+    expiresAt: intent.expiresAt,
+    message: `${agentName} amended intent ${intent.id.slice(0, 8)}: ${amounts.format(amount)} ${token} for ${intent.want.token}`,
+  });
+
+  let swaps = [];
+  let ringFills = [];
+  if (!keepsPriority) {
+    orderbook.remove(intent);
+    ({ swaps, rings: ringFills } = matchIntent(intent));
+  }
+
+  return {
+    success: true,
+    intent,
+    matched: swaps.length > 0 || ringFills.length > 0,
+    swaps,
+    rings: ringFills,
+    balance: agent.balance,
+  };
+}
+
+/**
+ * Expire every open intent past its `expiresAt`, refunding escrow.
+ * Runs on a timer; also safe to call directly.
+ *
+ * @returns {number} How many intents expired
+ */
+function expireIntents(now = new Date(journal.now())) {
+  let expired = 0;
+  for (const intent of world.intents.values()) {
+    if (isOpen(intent) && new Date(intent.expiresAt) <= now) {
+      closeIntent(intent, 'expired');
+      expired++;
+    }
+  }
+  return expired;
+}
+
+// ============================================================================
+// Conditional Intents — Stop-loss / take-profit on the price feed
+// ============================================================================
+
+/**
+ * Create a dormant stop-loss or take-profit intent. The give amount is
+ * escrowed now and posted through postIntent() once the pair's market
+ * price crosses `triggerPrice`.
+ *
+ * @param {string} agentName
+ * @param {'stop_loss'|'take_profit'} type
+ * @param {{ token: string, amount: string|number }} give
+ * @param {{ token: string, minAmount?: string|number, maxSlippage?: number }} want
+ * @param {number} triggerPrice - Market price that fires it, in quote per base
+ * @param {object} [options]
+ * @param {'gtt'|'ioc'|'fok'} [options.timeInForce] - For the intent posted on trigger
+ * @param {boolean} [options.postOnly] - For the intent posted on trigger
+ * @param {string} [options.expiresAt] - When the dormant conditional lapses (refunded)
+ * @param {object} [options.metadata]
+ */
+function postConditional(agentName, type, give, want, triggerPrice, options = {}) {
+  const agent = world.agents.get(agentName);
+  if (!agent) return { success: false, error: 'Agent not registered' };
+
+  if (!conditionals.TYPES.includes(type)) {
+    return { success: false, error: `type must be one of ${conditionals.TYPES.join(', ')}` };
+  }
+  if (give.token === want.token) {
+    return { success: false, error: 'give and want must be different tokens' };
+  }
+  const order = parseOrder(give, want);
+  if (order.error) return { success: false, error: order.error };
+  if (!(triggerPrice > 0)) return { success: false, error: 'triggerPrice must be positive' };
+
+  const timeInForce = options.timeInForce || 'gtt';
+  if (!TIME_IN_FORCE.includes(timeInForce)) {
+    return { success: false, error: `timeInForce must be one of ${TIME_IN_FORCE.join(', ')}` };
+  }
+  if (options.postOnly && timeInForce !== 'gtt') {
+    return { success: false, error: `postOnly cannot be combined with ${timeInForce}` };
+  }
+  if (options.expiresAt && !(new Date(options.expiresAt) > new Date(journal.now()))) {
+    return { success: false, error: 'expiresAt must be a future timestamp' };
+  }
+
+  const insufficient = insufficientBalance(agent, give.token, order.give.amount);
+  if (insufficient) return { success: false, error: insufficient };
+
+  const conditional = {
+    id: journal.newId(),
+    agent: agentName,
+    type,
+    give: order.give,
+    want: order.want,
+    pair: orderbook.getPair(give.token, want.token).key,
+    trigger: { price: triggerPrice, direction: conditionals.direction(type, give.token, want.token) },
+    timeInForce,
+    postOnly: Boolean(options.postOnly),
+    status: 'pending', // pending | triggered | failed | cancelled | expired
+    intent: null, // id of the intent posted on trigger
+    createdAt: journal.timestamp(),
+    expiresAt: options.expiresAt ? new Date(options.expiresAt).toISOString() : null,
+    metadata: options.metadata || {},
+  };
+
+  // Lock the tokens (escrow) — released into postIntent() on trigger
+  lock(agentName, give.token, order.give.amount, { conditional: conditional.id });
+
+  world.conditionals.set(conditional.id, conditional);
+  agent.lastActive = journal.timestamp();
+
+  addEvent('conditional_posted', {
+    agent: agentName,
+    conditional: conditional.id,
+    pair: conditional.pair,
+    type,
+    trigger: conditional.trigger,
+    message: `${agentName} set a ${type.replace('_', '-')} on ${conditional.pair}: ${amounts.format(order.give.amount)} ${give.token} → ${want.token} when price ${conditional.trigger.direction === 'below' ? '<=' : '>='} ${triggerPrice}`,
+  });
+
+  // Already through the trigger: fire now rather than on the next refresh
+  const price = referencePrice(give.token, want.token);
+  if (stalePrices([give.token, want.token]).length === 0 && conditionals.isTriggered(conditional, price)) {
+    fireConditional(conditional, price);
+  }
+
+  return { success: true, conditional, balance: agent.balance };
+}
+
+/**
+ * Post a triggered conditional as a normal intent. Its escrow moves back to
+ * the agent's balance and postIntent() locks it again, so a rejected intent
+ * (fok, post-only, insufficient book) leaves the funds with the agent.
+ */
+function fireConditional(conditional, price) {
+  release(conditional.agent, conditional.give.token, conditional.give.amount, { conditional: conditional.id });
+
+  // gtt intents rest for the default hour from the moment they fire
+  const options = { postOnly: conditional.postOnly, metadata: { ...conditional.metadata, conditional: conditional.id } };
+  if (conditional.timeInForce !== 'gtt') options.timeInForce = conditional.timeInForce;
+
+  const result = postIntent(conditional.agent, conditional.give, conditional.want, options);
+
+  conditional.status = result.success ? 'triggered' : 'failed';
+  conditional.triggeredAt = journal.timestamp();
+  conditional.triggerMarketPrice = price;
+  conditional.intent = result.intent ? result.intent.id : null;
+  if (!result.success) conditional.error = result.error;
+
+  addEvent('conditional_triggered', {
+    agent: conditional.agent,
+    conditional: conditional.id,
+    pair: conditional.pair,
+    type: conditional.type,
+    price,
+    intent: conditional.intent,
+    success: result.success,
+    message: result.success
+      ? `${conditional.agent}'s ${conditional.type.replace('_', '-')} on ${conditional.pair} fired at ${price} — intent ${conditional.intent.slice(0, 8)} posted`
+      : `${conditional.agent}'s ${conditional.type.replace('_', '-')} on ${conditional.pair} fired at ${price} but was not posted: ${result.error}`,
+  });
+
+  return result;
+}
+
+/**
+ * Fire every pending conditional whose trigger the current prices cross.
+ * Runs after each price refresh.
+ *
+ * @returns {number} How many fired
+ */
+function triggerConditionals() {
+  let fired = 0;
+  for (const conditional of world.conditionals.values()) {
+    if (conditional.status !== 'pending') continue;
+    if (stalePrices([conditional.give.token, conditional.want.token]).length) continue;
+    const price = referencePrice(conditional.give.token, conditional.want.token);
+    if (conditionals.isTriggered(conditional, price)) {
+      fireConditional(conditional, price);
+      fired++;
+    }
+  }
+  return fired;
+}
+
+/**
+ * Close a pending conditional and return its escrow.
+ *
+ * @param {object} conditional
+ * @param {'cancelled'|'expired'} status
+ * @returns {bigint} Amount refunded (in the give token)
+ */
+function closeConditional(conditional, status) {
+  const agent = world.agents.get(conditional.agent);
+  const refund = conditional.give.amount;
+
+  conditional.status = status;
+  conditional.closedAt = journal.timestamp();
+  if (agent) release(conditional.agent, conditional.give.token, refund, { conditional: conditional.id });
+
+  addEvent('conditional_cancelled', {
+    agent: conditional.agent,
+    conditional: conditional.id,
+    pair: conditional.pair,
+    reason: status,
+    refunded: refund,
+    token: conditional.give.token,
+    message: `${conditional.agent}'s ${conditional.type.replace('_', '-')} ${conditional.id.slice(0, 8)} ${status} — ${amounts.format(refund)} ${conditional.give.token} returned`,
+  });
+
+  return refund;
+}
+
+/**
+ * Cancel a pending conditional and refund its escrow.
+ */
+function cancelConditional(agentName, conditionalId) {
+  const conditional = world.conditionals.get(conditionalId);
+  if (!conditional) return { success: false, error: 'Conditional not found' };
+  if (conditional.agent !== agentName) return { success: false, error: 'Conditional belongs to another agent' };
+  if (conditional.status !== 'pending') return { success: false, error: `Conditional is ${conditional.status}` };
+
+  const refunded = closeConditional(conditional, 'cancelled');
+  return { success: true, conditional, refunded, balance: world.agents.get(agentName).balance };
+}
+
+/**
+ * Lapse pending conditionals past their `expiresAt`, refunding escrow.
+ *
+ * @returns {number} How many expired
+ */
+function expireConditionals(now = new Date(journal.now())) {
+  let expired = 0;
+  for (const conditional of world.conditionals.values()) {
+    if (conditional.status === 'pending' && conditional.expiresAt && new Date(conditional.expiresAt) <= now) {
+      closeConditional(conditional, 'expired');
+      expired++;
+    }
+  }
+  return expired;
+}
+
+/**
+ * Conditionals, newest first, optionally for one agent and/or status.
+ */
+function getConditionals({ agent, status } = {}) {
+  return [...world.conditionals.values()]
+    .filter((c) => (!agent || c.agent === agent) && (!status || c.status === status))
+    .reverse();
+}
+
+/**
+ * Merge fresh oracle prices into the world and fire any conditionals they
+ * cross. `prices` maps token -> { price, updatedAt, expiresAt, confidence, sources }
+ * (see oracle.refresh); journals from before the oracle hold bare numbers,
+ * which count as updated when recorded.
+ */
+function updateTokenPrices(prices) {
+  if (Object.keys(prices).length === 0) return 0;
+  const wereStale = stalePrices(Object.keys(prices));
+  for (const [token, quote] of Object.entries(prices)) {
+    const legacy = typeof quote === 'number';
+    const { price, ...info } = legacy
+      ? { price: quote, updatedAt: journal.timestamp(), confidence: null, sources: [] }
+      : quote;
+    world.economy.tokenPrices[token] = price;
+    world.economy.priceInfo[token] = info;
+  }
+  const refreshed = wereStale.filter((t) => stalePrices([t]).length === 0);
+  if (refreshed.length) rematchCrossed(refreshed);
+  storage.markDirty();
+  return triggerConditionals();
+}
+
+/**
+ * Match resting intents on `tokens` that crossed while a price was stale:
+ * newest first, each taking from the book as it would have when posted.
+ * Intents that do not cross keep their place in the queue.
+ */
+function rematchCrossed(tokens) {
+  for (const id of orderbook.getArrivalOrder().reverse()) {
+    const intent = world.intents.get(id);
+    if (!intent || !isOpen(intent) || !orderbook.has(id)) continue;
+    if (intent.postOnly || auction.isEnabled(intent.pair)) continue;
+    if (!tokens.includes(intent.give.token) && !tokens.includes(intent.want.token)) continue;
+    if (stalePrices([intent.give.token, intent.want.token]).length || !findMatch(intent)) continue;
+    orderbook.remove(intent);
+    matchIntent(intent);
+  }
+}
+
+/**
+ * The tokens among `tokens` without a price fresher than the oracle TTL.
+ * Swaps, rings, auctions and conditional triggers refuse to use them.
+ */
+function stalePrices(tokens) {
+  return [...new Set(tokens)].filter((t) => oracle.isStale(world.economy.priceInfo[t], journal.now()));
+}
+
+/**
+ * Every supported token's price with its age, confidence and sources.
+ */
+function getPrices() {
+  const stale = stalePrices(world.economy.supportedTokens);
+  return Object.fromEntries(
+    world.economy.supportedTokens.map((token) => {
+      const info = world.economy.priceInfo[token] || {};
+      return [
+        token,
+        {
+          price: world.economy.tokenPrices[token] ?? null,
+          updatedAt: info.updatedAt || null,
+          expiresAt: info.expiresAt || null,
+          confidence: info.confidence ?? null,
+          sources: info.sources || [],
+          stale: stale.includes(token),
+        },
+      ];
+    })
+  );
+}
+
+// ============================================================================
+// Execution Algorithms — TWAP and iceberg parents over child intents
+// ============================================================================
+
+/**
+ * Start a TWAP or iceberg algo. The whole give amount is escrowed on the
+ * parent and released slice by slice into child intents, each tagged with
+ * `metadata.algo` so fills can be grouped by parent.
+ *
+ * @param {string} agentName
+ * @param {'twap'|'iceberg'} type
+ * @param {{ token: string, amount: string|number }} give
+ * @param {{ token: string, minAmount?: string|number, maxSlippage?: number }} want - minAmount is for the whole order
+ * @param {object} params - See algos.normalizeParams()
+ * @param {object} [options]
+ * @param {string} [options.expiresAt] - Iceberg: when it stops (1hr default)
+ * @param {object} [options.metadata]
+ */
+function startAlgo(agentName, type, give, want, params, options = {}) {
+  const agent = world.agents.get(agentName);
+  if (!agent) return { success: false, error: 'Agent not registered' };
+
+  if (give.token === want.token) {
+    return { success: false, error: 'give and want must be different tokens' };
+  }
+  const order = parseOrder(give, want);
+  if (order.error) return { success: false, error: order.error };
+
+  const normalized = algos.normalizeParams(type, order.give.amount, params, give.token);
+  if (normalized.error) return { success: false, error: normalized.error };
+
+  if (options.expiresAt && !(new Date(options.expiresAt) > new Date(journal.now()))) {
+    return { success: false, error: 'expiresAt must be a future timestamp' };
+  }
+
+  const insufficient = insufficientBalance(agent, give.token, order.give.amount);
+  if (insufficient) return { success: false, error: insufficient };
+
+  const now = journal.now();
+  const endsAt =
+    type === 'twap'
+      ? now + normalized.params.durationMs
+      : options.expiresAt
+        ? new Date(options.expiresAt).getTime()
+        : now + 60 * 60 * 1000; // 1hr default, same as intents
+
+  const algo = {
+    id: journal.newId(),
+    agent: agentName,
+    type,
+    give: order.give,
+    want: order.want,
+    pair: orderbook.getPair(give.token, want.token).key,
+    params: normalized.params,
+    status: 'running', // running | paused | completed | cancelled | expired | failed
+    unreleased: order.give.amount, // escrow not yet handed to a child (the hidden size)
+    children: [], // child intent ids, oldest first
+    child: null, // the child currently working, if any
+    slicesPosted: 0,
+    nextSliceAt: new Date(now).toISOString(),
+    endsAt: new Date(endsAt).toISOString(),
+    createdAt: new Date(now).toISOString(),
+    metadata: options.metadata || {},
+  };
+
+  // Lock the whole parent (escrow) — released slice by slice
+  lock(agentName, give.token, order.give.amount, { algo: algo.id });
+
+  world.algos.set(algo.id, algo);
+  agent.lastActive = algo.createdAt;
+
+  addEvent('algo_started', {
+    agent: agentName,
+    algo: algo.id,
+    pair: algo.pair,
+    type,
+    params: algo.params,
+    message: `${agentName} started ${type.toUpperCase()} ${amounts.format(order.give.amount)} ${give.token} → ${want.token}`,
+  });
+
+  runAlgo(algo);
+
+  return { success: true, algo: getAlgo(algo.id), balance: agent.balance };
+}
+
+/**
+ * The open child intent of an algo, if it is still working.
+ */
+function openChild(algo) {
+  const child = algo.child && world.intents.get(algo.child);
+  return child && isOpen(child) ? child : null;
+}
+
+/**
+ * Take an algo's working child off the book. Its unfilled escrow goes back
+ * to the parent (to be re-released), or to the agent when `toAgent` is set.
+ */
+function reclaimChild(algo, reason, toAgent = false) {
+  const child = openChild(algo);
+  algo.child = null;
+  if (!child) return amounts.ZERO;
+
+  const refund = closeIntent(child, 'cancelled', reason);
+  if (!toAgent) {
+    lock(algo.agent, algo.give.token, refund, { algo: algo.id });
+    algo.unreleased += refund;
+  }
+  return refund;
+}
+
+/**
+ * Release the next slice into a child intent via postIntent().
+ */
+function postSlice(algo) {
+  const amount = algos.nextSlice(algo);
+
+  algo.unreleased -= amount;
+  release(algo.agent, algo.give.token, amount, { algo: algo.id });
+
+  const result = postIntent(
+    algo.agent,
+    { token: algo.give.token, amount },
+    {
+      token: algo.want.token,
+      minAmount: amounts.mulDiv(algo.want.minAmount, amount, algo.give.amount, algo.want.token, 'up'),
+      maxSlippage: algo.want.maxSlippage,
+    },
+    {
+      expiresAt: algo.endsAt,
+      metadata: { ...algo.metadata, algo: algo.id, algoType: algo.type, slice: algo.slicesPosted + 1 },
+    }
+  );
 
-  // World events log
-  events: [],
+  if (!result.success) {
+    // Nothing was escrowed by the child — take the slice back onto the parent
+    lock(algo.agent, algo.give.token, amount, { algo: algo.id });
+    algo.unreleased += amount;
+    algo.error = result.error;
+    finishAlgo(algo, 'failed');
+    return result;
+  }
 
-  // Leaderboard
-  leaderboard: [],
-};
+  algo.slicesPosted++;
+  algo.children.push(result.intent.id);
+  algo.child = result.intent.id;
 
-// ============================================================================
-// Agent Registry
-// ============================================================================
+  addEvent('algo_slice', {
+    agent: algo.agent,
+    algo: algo.id,
+    pair: algo.pair,
+    intent: result.intent.id,
+    slice: algo.slicesPosted,
+    amount,
+    message: `${algo.agent}'s ${algo.type.toUpperCase()} ${algo.id.slice(0, 8)} posted slice ${algo.slicesPosted}: ${amounts.format(amount)} ${algo.give.token}`,
+  });
 
-function registerAgent(name, walletAddress, metadata = {}) {
-  if (world.agents.has(name)) {
-    return { success: false, error: 'Agent already registered' };
+  return result;
+}
+
+/**
+ * Advance one running algo: roll TWAP slices on schedule, refill iceberg
+ * slices as they fill, and finish the parent when its time or size is up.
+ */
+function runAlgo(algo, now = journal.now()) {
+  if (algo.status !== 'running') return;
+
+  if (now >= new Date(algo.endsAt).getTime()) {
+    finishAlgo(algo, algo.type === 'twap' ? 'completed' : 'expired');
+    return;
   }
 
-  const agent = {
-    id: uuidv4(),
-    name,
-    walletAddress,
-    metadata,
-    balance: { USDC: 0, ETH: 0, SOL: 0, MON: 0, BTC: 0 },
-    reputation: 100, // Start with 100 reputation points
-    swapsCompleted: 0,
-    swapsFailed: 0,
-    totalVolume: 0,
-    enteredAt: new Date().toISOString(),
-    lastActive: new Date().toISOString(),
-    status: 'active',
-  };
+  if (algo.type === 'twap') {
+    if (algo.slicesPosted < algo.params.slices && now >= new Date(algo.nextSliceAt).getTime()) {
+      // Unfilled size from the last slice rolls into this one
+      reclaimChild(algo, 'twap slice rolled');
+      if (algo.unreleased > amounts.ZERO) postSlice(algo);
+      algo.nextSliceAt = new Date(new Date(algo.nextSliceAt).getTime() + algo.params.intervalMs).toISOString();
+    }
+  } else {
+    // Refill until a slice rests on the book or the hidden size runs out
+    while (algo.status === 'running' && !openChild(algo) && algo.unreleased > amounts.ZERO) {
+      postSlice(algo);
+    }
+  }
 
-  world.agents.set(name, agent);
+  if (algo.status === 'running' && !openChild(algo) && algo.unreleased <= amounts.ZERO) {
+    finishAlgo(algo, 'completed');
+  }
+}
 
-  addEvent('agent_entered', {
-    agent: name,
-    message: `${name} entered the trading floor`,
+/**
+ * Advance every running algo. Runs on a timer.
+ */
+function runAlgos(now = journal.now()) {
+  for (const algo of world.algos.values()) {
+    runAlgo(algo, now);
+  }
+}
+
+/**
+ * Stop an algo for good: cancel its working child and return everything
+ * unfilled to the agent.
+ */
+function finishAlgo(algo, status) {
+  const childRefund = reclaimChild(algo, `algo ${status}`, true);
+  const refund = algo.unreleased;
+
+  release(algo.agent, algo.give.token, refund, { algo: algo.id });
+  algo.unreleased = amounts.ZERO;
+  algo.status = status;
+  algo.closedAt = journal.timestamp();
+
+  const progress = algoProgress(algo);
+  addEvent(`algo_${status}`, {
+    agent: algo.agent,
+    algo: algo.id,
+    pair: algo.pair,
+    filled: progress.filledAmount,
+    avgPrice: progress.avgPrice,
+    refunded: refund + childRefund,
+    message: `${algo.agent}'s ${algo.type.toUpperCase()} ${algo.id.slice(0, 8)} ${status} — filled ${amounts.format(progress.filledAmount)} of ${amounts.format(algo.give.amount)} ${algo.give.token}`,
   });
+}
 
-  return { success: true, agent };
+/**
+ * Look up an algo owned by `agentName`.
+ */
+function getOwnedAlgo(agentName, algoId) {
+  const algo = world.algos.get(algoId);
+  if (!algo) return { error: 'Algo not found' };
+  if (algo.agent !== agentName) return { error: 'Algo belongs to another agent' };
+  return { algo };
 }
 
-function getAgent(name) {
-  return world.agents.get(name) || null;
+/**
+ * Pause a running algo. Its working child comes off the book; a TWAP's
+ * schedule is pushed back by however long it stays paused.
+ */
+function pauseAlgo(agentName, algoId) {
+  const { algo, error } = getOwnedAlgo(agentName, algoId);
+  if (error) return { success: false, error };
+  if (algo.status !== 'running') return { success: false, error: `Algo is ${algo.status}` };
+
+  reclaimChild(algo, 'algo paused');
+  algo.status = 'paused';
+  algo.pausedAt = journal.timestamp();
+
+  addEvent('algo_paused', {
+    agent: agentName,
+    algo: algo.id,
+    pair: algo.pair,
+    message: `${agentName} paused ${algo.type.toUpperCase()} ${algo.id.slice(0, 8)}`,
+  });
+
+  return { success: true, algo: getAlgo(algo.id) };
 }
 
-function depositTokens(agentName, token, amount) {
-  const agent = world.agents.get(agentName);
-  if (!agent) return { success: false, error: 'Agent not found' };
-  if (!world.economy.supportedTokens.includes(token)) {
-    return { success: false, error: `Token ${token} not supported` };
+/**
+ * Resume a paused algo.
+ */
+function resumeAlgo(agentName, algoId) {
+  const { algo, error } = getOwnedAlgo(agentName, algoId);
+  if (error) return { success: false, error };
+  if (algo.status !== 'paused') return { success: false, error: `Algo is ${algo.status}` };
+
+  if (algo.type === 'twap') {
+    const paused = journal.now() - new Date(algo.pausedAt).getTime();
+    algo.nextSliceAt = new Date(new Date(algo.nextSliceAt).getTime() + paused).toISOString();
+    algo.endsAt = new Date(new Date(algo.endsAt).getTime() + paused).toISOString();
   }
-  if (amount <= 0) return { success: false, error: 'Amount must be positive' };
-
-  agent.balance[token] = (agent.balance[token] || 0) + amount;
-  agent.lastActive = new Date().toISOString();
+  algo.status = 'running';
+  delete algo.pausedAt;
 
-  addEvent('deposit', {
+  addEvent('algo_resumed', {
     agent: agentName,
-    token,
-    amount,
-    message: `${agentName} deposited ${amount} ${token}`,
+    algo: algo.id,
+    pair: algo.pair,
+    message: `${agentName} resumed ${algo.type.toUpperCase()} ${algo.id.slice(0, 8)}`,
   });
 
-  return { success: true, balance: agent.balance };
+  runAlgo(algo);
+  return { success: true, algo: getAlgo(algo.id) };
 }
 
-// ============================================================================
-// Intent System — Post what you want to trade
-// ============================================================================
+/**
+ * Cancel a running or paused algo and refund everything unfilled.
+ */
+function cancelAlgo(agentName, algoId) {
+  const { algo, error } = getOwnedAlgo(agentName, algoId);
+  if (error) return { success: false, error };
+  if (algo.status !== 'running' && algo.status !== 'paused') {
+    return { success: false, error: `Algo is ${algo.status}` };
+  }
 
-function postIntent(agentName, give, want, options = {}) {
-  const agent = world.agents.get(agentName);
-  if (!agent) return { success: false, error: 'Agent not registered' };
+  finishAlgo(algo, 'cancelled');
+  return { success: true, algo: getAlgo(algo.id), balance: world.agents.get(agentName).balance };
+}
 
-  // Validate agent has sufficient balance
-  if ((agent.balance[give.token] || 0) < give.amount) {
-    return {
-      success: false,
-      error: `Insufficient ${give.token} balance. Have: ${agent.balance[give.token] || 0}, Need: ${give.amount}`,
-    };
+/**
+ * Fill progress of an algo, aggregated over its children's swaps and rings.
+ */
+function algoProgress(algo) {
+  const children = new Set(algo.children);
+  const fills = [];
+
+  // The side that received the quote got it net of the venue's rounding residual
+  const net = (give, residual) => give.amount - (residual && residual.token === give.token ? residual.amount : amounts.ZERO);
+  for (const swap of world.swaps) {
+    if (children.has(swap.intentA)) fills.push({ gave: swap.giveA.amount, received: net(swap.giveB, swap.residual) });
+    else if (children.has(swap.intentB)) fills.push({ gave: swap.giveB.amount, received: net(swap.giveA, swap.residual) });
+  }
+  for (const ring of world.rings) {
+    for (const leg of ring.legs) {
+      if (children.has(leg.intent)) fills.push({ gave: leg.give.amount, received: leg.receive.amount + leg.fee });
+    }
   }
 
-  const intent = {
-    id: uuidv4(),
-    agent: agentName,
-    give: { token: give.token, amount: give.amount },
-    want: { token: want.token, minAmount: want.minAmount || 0, maxSlippage: want.maxSlippage || 0.01 },
-    status: 'active',
-    createdAt: new Date().toISOString(),
-    expiresAt: options.expiresAt || new Date(Date.now() + 60 * 60 * 1000).toISOString(), // 1hr default
-    metadata: options.metadata || {},
+  const filledAmount = fills.reduce((sum, f) => sum + f.gave, amounts.ZERO);
+  const givesBase = algo.give.token === orderbook.getPair(algo.give.token, algo.want.token).base;
+
+  return {
+    filledAmount,
+    receivedAmount: fills.reduce((sum, f) => sum + f.received, amounts.ZERO),
+    progress: amounts.toNumber(filledAmount) / amounts.toNumber(algo.give.amount),
+    avgPrice: algos.averagePrice(fills, givesBase),
+    fills: fills.length,
   };
+}
 
-  // Lock the tokens (escrow)
-  agent.balance[give.token] -= give.amount;
+/**
+ * An algo with its progress and working child.
+ */
+function getAlgo(id) {
+  const algo = world.algos.get(id);
+  if (!algo) return null;
+  return { ...algo, ...algoProgress(algo), working: openChild(algo) };
+}
 
-  world.intents.set(intent.id, intent);
-  agent.lastActive = new Date().toISOString();
+/**
+ * Algos, newest first, optionally for one agent and/or status.
+ */
+function getAlgos({ agent, status } = {}) {
+  return [...world.algos.values()]
+    .filter((a) => (!agent || a.agent === agent) && (!status || a.status === status))
+    .reverse()
+    .map((a) => getAlgo(a.id));
+}
 
-  addEvent('intent_posted', {
-    agent: agentName,
-    intent: intent.id,
-    give: `${give.amount} ${give.token}`,
-    want: `${want.token}`,
-    message: `${agentName} wants to swap ${give.amount} ${give.token} for ${want.token}`,
+// ============================================================================
+// Matching Engine — Find compatible intents
+// ============================================================================
+
+/**
+ * Market price of a pair's base token in its quote token, from world prices.
+ */
+function referencePrice(tokenA, tokenB) {
+  const { base, quote } = orderbook.getPair(tokenA, tokenB);
+  const basePrice = world.economy.tokenPrices[base] || 1;
+  const quotePrice = world.economy.tokenPrices[quote] || 1;
+  return basePrice / quotePrice;
+}
+
+/**
+ * Best resting counterparty for an intent: price-time priority on the
+ * opposite side of its pair's book, only where the limit prices cross.
+ * `want.minAmount` is enforced pro-rata through the limit price.
+ */
+function findMatch(newIntent) {
+  return orderbook.findCrossing(newIntent, matchFilter(newIntent));
+}
+
+/**
+ * Which resting intents `intent` would cross: matchable, and both sides
+ * accept the maker's price. Related agents are included on purpose — the
+ * caller applies self-trade prevention to them.
+ */
+function matchFilter(intent) {
+  return (candidate) =>
+    isMatchable(candidate) && acceptsPrice(candidate, candidate.limitPrice) && acceptsPrice(intent, candidate.limitPrice);
+}
+
+/**
+ * Reason to reject a fill-or-kill intent up front, or null if it would fill
+ * in full. Related agents' orders it would reach first count against it
+ * unless its self-trade mode cancels only the resting side.
+ */
+function checkFillOrKill(intent) {
+  let selfTrade = false;
+  const filter = matchFilter(intent);
+  const { complete } = orderbook.fillable(intent, (candidate) => {
+    if (!filter(candidate)) return false;
+    if (!isRelated(intent.agent, candidate.agent)) return true;
+    selfTrade = true;
+    return false;
   });
 
-  // Try to match immediately
-  const match = findMatch(intent);
-  if (match) {
-    return executeSwap(intent, match);
+  if (selfTrade && intent.selfTradePrevention !== 'cancel_oldest') {
+    return 'fok intent would trade with a related agent';
   }
-
-  return { success: true, intent, matched: false };
+  return complete ? null : 'fok intent cannot be filled in full';
 }
 
 // ============================================================================
-// Matching Engine — Find compatible intents
+// Self-Trade Prevention — One owner never trades with itself
 // ============================================================================
 
-function findMatch(newIntent) {
-  const activeIntents = [...world.intents.values()].filter(
-    (i) =>
-      i.status === 'active' &&
-      i.id !== newIntent.id &&
-      i.agent !== newIntent.agent && // Can't trade with yourself
-      i.give.token === newIntent.want.token && // They give what we want
-      i.want.token === newIntent.give.token // They want what we give
+// What to cancel when an intent would match a related agent's resting intent
+const SELF_TRADE_MODES = ['cancel_newest', 'cancel_oldest', 'cancel_both'];
+
+/**
+ * The owner an agent provably belongs to: the owner that approved it, or
+ * itself. A declared owner does not count until approved.
+ */
+function ownerOf(agent) {
+  return agent.group && agent.groupApprovedAt ? agent.group : agent.name;
+}
+
+/**
+ * Whether two agents provably belong to the same owner: the same agent, an
+ * owner and its approved members, or two agents that verified the same
+ * wallet. Self-declared owners and typed-in wallet addresses prove nothing
+ * — anyone could claim a victim's — so they never relate agents.
+ */
+function isRelated(nameA, nameB) {
+  if (nameA === nameB) return true;
+  const a = world.agents.get(nameA);
+  const b = world.agents.get(nameB);
+  if (!a || !b) return false;
+  if (ownerOf(a) === ownerOf(b)) return true;
+  return Boolean(
+    a.walletVerifiedAt &&
+      b.walletVerifiedAt &&
+      a.walletAddress.toLowerCase() === b.walletAddress.toLowerCase()
   );
+}
 
-  if (activeIntents.length === 0) return null;
+/**
+ * Resolve a would-be self-trade between an incoming intent and a related
+ * resting intent, using the incoming intent's mode. Publishes a
+ * `self_trade_prevented` event.
+ */
+function preventSelfTrade(incoming, resting) {
+  const mode = incoming.selfTradePrevention || world.matching.selfTradePrevention;
+  const reason = `self-trade prevention (${mode})`;
+
+  if (mode === 'cancel_oldest' || mode === 'cancel_both') closeIntent(resting, 'cancelled', reason);
+  if (mode === 'cancel_newest' || mode === 'cancel_both') closeIntent(incoming, 'cancelled', reason);
+
+  addEvent('self_trade_prevented', {
+    mode,
+    incoming: incoming.id,
+    resting: resting.id,
+    pair: incoming.pair,
+    agents: [incoming.agent, resting.agent],
+    message: `Self-trade prevented between ${incoming.agent} and ${resting.agent} (${mode})`,
+  });
+}
 
-  // Find best match by price compatibility
-  for (const candidate of activeIntents) {
-    const givePrice = world.economy.tokenPrices[newIntent.give.token] || 1;
-    const wantPrice = world.economy.tokenPrices[newIntent.want.token] || 1;
+// Relative tolerance when comparing prices (float rounding only)
+const PRICE_EPSILON = 1e-12;
 
-    // Calculate implied exchange rate
-    const marketRate = givePrice / wantPrice;
-    const offerRate = newIntent.give.amount / (candidate.give.amount || 1);
+/**
+ * Whether an intent accepts an execution price. The price must be within
+ * its limit (which is `want.minAmount` pro-rata); a market intent (no
+ * minAmount) must also be within `want.maxSlippage` of the current market
+ * price, so a stale market order never fills far from the market.
+ *
+ * @param {object} intent
+ * @param {number} price - Quote per base
+ */
+function acceptsPrice(intent, price) {
+  const buying = intent.side === 'bid';
+  const withinLimit = buying
+    ? price <= intent.limitPrice * (1 + PRICE_EPSILON)
+    : price >= intent.limitPrice * (1 - PRICE_EPSILON);
+  if (!withinLimit) return false;
+  if (intent.want.minAmount > amounts.ZERO) return true;
+
+  const market = referencePrice(intent.give.token, intent.want.token);
+  const slippage = intent.want.maxSlippage || 0;
+  return buying
+    ? price <= market * (1 + slippage) * (1 + PRICE_EPSILON)
+    : price >= market * (1 - slippage) * (1 - PRICE_EPSILON);
+}
 
-    // Check if within slippage tolerance
-    const slippage = Math.abs(offerRate - marketRate) / marketRate;
-    if (slippage <= Math.max(newIntent.want.maxSlippage, candidate.want.maxSlippage)) {
-      return candidate;
-    }
-  }
+/**
+ * Whether a resting intent can be matched right now. Expired intents stay
+ * on the book until the sweeper refunds them, but never fill.
+ */
+function isMatchable(intent) {
+  return isOpen(intent) && new Date(intent.expiresAt) > new Date(journal.now());
+}
 
-  // If no price-compatible match, return best available
-  return activeIntents[0];
+/**
+ * Best ring (3+ agents) that fills `intent`, or null.
+ * Legs come back in receiving order with `intent` last.
+ */
+function findRing(intent) {
+  const config = world.matching.rings;
+  return rings.findRing(intent, {
+    tokens: world.economy.supportedTokens,
+    accept: (leg) => isMatchable(leg) && !auction.isEnabled(leg.pair) && acceptsPrice(leg, leg.limitPrice),
+    related: isRelated,
+    maxLength: config.maxLength,
+    branching: config.branching,
+  });
 }
 
 // ============================================================================
 // Swap Execution — Atomic settlement
 // ============================================================================
 
-function executeSwap(intentA, intentB) {
+/**
+ * Execute one fill between an incoming intent (A, taker) and a resting
+ * intent (B, maker) at the maker's limit price. Both amounts are computed
+ * from that agreed price; the fill is refused if either side would get
+ * less than its limit (minAmount pro-rata, or maxSlippage for market
+ * intents). The fill is as large as the smaller side allows — asks sell
+ * their escrow, bids buy up to their minAmount — and either intent may
+ * stay partially filled and match again.
+ *
+ * Amounts are exact (see amounts.js): the bid pays the quote rounded up,
+ * the ask receives it rounded down, fees round up, and the venue's
+ * treasury keeps both the fees and the rounding residual.
+ *
+ * @param {object} intentA - Taker
+ * @param {object} intentB - Maker
+ * @param {object} [options]
+ * @param {number} [options.price] - Execution price override (batch auctions)
+ * @param {string} [options.auction] - Auction id the fill belongs to
+ */
+function executeSwap(intentA, intentB, options = {}) {
   const agentA = world.agents.get(intentA.agent);
   const agentB = world.agents.get(intentB.agent);
 
@@ -221,84 +1935,172 @@ function executeSwap(intentA, intentB) {
     return { success: false, error: 'Agent not found during swap' };
   }
 
-  // Calculate swap amounts
-  const giveAmountA = intentA.give.amount;
-  const giveAmountB = intentB.give.amount;
+  // Volume, fees and rewards are valued in USD: never at a stale price
+  const stale = stalePrices([intentA.give.token, intentB.give.token]);
+  if (stale.length) return { success: false, error: `Stale price for ${stale.join(', ')}` };
+
+  // Agreed price: the maker's limit (quote per base)
+  const price = options.price || intentB.limitPrice;
+  const ask = intentA.side === 'ask' ? intentA : intentB;
+  const bid = ask === intentA ? intentB : intentA;
 
-  // Calculate fees (0.3% from each side)
-  const feeA = giveAmountA * world.economy.feeRate;
-  const feeB = giveAmountB * world.economy.feeRate;
+  for (const intent of [intentA, intentB]) {
+    if (!acceptsPrice(intent, price)) {
+      return { success: false, error: `Price ${price} is outside ${intent.agent}'s limit for intent ${intent.id}` };
+    }
+  }
 
-  // Execute the swap
-  // Agent A receives what Agent B gives (minus fee)
-  agentA.balance[intentB.give.token] = (agentA.balance[intentB.give.token] || 0) + (giveAmountB - feeB);
+  // Both amounts follow from the agreed price
+  const quoteToken = bid.give.token;
+  const baseAmount = amounts.min(orderbook.capacity(ask, price), orderbook.capacity(bid, price));
+  if (!(baseAmount > amounts.ZERO)) return { success: false, error: 'Nothing left to fill' };
+  const quote = orderbook.quoteFor(baseAmount, price, quoteToken);
+  if (!(quote.received > amounts.ZERO)) return { success: false, error: 'Fill too small to settle' };
+
+  // What each side gained against its own limit, in the quote token
+  const improvement = (intent) => {
+    const gain =
+      intent.side === 'bid'
+        ? amounts.mulPrice(baseAmount, intent.limitPrice, quoteToken, 'down') - quote.paid
+        : quote.received - amounts.mulPrice(baseAmount, intent.limitPrice, quoteToken, 'up');
+    return amounts.max(amounts.ZERO, gain);
+  };
+  const priceImprovement = {
+    token: quoteToken,
+    A: improvement(intentA),
+    B: improvement(intentB),
+  };
 
-  // Agent B receives what Agent A gives (minus fee)
-  agentB.balance[intentA.give.token] = (agentB.balance[intentA.give.token] || 0) + (giveAmountA - feeA);
+  // What each side gives, and what of it reaches the other side before fees
+  const giveAmountA = intentA === ask ? baseAmount : quote.paid;
+  const giveAmountB = intentB === ask ? baseAmount : quote.paid;
+  const deliveredA = intentA === ask ? baseAmount : quote.received;
+  const deliveredB = intentB === ask ? baseAmount : quote.received;
+  const residual = { token: quoteToken, amount: quote.paid - quote.received };
+
+  // Calculate fees (0.3% from each side, rounded up)
+  const feeA = amounts.mulPrice(deliveredA, world.economy.feeRate, intentA.give.token, 'up');
+  const feeB = amounts.mulPrice(deliveredB, world.economy.feeRate, intentB.give.token, 'up');
+
+  const swapId = journal.newId();
+
+  // Execute the swap: both sides' escrow goes out, each receives what the
+  // other gave minus its fee, and the venue keeps the fees and the rounding
+  // residual
+  settle(
+    'swap',
+    [
+      { account: escrow(intentA.agent), token: intentA.give.token, amount: -giveAmountA },
+      { account: escrow(intentB.agent), token: intentB.give.token, amount: -giveAmountB },
+      { account: available(intentA.agent), token: intentB.give.token, amount: deliveredB - feeB },
+      { account: available(intentB.agent), token: intentA.give.token, amount: deliveredA - feeA },
+      { account: ledger.TREASURY, token: intentA.give.token, amount: feeA },
+      { account: ledger.TREASURY, token: intentB.give.token, amount: feeB },
+      { account: ledger.TREASURY, token: quoteToken, amount: residual.amount },
+    ],
+    { swap: swapId }
+  );
 
   // Calculate USD volume
-  const volumeA = giveAmountA * (world.economy.tokenPrices[intentA.give.token] || 1);
-  const volumeB = giveAmountB * (world.economy.tokenPrices[intentB.give.token] || 1);
+  const volumeA = amounts.toUSD(giveAmountA, world.economy.tokenPrices[intentA.give.token] || 1);
+  const volumeB = amounts.toUSD(giveAmountB, world.economy.tokenPrices[intentB.give.token] || 1);
   const totalVolume = volumeA + volumeB;
 
   // Update agent stats
   agentA.swapsCompleted++;
   agentA.totalVolume += volumeA;
   agentA.reputation += 5;
-  agentA.lastActive = new Date().toISOString();
+  agentA.lastActive = journal.timestamp();
 
   agentB.swapsCompleted++;
   agentB.totalVolume += volumeB;
   agentB.reputation += 5;
-  agentB.lastActive = new Date().toISOString();
+  agentB.lastActive = journal.timestamp();
 
   // Update world state
   world.economy.totalVolume += totalVolume;
   world.economy.totalSwaps++;
   world.economy.totalFees +=
-    feeA * (world.economy.tokenPrices[intentA.give.token] || 1) +
-    feeB * (world.economy.tokenPrices[intentB.give.token] || 1);
+    amounts.toUSD(feeA, world.economy.tokenPrices[intentA.give.token] || 1) +
+    amounts.toUSD(feeB, world.economy.tokenPrices[intentB.give.token] || 1);
 
-  // Mark intents as filled
-  intentA.status = 'filled';
-  intentB.status = 'filled';
+  // Advance both intents (filled or partially filled)
+  applyFill(intentA, giveAmountA, deliveredB, swapId);
+  applyFill(intentB, giveAmountB, deliveredA, swapId);
 
-  // Record swap
+  // Record swap (one record per fill, linked to both parent intents)
   const swap = {
-    id: uuidv4(),
+    id: swapId,
     intentA: intentA.id,
     intentB: intentB.id,
     agentA: intentA.agent,
     agentB: intentB.agent,
+    pair: intentB.pair,
+    price,
+    priceImprovement,
     giveA: { token: intentA.give.token, amount: giveAmountA },
     giveB: { token: intentB.give.token, amount: giveAmountB },
+    remainingA: intentA.remaining,
+    remainingB: intentB.remaining,
     feeA,
     feeB,
+    residual, // quote rounding kept by the venue (paid − received)
     volumeUSD: totalVolume,
-    executedAt: new Date().toISOString(),
+    executedAt: journal.timestamp(),
   };
 
+  if (options.auction) swap.auction = options.auction;
+  // Sub-agents that traded through a delegated key
+  if (intentA.delegate) swap.delegateA = intentA.delegate;
+  if (intentB.delegate) swap.delegateB = intentB.delegate;
+
   world.swaps.push(swap);
   world.epoch++;
 
+  journal.effect('swap.filled', {
+    swap: swap.id,
+    intentA: swap.intentA,
+    intentB: swap.intentB,
+    price,
+    giveA: swap.giveA,
+    giveB: swap.giveB,
+    residual,
+  });
+  // Each side's fee is withheld from what it receives
+  journal.effect('fee.charged', { swap: swap.id, agent: intentA.agent, token: intentB.give.token, amount: feeB });
+  journal.effect('fee.charged', { swap: swap.id, agent: intentB.agent, token: intentA.give.token, amount: feeA });
+
   addEvent('swap_executed', {
     swap: swap.id,
+    pair: swap.pair,
+    intentA: intentA.id,
+    intentB: intentB.id,
     agentA: intentA.agent,
     agentB: intentB.agent,
-    message: `SWAP: ${intentA.agent} gave ${giveAmountA} ${intentA.give.token} ↔ ${intentB.agent} gave ${giveAmountB} ${intentB.give.token}`,
+    message: `SWAP: ${intentA.agent} gave ${amounts.format(giveAmountA)} ${intentA.give.token} ↔ ${intentB.agent} gave ${amounts.format(giveAmountB)} ${intentB.give.token}`,
     volumeUSD: totalVolume,
   });
 
   updateLeaderboard();
 
+  // Trades between related agents never mint rewards (matching prevents
+  // them; this guards any path that does not)
+  const rewardable = !isRelated(intentA.agent, intentB.agent);
+  if (!rewardable) swap.rewardsExcluded = true;
+
   // Reward $SWAP tokens — in-memory tracking
-  governance.rewardSwap(intentA.agent, volumeA);
-  governance.rewardSwap(intentB.agent, volumeB);
+  if (rewardable) {
+    rewardAgent(intentA.agent, volumeA, swap.id);
+    rewardAgent(intentB.agent, volumeB, swap.id);
+  }
 
-  // Distribute $SWAP rewards on-chain (non-blocking)
-  if (agentA.walletAddress && agentB.walletAddress) {
+  // Distribute $SWAP rewards on-chain to verified wallets (non-blocking;
+  // never during a replay)
+  const addressA = rewardAddress(agentA);
+  const addressB = rewardAddress(agentB);
+  if (rewardable && (addressA || addressB) && !journal.isReplaying()) {
     onchain
-      .distributeSwapRewards(agentA.walletAddress, agentB.walletAddress)
+      .distributeSwapRewards(addressA, addressB)
       .then((rewards) => {
         swap.onChainRewards = rewards;
         if (rewards.rewardA.success) {
@@ -324,12 +2126,14 @@ function executeSwap(intentA, intentB) {
   }
 
   // Record swap proof on Solana (non-blocking)
-  solana
-    .recordSwapOnChain(swap)
-    .then((result) => {
-      swap.onChain = result;
-    })
-    .catch(() => {});
+  if (!journal.isReplaying()) {
+    solana
+      .recordSwapOnChain(swap)
+      .then((result) => {
+        swap.onChain = result;
+      })
+      .catch(() => {});
+  }
 
   return {
     success: true,
@@ -340,6 +2144,286 @@ function executeSwap(intentA, intentB) {
   };
 }
 
+// ============================================================================
+// Batch Auctions — Uniform-price clearing per pair
+// ============================================================================
+
+/**
+ * Clear one auction pair: every bid at or above the clearing price trades
+ * with every ask at or below it, all at that one price, in price-time
+ * order. Publishes an `auction_cleared` event.
+ *
+ * @param {string} pairKey - Canonical pair ("ETH/USDC")
+ * @returns {object|null} The auction result, or null if nothing crossed
+ */
+function runAuction(pairKey) {
+  auction.markCleared(pairKey, journal.now());
+
+  const { base, quote } = orderbook.getPair(...pairKey.split('/'));
+  if (stalePrices([base, quote]).length) return null;
+  const bids = orderbook.getResting(quote, base).filter(isMatchable);
+  const asks = orderbook.getResting(base, quote).filter(isMatchable);
+
+  const clearing = auction.clearingPrice(bids, asks);
+  if (!clearing) return null;
+
+  const auctionId = journal.newId();
+  const eligibleBids = bids.filter((b) => acceptsPrice(b, clearing.price));
+  const eligibleAsks = asks.filter((a) => acceptsPrice(a, clearing.price));
+
+  const swaps = [];
+  for (const bid of eligibleBids) {
+    for (const ask of eligibleAsks) {
+      if (!isOpen(bid)) break;
+      if (!isOpen(ask) || isRelated(ask.agent, bid.agent)) continue;
+      const result = executeSwap(bid, ask, { price: clearing.price, auction: auctionId });
+      if (result.success) swaps.push(result.swap);
+    }
+  }
+
+  const result = auction.recordResult({
+    id: auctionId,
+    pair: pairKey,
+    price: clearing.price,
+    volume: swaps.reduce((sum, s) => sum + (s.giveA.token === base ? s.giveA.amount : s.giveB.amount), amounts.ZERO),
+    demand: clearing.demand,
+    supply: clearing.supply,
+    bids: bids.length,
+    asks: asks.length,
+    fills: swaps.length,
+    swaps: swaps.map((s) => s.id),
+    volumeUSD: swaps.reduce((sum, s) => sum + s.volumeUSD, amounts.ZERO),
+    clearedAt: journal.timestamp(),
+  });
+
+  addEvent('auction_cleared', {
+    auction: result.id,
+    pair: pairKey,
+    price: result.price,
+    volume: result.volume,
+    fills: result.fills,
+    message: `AUCTION ${pairKey} cleared ${amounts.format(result.volume)} ${base} at ${result.price} ${quote} (${result.fills} fills)`,
+  });
+
+  return result;
+}
+
+/**
+ * Clear every auction pair whose window has elapsed.
+ */
+function runDueAuctions() {
+  return auction.duePairs(journal.now()).map(commands.runAuction).filter(Boolean);
+}
+
+/**
+ * Switch a pair between batch-auction and continuous matching. Turning
+ * auctions off clears the pair one last time so the book is uncrossed.
+ */
+function setAuctionMode(pairKey, enabled, intervalMs) {
+  if (enabled) {
+    const config = auction.enable(pairKey, intervalMs, journal.now());
+    addEvent('auction_mode', {
+      pair: pairKey,
+      enabled: true,
+      intervalMs: config.intervalMs,
+      message: `${pairKey} switched to batch auctions every ${config.intervalMs}ms`,
+    });
+    return { success: true, pair: pairKey, auction: true, intervalMs: config.intervalMs };
+  }
+
+  const final = auction.isEnabled(pairKey) ? runAuction(pairKey) : null;
+  auction.disable(pairKey);
+  addEvent('auction_mode', { pair: pairKey, enabled: false, message: `${pairKey} switched to continuous matching` });
+  return { success: true, pair: pairKey, auction: false, finalClearing: final };
+}
+
+/**
+ * Settle a ring atomically. Each leg gives its share to the agent that
+ * wants that token; every leg but the last receives exactly its limit and
+ * the last (the intent that triggered the search) keeps the surplus.
+ *
+ * @param {object[]} legs - Intents in receiving order (see rings.sizeRing)
+ */
+function executeRing(legs) {
+  const sizing = rings.sizeRing(legs);
+  if (!sizing) return { success: false, error: 'Ring is not feasible' };
+
+  const agents = legs.map((l) => world.agents.get(l.agent));
+  if (agents.some((a) => !a)) {
+    return { success: false, error: 'Agent not found during ring' };
+  }
+  const stale = stalePrices(legs.map((l) => l.give.token));
+  if (stale.length) return { success: false, error: `Stale price for ${stale.join(', ')}` };
+
+  const ringId = journal.newId();
+  const prices = world.economy.tokenPrices;
+  const n = legs.length;
+  let totalVolume = amounts.ZERO;
+  let totalFees = amounts.ZERO;
+
+  // Credit every leg with what the next leg gives (minus fee, rounded up);
+  // all of it settles as one entry
+  const postings = [];
+  const legRecords = legs.map((intent, i) => {
+    const gave = sizing.gives[i];
+    const received = sizing.receives[i];
+    const fee = amounts.mulPrice(received, world.economy.feeRate, intent.want.token, 'up');
+    const volume = amounts.toUSD(gave, prices[intent.give.token] || 1);
+
+    postings.push(
+      { account: escrow(intent.agent), token: intent.give.token, amount: -gave },
+      { account: available(intent.agent), token: intent.want.token, amount: received - fee },
+      { account: ledger.TREASURY, token: intent.want.token, amount: fee }
+    );
+    totalVolume += volume;
+    totalFees += amounts.toUSD(fee, prices[intent.want.token] || 1);
+
+    const leg = {
+      intent: intent.id,
+      agent: intent.agent,
+      give: { token: intent.give.token, amount: gave },
+      receive: { token: intent.want.token, amount: received - fee },
+      from: legs[(i + 1) % n].agent,
+      fee,
+      volumeUSD: volume,
+    };
+    if (intent.delegate) leg.delegate = intent.delegate;
+    return leg;
+  });
+
+  settle('ring', postings, { ring: ringId });
+  legs.forEach((intent, i) => applyFill(intent, sizing.gives[i], sizing.receives[i], ringId));
+
+  // Agent stats only once the ring has settled
+  legRecords.forEach((leg, i) => {
+    const agent = agents[i];
+    agent.swapsCompleted++;
+    agent.totalVolume += leg.volumeUSD;
+    agent.reputation += 5;
+    agent.lastActive = journal.timestamp();
+  });
+
+  world.economy.totalVolume += totalVolume;
+  world.economy.totalSwaps++;
+  world.economy.totalFees += totalFees;
+
+  const ring = {
+    id: ringId,
+    type: 'ring',
+    length: n,
+    legs: legRecords,
+    rateProduct: sizing.product,
+    volumeUSD: totalVolume,
+    executedAt: journal.timestamp(),
+  };
+
+  world.rings.push(ring);
+  world.epoch++;
+
+  journal.effect('ring.filled', {
+    ring: ring.id,
+    legs: legRecords.map((l) => ({ intent: l.intent, give: l.give, receive: l.receive })),
+  });
+  for (const leg of legRecords) {
+    journal.effect('fee.charged', { ring: ring.id, agent: leg.agent, token: leg.receive.token, amount: leg.fee });
+  }
+
+  addEvent('ring_executed', {
+    ring: ring.id,
+    pairs: [...new Set(legs.map((l) => l.pair))],
+    intents: legs.map((l) => l.id),
+    agents: legs.map((l) => l.agent),
+    message: `RING: ${legRecords.map((l) => `${l.agent} gave ${amounts.format(l.give.amount)} ${l.give.token}`).join(' → ')}`,
+    volumeUSD: totalVolume,
+  });
+
+  updateLeaderboard();
+
+  // Reward $SWAP tokens — in-memory tracking, then on-chain (non-blocking)
+  legRecords.forEach((leg, i) => {
+    rewardAgent(leg.agent, leg.volumeUSD, ring.id);
+
+    const address = rewardAddress(agents[i]);
+    if (!address || journal.isReplaying()) return;
+    onchain
+      .distributeSwapReward(address)
+      .then((reward) => {
+        leg.onChainReward = reward;
+        if (reward.success) {
+          addEvent('reward_distributed', {
+            agent: leg.agent,
+            reward: reward.reward,
+            txHash: reward.txHash,
+            message: `${leg.agent} earned ${reward.reward} $SWAP on-chain`,
+          });
+        }
+      })
+      .catch((err) => {
+        console.error(`[onchain] Reward distribution failed: ${err.message}`);
+      });
+  });
+
+  return { success: true, ring };
+}
+
+/**
+ * Mint an agent's $SWAP trading reward for one swap or ring.
+ */
+function rewardAgent(agentName, volumeUSD, tradeId) {
+  const reward = governance.rewardSwap(agentName, amounts.toNumber(volumeUSD));
+  if (reward.minted > 0) {
+    const minted = amounts.fromNumber(reward.minted);
+    move('reward', 'SWAP', ledger.REWARDS_POOL, ledger.agentAccount(agentName, 'rewards'), minted, { trade: tradeId });
+    journal.effect('reward.minted', { trade: tradeId, agent: agentName, amount: reward.minted });
+  }
+  return reward;
+}
+
+/**
+ * Apply a fill to an intent: `amount` of its give token went out and
+ * `received` of its want token (before fees) came in. The intent is filled
+ * once its escrow is used up or, for a bid, once it has bought its
+ * `want.minAmount` — or once what is left could not buy a single base unit
+ * of the want token at its limit. Escrow left over at that point (quote
+ * saved by a better price, or a remainder too small to trade) goes back to
+ * the agent.
+ */
+function applyFill(intent, amount, received, swapId) {
+  intent.filledAmount += amount;
+  intent.remaining -= amount;
+  intent.receivedAmount += received;
+  intent.fills.push(swapId);
+
+  let refunded = amounts.ZERO;
+  if (orderbook.isExhausted(intent)) {
+    refunded = amounts.max(amounts.ZERO, intent.remaining);
+    if (refunded > amounts.ZERO) {
+      release(intent.agent, intent.give.token, refunded, { intent: intent.id, swap: swapId });
+      intent.refunded = (intent.refunded || amounts.ZERO) + refunded;
+    }
+    intent.remaining = amounts.ZERO;
+    intent.status = 'filled';
+    orderbook.remove(intent);
+  } else {
+    intent.status = 'partially_filled';
+  }
+
+  addEvent(intent.status === 'filled' ? 'intent_filled' : 'intent_partially_filled', {
+    agent: intent.agent,
+    intent: intent.id,
+    pair: intent.pair,
+    swap: swapId,
+    filled: intent.filledAmount,
+    received: intent.receivedAmount,
+    remaining: intent.remaining,
+    refunded,
+    message:
+      intent.status === 'filled'
+        ? `${intent.agent}'s intent ${intent.id.slice(0, 8)} filled (${amounts.format(intent.filledAmount)} ${intent.give.token})`
+        : `${intent.agent}'s intent ${intent.id.slice(0, 8)} partially filled (${amounts.format(intent.remaining)} ${intent.give.token} left)`,
+  });
+}
+
 // ============================================================================
 // World State Queries
 // ============================================================================
@@ -350,32 +2434,140 @@ function getWorldState() {
     version: world.version,
     epoch: world.epoch,
     agents: world.agents.size,
-    activeIntents: [...world.intents.values()].filter((i) => i.status === 'active').length,
+    activeIntents: [...world.intents.values()].filter(isOpen).length,
+    pendingConditionals: getConditionals({ status: 'pending' }).length,
+    runningAlgos: [...world.algos.values()].filter((a) => a.status === 'running').length,
     totalSwaps: world.economy.totalSwaps,
+    totalRings: world.rings.length,
     totalVolume: world.economy.totalVolume,
     totalFees: world.economy.totalFees,
+    treasury: world.economy.treasury,
     tokenPrices: world.economy.tokenPrices,
+    stalePrices: stalePrices(world.economy.supportedTokens),
     supportedTokens: world.economy.supportedTokens,
     recentEvents: world.events.slice(-20),
     leaderboard: world.leaderboard.slice(0, 10),
   };
 }
 
+/**
+ * Last, VWAP and mark prices and 24-hour statistics for a pair, from this
+ * venue's own fills — swaps and ring legs — and book (see markets.js).
+ *
+ * @param {{ key: string, base: string, quote: string }} pair - From orderbook.parsePair
+ */
+function getTicker(pair) {
+  const trades = markets.tradesOf(world.swaps, pair, world.rings);
+  const top = orderbook.getDepth(pair.key, 1);
+  return { pair: pair.key, base: pair.base, quote: pair.quote, ...markets.ticker(trades, top, journal.now()) };
+}
+
+/**
+ * OHLCV candles for a pair, oldest first.
+ *
+ * @param {object} pair - From orderbook.parsePair
+ * @param {object} query - From markets.parseCandleQuery
+ */
+function getCandles(pair, query) {
+  return {
+    pair: pair.key,
+    interval: query.interval,
+    candles: markets.candles(markets.tradesOf(world.swaps, pair, world.rings), query),
+  };
+}
+
 function getActiveIntents(token) {
-  const intents = [...world.intents.values()].filter((i) => i.status === 'active');
+  const intents = [...world.intents.values()].filter(isOpen);
   if (token) {
     return intents.filter((i) => i.give.token === token || i.want.token === token);
   }
   return intents;
 }
 
-function getSwapHistory(limit = 50) {
-  return world.swaps.slice(-limit).reverse();
+/**
+ * Intents, newest first, one page at a time. Statuses default to "open"
+ * (active or partially filled); "all" lists every intent.
+ *
+ * @param {object} query - From pagination.parseQuery: agent, pair, status,
+ *   from, to and token filters
+ */
+function listIntents(query) {
+  const { agent, pair, token, status = ['open'] } = query.filters;
+  const { items, page } = pagination.paginate([...world.intents.values()], query, {
+    filter: (i) =>
+      (status.includes('all') || status.includes(i.status) || (status.includes('open') && isOpen(i))) &&
+      (!agent || i.agent === agent) &&
+      (!pair || i.pair === pair) &&
+      (!token || i.give.token === token || i.want.token === token) &&
+      pagination.inRange(i.createdAt, query.filters),
+  });
+  return { intents: items, page };
+}
+
+/**
+ * Swaps, newest first, one page at a time.
+ *
+ * @param {object} query - From pagination.parseQuery: agent (either side),
+ *   pair, from, to, algo (fills of its child intents) and delegate (fills
+ *   of a delegated key's intents) filters
+ */
+function getSwapHistory(query) {
+  const { agent, pair, algo, delegate } = query.filters;
+  const parent = algo && world.algos.get(algo);
+  const children = algo ? new Set(parent ? parent.children : []) : null;
+  const { items, page } = pagination.paginate(world.swaps, query, {
+    filter: (s) =>
+      (!agent || s.agentA === agent || s.agentB === agent) &&
+      (!pair || s.pair === pair) &&
+      (!children || children.has(s.intentA) || children.has(s.intentB)) &&
+      (!delegate || [s.delegateA, s.delegateB].some((d) => d && d.key === delegate)) &&
+      pagination.inRange(s.executedAt, query.filters),
+  });
+  return { swaps: items, page };
+}
+
+/**
+ * Events, newest first, one page at a time. Positions are event seqs, so a
+ * cursor outlives events dropping out of the history.
+ *
+ * @param {object} query - From pagination.parseQuery: type, agent, pair,
+ *   intent, from and to filters
+ */
+function getEvents(query) {
+  const { type, agent, pair, intent } = query.filters;
+  const { items, page } = pagination.paginate(world.events, query, {
+    position: (e) => e.seq,
+    filter: (e) =>
+      (!type || type.includes(e.type)) &&
+      (!agent || stream.matches([`agent:${agent}`], e)) &&
+      (!pair || stream.matches([`pair:${pair}`], e)) &&
+      (!intent || stream.matches([`intent:${intent}`], e)) &&
+      pagination.inRange(e.timestamp, query.filters),
+  });
+  return { events: items, page };
+}
+
+/**
+ * An intent with its fill history (one swap record per fill).
+ */
+function getIntent(id) {
+  const intent = world.intents.get(id);
+  if (!intent) return null;
+  const fillIds = new Set(intent.fills);
+  return {
+    ...intent,
+    fills: world.swaps.filter((s) => fillIds.has(s.id)),
+    rings: world.rings.filter((r) => fillIds.has(r.id)),
+  };
+}
+
+function getRingHistory(limit = 50) {
+  return world.rings.slice(-limit).reverse();
 }
 
 function updateLeaderboard() {
   world.leaderboard = [...world.agents.values()]
-    .sort((a, b) => b.totalVolume - a.totalVolume)
+    .sort((a, b) => (b.totalVolume > a.totalVolume ? 1 : b.totalVolume < a.totalVolume ? -1 : 0))
     .slice(0, 20)
     .map((a) => ({
       name: a.name,
@@ -389,44 +2581,333 @@ function updateLeaderboard() {
 // Event System
 // ============================================================================
 
+const EVENT_HISTORY = Number(process.env.EVENT_HISTORY) || 10000;
+
 function addEvent(type, data) {
   const event = {
-    id: uuidv4(),
+    id: journal.newId(),
+    seq: ++world.eventSeq,
     type,
     data,
-    timestamp: new Date().toISOString(),
+    timestamp: journal.timestamp(),
     epoch: world.epoch,
   };
   world.events.push(event);
 
-  // Keep last 1000 events
-  if (world.events.length > 1000) {
-    world.events = world.events.slice(-1000);
+  if (world.events.length > EVENT_HISTORY) {
+    world.events = world.events.slice(-EVENT_HISTORY);
   }
 
+  // Every state change publishes an event, so this is where it gets persisted
+  // and pushed to streaming clients and webhooks (not again when replaying)
+  storage.markDirty();
+  stream.publish(event);
+  if (!journal.isReplaying()) webhooks.dispatch(event);
+
   // Console log for demo visibility
-  console.log(`[${event.timestamp}] [${type}] ${data.message || JSON.stringify(data)}`);
+  console.log(`[${event.timestamp}] [${type}] ${data.message || JSON.stringify(data, amounts.replacer)}`);
 
   return event;
 }
 
+// Proposals end in governance.js, outside the engine: publish it like any
+// other change, to the proposer and every voter
+governance.onProposalEnded((proposal) => {
+  addEvent('proposal_ended', {
+    proposal: proposal.id,
+    agent: proposal.proposer,
+    agents: [...new Set(proposal.options.flatMap((o) => o.voters))],
+    status: proposal.status,
+    winner: proposal.winner || null,
+    message: `Proposal "${proposal.title}" ${proposal.status}${proposal.winner ? ` — ${proposal.winner}` : ''}`,
+  });
+});
+
+// ============================================================================
+// Persistence — the world as a storage.js section
+// ============================================================================
+
+function refill(map, list, key = 'id') {
+  map.clear();
+  for (const item of list) map.set(item[key], item);
+}
+
+storage.registerSection('world', {
+  snapshot: () => ({
+    created: world.created,
+    epoch: world.epoch,
+    agents: [...world.agents.values()],
+    intents: [...world.intents.values()],
+    conditionals: [...world.conditionals.values()],
+    algos: [...world.algos.values()],
+    swaps: world.swaps,
+    rings: world.rings,
+    withdrawals: [...world.withdrawals.values()],
+    deposits: [...world.deposits.values()],
+    depositCursors: world.depositCursors,
+    economy: {
+      totalVolume: world.economy.totalVolume,
+      totalSwaps: world.economy.totalSwaps,
+      totalFees: world.economy.totalFees,
+      treasury: world.economy.treasury,
+      tokenPrices: world.economy.tokenPrices,
+      priceInfo: world.economy.priceInfo,
+    },
+    events: world.events,
+    eventSeq: world.eventSeq,
+    leaderboard: world.leaderboard,
+    book: orderbook.getArrivalOrder(), // resting intent ids, oldest first
+  }),
+
+  // Escrow needs no separate handling: it is the open intents' `remaining`
+  // plus pending conditionals and unreleased algo size, all restored as-is
+  restore: (data) => {
+    world.created = data.created;
+    world.epoch = data.epoch;
+    refill(world.agents, data.agents, 'name');
+    refill(world.intents, data.intents);
+    refill(world.conditionals, data.conditionals);
+    refill(world.algos, data.algos);
+    world.swaps = data.swaps;
+    world.rings = data.rings;
+    refill(world.withdrawals, data.withdrawals || []);
+    refill(world.deposits, data.deposits || []);
+    world.depositCursors = data.depositCursors || { base: null, solana: {} };
+    Object.assign(world.economy, data.economy);
+    world.events = data.events;
+    // Snapshots from before sequence numbers: number the saved events in order
+    world.events.forEach((e, i) => {
+      if (e.seq === undefined) e.seq = i + 1;
+    });
+    world.eventSeq = data.eventSeq ?? (world.events.length ? world.events[world.events.length - 1].seq : 0);
+    world.leaderboard = data.leaderboard;
+
+    orderbook.reset();
+    for (const id of data.book) {
+      const intent = world.intents.get(id);
+      if (intent && isOpen(intent)) orderbook.add(intent);
+    }
+  },
+});
+
+// ============================================================================
+// Journaled Commands — every external state change, replayable
+// ============================================================================
+
+// command type -> { params, run }
+const COMMANDS = new Map();
+
+/**
+ * Wrap an engine entry point so each call is journaled as a typed command
+ * (see journal.js). `params` name the positional arguments in the record;
+ * replay calls `run` with them in the same order.
+ */
+function journaled(type, params, run, options = {}) {
+  COMMANDS.set(type, { params, run });
+  return (...args) =>
+    journal.command(type, Object.fromEntries(params.map((p, i) => [p, args[i]])), () => run(...args), options);
+}
+
+function sweepExpired() {
+  return { intents: expireIntents(), conditionals: expireConditionals() };
+}
+
+// Routes, timers and the module exports go through these; internal calls
+// (a conditional posting its intent, an algo its slices) do not need to
+const commands = {
+  registerAgent: journaled('agent.registered', ['name', 'walletAddress', 'metadata'], registerAgent),
+  verifyWallet: journaled('agent.wallet_verified', ['agent', 'address'], verifyWallet),
+  approveMember: journaled('agent.member_approved', ['owner', 'member'], approveMember),
+  depositTokens: journaled('tokens.deposited', ['agent', 'token', 'amount'], depositTokens),
+  creditDeposit: journaled('deposit.confirmed', ['agent', 'deposit'], creditDeposit),
+  withdrawTokens: journaled('tokens.withdrawn', ['agent', 'token', 'amount'], withdrawTokens),
+  updateWithdrawal: journaled('withdrawal.updated', ['withdrawal', 'status', 'details'], updateWithdrawal),
+  postIntent: journaled('intent.posted', ['agent', 'give', 'want', 'options'], postIntent),
+  cancelIntent: journaled('intent.cancelled', ['agent', 'intent'], cancelIntent),
+  amendIntent: journaled('intent.amended', ['agent', 'intent', 'changes'], amendIntent),
+  postConditional: journaled(
+    'conditional.posted',
+    ['agent', 'type', 'give', 'want', 'triggerPrice', 'options'],
+    postConditional
+  ),
+  cancelConditional: journaled('conditional.cancelled', ['agent', 'conditional'], cancelConditional),
+  startAlgo: journaled('algo.started', ['agent', 'type', 'give', 'want', 'params', 'options'], startAlgo),
+  pauseAlgo: journaled('algo.paused', ['agent', 'algo'], pauseAlgo),
+  resumeAlgo: journaled('algo.resumed', ['agent', 'algo'], resumeAlgo),
+  cancelAlgo: journaled('algo.cancelled', ['agent', 'algo'], cancelAlgo),
+  setAuctionMode: journaled('auction.mode_changed', ['pair', 'enabled', 'intervalMs'], setAuctionMode),
+  updateTokenPrices: journaled('prices.updated', ['prices'], updateTokenPrices),
+
+  // Timer ticks — only journaled when they changed something
+  runAuction: journaled('auction.cleared', ['pair'], runAuction, { quiet: true }),
+  triggerConditionals: journaled('conditionals.triggered', [], triggerConditionals, { quiet: true }),
+  runAlgos: journaled('algos.ticked', ['now'], runAlgos, { quiet: true }),
+  expireIntents: journaled('intents.expired', ['now'], (now) => expireIntents(now && new Date(now)), { quiet: true }),
+  sweepExpired: journaled('expiry.swept', [], sweepExpired, { quiet: true }),
+};
+
+/**
+ * Rebuild the world by re-running journal records through the engine.
+ * Call on a fresh process (see replay.js).
+ *
+ * @param {object[]} records - From journal.read()
+ * @returns {{ commands: number, effects: number, divergences: object[] }}
+ */
+function replayJournal(records) {
+  return journal.replay(records, (type, data) => {
+    const command = COMMANDS.get(type);
+    if (!command) throw new Error(`Unknown command type "${type}"`);
+    return command.run(...command.params.map((p) => data[p]));
+  });
+}
+
+/**
+ * Rebuild the state on boot: the last snapshot, then every command
+ * journaled after it — changes that were acknowledged but not yet in a
+ * snapshot when the process stopped. Without a snapshot the whole journal
+ * is replayed. A snapshot from before journalSeq was recorded is taken as
+ * it is.
+ *
+ * @returns {{ restored: object, replayed: object|null }} From storage.restore() and replayJournal()
+ */
+function recover() {
+  const restored = storage.restore();
+  if (restored.restored && restored.journalSeq === null) return { restored, replayed: null };
+
+  const after = restored.restored ? restored.journalSeq : 0;
+  const tail = journal.getRecords().filter((r) => r.seq > after);
+  if (!tail.length) return { restored, replayed: null };
+  const replayed = replayJournal(tail);
+  storage.markDirty();
+  return { restored, replayed };
+}
+
 // ============================================================================
 // REST API — Interface for external agents
 // ============================================================================
 
 const app = express();
-app.use(express.json());
+
+// Behind a load balancer or proxy, req.ip (used for rate limits) must come
+// from X-Forwarded-For: set TRUST_PROXY to Express's trust proxy value
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Keep the raw body: signed requests sign its hash (see auth.js)
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+
+// Fixed-point amounts go out as decimal strings ("1.5")
+app.set('json replacer', amounts.replacer);
 
 // CORS — allow any agent to call the API
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Payment-Signature, X-Payment');
-  res.header('Access-Control-Expose-Headers', 'Payment-Required, X-Payment-Required, Payment-Response');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.header(
+    'Access-Control-Allow-Headers',
+    'Content-Type, Authorization, X-Signature, X-Signature-Type, X-Nonce, Payment-Signature, X-Payment, X-Admin-Token'
+  );
+  res.header(
+    'Access-Control-Expose-Headers',
+    'Payment-Required, X-Payment-Required, Payment-Response, ' +
+      'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After'
+  );
   if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
 });
 
+/**
+ * Guard operator-only routes with the AGENTSWAPS_ADMIN_TOKEN shared secret.
+ */
+function requireAdmin(req, res, next) {
+  const token = process.env.AGENTSWAPS_ADMIN_TOKEN;
+  if (!token) return res.status(403).json({ error: 'Admin API disabled (set AGENTSWAPS_ADMIN_TOKEN)' });
+  if (req.get('X-Admin-Token') !== token) return res.status(401).json({ error: 'Invalid admin token' });
+  next();
+}
+
+/**
+ * Require the caller to own the agent the route acts for — by API key or
+ * wallet signature (see auth.js) — with `scope`. The agent is named in the
+ * path (:name), else the body or query (`agent`); a route missing it
+ * reports that itself. Delegated keys are refused unless the route takes
+ * them (`options.delegates`) and checks their limits.
+ */
+function requireAgent(scope, options = {}) {
+  return (req, res, next) => {
+    const name = req.params.name || (req.body && req.body.agent) || req.query.agent;
+    if (!name) return next();
+    const agent = getAgent(name);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+
+    const result = auth.authenticate(agent, scope, {
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody,
+      get: (header) => req.get(header),
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    if (result.delegate && !options.delegates) {
+      return res.status(403).json({ error: 'Delegated keys can only post, amend and cancel intents' });
+    }
+    req.auth = result;
+    next();
+  };
+}
+
+/**
+ * For a request made with a delegated key: check an order giving `amount`
+ * of `giveToken` for `wantToken` against the key's limits, counting
+ * `added` of it toward today's total. An amount that does not parse is
+ * left for the engine to reject. Refused while `giveToken` has no fresh
+ * price — an old one could understate the notional and slip past the limits.
+ *
+ * @returns {{ error?: string, added?: bigint }} `added` in USD, to record once the order is placed
+ */
+function checkDelegatedOrder(keyId, giveToken, wantToken, amount, added = amount) {
+  const parsed = amounts.parse(giveToken, amount);
+  const parsedAdded = amounts.parse(giveToken, added);
+  if (parsed.error || parsedAdded.error) return { added: amounts.ZERO };
+  if (stalePrices([giveToken]).length) {
+    return { error: `Stale price for ${giveToken}: the key's limits cannot be checked` };
+  }
+
+  const price = world.economy.tokenPrices[giveToken];
+  const notional = amounts.toUSD(parsed.value, price);
+  const usdAdded = amounts.toUSD(parsedAdded.value, price);
+  const pair = orderbook.getPair(giveToken, wantToken).key;
+  const error = auth.checkDelegated(keyId, { pair, notional, added: usdAdded });
+  return error ? { error } : { added: usdAdded };
+}
+
+/**
+ * The delegated key an intent route is called with, for intent.delegate.
+ */
+function delegateOf(req) {
+  return req.auth && req.auth.delegate ? { key: req.auth.key, label: req.auth.delegate } : undefined;
+}
+
+/**
+ * Error if a delegated key acts on an intent another key or the agent posted.
+ */
+function foreignIntentError(req, intentId) {
+  const delegate = delegateOf(req);
+  if (!delegate) return null;
+  const intent = world.intents.get(intentId);
+  if (intent && (!intent.delegate || intent.delegate.key !== delegate.key)) {
+    return 'Delegated keys can only manage their own intents';
+  }
+  return null;
+}
+
 // Root route — serve index.html with discovery Link headers
 app.get('/', (req, res, next) => {
   res.set('Link', [
@@ -445,6 +2926,14 @@ app.get('/openapi.json', (req, res) => {
 // Serve machine-readable discovery files + marketing page from docs/
 app.use(express.static(path.join(__dirname, '..', 'docs')));
 
+// Rate limits — token buckets per route by agent, API key and IP (see ratelimit.js)
+app.use(
+  ratelimit.middleware({
+    identify: (req) => auth.identify(req.get('Authorization')),
+    reputation: (name) => world.agents.get(name)?.reputation,
+  })
+);
+
 // x402 Payment Middleware — gate paid endpoints with USDC micropayments on Base
 // Activate by setting: X402_ENABLED=true X402_PAY_TO=0xYourAddress
 app.use(x402.paymentMiddleware());
@@ -466,7 +2955,121 @@ app.get('/api/world', async (req, res) => {
 app.post('/api/agents', (req, res) => {
   const { name, walletAddress, metadata } = req.body;
   if (!name) return res.status(400).json({ error: 'name is required' });
-  const result = registerAgent(name, walletAddress || `0x${uuidv4().replace(/-/g, '')}`, metadata);
+  if (metadata != null && !isPlainObject(metadata)) {
+    return res.status(400).json({ success: false, error: 'metadata must be an object' });
+  }
+  const result = commands.registerAgent(name, walletAddress, metadata);
+  if (!result.success) return res.json(result);
+
+  // The agent's first API key, with every scope — shown only this once
+  const { key, id, scopes } = auth.issueKey(name);
+  res.json({ ...result, apiKey: { id, key, scopes } });
+});
+
+// Sign in with Ethereum, step 1: the message to sign. Challenging for an
+// address other than the agent's current wallet binds a new one, which
+// needs the agent's credentials
+app.post(
+  '/api/agents/:name/siwe/challenge',
+  (req, res, next) => {
+    const agent = getAgent(req.params.name);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    const address = req.body.address || agent.walletAddress;
+    const current = agent.walletAddress && address && address.toLowerCase() === agent.walletAddress.toLowerCase();
+    if (current) return next();
+    requireAgent('keys')(req, res, next);
+  },
+  (req, res) => {
+    const agent = getAgent(req.params.name);
+    const domain = process.env.SIWE_DOMAIN || req.get('host');
+    const result = auth.createChallenge(agent.name, req.body.address || agent.walletAddress, {
+      domain,
+      uri: `${req.protocol}://${domain}`,
+    });
+    if (!result.success) return res.status(400).json(result);
+    res.json(result);
+  }
+);
+
+// Sign in with Ethereum, step 2: the signed message. Verifies the wallet
+// and returns a session token
+app.post('/api/agents/:name/siwe/verify', (req, res) => {
+  const { message, signature } = req.body;
+  if (!message || !signature) return res.status(400).json({ error: 'message and signature are required' });
+  const agent = getAgent(req.params.name);
+  if (!agent) return res.status(404).json({ error: 'Agent not found' });
+
+  const verified = auth.verifyChallenge(agent.name, message, signature);
+  if (!verified.success) return res.status(401).json(verified);
+  commands.verifyWallet(agent.name, verified.address);
+  res.json({ success: true, address: verified.address, session: auth.issueSession(agent.name, verified.address) });
+});
+
+// An agent's API keys (ids and scopes, never the keys)
+app.get('/api/agents/:name/keys', requireAgent('keys'), (req, res) => {
+  res.json(auth.listKeys(req.params.name));
+});
+
+// Issue another API key, e.g. a trade-only key for a bot
+app.post('/api/agents/:name/keys', requireAgent('keys'), (req, res) => {
+  const result = auth.issueKey(req.params.name, req.body.scopes);
+  if (!result.success) return res.status(400).json(result);
+  res.status(201).json(result);
+});
+
+// Issue a delegated key for a sub-agent: trades from this agent's balance,
+// on the pairs and within the USD notional limits it is given
+app.post('/api/agents/:name/delegates', requireAgent('keys'), (req, res) => {
+  const { label, pairs, maxPerIntent, maxPerDay, expiresAt } = req.body;
+  const result = auth.issueDelegateKey(req.params.name, { label, pairs, maxPerIntent, maxPerDay, expiresAt });
+  if (!result.success) return res.status(400).json(result);
+  res.status(201).json(result);
+});
+
+// Approve an agent that registered with this one as its owner: the two
+// never trade with each other from then on (self-trade prevention)
+app.post('/api/agents/:name/members', requireAgent('keys'), (req, res) => {
+  if (!req.body.agent) return res.status(400).json({ error: 'agent is required' });
+  const result = commands.approveMember(req.params.name, req.body.agent);
+  if (!result.success) return res.status(400).json(result);
+  res.json(result);
+});
+
+// Revoke an API key
+app.delete('/api/agents/:name/keys/:id', requireAgent('keys'), (req, res) => {
+  const result = auth.revokeKey(req.params.name, req.params.id);
+  if (!result.success) return res.status(404).json(result);
+  res.json(result);
+});
+
+// Webhooks: POST the agent's events (all, or the listed types) to a URL,
+// signed with the secret returned once at registration (see webhooks.js)
+app.get('/api/agents/:name/webhooks', requireAgent('keys'), (req, res) => {
+  res.json(webhooks.listWebhooks(req.params.name));
+});
+
+app.post('/api/agents/:name/webhooks', requireAgent('keys'), (req, res) => {
+  const { url, events, description } = req.body;
+  const result = webhooks.register(req.params.name, { url, events, description });
+  if (!result.success) return res.status(400).json(result);
+  res.status(201).json(result);
+});
+
+app.delete('/api/agents/:name/webhooks/:id', requireAgent('keys'), (req, res) => {
+  const result = webhooks.remove(req.params.name, req.params.id);
+  if (!result.success) return res.status(404).json(result);
+  res.json(result);
+});
+
+// Undelivered webhook deliveries; ?status=dead is the dead-letter list
+app.get('/api/agents/:name/webhooks/deliveries', requireAgent('keys'), (req, res) => {
+  res.json(webhooks.listDeliveries(req.params.name, req.query.status));
+});
+
+// Send a dead delivery again
+app.post('/api/agents/:name/webhooks/deliveries/:id/replay', requireAgent('keys'), (req, res) => {
+  const result = webhooks.replay(req.params.name, req.params.id);
+  if (!result.success) return res.status(result.error === 'Delivery not found' ? 404 : 409).json(result);
   res.json(result);
 });
 
@@ -483,34 +3086,290 @@ app.get('/api/agents/:name', async (req, res) => {
   res.json(enriched);
 });
 
-// Deposit tokens
-app.post('/api/agents/:name/deposit', (req, res) => {
+// Deposit tokens without a transfer (sandbox mode only)
+app.post('/api/agents/:name/deposit', requireAgent('funds'), (req, res) => {
+  if (DEPOSIT_MODE !== 'sandbox') {
+    return res.status(403).json({
+      error: `Deposits are credited from confirmed on-chain transfers: see GET /api/agents/${req.params.name}/deposit-address`,
+    });
+  }
+  const { token, amount } = req.body;
+  if (!token || !amount) return res.status(400).json({ error: 'token and amount required' });
+  const result = commands.depositTokens(req.params.name, token, amount);
+  res.json(result);
+});
+
+// Where to send on-chain deposits
+app.get('/api/agents/:name/deposit-address', (req, res) => {
+  const agent = getAgent(req.params.name);
+  if (!agent) return res.status(404).json({ error: 'Agent not found' });
+  res.json(getDepositInstructions(agent));
+});
+
+// An agent's credited on-chain deposits
+app.get('/api/agents/:name/deposits', (req, res) => {
+  const agent = getAgent(req.params.name);
+  if (!agent) return res.status(404).json({ error: 'Agent not found' });
+  res.json(getDeposits(agent.name));
+});
+
+// Withdraw tokens to the agent's registered address
+app.post('/api/agents/:name/withdraw', requireAgent('funds'), (req, res) => {
   const { token, amount } = req.body;
   if (!token || !amount) return res.status(400).json({ error: 'token and amount required' });
-  const result = depositTokens(req.params.name, token, amount);
+  const result = commands.withdrawTokens(req.params.name, token, amount);
   res.json(result);
 });
 
+// An agent's withdrawals and their payout status
+app.get('/api/agents/:name/withdrawals', (req, res) => {
+  const agent = getAgent(req.params.name);
+  if (!agent) return res.status(404).json({ error: 'Agent not found' });
+  res.json(getWithdrawals(agent.name));
+});
+
+// Agent statement — every ledger posting to the agent's accounts
+app.get('/api/agents/:name/statement', (req, res) => {
+  const agent = getAgent(req.params.name);
+  if (!agent) return res.status(404).json({ error: 'Agent not found' });
+  const { from, to } = req.query;
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: `${key} must be an ISO timestamp` });
+    }
+  }
+  res.json(ledger.statement(agent.name, { from, to }));
+});
+
+// Ledger invariant check — do the books balance and match the world?
+app.get('/api/ledger/check', (req, res) => {
+  const check = checkLedger();
+  res.status(check.ok ? 200 : 500).json(check);
+});
+
 // Post intent
-app.post('/api/intents', (req, res) => {
+app.post('/api/intents', requireAgent('trade', { delegates: true }), (req, res) => {
   const { agent, give, want, options } = req.body;
   if (!agent || !give || !want) {
     return res.status(400).json({ error: 'agent, give, and want are required' });
   }
-  const result = postIntent(agent, give, want, options);
+  // A sub-agent's intent: within its key's limits, attributed to the key
+  const delegate = delegateOf(req);
+  let delegated = null;
+  if (delegate) {
+    delegated = checkDelegatedOrder(delegate.key, give.token, want.token, give.amount);
+    if (delegated.error) return res.status(403).json({ success: false, error: delegated.error });
+  }
+  const result = commands.postIntent(agent, give, want, { ...options, delegate });
+  if (result.success && delegated) auth.recordDelegated(delegate.key, delegated.added);
   res.json(result);
 });
 
 // Get active intents
 app.get('/api/intents', (req, res) => {
-  const { token } = req.query;
-  res.json(getActiveIntents(token));
+  const query = pagination.parseQuery(req.query, ['agent', 'pair', 'status', 'from', 'to', 'token']);
+  if (!query.success) return res.status(400).json({ error: query.error });
+  res.json(listIntents(query));
+});
+
+// Get one intent with its fills
+app.get('/api/intents/:id', (req, res) => {
+  const intent = getIntent(req.params.id);
+  if (!intent) return res.status(404).json({ error: 'Intent not found' });
+  res.json(intent);
+});
+
+// Cancel an intent — refunds the unfilled escrow
+app.delete('/api/intents/:id', requireAgent('trade', { delegates: true }), (req, res) => {
+  const agent = req.body?.agent || req.query.agent;
+  if (!agent) return res.status(400).json({ error: 'agent is required' });
+  const foreign = foreignIntentError(req, req.params.id);
+  if (foreign) return res.status(403).json({ success: false, error: foreign });
+  const result = commands.cancelIntent(agent, req.params.id);
+  if (!result.success) return res.status(400).json(result);
+  res.json(result);
+});
+
+// Amend an intent's amount, price (minAmount/maxSlippage) or expiry
+app.patch('/api/intents/:id', requireAgent('trade', { delegates: true }), (req, res) => {
+  const { agent, amount, minAmount, maxSlippage, expiresAt } = req.body;
+  if (!agent) return res.status(400).json({ error: 'agent is required' });
+  const foreign = foreignIntentError(req, req.params.id);
+  if (foreign) return res.status(403).json({ success: false, error: foreign });
+
+  // A sub-agent may resize its intent within its key's limits; only the
+  // increase counts toward the day
+  const intent = world.intents.get(req.params.id);
+  const delegate = delegateOf(req);
+  let delegated = null;
+  if (delegate && intent && amount !== undefined) {
+    const increase = amounts.parse(intent.give.token, amount);
+    const added = increase.error ? amount : amounts.max(amounts.ZERO, increase.value - intent.give.amount);
+    delegated = checkDelegatedOrder(delegate.key, intent.give.token, intent.want.token, amount, added);
+    if (delegated.error) return res.status(403).json({ success: false, error: delegated.error });
+  }
+  const result = commands.amendIntent(agent, req.params.id, { amount, minAmount, maxSlippage, expiresAt });
+  if (!result.success) return res.status(400).json(result);
+  if (delegated) auth.recordDelegated(delegate.key, delegated.added);
+  res.json(result);
+});
+
+// Create a stop-loss / take-profit conditional — escrows funds until it fires
+app.post('/api/conditionals', requireAgent('trade'), (req, res) => {
+  const { agent, type, give, want, triggerPrice, options } = req.body;
+  if (!agent || !type || !give || !want || triggerPrice === undefined) {
+    return res.status(400).json({ error: 'agent, type, give, want, and triggerPrice are required' });
+  }
+  const result = commands.postConditional(agent, type, give, want, triggerPrice, options);
+  if (!result.success) return res.status(400).json(result);
+  res.json(result);
+});
+
+// List conditionals (filter by agent and status)
+app.get('/api/conditionals', (req, res) => {
+  const { agent, status } = req.query;
+  res.json(getConditionals({ agent, status }));
+});
+
+// Get one conditional
+app.get('/api/conditionals/:id', (req, res) => {
+  const conditional = world.conditionals.get(req.params.id);
+  if (!conditional) return res.status(404).json({ error: 'Conditional not found' });
+  res.json(conditional);
+});
+
+// Cancel a pending conditional — refunds the escrow
+app.delete('/api/conditionals/:id', requireAgent('trade'), (req, res) => {
+  const agent = req.body?.agent || req.query.agent;
+  if (!agent) return res.status(400).json({ error: 'agent is required' });
+  const result = commands.cancelConditional(agent, req.params.id);
+  if (!result.success) return res.status(400).json(result);
+  res.json(result);
+});
+
+// Start a TWAP or iceberg algo — escrows the parent, posts child intents
+app.post('/api/algos', requireAgent('trade'), (req, res) => {
+  const { agent, type, give, want, params, options } = req.body;
+  if (!agent || !type || !give || !want) {
+    return res.status(400).json({ error: 'agent, type, give, and want are required' });
+  }
+  const result = commands.startAlgo(agent, type, give, want, params, options);
+  if (!result.success) return res.status(400).json(result);
+  res.json(result);
+});
+
+// List algos (filter by agent and status)
+app.get('/api/algos', (req, res) => {
+  const { agent, status } = req.query;
+  res.json(getAlgos({ agent, status }));
 });
 
-// Get swap history
+// Get one algo with progress and average fill price
+app.get('/api/algos/:id', (req, res) => {
+  const algo = getAlgo(req.params.id);
+  if (!algo) return res.status(404).json({ error: 'Algo not found' });
+  res.json(algo);
+});
+
+// Pause a running algo
+app.post('/api/algos/:id/pause', requireAgent('trade'), (req, res) => {
+  if (!req.body.agent) return res.status(400).json({ error: 'agent is required' });
+  const result = commands.pauseAlgo(req.body.agent, req.params.id);
+  if (!result.success) return res.status(400).json(result);
+  res.json(result);
+});
+
+// Resume a paused algo
+app.post('/api/algos/:id/resume', requireAgent('trade'), (req, res) => {
+  if (!req.body.agent) return res.status(400).json({ error: 'agent is required' });
+  const result = commands.resumeAlgo(req.body.agent, req.params.id);
+  if (!result.success) return res.status(400).json(result);
+  res.json(result);
+});
+
+// Cancel an algo — refunds everything unfilled
+app.delete('/api/algos/:id', requireAgent('trade'), (req, res) => {
+  const agent = req.body?.agent || req.query.agent;
+  if (!agent) return res.status(400).json({ error: 'agent is required' });
+  const result = commands.cancelAlgo(agent, req.params.id);
+  if (!result.success) return res.status(400).json(result);
+  res.json(result);
+});
+
+// Order book summary — top of book for every pair
+app.get('/api/orderbook', (req, res) => {
+  res.json(orderbook.getPairs());
+});
+
+// Order book depth for one pair (e.g. /api/orderbook/ETH-USDC)
+app.get('/api/orderbook/:pair', (req, res) => {
+  const pair = orderbook.parsePair(req.params.pair);
+  if (!pair) return res.status(400).json({ error: 'pair must look like BASE-QUOTE (e.g. ETH-USDC)' });
+  const levels = parseInt(req.query.levels) || 20;
+  res.json(orderbook.getDepth(pair.key, levels));
+});
+
+// Market data from this venue's own swaps: OHLCV candles (?interval=1m|5m|
+// 1h|1d, from, to, limit) and a ticker with last, VWAP and mark prices
+app.get('/api/markets/:pair/candles', (req, res) => {
+  const pair = orderbook.parsePair(req.params.pair);
+  if (!pair) return res.status(400).json({ error: 'pair must look like BASE-QUOTE (e.g. ETH-USDC)' });
+  const query = markets.parseCandleQuery(req.query);
+  if (!query.success) return res.status(400).json({ error: query.error });
+  res.json(getCandles(pair, query));
+});
+
+app.get('/api/markets/:pair/ticker', (req, res) => {
+  const pair = orderbook.parsePair(req.params.pair);
+  if (!pair) return res.status(400).json({ error: 'pair must look like BASE-QUOTE (e.g. ETH-USDC)' });
+  res.json(getTicker(pair));
+});
+
+// Get swap history (?algo=<id> groups the fills of one algo's children,
+// ?delegate=<key id> the fills of one sub-agent's delegated key)
 app.get('/api/swaps', (req, res) => {
+  const query = pagination.parseQuery(req.query, ['agent', 'pair', 'from', 'to', 'algo', 'delegate']);
+  if (!query.success) return res.status(400).json({ error: query.error });
+  res.json(getSwapHistory(query));
+});
+
+// Batch auction pairs and recent clearings
+app.get('/api/auctions', (req, res) => {
+  const limit = parseInt(req.query.limit) || 50;
+  res.json({ pairs: auction.getConfig(), results: auction.getResults(null, limit) });
+});
+
+// Auction state for one pair, with the indicative clearing price right now
+app.get('/api/auctions/:pair', (req, res) => {
+  const pair = orderbook.parsePair(req.params.pair);
+  if (!pair) return res.status(400).json({ error: 'pair must look like BASE-QUOTE (e.g. ETH-USDC)' });
+  const bids = orderbook.getResting(pair.quote, pair.base).filter(isMatchable);
+  const asks = orderbook.getResting(pair.base, pair.quote).filter(isMatchable);
+  res.json({
+    pair: pair.key,
+    enabled: auction.isEnabled(pair.key),
+    config: auction.getConfig().find((c) => c.pair === pair.key) || null,
+    indicative: auction.clearingPrice(bids, asks),
+    results: auction.getResults(pair.key, parseInt(req.query.limit) || 20),
+  });
+});
+
+// Switch a pair's matching mode (operator only)
+app.post('/api/auctions/:pair', requireAdmin, (req, res) => {
+  const pair = orderbook.parsePair(req.params.pair);
+  if (!pair) return res.status(400).json({ error: 'pair must look like BASE-QUOTE (e.g. ETH-USDC)' });
+  const { enabled, intervalMs } = req.body;
+  if (typeof enabled !== 'boolean') return res.status(400).json({ error: 'enabled (boolean) is required' });
+  if (intervalMs !== undefined && !(intervalMs >= 1000)) {
+    return res.status(400).json({ error: 'intervalMs must be at least 1000' });
+  }
+  res.json(commands.setAuctionMode(pair.key, enabled, intervalMs));
+});
+
+// Get ring (multi-hop) history
+app.get('/api/rings', (req, res) => {
   const limit = parseInt(req.query.limit) || 50;
-  res.json(getSwapHistory(limit));
+  res.json(getRingHistory(limit));
 });
 
 // Get leaderboard
@@ -518,16 +3377,32 @@ app.get('/api/leaderboard', (req, res) => {
   res.json(world.leaderboard);
 });
 
-// Get events stream
+// Events, newest first, 100 per page (see pagination.js). With ?after=<seq>
+// they come oldest first from that sequence number instead, for agents that
+// catch up by polling; the returned nextCursor keeps going forward
 app.get('/api/events', (req, res) => {
-  const since = req.query.since ? new Date(req.query.since) : null;
-  let events = world.events;
-  if (since) {
-    events = events.filter((e) => new Date(e.timestamp) > since);
+  const query = pagination.parseQuery(req.query, ['type', 'agent', 'pair', 'intent', 'from', 'to'], {
+    defaultLimit: 100,
+  });
+  if (!query.success) return res.status(400).json({ error: query.error });
+  if (req.query.after !== undefined && !query.cursor) {
+    const { success, since, error } = stream.parseSince(req.query.after, 'after');
+    if (!success) return res.status(400).json({ error });
+    query.cursor = { position: since, order: 'asc' };
   }
-  res.json(events.slice(-100));
+  // Older clients pass since=<ISO timestamp>, exclusive
+  if (req.query.since) {
+    const since = Date.parse(req.query.since);
+    if (Number.isNaN(since)) return res.status(400).json({ error: 'since must be an ISO timestamp' });
+    query.filters.from = Math.max(query.filters.from ?? -Infinity, since + 1);
+  }
+  res.json(getEvents(query));
 });
 
+// Live events over Server-Sent Events (see stream.js); the same stream is
+// served over WebSocket at /api/ws
+app.get('/api/stream', stream.sse({ history: () => world.events }));
+
 // Solana status
 app.get('/api/solana', async (req, res) => {
   const status = await solana.getConnectionStatus();
@@ -546,17 +3421,19 @@ app.get('/api/agents/:name/wallet', (req, res) => {
   }
 });
 
-// Live token prices from Jupiter
-app.get('/api/prices', async (req, res) => {
-  const prices = await solana.getTokenPrices(world.economy.supportedTokens);
-  // Update world prices with live data
-  if (Object.keys(prices).length > 0) {
-    Object.assign(world.economy.tokenPrices, prices);
-  }
-  res.json(world.economy.tokenPrices);
+// Token prices from the oracle, with age, confidence and staleness
+app.get('/api/prices', (req, res) => {
+  res.json(getPrices());
+});
+
+// Price sources and when each last answered
+app.get('/api/prices/sources', (req, res) => {
+  res.json(oracle.getStatus());
 });
 
-// Governance API
+// Governance API — creating proposals and voting act for an agent
+app.post('/api/governance/proposals', requireAgent('governance'));
+app.post('/api/governance/proposals/:id/vote', requireAgent('governance'));
 app.use('/api/governance', governance.router);
 
 // Base chain API — on-chain state, contracts, balances
@@ -588,6 +3465,9 @@ app.get('/health', async (req, res) => {
     solana: solStatus ? { connected: solStatus.connected, network: solStatus.network } : null,
     base: baseState ? { connected: true, chainId: base.CHAIN_ID, blockNumber: baseState.blockNumber } : null,
     onchain: { initialized: onchainStatus.initialized, rewards: onchainStatus.stats },
+    storage: storage.getStatus(),
+    journal: journal.getStatus(),
+    ledger: { ...ledger.getStatus(), balanced: checkLedger().ok },
   });
 });
 
@@ -595,65 +3475,205 @@ app.get('/health', async (req, res) => {
 // Start Server
 // ============================================================================
 
-const PORT = process.env.PORT || 8800;
+/**
+ * Restore state, start the timers and listen. Runs when this file is the
+ * entry point (`npm start`); tools that only need the engine (replay.js)
+ * require it without starting anything.
+ */
+function start() {
+  const PORT = process.env.PORT || 8800;
+
+  // Restore the last saved state and replay the journal written since,
+  // before anything can trade against it; then snapshot periodically
+  storage.init();
+  journal.init();
+  const { restored, replayed } = recover();
+  if (restored.restored) {
+    console.log(`[storage] Restored ${restored.sections.join(', ')} from snapshot of ${restored.savedAt}`);
+  }
+  if (replayed) {
+    console.log(`[journal] Replayed ${replayed.commands} commands written after the snapshot`);
+    for (const d of replayed.divergences) {
+      console.warn(`[journal] Replay diverged at record ${d.seq} (${d.type})${d.error ? `: ${d.error}` : ''}`);
+    }
+  }
+  storage.start();
+
+  // Write any pending change before exiting
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      try {
+        storage.flush();
+      } catch (err) {
+        console.error(`[storage] Final save failed: ${err.message}`);
+      }
+      process.exit(0);
+    });
+  }
+
+  // Pick the payout executor and finish payouts interrupted by the
+  // restart: broadcast ones are confirmed, pending ones are sent
+  payouts.init();
+  for (const withdrawal of world.withdrawals.values()) {
+    if (isPaying(withdrawal)) payWithdrawal(withdrawal);
+  }
+  console.log(`[payouts] Executor: ${payouts.getExecutor().name}`);
 
-// Initialize Solana connection
-try {
-  solana.initSolana({ network: process.env.SOLANA_NETWORK || 'devnet' });
-} catch (err) {
-  console.warn(`[solana] Init failed: ${err.message} — running in off-chain mode`);
-}
+  // Initialize Solana connection
+  try {
+    solana.initSolana({ network: process.env.SOLANA_NETWORK || 'devnet' });
+  } catch (err) {
+    console.warn(`[solana] Init failed: ${err.message} — running in off-chain mode`);
+  }
 
-// Initialize Base chain connection (read-only)
-base.initBase();
+  // Initialize Base chain connection (read-only)
+  base.initBase();
 
-// Initialize on-chain writer (deployer wallet)
-onchain.init().catch((err) => {
-  console.warn(`[onchain] Init failed: ${err.message} — rewards will be in-memory only`);
-});
+  // Credit confirmed on-chain deposits (sandbox mode credits the deposit
+  // route instead)
+  if (DEPOSIT_MODE === 'onchain') watchDeposits();
+  console.log(`[deposits] Mode: ${DEPOSIT_MODE}`);
 
-// Periodically update token prices from Jupiter (every 60s)
-setInterval(async () => {
-  try {
-    const prices = await solana.getTokenPrices(world.economy.supportedTokens);
-    if (Object.keys(prices).length > 0) {
-      Object.assign(world.economy.tokenPrices, prices);
+  // Initialize on-chain writer (deployer wallet)
+  onchain.init().catch((err) => {
+    console.warn(`[onchain] Init failed: ${err.message} — rewards will be in-memory only`);
+  });
+
+  // Refresh token prices from the oracle now and every PRICE_REFRESH_MS,
+  // firing stop-loss / take-profit conditionals they cross
+  oracle.init({
+    tokens: world.economy.supportedTokens,
+    getTokenPrices: solana.getTokenPrices,
+    jupiterTokens: Object.keys(solana.TOKEN_MINTS).filter((t) => solana.TOKEN_MINTS[t]),
+    provider: base.getProvider,
+  });
+  const refreshPrices = async () => {
+    const prices = await oracle.refresh(world.economy.supportedTokens);
+    try {
+      if (Object.keys(prices).length > 0) commands.updateTokenPrices(prices);
+    } catch (err) {
+      console.error(`[conditionals] Trigger check failed: ${err.message}`);
     }
-  } catch {
-    /* ignore */
-  }
-}, 60000);
-
-const x402Config = x402.resolveConfig();
-
-app.listen(PORT, () => {
-  console.log(`\n========================================`);
-  console.log(`  AgentSwaps Trading Floor v${world.version}`);
-  console.log(`  The first DEX where both sides are AI`);
-  console.log(`========================================`);
-  console.log(`  API: http://localhost:${PORT}/api/world`);
-  console.log(`  Health: http://localhost:${PORT}/health`);
-  console.log(`  Agents: ${world.agents.size}`);
-  console.log(`  Supported tokens: ${world.economy.supportedTokens.join(', ')}`);
-  console.log(`  Fee: ${world.economy.feeRate * 100}%`);
-  console.log(
-    `  x402: ${x402Config.enabled ? `ACTIVE (${x402Config.environment}, ${x402Config.network})` : 'inactive'}`
-  );
-  console.log(`  Base chain: http://localhost:${PORT}/api/base/state`);
-  console.log(`  Contracts: http://localhost:${PORT}/api/base/contracts`);
-  console.log(`  On-chain rewards: http://localhost:${PORT}/api/onchain/status`);
-  console.log(`  Pricing: http://localhost:${PORT}/api/x402/pricing`);
-  console.log(`  Discovery: http://localhost:${PORT}/api/x402/discover`);
-  console.log(`========================================\n`);
-});
+  };
+  refreshPrices();
+  setInterval(refreshPrices, oracle.REFRESH_MS);
+
+  // Expire stale intents and conditionals, refunding their escrow (every 5s)
+  const EXPIRY_SWEEP_MS = 5000;
+  setInterval(() => {
+    try {
+      commands.sweepExpired();
+    } catch (err) {
+      console.error(`[intents] Expiry sweep failed: ${err.message}`);
+    }
+  }, EXPIRY_SWEEP_MS);
+
+  // End proposals whose voting period is over, so their proposal_ended
+  // events go out without anyone reading the proposals (every 5s)
+  setInterval(() => {
+    try {
+      governance.finalizeEnded();
+    } catch (err) {
+      console.error(`[governance] Finalizing proposals failed: ${err.message}`);
+    }
+  }, EXPIRY_SWEEP_MS);
+
+  // Drop expired SIWE sessions and unsigned challenges (every minute)
+  setInterval(() => auth.sweep(), 60 * 1000);
+
+  // Send webhook deliveries and retries that are due (every second)
+  setInterval(() => {
+    webhooks.deliverDue().catch((err) => console.error(`[webhooks] Delivery run failed: ${err.message}`));
+  }, 1000);
+
+  // Clear batch-auction pairs whose window has elapsed (checked every second)
+  setInterval(() => {
+    try {
+      runDueAuctions();
+    } catch (err) {
+      console.error(`[auction] Clearing failed: ${err.message}`);
+    }
+  }, 1000);
+
+  // Advance TWAP schedules and refill iceberg slices (every second)
+  setInterval(() => {
+    try {
+      commands.runAlgos();
+    } catch (err) {
+      console.error(`[algos] Tick failed: ${err.message}`);
+    }
+  }, 1000);
+
+  const x402Config = x402.resolveConfig();
+
+  const server = app.listen(PORT, () => {
+    console.log(`\n========================================`);
+    console.log(`  AgentSwaps Trading Floor v${world.version}`);
+    console.log(`  The first DEX where both sides are AI`);
+    console.log(`========================================`);
+    console.log(`  API: http://localhost:${PORT}/api/world`);
+    console.log(`  Health: http://localhost:${PORT}/health`);
+    console.log(`  Agents: ${world.agents.size}`);
+    console.log(`  Supported tokens: ${world.economy.supportedTokens.join(', ')}`);
+    console.log(`  Fee: ${world.economy.feeRate * 100}%`);
+    console.log(`  Storage: ${storage.getStatus().backend}`);
+    console.log(
+      `  x402: ${x402Config.enabled ? `ACTIVE (${x402Config.environment}, ${x402Config.network})` : 'inactive'}`
+    );
+    console.log(`  Base chain: http://localhost:${PORT}/api/base/state`);
+    console.log(`  Contracts: http://localhost:${PORT}/api/base/contracts`);
+    console.log(`  On-chain rewards: http://localhost:${PORT}/api/onchain/status`);
+    console.log(`  Pricing: http://localhost:${PORT}/api/x402/pricing`);
+    console.log(`  Discovery: http://localhost:${PORT}/api/x402/discover`);
+    console.log(`  Events: http://localhost:${PORT}/api/stream (SSE), ws://localhost:${PORT}/api/ws`);
+    console.log(`========================================\n`);
+  });
+  server.on('upgrade', stream.websocketServer({ history: () => world.events }));
+}
+
+if (require.main === module) start();
 
 module.exports = {
-  registerAgent,
-  depositTokens,
-  postIntent,
+  // Journaled entry points
+  registerAgent: commands.registerAgent,
+  verifyWallet: commands.verifyWallet,
+  approveMember: commands.approveMember,
+  depositTokens: commands.depositTokens,
+  creditDeposit: commands.creditDeposit,
+  withdrawTokens: commands.withdrawTokens,
+  updateWithdrawal: commands.updateWithdrawal,
+  postIntent: commands.postIntent,
+  cancelIntent: commands.cancelIntent,
+  amendIntent: commands.amendIntent,
+  expireIntents: commands.expireIntents,
+  sweepExpired: commands.sweepExpired,
+  postConditional: commands.postConditional,
+  cancelConditional: commands.cancelConditional,
+  updateTokenPrices: commands.updateTokenPrices,
+  startAlgo: commands.startAlgo,
+  pauseAlgo: commands.pauseAlgo,
+  resumeAlgo: commands.resumeAlgo,
+  cancelAlgo: commands.cancelAlgo,
+  runAlgos: commands.runAlgos,
+  runAuction: commands.runAuction,
+  setAuctionMode: commands.setAuctionMode,
+  triggerConditionals: commands.triggerConditionals,
+  getAlgo,
   getWorldState,
+  getPrices,
   getActiveIntents,
+  getIntent,
   getSwapHistory,
+  getTicker,
+  getCandles,
+  getRingHistory,
+  getWithdrawals,
+  getDeposits,
+  getDepositInstructions,
+  checkLedger,
+  replayJournal,
+  recover,
+  start,
   world,
   app,
 };
@@ -0,0 +1,318 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Event Journal
+ *
+ * An append-only, typed and versioned record of every state change on the
+ * trading floor, from which the world can be rebuilt by replay.
+ *
+ * The journal holds two kinds of records, one JSON object per line:
+ *
+ *   command  — an input that changed state: agent.registered,
+ *              tokens.deposited, intent.posted, intent.cancelled, ... and
+ *              the timer ticks that expire intents, clear auctions and
+ *              advance algos. Carries the arguments, the time it ran at
+ *              and every id it generated.
+ *   effect   — what a command caused: swap.filled, ring.filled,
+ *              fee.charged, reward.minted. Linked to its command by
+ *              `cause`. Replay recomputes effects and compares them.
+ *
+ * Replay is deterministic because a command never reads the wall clock or
+ * a random source directly: inside a command, now() is the recorded time
+ * and newId() hands back the recorded ids in order. Re-running the same
+ * journal through the same engine therefore produces the same balances,
+ * swap ids and effects; running it through a changed engine reports where
+ * the effects diverge.
+ *
+ * Records are written as soon as their command finishes — a single write
+ * for the command and its effects, fsynced when writing to a file.
+ *
+ * Without a file (no JOURNAL_PATH and no file storage) only the last
+ * MEMORY_RECORDS records are kept, like the event history: enough to
+ * inspect recent commands, not to rebuild the world. Use a file for replay.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const amounts = require('./amounts');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Record layout version — replay refuses records newer than this
+const JOURNAL_VERSION = 2;
+
+// JOURNAL_PATH selects a file; with file storage it defaults next to the snapshot
+const DEFAULT_PATH =
+  process.env.JOURNAL_PATH ||
+  (process.env.STORAGE_BACKEND === 'file' ? path.join(__dirname, '..', 'data', 'journal.jsonl') : null);
+
+// Records kept in memory mode, oldest dropped first
+const MEMORY_RECORDS = Number(process.env.JOURNAL_MEMORY_RECORDS) || 10000;
+
+// ============================================================================
+// State
+// ============================================================================
+
+let file = null; // journal file, or null to keep records in memory
+let fd = null;
+let records = []; // in-memory records (memory mode only)
+let memoryRecords = MEMORY_RECORDS;
+let seq = 0; // last sequence number written
+
+// The command currently executing: { at, ids, effects, replay? }
+let context = null;
+let depth = 0;
+let replaying = false;
+
+/**
+ * Choose where records go. Called at boot; tests call it to reset.
+ *
+ * @param {object} [options]
+ * @param {string|null} [options.path] - JSONL file (default JOURNAL_PATH); null keeps records in memory
+ * @param {number} [options.memoryRecords] - Records kept in memory mode (default MEMORY_RECORDS)
+ */
+function init(options = {}) {
+  if (fd !== null) fs.closeSync(fd);
+  fd = null;
+  records = [];
+  memoryRecords = options.memoryRecords || MEMORY_RECORDS;
+  seq = 0;
+  file = options.path !== undefined ? options.path : DEFAULT_PATH;
+
+  if (file) {
+    file = path.resolve(file);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const existing = read(file);
+    seq = existing.length ? existing[existing.length - 1].seq : 0;
+    fd = fs.openSync(file, 'a');
+  }
+  return { path: file, seq };
+}
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * Parse a journal file. A torn final line (crash mid-write) is ignored.
+ *
+ * @param {string} journalPath
+ * @returns {object[]}
+ */
+function read(journalPath) {
+  if (!fs.existsSync(journalPath)) return [];
+  const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+  const out = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i]) continue;
+    try {
+      out.push(JSON.parse(lines[i]));
+    } catch (err) {
+      if (i < lines.length - 1) throw new Error(`Corrupt journal record on line ${i + 1}: ${err.message}`);
+    }
+  }
+  return out;
+}
+
+/**
+ * Records written so far (memory mode: the most recent ones) or read back
+ * from the file.
+ */
+function getRecords() {
+  return file ? read(file) : records.slice();
+}
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Plain-JSON copy of command data or an effect; amounts become decimal strings.
+ */
+function clone(data) {
+  return JSON.parse(JSON.stringify(data, amounts.replacer));
+}
+
+function write(batch) {
+  if (file) {
+    fs.writeSync(fd, batch.map((r) => JSON.stringify(r)).join('\n') + '\n');
+    fs.fsyncSync(fd);
+  } else {
+    records.push(...batch);
+    if (records.length > memoryRecords) {
+      // Drop whole commands, so the oldest record kept is a command with its effects
+      let start = records.length - memoryRecords;
+      while (start < records.length && records[start].kind !== 'command') start++;
+      records = records.slice(start);
+    }
+  }
+}
+
+/**
+ * Run `fn` as a journaled command. Nested commands (a conditional firing
+ * postIntent, say) are part of the outer one and are not recorded again.
+ *
+ * @param {string} type - Command type ("intent.posted")
+ * @param {object} data - The command's arguments (copied before `fn` runs)
+ * @param {Function} fn - Executes the command
+ * @param {object} [options]
+ * @param {boolean} [options.quiet] - Drop the record if the command drew no
+ *   ids (timer ticks that found nothing to do — every event draws one)
+ * @returns {*} Whatever `fn` returns
+ */
+function command(type, data, fn, options = {}) {
+  if (depth > 0 || replaying) {
+    depth++;
+    try {
+      return fn();
+    } finally {
+      depth--;
+    }
+  }
+
+  const payload = clone(data || {});
+  context = { at: Date.now(), ids: [], effects: [] };
+  depth = 1;
+  try {
+    return fn();
+  } finally {
+    const ctx = context;
+    context = null;
+    depth = 0;
+    if (!(options.quiet && ctx.ids.length === 0)) {
+      const at = new Date(ctx.at).toISOString();
+      const head = { v: JOURNAL_VERSION, seq: ++seq, kind: 'command', type, at, data: payload, ids: ctx.ids };
+      const effects = ctx.effects.map((e) => ({
+        v: JOURNAL_VERSION,
+        seq: ++seq,
+        kind: 'effect',
+        type: e.type,
+        at,
+        cause: head.seq,
+        data: e.data,
+      }));
+      write([head, ...effects]);
+    }
+  }
+}
+
+/**
+ * Note an effect of the running command. Outside a command (on-chain
+ * receipts arriving later, for instance) there is nothing to attach it to
+ * and it is ignored.
+ */
+function effect(type, data) {
+  if (context) context.effects.push({ type, data: clone(data) });
+}
+
+/**
+ * Current time in ms — the command's recorded time while one is running.
+ */
+function now() {
+  return context ? context.at : Date.now();
+}
+
+function timestamp() {
+  return new Date(now()).toISOString();
+}
+
+/**
+ * A fresh id. During replay, the ids the command drew originally.
+ */
+function newId() {
+  if (!context) return uuidv4();
+  if (context.replay) {
+    const id = context.replay.shift();
+    if (id) return id;
+  }
+  const id = uuidv4();
+  context.ids.push(id);
+  return id;
+}
+
+function isReplaying() {
+  return replaying;
+}
+
+// ============================================================================
+// Replay
+// ============================================================================
+
+/**
+ * Re-execute every command in `list` through `execute` and compare the
+ * effects it produces with the recorded ones.
+ *
+ * @param {object[]} list - Journal records, in order
+ * @param {(type: string, data: object) => *} execute - Runs one command against the engine
+ * @returns {{ commands: number, effects: number, divergences: object[] }}
+ */
+function replay(list, execute) {
+  const expected = new Map();
+  for (const r of list) {
+    if (r.v > JOURNAL_VERSION) throw new Error(`Journal record ${r.seq} has unsupported version ${r.v}`);
+    if (r.kind !== 'effect') continue;
+    if (!expected.has(r.cause)) expected.set(r.cause, []);
+    expected.get(r.cause).push({ type: r.type, data: r.data });
+  }
+
+  const divergences = [];
+  let commands = 0;
+  let effects = 0;
+
+  replaying = true;
+  try {
+    for (const r of list) {
+      if (r.kind !== 'command') continue;
+      commands++;
+      context = { at: new Date(r.at).getTime(), ids: [], effects: [], replay: [...r.ids] };
+      depth = 1;
+      let error = null;
+      try {
+        execute(r.type, r.data);
+      } catch (err) {
+        error = err.message;
+      }
+      const produced = context.effects;
+      context = null;
+      depth = 0;
+
+      effects += produced.length;
+      const recorded = expected.get(r.seq) || [];
+      if (error || JSON.stringify(produced) !== JSON.stringify(recorded)) {
+        divergences.push({ seq: r.seq, type: r.type, error, expected: recorded, actual: produced });
+      }
+    }
+  } finally {
+    replaying = false;
+    context = null;
+    depth = 0;
+  }
+
+  return { commands, effects, divergences };
+}
+
+function getStatus() {
+  return { version: JOURNAL_VERSION, path: file, seq };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  JOURNAL_VERSION,
+  MEMORY_RECORDS,
+  init,
+  read,
+  getRecords,
+  command,
+  effect,
+  now,
+  timestamp,
+  newId,
+  isReplaying,
+  replay,
+  getStatus,
+};
@@ -0,0 +1,293 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Double-Entry Ledger
+ *
+ * Every movement of value on the trading floor is posted here as an entry:
+ * a set of postings to named accounts whose amounts sum to zero in every
+ * token. Nothing is created or destroyed inside the venue — value only
+ * moves between accounts — so the books prove that what agents and the
+ * treasury hold is exactly what came in from outside.
+ *
+ * Accounts (each holds a balance per token):
+ *
+ *   agent:<name>:available  — free balance an agent can trade or withdraw
+ *   agent:<name>:escrow     — locked in open intents, pending conditionals
+ *                             and the unreleased size of algos
+ *   agent:<name>:rewards    — $SWAP trading rewards
+ *   treasury                — fees and fill rounding kept by the venue
+ *   withdrawals             — withdrawn by agents, payout not yet confirmed
+ *   rewards:usage           — the $SWAP usage-rewards pool (negative by
+ *                             what it has minted)
+ *   external                — the world outside the venue: deposits are
+ *                             posted from it and confirmed payouts to it,
+ *                             so it is negative by the net deposits
+ *
+ * A positive posting adds to the account, a negative one takes from it.
+ * Amounts are fixed-point (see amounts.js).
+ *
+ * The ledger only records. The engine keeps reading agent.balance and
+ * economy.treasury, and escrow stays on the orders themselves; index.js
+ * applies each entry to those and reconciles them with checkLedger().
+ */
+
+const amounts = require('./amounts');
+const journal = require('./journal');
+const storage = require('./storage');
+
+// ============================================================================
+// Accounts
+// ============================================================================
+
+const TREASURY = 'treasury';
+const WITHDRAWALS = 'withdrawals';
+const EXTERNAL = 'external';
+const REWARDS_POOL = 'rewards:usage';
+
+// The accounts every agent has
+const AGENT_ACCOUNTS = ['available', 'escrow', 'rewards'];
+
+/**
+ * Name of one of an agent's accounts.
+ *
+ * @param {string} agentName
+ * @param {'available'|'escrow'|'rewards'} kind
+ */
+function agentAccount(agentName, kind) {
+  return `agent:${agentName}:${kind}`;
+}
+
+/**
+ * Split an agent account name into its owner and kind.
+ *
+ * @returns {{ agent: string, kind: string }|null} null for venue accounts
+ */
+function parseAccount(account) {
+  if (!account.startsWith('agent:')) return null;
+  const split = account.lastIndexOf(':');
+  return { agent: account.slice('agent:'.length, split), kind: account.slice(split + 1) };
+}
+
+// ============================================================================
+// State
+// ============================================================================
+
+let entries = []; // every entry, oldest first
+let seq = 0; // last entry number
+const balances = new Map(); // account -> { token: bigint }
+const byAgent = new Map(); // agent name -> entries touching its accounts
+
+function apply(entry) {
+  const agents = new Set();
+  for (const p of entry.postings) {
+    const held = balances.get(p.account) || {};
+    held[p.token] = (held[p.token] || amounts.ZERO) + p.amount;
+    balances.set(p.account, held);
+
+    const owner = parseAccount(p.account);
+    if (owner) agents.add(owner.agent);
+  }
+  for (const agent of agents) {
+    if (!byAgent.has(agent)) byAgent.set(agent, []);
+    byAgent.get(agent).push(entry);
+  }
+}
+
+/**
+ * Drop every entry and balance. Tests use this to start clean.
+ */
+function reset() {
+  entries = [];
+  seq = 0;
+  balances.clear();
+  byAgent.clear();
+}
+
+// ============================================================================
+// Posting
+// ============================================================================
+
+/**
+ * Post a balanced entry. Zero postings are dropped; an entry with nothing
+ * left is not recorded.
+ *
+ * Throws if the postings do not sum to zero in every token: that is an
+ * engine bug, and the state must not be changed around it.
+ *
+ * @param {string} type - What happened: deposit, escrow, release, swap, ring, reward, withdrawal, ...
+ * @param {{ account: string, token: string, amount: bigint }[]} postings
+ * @param {object} [ref] - Ids the entry belongs to ({ intent }, { swap }, ...)
+ * @returns {object|null} The entry
+ */
+function post(type, postings, ref = {}) {
+  const lines = postings.filter((p) => p.amount !== amounts.ZERO);
+  if (lines.length === 0) return null;
+
+  const sums = {};
+  for (const p of lines) {
+    if (typeof p.amount !== 'bigint') throw new Error(`Ledger amount for ${p.account} is not fixed-point`);
+    sums[p.token] = (sums[p.token] || amounts.ZERO) + p.amount;
+  }
+  for (const [token, sum] of Object.entries(sums)) {
+    if (sum !== amounts.ZERO) {
+      throw new Error(`Unbalanced ${type} entry: ${token} postings sum to ${amounts.format(sum)}`);
+    }
+  }
+
+  const entry = {
+    seq: ++seq,
+    type,
+    ref,
+    timestamp: journal.timestamp(),
+    postings: lines.map((p) => ({ account: p.account, token: p.token, amount: p.amount })),
+  };
+  entries.push(entry);
+  apply(entry);
+  storage.markDirty();
+  return entry;
+}
+
+/**
+ * Post a two-line entry moving `amount` of `token` from one account to another.
+ */
+function transfer(type, token, from, to, amount, ref) {
+  return post(
+    type,
+    [
+      { account: from, token, amount: -amount },
+      { account: to, token, amount },
+    ],
+    ref
+  );
+}
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+function balance(account, token) {
+  const held = balances.get(account);
+  return (held && held[token]) || amounts.ZERO;
+}
+
+/**
+ * Every token balance of one account.
+ */
+function getBalances(account) {
+  return { ...(balances.get(account) || {}) };
+}
+
+/**
+ * Sum of every account per token. Zero in every token when the books
+ * balance.
+ */
+function totals() {
+  const sums = {};
+  for (const held of balances.values()) {
+    for (const [token, amount] of Object.entries(held)) {
+      sums[token] = (sums[token] || amounts.ZERO) + amount;
+    }
+  }
+  return sums;
+}
+
+/**
+ * An agent's statement: its balances at `from`, every posting to its
+ * accounts up to and including `to` with the running balance after it,
+ * and its balances at `to`. Both bounds are optional timestamps.
+ *
+ * @param {string} agentName
+ * @param {{ from?: string, to?: string }} [range]
+ */
+function statement(agentName, { from, to } = {}) {
+  const fromMs = from ? new Date(from).getTime() : -Infinity;
+  const toMs = to ? new Date(to).getTime() : Infinity;
+  const empty = () => Object.fromEntries(AGENT_ACCOUNTS.map((kind) => [kind, {}]));
+  const opening = empty();
+  const closing = empty();
+  const lines = [];
+
+  for (const entry of byAgent.get(agentName) || []) {
+    const at = new Date(entry.timestamp).getTime();
+    if (at > toMs) continue;
+
+    for (const p of entry.postings) {
+      const owner = parseAccount(p.account);
+      if (!owner || owner.agent !== agentName) continue;
+
+      const held = closing[owner.kind];
+      held[p.token] = (held[p.token] || amounts.ZERO) + p.amount;
+      if (at < fromMs) {
+        opening[owner.kind][p.token] = held[p.token];
+        continue;
+      }
+
+      lines.push({
+        entry: entry.seq,
+        type: entry.type,
+        ref: entry.ref,
+        timestamp: entry.timestamp,
+        account: owner.kind,
+        token: p.token,
+        amount: p.amount,
+        balance: held[p.token],
+      });
+    }
+  }
+
+  return {
+    agent: agentName,
+    from: from ? new Date(from).toISOString() : null,
+    to: to ? new Date(to).toISOString() : null,
+    opening,
+    lines,
+    closing,
+  };
+}
+
+function getStatus() {
+  return {
+    entries: entries.length,
+    accounts: balances.size,
+    lastEntryAt: entries.length ? entries[entries.length - 1].timestamp : null,
+  };
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+// Balances are rebuilt from the entries, so a restored ledger is the sum of
+// its own history
+storage.registerSection('ledger', {
+  snapshot: () => ({ seq, entries }),
+  restore: (data) => {
+    reset();
+    for (const entry of data.entries) {
+      entries.push(entry);
+      apply(entry);
+    }
+    seq = data.seq;
+  },
+});
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  TREASURY,
+  WITHDRAWALS,
+  EXTERNAL,
+  REWARDS_POOL,
+  AGENT_ACCOUNTS,
+  agentAccount,
+  parseAccount,
+  reset,
+  post,
+  transfer,
+  balance,
+  getBalances,
+  totals,
+  statement,
+  getStatus,
+};
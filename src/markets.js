@@ -0,0 +1,235 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Market Data
+ *
+ * Prices this venue made itself, from its executed swaps (world.swaps) and
+ * the legs of its ring fills (world.rings) on the pair, rather than from
+ * external feeds (see oracle.js):
+ *
+ *   last    the price of the pair's most recent fill
+ *   vwap    volume-weighted average price over the last 24 hours
+ *   mark    the median of the last price, best bid and best ask — a fair
+ *           price one odd fill cannot move on its own. With only one side
+ *           of the book it is the last price clamped to that side; with no
+ *           trades yet, the middle of the book
+ *
+ * and OHLCV candles at 1m, 5m, 1h and 1d intervals, aligned to UTC. Prices
+ * are quote per base (USDC per ETH for ETH/USDC), like the order book;
+ * volumes are base-token amounts, quote volumes quote-token amounts.
+ *
+ * A ring leg counts as one trade on the pair of what it gave and what it
+ * received, at the rate it got before fees. Everything is computed from the
+ * swap and ring history on request, so it agrees with /api/swaps and
+ * /api/rings after a restart or a journal replay.
+ */
+
+const amounts = require('./amounts');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+
+const DEFAULT_CANDLES = 500;
+const MAX_CANDLES = 1000;
+
+// Window of the ticker's VWAP, high/low, change and volume
+const TICKER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// Trades
+// ============================================================================
+
+/**
+ * A pair's fills as trades, oldest first: its swaps and the ring legs that
+ * traded between its two tokens.
+ *
+ * @param {object[]} swaps - world.swaps
+ * @param {{ key: string, base: string, quote: string }} pair - From orderbook.parsePair
+ * @param {object[]} [rings] - world.rings
+ * @returns {{ time: number, price: number, base: bigint, quote: bigint }[]}
+ */
+function tradesOf(swaps, pair, rings = []) {
+  const trades = swaps
+    .filter((s) => s.pair === pair.key)
+    .map((s) => {
+      const baseLeg = s.giveA.token === pair.base ? s.giveA : s.giveB;
+      const quoteLeg = baseLeg === s.giveA ? s.giveB : s.giveA;
+      return { time: Date.parse(s.executedAt), price: s.price, base: baseLeg.amount, quote: quoteLeg.amount };
+    });
+
+  const tokens = [pair.base, pair.quote];
+  for (const ring of rings) {
+    for (const leg of ring.legs) {
+      if (!tokens.includes(leg.give.token) || !tokens.includes(leg.receive.token)) continue;
+      const received = leg.receive.amount + leg.fee; // what the next leg gave
+      const selling = leg.give.token === pair.base;
+      const base = selling ? leg.give.amount : received;
+      const quote = selling ? received : leg.give.amount;
+      trades.push({ time: Date.parse(ring.executedAt), price: Number(quote) / Number(base), base, quote });
+    }
+  }
+  // Both histories are in time order; a stable sort interleaves them
+  return trades.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Volume-weighted average price of `trades`, or null if there are none.
+ */
+function vwap(trades) {
+  const base = trades.reduce((sum, t) => sum + t.base, amounts.ZERO);
+  const quote = trades.reduce((sum, t) => sum + t.quote, amounts.ZERO);
+  return base > amounts.ZERO ? Number(quote) / Number(base) : null;
+}
+
+/**
+ * Mark price from the last trade and the top of the book.
+ *
+ * @returns {{ price: number|null, source: string|null }} source is one of
+ *   median, last, book_mid or null when there is nothing to price from
+ */
+function markPrice(last, bestBid, bestAsk) {
+  if (last !== null && bestBid !== null && bestAsk !== null) {
+    return { price: [last, bestBid, bestAsk].sort((a, b) => a - b)[1], source: 'median' };
+  }
+  if (last !== null) {
+    let price = last;
+    if (bestBid !== null) price = Math.max(price, bestBid);
+    if (bestAsk !== null) price = Math.min(price, bestAsk);
+    return { price, source: 'last' };
+  }
+  if (bestBid !== null && bestAsk !== null) return { price: (bestBid + bestAsk) / 2, source: 'book_mid' };
+  return { price: null, source: null };
+}
+
+// ============================================================================
+// Candles
+// ============================================================================
+
+/**
+ * Parse the candle query.
+ *
+ * @param {object} query - req.query: interval (default 1m), from, to, limit
+ * @returns {{ success: boolean, interval?: string, from?: number, to?: number, limit?: number, error?: string }}
+ */
+function parseCandleQuery(query) {
+  const interval = query.interval || '1m';
+  if (!INTERVALS[interval]) {
+    return { success: false, error: `interval must be one of ${Object.keys(INTERVALS).join(', ')}` };
+  }
+  const range = {};
+  for (const name of ['from', 'to']) {
+    if (query[name] === undefined || query[name] === '') continue;
+    range[name] = Date.parse(query[name]);
+    if (Number.isNaN(range[name])) return { success: false, error: `${name} must be an ISO timestamp` };
+  }
+  let limit = DEFAULT_CANDLES;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return { success: false, error: 'limit must be a positive integer' };
+    limit = Math.min(limit, MAX_CANDLES);
+  }
+  return { success: true, interval, ...range, limit };
+}
+
+/**
+ * OHLCV candles for `trades`, oldest first. Intervals without a trade are
+ * left out. With `limit`, the most recent candles in the range are kept.
+ *
+ * @param {object[]} trades - From tradesOf()
+ * @param {object} options
+ * @param {string} options.interval - A key of INTERVALS
+ * @param {number} [options.from] - ms; candles opening at or after it
+ * @param {number} [options.to] - ms; candles opening before it
+ * @param {number} [options.limit]
+ */
+function candles(trades, { interval, from = -Infinity, to = Infinity, limit = DEFAULT_CANDLES }) {
+  const ms = INTERVALS[interval];
+  const out = [];
+  for (const trade of trades) {
+    const open = Math.floor(trade.time / ms) * ms;
+    if (open < from || open >= to) continue;
+    let candle = out[out.length - 1];
+    if (!candle || candle.openTime !== open) {
+      candle = {
+        openTime: open,
+        open: trade.price,
+        high: trade.price,
+        low: trade.price,
+        close: trade.price,
+        volume: amounts.ZERO,
+        quoteVolume: amounts.ZERO,
+        trades: 0,
+      };
+      out.push(candle);
+    }
+    candle.high = Math.max(candle.high, trade.price);
+    candle.low = Math.min(candle.low, trade.price);
+    candle.close = trade.price;
+    candle.volume += trade.base;
+    candle.quoteVolume += trade.quote;
+    candle.trades++;
+  }
+  return out.slice(-limit).map(({ openTime, ...c }) => ({
+    openTime: new Date(openTime).toISOString(),
+    closeTime: new Date(openTime + ms).toISOString(),
+    ...c,
+  }));
+}
+
+// ============================================================================
+// Ticker
+// ============================================================================
+
+/**
+ * Last, VWAP and mark prices plus 24-hour statistics for one pair.
+ *
+ * @param {object[]} trades - From tradesOf()
+ * @param {{ bestBid: number|null, bestAsk: number|null }} book - Top of the book
+ * @param {number} now - ms
+ */
+function ticker(trades, { bestBid = null, bestAsk = null }, now) {
+  const lastTrade = trades.length ? trades[trades.length - 1] : null;
+  const last = lastTrade ? lastTrade.price : null;
+  const recent = trades.filter((t) => t.time > now - TICKER_WINDOW_MS && t.time <= now);
+  const open = recent.length ? recent[0].price : null;
+  const mark = markPrice(last, bestBid, bestAsk);
+
+  return {
+    lastPrice: last,
+    lastTradeAt: lastTrade ? new Date(lastTrade.time).toISOString() : null,
+    vwap24h: vwap(recent),
+    markPrice: mark.price,
+    markSource: mark.source,
+    bestBid,
+    bestAsk,
+    open24h: open,
+    high24h: recent.length ? recent.reduce((max, t) => Math.max(max, t.price), -Infinity) : null,
+    low24h: recent.length ? recent.reduce((min, t) => Math.min(min, t.price), Infinity) : null,
+    change24h: open ? (recent[recent.length - 1].price - open) / open : null,
+    volume24h: recent.reduce((sum, t) => sum + t.base, amounts.ZERO),
+    quoteVolume24h: recent.reduce((sum, t) => sum + t.quote, amounts.ZERO),
+    trades24h: recent.length,
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  INTERVALS,
+  MAX_CANDLES,
+  tradesOf,
+  vwap,
+  markPrice,
+  parseCandleQuery,
+  candles,
+  ticker,
+};
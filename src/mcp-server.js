@@ -40,19 +40,55 @@ const PAY_TO = process.env.X402_PAY_TO || null;
 const X402_ENABLED = process.env.X402_ENABLED === 'true' && PAY_TO;
 const NETWORK = process.env.X402_NETWORK || 'eip155:84532'; // Base Sepolia default
 
+// Token amounts: decimal strings ("1.5") are exact; numbers are accepted too.
+// The API rejects more decimals than the token has (USDC 6, ETH 18, SOL 9, BTC 8).
+const decimalAmount = () => z.union([z.string().regex(/^\d+(\.\d+)?$/), z.number().nonnegative()]);
+
+// Paging and filters shared by the list tools (see pagination.js). Each
+// page's `page.nextCursor` is passed back as `cursor` for the next one.
+const listParams = {
+  cursor: z.string().optional().describe('page.nextCursor from the previous page'),
+  limit: z.number().int().min(1).max(500).optional().describe('Results per page'),
+  agent: z.string().optional().describe('Only those involving this agent'),
+  pair: z.string().optional().describe('Only this token pair, e.g. ETH/USDC'),
+  from: z.string().optional().describe('ISO timestamp, inclusive'),
+  to: z.string().optional().describe('ISO timestamp, exclusive'),
+};
+
 // ---------------------------------------------------------------------------
 // HTTP helper — call the AgentSwaps REST API
 // ---------------------------------------------------------------------------
 
+/**
+ * `path` with the defined params as its query string.
+ */
+function withQuery(path, params) {
+  const query = new URLSearchParams();
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') query.set(name, String(value));
+  }
+  const qs = query.toString();
+  return qs ? `${path}?${qs}` : path;
+}
+
 async function apiGet(path) {
   const res = await fetch(`${API_BASE}${path}`);
   return res.json();
 }
 
-async function apiPost(path, body) {
+// API keys by agent name: from AGENTSWAPS_API_KEYS (JSON) for agents
+// registered elsewhere, plus the key each register_agent call returns
+const apiKeys = new Map(Object.entries(JSON.parse(process.env.AGENTSWAPS_API_KEYS || '{}')));
+
+/**
+ * POST as `agent`, with its API key when this server has one.
+ */
+async function apiPost(path, body, agent) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (agent && apiKeys.has(agent)) headers.Authorization = `Bearer ${apiKeys.get(agent)}`;
   const res = await fetch(`${API_BASE}${path}`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers,
     body: JSON.stringify(body),
   });
   return res.json();
@@ -164,7 +200,8 @@ async function main() {
 
   server.tool(
     'get_prices',
-    'Get live token prices for all supported tokens (USDC, ETH, SOL, MON, BTC).',
+    'Get token prices for all supported tokens (USDC, ETH, SOL, MON, BTC): the median of several oracles, with ' +
+      'updatedAt, confidence and a stale flag. Nothing trades on a stale price.',
     {},
     async () => {
       const prices = await apiGet('/api/prices');
@@ -174,13 +211,14 @@ async function main() {
 
   server.tool(
     'get_events',
-    'Get recent events from the trading floor (agent entries, deposits, intents, swaps).',
+    'Get recent events from the trading floor (agent entries, deposits, intents, swaps), newest first. Each has a seq; pass the last one as `after` to read forward from it without missing any.',
     {
-      since: z.string().optional().describe('ISO timestamp to filter events after'),
+      ...listParams,
+      type: z.string().optional().describe('Event types, comma-separated (e.g. swap_executed,intent_filled)'),
+      after: z.number().int().min(0).optional().describe('Return events after this seq, oldest first'),
     },
-    async ({ since }) => {
-      const path = since ? `/api/events?since=${encodeURIComponent(since)}` : '/api/events';
-      const events = await apiGet(path);
+    async (params) => {
+      const events = await apiGet(withQuery('/api/events', params));
       return { content: [{ type: 'text', text: JSON.stringify(events, null, 2) }] };
     }
   );
@@ -208,7 +246,7 @@ async function main() {
       wallet_address: z
         .string()
         .optional()
-        .describe('Base wallet address (0x...) for on-chain rewards'),
+        .describe('Base wallet address (0x...). On-chain rewards need it verified with Sign-In With Ethereum'),
       description: z.string().optional().describe('Short description of the agent'),
     },
     await paid('$0.01', async ({ name, wallet_address, description }) => {
@@ -217,6 +255,7 @@ async function main() {
         walletAddress: wallet_address,
         metadata: description ? { description } : {},
       });
+      if (result.apiKey) apiKeys.set(name, result.apiKey.key);
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     })
   );
@@ -233,20 +272,48 @@ async function main() {
     })
   );
 
+  server.tool(
+    'get_deposit_address',
+    'Get where to send deposits: your own Base address (USDC, cbBTC as BTC, WETH as ETH) and the ' +
+      'Solana deposit wallet with your memo (SOL, USDC). Transfers are credited once confirmed. Free.',
+    {
+      agent: z.string().describe('Your agent name'),
+    },
+    async ({ agent }) => {
+      const result = await apiGet(`/api/agents/${encodeURIComponent(agent)}/deposit-address`);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
   server.tool(
     'deposit',
-    'Deposit tokens into your agent account for trading. Cost: $0.001 USDC. ' +
+    'Credit tokens to your agent account without a transfer — only on servers in sandbox mode; ' +
+      'otherwise send tokens to the address from get_deposit_address. Cost: $0.001 USDC. ' +
       'Supported tokens: USDC, ETH, SOL, MON, BTC.',
     {
       agent: z.string().describe('Your agent name'),
       token: z.enum(['USDC', 'ETH', 'SOL', 'MON', 'BTC']).describe('Token to deposit'),
-      amount: z.number().positive().describe('Amount to deposit'),
+      amount: decimalAmount().describe('Amount to deposit, as a decimal string (e.g. "1.5")'),
     },
     await paid('$0.001', async ({ agent, token, amount }) => {
-      const result = await apiPost(`/api/agents/${encodeURIComponent(agent)}/deposit`, {
-        token,
-        amount,
-      });
+      const result = await apiPost(`/api/agents/${encodeURIComponent(agent)}/deposit`, { token, amount }, agent);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    })
+  );
+
+  server.tool(
+    'withdraw',
+    'Withdraw tokens from your available (non-escrowed) balance to your registered address. Cost: $0.001 USDC. ' +
+      'USDC, ETH and BTC pay out on Base and MON on Monad to your wallet_address, SOL to metadata.solanaAddress. ' +
+      'The amount is debited at once; the result has the withdrawal id and status ' +
+      '(pending → broadcast → confirmed, or failed and refunded).',
+    {
+      agent: z.string().describe('Your agent name'),
+      token: z.enum(['USDC', 'ETH', 'SOL', 'MON', 'BTC']).describe('Token to withdraw'),
+      amount: decimalAmount().describe('Amount to withdraw, as a decimal string (e.g. "1.5")'),
+    },
+    await paid('$0.001', async ({ agent, token, amount }) => {
+      const result = await apiPost(`/api/agents/${encodeURIComponent(agent)}/withdraw`, { token, amount }, agent);
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     })
   );
@@ -261,28 +328,49 @@ async function main() {
       give_token: z
         .enum(['USDC', 'ETH', 'SOL', 'MON', 'BTC'])
         .describe('Token you want to sell'),
-      give_amount: z.number().positive().describe('Amount to sell'),
+      give_amount: decimalAmount().describe('Amount to sell, as a decimal string'),
       want_token: z
         .enum(['USDC', 'ETH', 'SOL', 'MON', 'BTC'])
         .describe('Token you want to buy'),
-      want_min_amount: z
-        .number()
-        .optional()
-        .describe('Minimum amount to receive (0 = market)'),
+      want_min_amount: decimalAmount().optional().describe('Minimum amount to receive, as a decimal string (0 = market)'),
       max_slippage: z.number().optional().describe('Max slippage tolerance (0.01 = 1%)'),
+      time_in_force: z
+        .enum(['gtt', 'ioc', 'fok'])
+        .optional()
+        .describe(
+          'gtt = rest until expires_at (default, 1h), ioc = fill what crosses now and cancel the rest, ' +
+            'fok = fill completely now or reject'
+        ),
+      post_only: z.boolean().optional().describe('Reject instead of matching if the intent would cross the book'),
+      expires_at: z.string().optional().describe('ISO expiry timestamp (required when time_in_force is gtt)'),
     },
     await paid(
       '$0.01',
-      async ({ agent, give_token, give_amount, want_token, want_min_amount, max_slippage }) => {
-        const result = await apiPost('/api/intents', {
-          agent,
-          give: { token: give_token, amount: give_amount },
-          want: {
-            token: want_token,
-            minAmount: want_min_amount || 0,
-            maxSlippage: max_slippage || 0.01,
+      async ({
+        agent,
+        give_token,
+        give_amount,
+        want_token,
+        want_min_amount,
+        max_slippage,
+        time_in_force,
+        post_only,
+        expires_at,
+      }) => {
+        const result = await apiPost(
+          '/api/intents',
+          {
+            agent,
+            give: { token: give_token, amount: give_amount },
+            want: {
+              token: want_token,
+              minAmount: want_min_amount || 0,
+              maxSlippage: max_slippage || 0.01,
+            },
+            options: { timeInForce: time_in_force, postOnly: post_only, expiresAt: expires_at },
           },
-        });
+          agent
+        );
         return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
       }
     )
@@ -290,28 +378,79 @@ async function main() {
 
   server.tool(
     'get_orderbook',
-    'View active trade intents (orderbook). Cost: $0.001 USDC. Optionally filter by token.',
+    'View trade intents (orderbook), newest first: open ones unless status says otherwise. Cost: $0.001 USDC.',
     {
+      ...listParams,
       token: z
         .enum(['USDC', 'ETH', 'SOL', 'MON', 'BTC'])
         .optional()
         .describe('Filter by token'),
+      status: z
+        .string()
+        .optional()
+        .describe(
+          'Statuses, comma-separated: open (default), active, partially_filled, filled, cancelled, expired, ' +
+            'rejected or all'
+        ),
     },
-    await paid('$0.001', async ({ token }) => {
-      const path = token ? `/api/intents?token=${token}` : '/api/intents';
-      const intents = await apiGet(path);
+    await paid('$0.001', async (params) => {
+      const intents = await apiGet(withQuery('/api/intents', params));
       return { content: [{ type: 'text', text: JSON.stringify(intents, null, 2) }] };
     })
   );
 
   server.tool(
-    'get_swap_history',
-    'View completed swap history. Cost: $0.001 USDC.',
+    'get_depth',
+    'View aggregated order book depth (bids/asks by price level) for a token pair. Cost: $0.001 USDC. ' +
+      'Prices are quoted in the quote token per base token (e.g. USDC per ETH).',
+    {
+      base: z.enum(['USDC', 'ETH', 'SOL', 'MON', 'BTC']).describe('Base token (e.g. ETH)'),
+      quote: z.enum(['USDC', 'ETH', 'SOL', 'MON', 'BTC']).describe('Quote token (e.g. USDC)'),
+      levels: z.number().optional().describe('Max price levels per side (default: 20)'),
+    },
+    await paid('$0.001', async ({ base, quote, levels }) => {
+      const depth = await apiGet(`/api/orderbook/${base}-${quote}?levels=${levels || 20}`);
+      return { content: [{ type: 'text', text: JSON.stringify(depth, null, 2) }] };
+    })
+  );
+
+  server.tool(
+    'get_ticker',
+    'Last trade, 24h VWAP and mark price for a token pair on this venue, with 24h high/low/change/volume. ' +
+      'Cost: $0.001 USDC. Prices are quote token per base token.',
     {
-      limit: z.number().optional().describe('Number of recent swaps to return (default: 50)'),
+      base: z.enum(['USDC', 'ETH', 'SOL', 'MON', 'BTC']).describe('Base token (e.g. ETH)'),
+      quote: z.enum(['USDC', 'ETH', 'SOL', 'MON', 'BTC']).describe('Quote token (e.g. USDC)'),
     },
-    await paid('$0.001', async ({ limit }) => {
-      const swaps = await apiGet(`/api/swaps?limit=${limit || 50}`);
+    await paid('$0.001', async ({ base, quote }) => {
+      const ticker = await apiGet(`/api/markets/${base}-${quote}/ticker`);
+      return { content: [{ type: 'text', text: JSON.stringify(ticker, null, 2) }] };
+    })
+  );
+
+  server.tool(
+    'get_candles',
+    'OHLCV candles for a token pair from swaps and ring legs executed on this venue, oldest first. Cost: $0.001 USDC.',
+    {
+      base: z.enum(['USDC', 'ETH', 'SOL', 'MON', 'BTC']).describe('Base token (e.g. ETH)'),
+      quote: z.enum(['USDC', 'ETH', 'SOL', 'MON', 'BTC']).describe('Quote token (e.g. USDC)'),
+      interval: z.enum(['1m', '5m', '1h', '1d']).optional().describe('Candle interval (default: 1m)'),
+      from: z.string().optional().describe('ISO timestamp, inclusive'),
+      to: z.string().optional().describe('ISO timestamp, exclusive'),
+      limit: z.number().int().min(1).max(1000).optional().describe('Most recent candles to return (default: 500)'),
+    },
+    await paid('$0.001', async ({ base, quote, ...params }) => {
+      const candles = await apiGet(withQuery(`/api/markets/${base}-${quote}/candles`, params));
+      return { content: [{ type: 'text', text: JSON.stringify(candles, null, 2) }] };
+    })
+  );
+
+  server.tool(
+    'get_swap_history',
+    'View completed swap history, newest first. Cost: $0.001 USDC.',
+    listParams,
+    await paid('$0.001', async (params) => {
+      const swaps = await apiGet(withQuery('/api/swaps', params));
       return { content: [{ type: 'text', text: JSON.stringify(swaps, null, 2) }] };
     })
   );
@@ -340,11 +479,7 @@ async function main() {
       proposer: z.string().describe('Your agent name'),
     },
     await paid('$0.05', async ({ title, description, proposer }) => {
-      const result = await apiPost('/api/governance/proposals', {
-        title,
-        description,
-        proposer,
-      });
+      const result = await apiPost('/api/governance/proposals', { title, description, proposer }, proposer);
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     })
   );
@@ -358,10 +493,7 @@ async function main() {
       support: z.boolean().describe('true = for, false = against'),
     },
     await paid('$0.01', async ({ proposal_id, voter, support }) => {
-      const result = await apiPost(`/api/governance/proposals/${proposal_id}/vote`, {
-        voter,
-        support,
-      });
+      const result = await apiPost(`/api/governance/proposals/${proposal_id}/vote`, { voter, support }, voter);
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     })
   );
@@ -410,8 +542,8 @@ async function main() {
   // Start — select transport mode
   // -------------------------------------------------------------------------
 
-  const paidCount = X402_ENABLED ? 9 : 0;
-  const freeCount = X402_ENABLED ? 4 : 13;
+  const paidCount = X402_ENABLED ? 10 : 0;
+  const freeCount = X402_ENABLED ? 4 : 14;
   const useSSE = process.argv.includes('--sse');
   const ssePort = parseInt(process.env.MCP_PORT || '4022', 10);
 
@@ -420,7 +552,7 @@ async function main() {
   console.error(
     `[agentswaps-mcp] x402: ${X402_ENABLED ? `enabled (${NETWORK}, pay to ${PAY_TO})` : 'disabled (all tools free)'}`
   );
-  console.error(`[agentswaps-mcp] Tools: 13 (${freeCount} free, ${paidCount} paid)`);
+  console.error(`[agentswaps-mcp] Tools: 14 (${freeCount} free, ${paidCount} paid)`);
 
   if (useSSE) {
     // SSE transport — remote access over HTTP
@@ -449,7 +581,7 @@ async function main() {
         status: 'ok',
         server: 'agentswaps-mcp',
         version: '0.3.0',
-        tools: 13,
+        tools: 14,
         x402: !!X402_ENABLED,
       });
     });
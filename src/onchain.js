@@ -225,14 +225,17 @@ async function distributeSwapReward(agentAddress) {
 
 /**
  * Distribute swap rewards to both agents after a match.
- * Non-blocking — logs errors but doesn't throw.
+ * Non-blocking — logs errors but doesn't throw. An agent without a
+ * verified wallet (null address) is skipped.
  *
- * @param {string} addressA — Agent A wallet
- * @param {string} addressB — Agent B wallet
+ * @param {string|null} addressA — Agent A verified wallet
+ * @param {string|null} addressB — Agent B verified wallet
  * @returns {object} { rewardA, rewardB }
  */
 async function distributeSwapRewards(addressA, addressB) {
-  const [rewardA, rewardB] = await Promise.allSettled([distributeSwapReward(addressA), distributeSwapReward(addressB)]);
+  const reward = (address) =>
+    address ? distributeSwapReward(address) : { success: false, error: 'No verified wallet' };
+  const [rewardA, rewardB] = await Promise.allSettled([reward(addressA), reward(addressB)]);
 
   return {
     rewardA: rewardA.status === 'fulfilled' ? rewardA.value : { success: false, error: rewardA.reason?.message },
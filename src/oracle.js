@@ -0,0 +1,341 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Price Oracle
+ *
+ * USD prices for the supported tokens, from several independent sources:
+ *
+ *   jupiter     Jupiter Price API (tokens with a Solana mint, see solana.js)
+ *   chainlink   Chainlink price feeds on Base, read through the Base provider
+ *   coingecko   CoinGecko simple price API (every supported token, MON too)
+ *   static      Fixed prices from PRICE_STATIC (JSON), for tests, local
+ *               development and tokens no other source covers
+ *
+ * PRICE_SOURCES picks the sources (default "jupiter,chainlink,coingecko",
+ * plus "static" when PRICE_STATIC is set); init() refuses a selection that
+ * leaves a supported token without any source. Every refresh asks each
+ * source for the tokens it covers; a source that fails is logged in
+ * getStatus() and skipped, never mistaken for a price.
+ *
+ * A quote is fresh for TTL_MS after it was observed, except a Chainlink
+ * quote: a feed only publishes a new round when the price moves past its
+ * deviation threshold or its heartbeat runs out, so its last round stays
+ * current for the feed's heartbeat (CHAINLINK_HEARTBEATS) plus
+ * HEARTBEAT_GRACE_MS.
+ *
+ * A token's price is the median of its fresh quotes, with:
+ *
+ *   updatedAt    the oldest quote used (a Chainlink quote is as old as the
+ *                feed's last round, not the moment it was read)
+ *   expiresAt    when the first of those quotes stops being fresh
+ *   confidence   the share of the sources covering the token that quoted
+ *                within MAX_DEVIATION of the median (1 = all agree)
+ *
+ * A price past its expiresAt is stale. The engine refuses to execute swaps,
+ * rings and auctions, or to fire conditionals, on stale prices (see
+ * stalePrices() in index.js) rather than trading at an old number.
+ */
+
+const { ethers } = require('ethers');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Age after which a price is stale
+const TTL_MS = Number(process.env.PRICE_TTL_MS) || 5 * 60 * 1000;
+
+// How often start() refreshes prices
+const REFRESH_MS = Number(process.env.PRICE_REFRESH_MS) || 60000;
+
+// Quotes this far from the median (as a fraction) count against confidence
+const MAX_DEVIATION = 0.02;
+
+const STATIC_PRICES = JSON.parse(process.env.PRICE_STATIC || '{}');
+
+const SOURCE_NAMES = (
+  process.env.PRICE_SOURCES || `jupiter,chainlink,coingecko${process.env.PRICE_STATIC ? ',static' : ''}`
+)
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// Chainlink USD feeds on Base mainnet (override with CHAINLINK_FEEDS, JSON)
+const CHAINLINK_FEEDS = JSON.parse(
+  process.env.CHAINLINK_FEEDS ||
+    JSON.stringify({
+      ETH: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70',
+      BTC: '0x64c911996D3c6aC71f9b455B1E8E7266BcbD848F',
+      USDC: '0x7e860098F58bBFC8648a4311b374B1D669a2bc6B',
+    })
+);
+
+// Seconds between rounds when the price does not move, per feed (see
+// data.chain.link); override with CHAINLINK_HEARTBEATS, JSON
+const CHAINLINK_HEARTBEATS = JSON.parse(
+  process.env.CHAINLINK_HEARTBEATS || JSON.stringify({ ETH: 1200, BTC: 1200, USDC: 86400 })
+);
+
+// How late past its heartbeat a feed's next round may land
+const HEARTBEAT_GRACE_MS = 60000;
+
+// CoinGecko coin ids (override with COINGECKO_IDS, JSON)
+const COINGECKO_IDS = JSON.parse(
+  process.env.COINGECKO_IDS ||
+    JSON.stringify({ USDC: 'usd-coin', ETH: 'ethereum', SOL: 'solana', MON: 'monad', BTC: 'bitcoin' })
+);
+const COINGECKO_API = process.env.COINGECKO_API || 'https://api.coingecko.com/api/v3/simple/price';
+
+const AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, ' +
+    'uint80 answeredInRound)',
+];
+
+// ============================================================================
+// Sources
+// ============================================================================
+
+const sources = new Map(); // name -> { name, tokens, fetch, lastSuccessAt, lastError }
+
+/**
+ * Add (or replace) a price source.
+ *
+ * @param {string} name
+ * @param {object} source
+ * @param {string[]} source.tokens - Tokens it can quote
+ * @param {(tokens: string[]) => Promise<object>} source.fetch - Resolves to
+ *   token -> USD price, or token -> { price, at, maxAge } where `at` (ms) is
+ *   when the source observed it (defaults to now) and `maxAge` (ms) how long
+ *   it stays fresh (defaults to TTL_MS); rejects on failure
+ */
+function registerSource(name, { tokens, fetch }) {
+  sources.set(name, { name, tokens, fetch, lastSuccessAt: null, lastError: null });
+}
+
+function reset() {
+  sources.clear();
+}
+
+/**
+ * Jupiter, through solana.getTokenPrices.
+ */
+function jupiterSource({ getTokenPrices, tokens }) {
+  return { tokens, fetch: (wanted) => getTokenPrices(wanted) };
+}
+
+/**
+ * Chainlink aggregators, one per token, read with `provider()` (an ethers
+ * provider, or null while Base is not connected). A feed that fails leaves
+ * its token out; the source fails only if every feed does. Each quote stays
+ * fresh for its feed's heartbeat (TTL_MS for a feed without one).
+ */
+function chainlinkSource({ provider, feeds = CHAINLINK_FEEDS, heartbeats = CHAINLINK_HEARTBEATS }) {
+  const decimals = new Map();
+
+  async function read(rpc, token) {
+    const feed = new ethers.Contract(feeds[token], AGGREGATOR_ABI, rpc);
+    if (!decimals.has(token)) decimals.set(token, Number(await feed.decimals()));
+    const [, answer, , updatedAt] = await feed.latestRoundData();
+    if (answer <= 0n) throw new Error(`${token} feed answered ${answer}`);
+    return {
+      price: Number(ethers.formatUnits(answer, decimals.get(token))),
+      at: Number(updatedAt) * 1000,
+      maxAge: heartbeats[token] ? heartbeats[token] * 1000 + HEARTBEAT_GRACE_MS : TTL_MS,
+    };
+  }
+
+  return {
+    tokens: Object.keys(feeds),
+    fetch: async (wanted) => {
+      const rpc = provider();
+      if (!rpc) throw new Error('Base provider not connected');
+      const results = await Promise.allSettled(wanted.map((token) => read(rpc, token)));
+      if (results.every((r) => r.status === 'rejected')) throw results[0].reason;
+      return Object.fromEntries(
+        wanted.flatMap((token, i) => (results[i].status === 'fulfilled' ? [[token, results[i].value]] : []))
+      );
+    },
+  };
+}
+
+/**
+ * CoinGecko's simple price API, dated by CoinGecko's own last update.
+ * COINGECKO_API_KEY, if set, is sent as a demo API key.
+ *
+ * @param {object} [options]
+ * @param {object} [options.ids] - token -> CoinGecko coin id
+ * @param {Function} [options.request] - fetch
+ */
+function coingeckoSource({ ids = COINGECKO_IDS, request = fetch } = {}) {
+  return {
+    tokens: Object.keys(ids),
+    fetch: async (wanted) => {
+      const query = `ids=${wanted.map((t) => ids[t]).join(',')}&vs_currencies=usd&include_last_updated_at=true`;
+      const headers = process.env.COINGECKO_API_KEY ? { 'x-cg-demo-api-key': process.env.COINGECKO_API_KEY } : {};
+      const response = await request(`${COINGECKO_API}?${query}`, { headers, signal: AbortSignal.timeout(10000) });
+      if (!response.ok) throw new Error(`CoinGecko returned ${response.status}`);
+      const json = await response.json();
+      return Object.fromEntries(
+        wanted
+          .filter((t) => json[ids[t]] && json[ids[t]].usd !== undefined)
+          .map((t) => [t, { price: json[ids[t]].usd, at: (json[ids[t]].last_updated_at || 0) * 1000 || undefined }])
+      );
+    },
+  };
+}
+
+/**
+ * Fixed prices, quoted as current on every refresh.
+ */
+function staticSource(prices = STATIC_PRICES) {
+  return { tokens: Object.keys(prices), fetch: async (wanted) => pick(prices, wanted) };
+}
+
+function pick(prices, tokens) {
+  return Object.fromEntries(tokens.filter((t) => t in prices).map((t) => [t, prices[t]]));
+}
+
+/**
+ * Register the sources named in PRICE_SOURCES.
+ *
+ * @param {object} deps
+ * @param {string[]} deps.tokens - Tokens the venue trades; each needs a source
+ * @param {Function} deps.getTokenPrices - solana.getTokenPrices
+ * @param {string[]} deps.jupiterTokens - Tokens Jupiter can price
+ * @param {() => object|null} deps.provider - The Base provider
+ * @param {string[]} [deps.names] - Sources to use (default PRICE_SOURCES)
+ * @throws When a token has no source: it would stay stale and never trade
+ */
+function init({ tokens = [], getTokenPrices, jupiterTokens, provider, names = SOURCE_NAMES }) {
+  reset();
+  for (const name of names) {
+    if (name === 'jupiter') registerSource(name, jupiterSource({ getTokenPrices, tokens: jupiterTokens }));
+    else if (name === 'chainlink') registerSource(name, chainlinkSource({ provider }));
+    else if (name === 'coingecko') registerSource(name, coingeckoSource());
+    else if (name === 'static') registerSource(name, staticSource());
+    else console.warn(`[oracle] Unknown price source "${name}" — ignored`);
+  }
+  const uncovered = tokens.filter((t) => ![...sources.values()].some((s) => s.tokens.includes(t)));
+  if (uncovered.length > 0) {
+    throw new Error(
+      `No price source covers ${uncovered.join(', ')} (sources: ${[...sources.keys()].join(', ') || 'none'})` +
+        ' — add one to PRICE_SOURCES or price it with PRICE_STATIC'
+    );
+  }
+  console.log(`[oracle] Sources: ${[...sources.keys()].join(', ') || 'none'} (stale after ${TTL_MS / 1000}s)`);
+}
+
+// ============================================================================
+// Aggregation
+// ============================================================================
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Combine quotes into one price per token. Quotes older than their maxAge
+ * (default TTL_MS) are left out; a token with no fresh quote gets no price.
+ *
+ * @param {object} quotes - token -> [{ source, price, at, maxAge? }]
+ * @param {number} now
+ * @returns {object} token -> { price, updatedAt, expiresAt, confidence, sources }
+ */
+function aggregate(quotes, now) {
+  const prices = {};
+  for (const [token, list] of Object.entries(quotes)) {
+    const fresh = list.filter((q) => q.price > 0 && Number.isFinite(q.price) && now - q.at <= (q.maxAge ?? TTL_MS));
+    if (fresh.length === 0) continue;
+
+    const price = median(fresh.map((q) => q.price));
+    const agreeing = fresh.filter((q) => Math.abs(q.price - price) / price <= MAX_DEVIATION).length;
+    const covering = [...sources.values()].filter((s) => s.tokens.includes(token)).length;
+    prices[token] = {
+      price,
+      updatedAt: new Date(Math.min(...fresh.map((q) => q.at))).toISOString(),
+      expiresAt: new Date(Math.min(...fresh.map((q) => q.at + (q.maxAge ?? TTL_MS)))).toISOString(),
+      confidence: Math.round((agreeing / Math.max(covering, fresh.length)) * 100) / 100,
+      sources: fresh.map((q) => q.source),
+    };
+  }
+  return prices;
+}
+
+/**
+ * Ask every source for the tokens it covers and aggregate the answers.
+ * Never rejects: failed sources are recorded and left out.
+ *
+ * @param {string[]} tokens
+ * @param {number} [now]
+ * @returns {Promise<object>} token -> { price, updatedAt, expiresAt, confidence, sources }
+ */
+async function refresh(tokens, now = Date.now()) {
+  const quotes = {};
+  await Promise.all(
+    [...sources.values()].map(async (source) => {
+      const wanted = tokens.filter((t) => source.tokens.includes(t));
+      if (wanted.length === 0) return;
+      try {
+        const answer = await source.fetch(wanted);
+        for (const token of wanted) {
+          const quote = answer[token];
+          if (quote === undefined) continue;
+          const { price, at = now, maxAge } = typeof quote === 'number' ? { price: quote } : quote;
+          (quotes[token] ||= []).push({ source: source.name, price: Number(price), at, maxAge });
+        }
+        source.lastSuccessAt = new Date(now).toISOString();
+        source.lastError = null;
+      } catch (err) {
+        source.lastError = err.message;
+        console.warn(`[oracle] ${source.name} failed: ${err.message}`);
+      }
+    })
+  );
+  return aggregate(quotes, now);
+}
+
+/**
+ * Whether a stored price (its { updatedAt, expiresAt }) is missing or past
+ * its expiresAt. Prices recorded without one expire TTL_MS after updatedAt.
+ */
+function isStale(info, now = Date.now()) {
+  if (!info || !info.updatedAt) return true;
+  return now > (info.expiresAt ? Date.parse(info.expiresAt) : Date.parse(info.updatedAt) + TTL_MS);
+}
+
+function getStatus() {
+  return {
+    ttlMs: TTL_MS,
+    refreshMs: REFRESH_MS,
+    sources: [...sources.values()].map(({ name, tokens, lastSuccessAt, lastError }) => ({
+      name,
+      tokens,
+      lastSuccessAt,
+      lastError,
+    })),
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  TTL_MS,
+  REFRESH_MS,
+  MAX_DEVIATION,
+  registerSource,
+  reset,
+  jupiterSource,
+  chainlinkSource,
+  coingeckoSource,
+  staticSource,
+  init,
+  median,
+  aggregate,
+  refresh,
+  isStale,
+  getStatus,
+};
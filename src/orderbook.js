@@ -0,0 +1,443 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Limit Order Book
+ *
+ * Per-pair order books for the matching engine. Every resting intent is
+ * either a bid (gives the quote token, wants the base token) or an ask
+ * (gives the base token, wants the quote token), priced in quote per base.
+ *
+ * Priority is price first, then time:
+ *   - bids: highest price first, oldest first at the same price
+ *   - asks: lowest price first, oldest first at the same price
+ *
+ * Each side is kept sorted on insert (binary search), so the best order is
+ * always at index 0 and matching only walks the orders that actually cross.
+ *
+ * Sizes are fixed-point amounts (see amounts.js); prices are numbers.
+ */
+
+const amounts = require('./amounts');
+
+// ============================================================================
+// Pairs & Pricing
+// ============================================================================
+
+// Tokens that are preferred as the quote side of a pair (first wins)
+const QUOTE_PRIORITY = ['USDC', 'ETH', 'BTC', 'SOL', 'MON'];
+
+/**
+ * Resolve the canonical pair for two tokens.
+ *
+ * @param {string} tokenA
+ * @param {string} tokenB
+ * @returns {{ key: string, base: string, quote: string }}
+ */
+function getPair(tokenA, tokenB) {
+  const rank = (t) => {
+    const idx = QUOTE_PRIORITY.indexOf(t);
+    return idx === -1 ? QUOTE_PRIORITY.length : idx;
+  };
+
+  let quote = tokenA;
+  let base = tokenB;
+  if (rank(tokenB) < rank(tokenA) || (rank(tokenB) === rank(tokenA) && tokenB < tokenA)) {
+    quote = tokenB;
+    base = tokenA;
+  }
+
+  return { key: `${base}/${quote}`, base, quote };
+}
+
+/**
+ * Parse a pair from a URL-friendly string ("ETH-USDC", "ETH_USDC", "ETH/USDC").
+ * Returns null if the string does not contain exactly two tokens.
+ */
+function parsePair(str) {
+  const parts = String(str || '')
+    .toUpperCase()
+    .split(/[-_/:]/)
+    .filter(Boolean);
+  if (parts.length !== 2 || parts[0] === parts[1]) return null;
+  return getPair(parts[0], parts[1]);
+}
+
+/**
+ * Work out which side of the book an intent sits on and its limit price.
+ *
+ * An explicit `want.minAmount` is the limit. Without one the intent is a
+ * market order, bounded by `want.maxSlippage` around the reference price.
+ *
+ * @param {object} intent - Intent with give/want
+ * @param {number} referencePrice - Current market price (quote per base)
+ * @returns {{ pair: string, side: 'bid'|'ask', price: number }}
+ */
+function limitPrice(intent, referencePrice) {
+  const pair = getPair(intent.give.token, intent.want.token);
+  const side = intent.give.token === pair.base ? 'ask' : 'bid';
+  const minAmount = intent.want.minAmount || 0n;
+  const slippage = intent.want.maxSlippage || 0;
+
+  let price;
+  if (side === 'ask') {
+    // Selling base: lowest acceptable quote per base
+    price = minAmount > 0n ? Number(minAmount) / Number(intent.give.amount) : referencePrice * (1 - slippage);
+  } else {
+    // Buying base: highest quote per base we are willing to pay
+    price = minAmount > 0n ? Number(intent.give.amount) / Number(minAmount) : referencePrice * (1 + slippage);
+  }
+
+  return { pair: pair.key, side, price };
+}
+
+/**
+ * Base-token size an intent can still trade at `price`.
+ *
+ * An ask sells its whole escrow. A bid with a `want.minAmount` buys that
+ * much base and no more — at a better price than its limit it simply
+ * spends less quote. A market bid (no minAmount) spends its escrow.
+ * A bid's size is rounded down to what its escrow can pay for.
+ *
+ * @param {object} intent - With side, remaining, want and receivedAmount
+ * @param {number} price - Execution price (quote per base)
+ * @returns {bigint}
+ */
+function capacity(intent, price) {
+  if (intent.side === 'ask') return intent.remaining;
+
+  const byEscrow = amounts.divPrice(intent.remaining, price, intent.want.token, 'down');
+  const minAmount = intent.want.minAmount || 0n;
+  if (!(minAmount > 0n)) return byEscrow;
+  return amounts.min(byEscrow, amounts.max(0n, minAmount - (intent.receivedAmount || 0n)));
+}
+
+/**
+ * Quote paid for `base` at `price`: the buyer pays it rounded up, the
+ * seller receives it rounded down, and the venue keeps the difference
+ * (less than one unit of the quote token).
+ *
+ * @param {bigint} base
+ * @param {number} price
+ * @param {string} quoteToken
+ * @returns {{ paid: bigint, received: bigint }}
+ */
+function quoteFor(base, price, quoteToken) {
+  return {
+    paid: amounts.mulPrice(base, price, quoteToken, 'up'),
+    received: amounts.mulPrice(base, price, quoteToken, 'down'),
+  };
+}
+
+/**
+ * Whether an intent can no longer trade at its own limit: its escrow is
+ * spent, a bid has bought its minAmount, or what is left is worth less
+ * than one unit of the token it wants.
+ */
+function isExhausted(intent) {
+  if (intent.remaining <= 0n) return true;
+  const minAmount = intent.want.minAmount || 0n;
+  if (intent.side === 'bid' && minAmount > 0n && (intent.receivedAmount || 0n) >= minAmount) return true;
+  if (!(intent.limitPrice > 0)) return false;
+  const worth =
+    intent.side === 'ask'
+      ? amounts.mulPrice(intent.remaining, intent.limitPrice, intent.want.token, 'down')
+      : amounts.divPrice(intent.remaining, intent.limitPrice, intent.want.token, 'down');
+  return worth === 0n;
+}
+
+/**
+ * Whether a bid price and an ask price are compatible.
+ */
+function crosses(bidPrice, askPrice) {
+  return bidPrice >= askPrice;
+}
+
+// ============================================================================
+// Book State
+// ============================================================================
+
+// pair key -> { pair, bids: Entry[], asks: Entry[] }
+const books = new Map();
+
+// intent id -> Entry (for O(log n) removal)
+const entries = new Map();
+
+// Monotonic arrival counter — time priority without millisecond collisions
+let sequence = 0;
+
+function getBook(pairKey) {
+  let book = books.get(pairKey);
+  if (!book) {
+    const [base, quote] = pairKey.split('/');
+    book = { pair: { key: pairKey, base, quote }, bids: [], asks: [] };
+    books.set(pairKey, book);
+  }
+  return book;
+}
+
+/**
+ * Ordering for one side of the book: negative when `a` has priority over `b`.
+ */
+function compare(side, a, b) {
+  if (a.price !== b.price) {
+    return side === 'bid' ? b.price - a.price : a.price - b.price;
+  }
+  return a.seq - b.seq;
+}
+
+/**
+ * Binary search for the index where `entry` belongs in a sorted side.
+ */
+function findIndex(list, side, entry) {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (compare(side, list[mid], entry) < 0) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// ============================================================================
+// Book Operations
+// ============================================================================
+
+/**
+ * Rest an intent in its pair's book. The intent must already carry
+ * `pair`, `side` and `limitPrice` (see limitPrice()).
+ *
+ * @param {object} intent
+ * @returns {object} The book entry
+ */
+function add(intent) {
+  if (entries.has(intent.id)) return entries.get(intent.id);
+
+  const book = getBook(intent.pair);
+  const list = intent.side === 'bid' ? book.bids : book.asks;
+  const entry = { id: intent.id, price: intent.limitPrice, seq: ++sequence, intent };
+
+  list.splice(findIndex(list, intent.side, entry), 0, entry);
+  entries.set(intent.id, entry);
+  return entry;
+}
+
+/**
+ * Remove an intent from the book. Returns false if it was not resting.
+ */
+function remove(intent) {
+  const entry = entries.get(intent.id);
+  if (!entry) return false;
+
+  const book = books.get(entry.intent.pair);
+  const side = entry.intent.side;
+  const list = side === 'bid' ? book.bids : book.asks;
+  const idx = findIndex(list, side, entry);
+  if (list[idx] === entry) {
+    list.splice(idx, 1);
+  } else {
+    list.splice(list.indexOf(entry), 1);
+  }
+
+  entries.delete(intent.id);
+  return true;
+}
+
+/**
+ * Whether an intent is currently resting in the book.
+ */
+function has(intentId) {
+  return entries.has(intentId);
+}
+
+/**
+ * Find the best resting intent on the opposite side that crosses `intent`.
+ *
+ * Walks the opposite side from the top of book and stops at the first
+ * price that no longer crosses, so the cost is bounded by the orders that
+ * are price-compatible, not by the size of the book.
+ *
+ * @param {object} intent - Incoming intent (with side + limitPrice)
+ * @param {Function} [accept] - Extra filter (e.g. self-trade, min amounts)
+ * @returns {object|null} The resting intent, or null
+ */
+function findCrossing(intent, accept = () => true) {
+  const book = books.get(intent.pair);
+  if (!book) return null;
+
+  const opposite = intent.side === 'bid' ? book.asks : book.bids;
+  for (const entry of opposite) {
+    const bidPrice = intent.side === 'bid' ? intent.limitPrice : entry.price;
+    const askPrice = intent.side === 'bid' ? entry.price : intent.limitPrice;
+    if (!crosses(bidPrice, askPrice)) break;
+    if (accept(entry.intent)) return entry.intent;
+  }
+
+  return null;
+}
+
+/**
+ * Walk the crossing side of the book as matching would (makers' prices,
+ * price-time order) without executing anything. Used to decide
+ * fill-or-kill orders up front.
+ *
+ * @param {object} intent - Incoming intent (with side + limitPrice)
+ * @param {Function} [accept] - Same filter as findCrossing()
+ * @returns {{ base: bigint, complete: boolean }} Base size that would
+ *   trade, and whether the intent would be completely filled
+ */
+function fillable(intent, accept = () => true) {
+  const book = books.get(intent.pair);
+  const sim = { ...intent, receivedAmount: intent.receivedAmount || 0n };
+  let base = 0n;
+
+  const done = () => isExhausted(sim);
+
+  const opposite = !book ? [] : intent.side === 'bid' ? book.asks : book.bids;
+  for (const entry of opposite) {
+    if (done()) break;
+    const bidPrice = intent.side === 'bid' ? intent.limitPrice : entry.price;
+    const askPrice = intent.side === 'bid' ? entry.price : intent.limitPrice;
+    if (!crosses(bidPrice, askPrice)) break;
+    if (!accept(entry.intent)) continue;
+
+    const size = amounts.min(capacity(sim, entry.price), capacity(entry.intent, entry.price));
+    const quote = quoteFor(size, entry.price, intent.side === 'ask' ? intent.want.token : intent.give.token);
+    sim.remaining -= intent.side === 'ask' ? size : quote.paid;
+    sim.receivedAmount += intent.side === 'ask' ? quote.received : size;
+    base += size;
+  }
+
+  return { base, complete: done() };
+}
+
+/**
+ * Resting intents that give `giveToken` for `wantToken`, best first
+ * (lowest required rate of want per give).
+ *
+ * @param {string} giveToken
+ * @param {string} wantToken
+ * @param {number} [limit] - Only the best `limit` intents
+ * @returns {object[]} Intents in priority order
+ */
+function getResting(giveToken, wantToken, limit = Infinity) {
+  const pair = getPair(giveToken, wantToken);
+  const book = books.get(pair.key);
+  if (!book) return [];
+  const list = giveToken === pair.base ? book.asks : book.bids;
+  return list.slice(0, limit).map((e) => e.intent);
+}
+
+// ============================================================================
+// Depth & Queries
+// ============================================================================
+
+/**
+ * Base-token size still resting for an intent.
+ */
+function baseSize(entry) {
+  return capacity(entry.intent, entry.price);
+}
+
+/**
+ * Aggregate one side of the book into price levels.
+ */
+function aggregate(list, levels) {
+  const out = [];
+  for (const entry of list) {
+    const last = out[out.length - 1];
+    if (last && last.price === entry.price) {
+      last.amount += baseSize(entry);
+      last.orders++;
+    } else {
+      if (out.length === levels) break;
+      out.push({ price: entry.price, amount: baseSize(entry), orders: 1 });
+    }
+  }
+  return out;
+}
+
+/**
+ * Aggregated depth for a pair.
+ *
+ * @param {string} pairKey - Canonical pair key ("ETH/USDC")
+ * @param {number} [levels=20] - Max price levels per side
+ * @returns {{ pair, base, quote, bids, asks, bestBid, bestAsk, spread }}
+ */
+function getDepth(pairKey, levels = 20) {
+  const book = books.get(pairKey);
+  const [base, quote] = pairKey.split('/');
+  if (!book) {
+    return { pair: pairKey, base, quote, bids: [], asks: [], bestBid: null, bestAsk: null, spread: null };
+  }
+
+  const bestBid = book.bids.length ? book.bids[0].price : null;
+  const bestAsk = book.asks.length ? book.asks[0].price : null;
+
+  return {
+    pair: pairKey,
+    base,
+    quote,
+    bids: aggregate(book.bids, levels),
+    asks: aggregate(book.asks, levels),
+    bestBid,
+    bestAsk,
+    spread: bestBid !== null && bestAsk !== null ? bestAsk - bestBid : null,
+  };
+}
+
+/**
+ * Top-of-book summary for every pair with resting orders.
+ */
+function getPairs() {
+  return [...books.values()]
+    .filter((b) => b.bids.length > 0 || b.asks.length > 0)
+    .map((b) => ({
+      pair: b.pair.key,
+      bestBid: b.bids.length ? b.bids[0].price : null,
+      bestAsk: b.asks.length ? b.asks[0].price : null,
+      bids: b.bids.length,
+      asks: b.asks.length,
+    }));
+}
+
+/**
+ * Ids of all resting intents in arrival order. Re-adding them in this
+ * order after a restore reproduces the book's time priority.
+ */
+function getArrivalOrder() {
+  return [...entries.values()].sort((a, b) => a.seq - b.seq).map((e) => e.id);
+}
+
+/**
+ * Drop all books (used by tests and state restores).
+ */
+function reset() {
+  books.clear();
+  entries.clear();
+  sequence = 0;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  getPair,
+  parsePair,
+  limitPrice,
+  capacity,
+  quoteFor,
+  isExhausted,
+  crosses,
+  add,
+  remove,
+  has,
+  findCrossing,
+  fillable,
+  getResting,
+  getDepth,
+  getPairs,
+  getArrivalOrder,
+  reset,
+  QUOTE_PRIORITY,
+};
@@ -0,0 +1,170 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — List Pagination and Filters
+ *
+ * List endpoints (swaps, intents, events, proposals, x402 payments) share
+ * one query language and one response shape:
+ *
+ *   ?limit=50            page size (1..MAX_LIMIT)
+ *   ?cursor=<opaque>     the `page.nextCursor` of the previous page
+ *   ?agent=alice         the agent involved
+ *   ?pair=ETH-USDC       token pair, any spelling parsePair accepts
+ *   ?status=a,b          one or more statuses
+ *   ?type=a,b            one or more types
+ *   ?from=&to=           ISO timestamps: from inclusive, to exclusive
+ *
+ *   { <items>: [...], page: { total, limit, nextCursor } }
+ *
+ * Pages are newest first. `total` counts everything matching the filters,
+ * across all pages; `nextCursor` is null on the last page.
+ *
+ * A cursor records the position of the last item returned, so paging is
+ * stable while new items arrive: nothing is skipped or repeated. Positions
+ * come from the list (an event's seq, or the index in an append-only list).
+ * Cursors are opaque to clients; pass them back unchanged.
+ */
+
+const orderbook = require('./orderbook');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// ============================================================================
+// Cursors
+// ============================================================================
+
+/**
+ * @param {number} position - Of the last item returned
+ * @param {'desc'|'asc'} [order]
+ */
+function encodeCursor(position, order = 'desc') {
+  return Buffer.from(JSON.stringify({ p: position, o: order })).toString('base64url');
+}
+
+/**
+ * @returns {{ position: number, order: string }|null} null if it is not a cursor
+ */
+function decodeCursor(cursor) {
+  try {
+    const { p, o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isInteger(p) || (o !== 'desc' && o !== 'asc')) return null;
+    return { position: p, order: o };
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// Query
+// ============================================================================
+
+const list = (value) =>
+  String(value)
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+/**
+ * Parse the shared list query. Only the filters in `allowed` are read.
+ *
+ * @param {object} query - req.query
+ * @param {string[]} allowed - Any of agent, pair, status, type, from, to
+ * @param {{ defaultLimit?: number }} [options]
+ * @returns {{ success: boolean, limit?: number, cursor?: object|null, filters?: object, error?: string }}
+ */
+function parseQuery(query, allowed = [], { defaultLimit = DEFAULT_LIMIT } = {}) {
+  let limit = defaultLimit;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return { success: false, error: 'limit must be a positive integer' };
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { success: false, error: 'Invalid cursor' };
+  }
+
+  const filters = {};
+  for (const name of allowed) {
+    const value = query[name];
+    if (value === undefined || value === '') continue;
+    if (name === 'pair') {
+      const pair = orderbook.parsePair(value);
+      if (!pair) return { success: false, error: `Invalid pair "${value}"` };
+      filters.pair = pair.key;
+    } else if (name === 'from' || name === 'to') {
+      const time = Date.parse(value);
+      if (Number.isNaN(time)) return { success: false, error: `${name} must be an ISO timestamp` };
+      filters[name] = time;
+    } else if (name === 'status' || name === 'type') {
+      filters[name] = list(value);
+    } else {
+      filters[name] = String(value);
+    }
+  }
+  return { success: true, limit, cursor, filters };
+}
+
+/**
+ * Whether an ISO timestamp is inside the query's from/to range.
+ */
+function inRange(timestamp, { from, to }) {
+  if (from === undefined && to === undefined) return true;
+  const time = Date.parse(timestamp);
+  return (from === undefined || time >= from) && (to === undefined || time < to);
+}
+
+// ============================================================================
+// Pages
+// ============================================================================
+
+/**
+ * One page of `items`.
+ *
+ * @param {object[]} items - Oldest first
+ * @param {{ limit: number, cursor: object|null }} query - From parseQuery
+ * @param {object} options
+ * @param {(item: object) => boolean} [options.filter]
+ * @param {(item: object, index: number) => number} [options.position] - Increases
+ *   along `items` and never changes for an item. Defaults to the index, for
+ *   lists that are only ever appended to
+ * @param {'desc'|'asc'} [options.order] - Newest first (default) or oldest
+ *   first; a cursor continues in its own order
+ * @returns {{ items: object[], page: { total: number, limit: number, nextCursor: string|null } }}
+ */
+function paginate(items, { limit, cursor }, { filter = () => true, position = (item, i) => i, order = 'desc' } = {}) {
+  const direction = cursor ? cursor.order : order;
+  const matching = [];
+  items.forEach((item, i) => {
+    if (filter(item)) matching.push({ item, position: position(item, i) });
+  });
+  if (direction === 'desc') matching.reverse();
+
+  const after = cursor
+    ? matching.filter((m) => (direction === 'desc' ? m.position < cursor.position : m.position > cursor.position))
+    : matching;
+  const page = after.slice(0, limit);
+  const nextCursor = after.length > limit ? encodeCursor(page[page.length - 1].position, direction) : null;
+
+  return { items: page.map((m) => m.item), page: { total: matching.length, limit, nextCursor } };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parseQuery,
+  inRange,
+  paginate,
+};
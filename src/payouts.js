@@ -0,0 +1,232 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Withdrawal Payouts
+ *
+ * Sends withdrawn tokens to an agent's registered address on the token's
+ * chain. The engine (index.js) debits the agent and queues the withdrawal;
+ * this module moves the tokens through a pluggable executor and reports
+ * each step back, so the engine can mark the withdrawal broadcast,
+ * confirmed or failed — and refund it when it fails.
+ *
+ * Executors:
+ *
+ *   sandbox — no chain: every payout confirms straight away without a
+ *             transaction (default; matches sandbox deposits, which are
+ *             credited without one)
+ *   evm     — signs transfers with PAYOUT_PRIVATE_KEY against
+ *             PAYOUT_RPC_URL (default BASE_RPC_URL, Base mainnet): native
+ *             ETH, and ERC-20s at the addresses in PAYOUT_TOKENS (JSON,
+ *             default Base USDC and cbBTC). Point it at a local Hardhat
+ *             node (http://127.0.0.1:8545) to test payouts end to end.
+ *
+ * Other executors plug in with registerExecutor(). An executor is an object
+ * with `tokens` (the tokens it pays out, or null for all), send(payout) →
+ * Promise<{ txHash }> and confirm(payout) → Promise<{ status: 'confirmed',
+ * blockNumber } | { status: 'failed', error }>. send() throwing means
+ * nothing was sent; confirm() throwing means the outcome is not known yet.
+ */
+
+const { ethers } = require('ethers');
+const amounts = require('./amounts');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_EXECUTOR = process.env.PAYOUT_EXECUTOR || 'sandbox';
+
+// Chain each token is paid out on
+const CHAINS = {
+  USDC: 'base',
+  ETH: 'base',
+  BTC: 'base',
+  MON: 'monad',
+  SOL: 'solana',
+};
+
+// ERC-20 contracts on Base mainnet (override with PAYOUT_TOKENS)
+const BASE_TOKENS = {
+  USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+  BTC: '0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf', // cbBTC
+};
+
+const ERC20_ABI = ['function transfer(address to, uint256 amount) returns (bool)'];
+
+// How long confirm() waits for a receipt before leaving the payout broadcast
+const CONFIRM_TIMEOUT_MS = 10 * 60 * 1000;
+
+const SOLANA_ADDRESS_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// ============================================================================
+// Executors
+// ============================================================================
+
+function createSandboxExecutor() {
+  return {
+    name: 'sandbox',
+    tokens: null,
+    send: async () => ({ txHash: null }),
+    confirm: async () => ({ status: 'confirmed', blockNumber: null }),
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.rpcUrl] - JSON-RPC endpoint (default PAYOUT_RPC_URL, then BASE_RPC_URL)
+ * @param {string} [options.privateKey] - Hot wallet key (default PAYOUT_PRIVATE_KEY)
+ * @param {object} [options.tokens] - ERC-20 addresses by token (default PAYOUT_TOKENS, then Base mainnet)
+ * @param {number} [options.confirmations] - Blocks to wait for (default PAYOUT_CONFIRMATIONS or 1)
+ */
+function createEvmExecutor(options = {}) {
+  const rpcUrl = options.rpcUrl || process.env.PAYOUT_RPC_URL || process.env.BASE_RPC_URL || 'https://mainnet.base.org';
+  const privateKey = options.privateKey || process.env.PAYOUT_PRIVATE_KEY;
+  if (!privateKey) throw new Error('The evm payout executor needs PAYOUT_PRIVATE_KEY');
+
+  const tokens = options.tokens || (process.env.PAYOUT_TOKENS ? JSON.parse(process.env.PAYOUT_TOKENS) : BASE_TOKENS);
+  const confirmations = options.confirmations || Number(process.env.PAYOUT_CONFIRMATIONS) || 1;
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  return {
+    name: 'evm',
+    tokens: ['ETH', ...Object.keys(tokens)],
+    address: wallet.address,
+
+    async send(payout) {
+      const units = amounts.toUnits(payout.token, payout.amount);
+      const tx =
+        payout.token === 'ETH'
+          ? await wallet.sendTransaction({ to: payout.address, value: units })
+          : await new ethers.Contract(tokens[payout.token], ERC20_ABI, wallet).transfer(payout.address, units);
+      return { txHash: tx.hash };
+    },
+
+    async confirm(payout) {
+      const receipt = await provider.waitForTransaction(payout.txHash, confirmations, CONFIRM_TIMEOUT_MS);
+      if (!receipt) throw new Error(`No receipt for ${payout.txHash} yet`);
+      if (receipt.status !== 1) return { status: 'failed', error: `Transfer ${payout.txHash} reverted` };
+      return { status: 'confirmed', blockNumber: receipt.blockNumber };
+    },
+  };
+}
+
+// name -> factory(options)
+const executors = new Map([
+  ['sandbox', createSandboxExecutor],
+  ['evm', createEvmExecutor],
+]);
+
+let executor = null;
+
+/**
+ * Register an executor factory under a name, for init({ executor: name }).
+ */
+function registerExecutor(name, factory) {
+  executors.set(name, factory);
+}
+
+/**
+ * Select the executor. Called once at boot; tests call it to swap in
+ * their own.
+ *
+ * @param {object} [options] - Passed to the factory
+ * @param {string} [options.executor] - Executor name (default PAYOUT_EXECUTOR or "sandbox")
+ * @returns {object} The executor
+ */
+function init(options = {}) {
+  const name = options.executor || DEFAULT_EXECUTOR;
+  const factory = executors.get(name);
+  if (!factory) {
+    throw new Error(`Unknown payout executor "${name}". Available: ${[...executors.keys()].join(', ')}`);
+  }
+  executor = factory(options);
+  return executor;
+}
+
+function getExecutor() {
+  return executor || init();
+}
+
+// ============================================================================
+// Routing
+// ============================================================================
+
+/**
+ * Where a withdrawal of `token` by `agent` goes: the token's chain and the
+ * agent's registered address there — its walletAddress on EVM chains,
+ * `metadata.solanaAddress` on Solana.
+ *
+ * @returns {{ chain: string, address: string }|{ error: string }}
+ */
+function route(agent, token) {
+  const chain = CHAINS[token];
+  const { tokens } = getExecutor();
+  if (!chain || (tokens && !tokens.includes(token))) {
+    return { error: `${token} withdrawals are not available` };
+  }
+
+  if (chain === 'solana') {
+    const address = agent.metadata && agent.metadata.solanaAddress;
+    if (!address || !SOLANA_ADDRESS_RE.test(address)) {
+      return { error: 'No Solana address registered (metadata.solanaAddress)' };
+    }
+    return { chain, address };
+  }
+
+  if (!agent.walletAddress || !ethers.isAddress(agent.walletAddress)) {
+    return { error: `No valid ${chain} address registered (walletAddress)` };
+  }
+  return { chain, address: ethers.getAddress(agent.walletAddress) };
+}
+
+// ============================================================================
+// Execution
+// ============================================================================
+
+/**
+ * Pay a withdrawal out and report each step through `update(status,
+ * details)`: 'broadcast' once sent, then 'confirmed' or 'failed'. A
+ * withdrawal already broadcast (e.g. resumed after a restart) is only
+ * confirmed. When the outcome is unknown the withdrawal stays broadcast
+ * and the error is reported without a status change.
+ *
+ * @param {object} withdrawal - { token, amount, address, status, txHash }
+ * @param {(status: string|null, details: object) => void} update
+ */
+async function run(withdrawal, update) {
+  const exec = getExecutor();
+
+  if (withdrawal.status === 'pending') {
+    let sent;
+    try {
+      sent = await exec.send(withdrawal);
+    } catch (err) {
+      update('failed', { error: err.message });
+      return;
+    }
+    update('broadcast', { txHash: sent.txHash });
+  }
+
+  try {
+    const result = await exec.confirm(withdrawal);
+    if (result.status === 'confirmed') update('confirmed', { blockNumber: result.blockNumber });
+    else update('failed', { error: result.error });
+  } catch (err) {
+    update(null, { error: err.message });
+  }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  CHAINS,
+  init,
+  registerExecutor,
+  getExecutor,
+  route,
+  run,
+  createSandboxExecutor,
+  createEvmExecutor,
+};
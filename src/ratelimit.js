@@ -0,0 +1,382 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Rate Limiting
+ *
+ * Token buckets per route, so one agent flooding intents or registrations
+ * cannot starve everyone else (x402 payments, off by default, are no
+ * brake). Each route has a burst capacity and a refill rate, and buckets
+ * keyed by who is calling:
+ *
+ *   agent — the agent behind the request's API key or session token
+ *   key   — that key or session itself (a delegated worker's key, say)
+ *   ip    — the client address (req.ip; set TRUST_PROXY behind a proxy)
+ *
+ * The agent comes from the credential, not from what the request names, so
+ * nobody can use up another agent's bucket. Requests signed with a wallet
+ * are only counted by IP until their signature is checked by the route.
+ *
+ * A request takes a token from every one of its route's buckets, or gets a
+ * 429 with Retry-After when any of them is empty — and then takes nothing,
+ * so a throttled client does not burn the allowance of its other buckets.
+ * Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * for the bucket closest to empty (or the one that refused). Agents with
+ * enough reputation get larger agent and key buckets (REPUTATION_TIERS);
+ * the IP bucket, shared by whoever calls from that address, keeps the
+ * route's size.
+ *
+ * Stores:
+ *
+ *   memory — buckets in this process (default)
+ *   redis  — buckets in Redis, shared by every process behind a load
+ *            balancer. Pass a connected client to init({ store: 'redis',
+ *            client }); it needs an ioredis-style eval(script, numKeys, ...).
+ *
+ * Other stores plug in with registerStore(). A store is an object with
+ * take(buckets, now), where buckets is [{ key, capacity, perMs }], that
+ * takes a token from every bucket or from none, atomically, and returns
+ * [{ allowed, remaining, resetMs, retryAfterMs }] in the same order
+ * (allowed: that bucket had a token), or a Promise of it.
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const DEFAULT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+const EVERYONE = ['agent', 'key', 'ip'];
+
+/**
+ * Route limits. Keys are "METHOD /path" strings as in x402.ROUTE_PRICING;
+ * `capacity` is the burst, `perMinute` the refill. Override any of them
+ * with RATE_LIMITS (JSON, same shape).
+ */
+const ROUTE_LIMITS = {
+  'POST /api/agents': { capacity: 5, perMinute: 2, by: ['ip'] },
+  'POST /api/intents': { capacity: 30, perMinute: 60, by: EVERYONE },
+  'PATCH /api/intents/:id': { capacity: 30, perMinute: 60, by: EVERYONE },
+  'DELETE /api/intents/:id': { capacity: 60, perMinute: 120, by: EVERYONE },
+  'POST /api/conditionals': { capacity: 10, perMinute: 20, by: EVERYONE },
+  'POST /api/algos': { capacity: 10, perMinute: 20, by: EVERYONE },
+  'POST /api/agents/:name/deposit': { capacity: 10, perMinute: 10, by: EVERYONE },
+  'POST /api/agents/:name/withdraw': { capacity: 5, perMinute: 5, by: EVERYONE },
+  'POST /api/agents/:name/keys': { capacity: 5, perMinute: 5, by: EVERYONE },
+  'POST /api/agents/:name/delegates': { capacity: 10, perMinute: 10, by: EVERYONE },
+  'POST /api/agents/:name/webhooks': { capacity: 5, perMinute: 5, by: EVERYONE },
+  'POST /api/agents/:name/webhooks/deliveries/:id/replay': { capacity: 30, perMinute: 30, by: EVERYONE },
+  'POST /api/agents/:name/siwe/challenge': { capacity: 10, perMinute: 10, by: ['ip'] },
+  'POST /api/agents/:name/siwe/verify': { capacity: 10, perMinute: 10, by: ['ip'] },
+  'POST /api/governance/proposals': { capacity: 3, perMinute: 1, by: EVERYONE },
+  'POST /api/governance/proposals/:id/vote': { capacity: 10, perMinute: 10, by: EVERYONE },
+  ...(process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {}),
+};
+
+// Every route not listed above
+const DEFAULT_LIMIT = { capacity: 120, perMinute: 600, by: ['ip'] };
+
+/**
+ * Bucket multipliers by reputation, highest first. Agents start at 100 and
+ * gain 5 per swap. Override with RATE_LIMIT_REPUTATION_TIERS (JSON).
+ */
+const REPUTATION_TIERS = process.env.RATE_LIMIT_REPUTATION_TIERS
+  ? JSON.parse(process.env.RATE_LIMIT_REPUTATION_TIERS)
+  : [
+      { minReputation: 1000, multiplier: 5 },
+      { minReputation: 250, multiplier: 2 },
+    ];
+
+// Memory store: drop buckets that have refilled once there are this many
+const MAX_MEMORY_BUCKETS = 100000;
+
+// ============================================================================
+// Stores
+// ============================================================================
+
+/**
+ * A bucket's state as a take() result. `had` is the token count before
+ * taking: whether this bucket alone would have allowed the request.
+ */
+function bucketResult(had, tokens, { capacity, perMs }) {
+  return {
+    allowed: had >= 1,
+    remaining: Math.floor(tokens),
+    resetMs: Math.ceil((capacity - tokens) / perMs),
+    retryAfterMs: had >= 1 ? 0 : Math.ceil((1 - had) / perMs),
+  };
+}
+
+/**
+ * Refill buckets to `now` and take one token from each — from all of them
+ * when every one has a token, otherwise from none.
+ *
+ * @param {({ tokens: number, updatedAt: number }|null)[]} states - null for a new (full) bucket
+ * @param {{ capacity: number, perMs: number }[]} limits
+ * @returns {{ states: object[], results: object[] }}
+ */
+function takeTokens(states, limits, now) {
+  const had = states.map((state, i) => {
+    const { capacity, perMs } = limits[i];
+    return state ? Math.min(capacity, state.tokens + Math.max(0, now - state.updatedAt) * perMs) : capacity;
+  });
+  const take = had.every((tokens) => tokens >= 1) ? 1 : 0;
+  const tokens = had.map((t) => t - take);
+  return {
+    states: tokens.map((t) => ({ tokens: t, updatedAt: now })),
+    results: tokens.map((t, i) => bucketResult(had[i], t, limits[i])),
+  };
+}
+
+function createMemoryStore() {
+  const buckets = new Map(); // bucket -> { tokens, updatedAt, fullAt }
+
+  return {
+    name: 'memory',
+    buckets,
+
+    take(requested, now) {
+      if (buckets.size >= MAX_MEMORY_BUCKETS) {
+        for (const [name, state] of buckets) if (state.fullAt <= now) buckets.delete(name);
+      }
+      const { states, results } = takeTokens(
+        requested.map((b) => buckets.get(b.key) || null),
+        requested,
+        now
+      );
+      requested.forEach((b, i) => buckets.set(b.key, { ...states[i], fullAt: now + results[i].resetMs }));
+      return results;
+    },
+  };
+}
+
+// The same refill-and-take as takeTokens(), atomically in Redis: ARGV is
+// now, then capacity and perMs for each key. Returns whether the tokens
+// were taken, then each bucket's count before and after. A bucket expires
+// once it would be full again.
+const REDIS_TAKE = `
+local now = tonumber(ARGV[1])
+local had = {}
+local take = 1
+for i = 1, #KEYS do
+  local capacity = tonumber(ARGV[i * 2])
+  local perMs = tonumber(ARGV[i * 2 + 1])
+  local state = redis.call('HMGET', KEYS[i], 'tokens', 'updatedAt')
+  local tokens = capacity
+  if state[1] then
+    tokens = math.min(capacity, tonumber(state[1]) + math.max(0, now - tonumber(state[2])) * perMs)
+  end
+  had[i] = tokens
+  if tokens < 1 then take = 0 end
+end
+local out = { take }
+for i = 1, #KEYS do
+  local capacity = tonumber(ARGV[i * 2])
+  local perMs = tonumber(ARGV[i * 2 + 1])
+  local tokens = had[i] - take
+  redis.call('HSET', KEYS[i], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+  redis.call('PEXPIRE', KEYS[i], math.ceil((capacity - tokens) / perMs) + 1000)
+  table.insert(out, tostring(had[i]))
+  table.insert(out, tostring(tokens))
+end
+return out
+`;
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Connected Redis client with ioredis-style eval()
+ * @param {string} [options.prefix] - Key prefix (default "agentswaps:ratelimit:")
+ */
+function createRedisStore(options = {}) {
+  const { client } = options;
+  if (!client || typeof client.eval !== 'function') {
+    throw new Error('The redis rate-limit store needs a Redis client (init({ store: "redis", client }))');
+  }
+  const prefix = options.prefix || 'agentswaps:ratelimit:';
+
+  return {
+    name: 'redis',
+
+    async take(requested, now) {
+      const keys = requested.map((b) => prefix + b.key);
+      const limits = requested.flatMap((b) => [b.capacity, b.perMs]);
+      const reply = await client.eval(REDIS_TAKE, keys.length, ...keys, now, ...limits);
+      return requested.map((b, i) => bucketResult(Number(reply[1 + i * 2]), Number(reply[2 + i * 2]), b));
+    },
+  };
+}
+
+// name -> factory(options)
+const stores = new Map([
+  ['memory', createMemoryStore],
+  ['redis', createRedisStore],
+]);
+
+let store = null;
+
+/**
+ * Register a store factory under a name, for init({ store: name }).
+ */
+function registerStore(name, factory) {
+  stores.set(name, factory);
+}
+
+/**
+ * Select the store. Called once at boot; tests call it for a fresh one.
+ *
+ * @param {object} [options] - Passed to the factory
+ * @param {string} [options.store] - Store name (default RATE_LIMIT_STORE or "memory")
+ * @returns {object} The store
+ */
+function init(options = {}) {
+  const name = options.store || DEFAULT_STORE;
+  const factory = stores.get(name);
+  if (!factory) {
+    throw new Error(`Unknown rate-limit store "${name}". Available: ${[...stores.keys()].join(', ')}`);
+  }
+  store = factory(options);
+  return store;
+}
+
+function getStore() {
+  return store || init();
+}
+
+// ============================================================================
+// Limits
+// ============================================================================
+
+/**
+ * The limit rule for a request, matching :param segments like x402 does.
+ *
+ * @returns {{ route: string, capacity: number, perMinute: number, by: string[] }}
+ */
+function matchRoute(method, path) {
+  const requestKey = `${method} ${path}`;
+  if (ROUTE_LIMITS[requestKey]) return { route: requestKey, ...ROUTE_LIMITS[requestKey] };
+
+  for (const [route, limit] of Object.entries(ROUTE_LIMITS)) {
+    const [routeMethod, routePath] = route.split(' ');
+    if (routeMethod !== method) continue;
+    const pattern = routePath.replace(/:[^/]+/g, '[^/]+').replace(/\//g, '\\/');
+    if (new RegExp(`^${pattern}$`).test(path)) return { route, ...limit };
+  }
+  return { route: '*', ...DEFAULT_LIMIT };
+}
+
+/**
+ * Multiplier on an agent's buckets for its reputation (1 below every tier).
+ */
+function reputationMultiplier(reputation) {
+  const tier = REPUTATION_TIERS.find((t) => reputation >= t.minReputation);
+  return tier ? tier.multiplier : 1;
+}
+
+/**
+ * Take a token from every bucket a request counts against, or from none
+ * when one of them is empty.
+ *
+ * @param {object} request
+ * @param {string} request.method
+ * @param {string} request.path
+ * @param {string} request.ip
+ * @param {string|null} [request.agent] - Agent behind the credential
+ * @param {string|null} [request.credential] - Key or session id
+ * @param {number} [request.reputation] - The agent's reputation
+ * @param {number} [now]
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetMs: number, retryAfterMs: number }>}
+ */
+async function consume({ method, path, ip, agent, credential, reputation }, now = Date.now()) {
+  const rule = matchRoute(method, path);
+  // Reputation enlarges the agent's own buckets, not the address's
+  const multiplier = agent ? reputationMultiplier(reputation || 0) : 1;
+  const ids = { agent, key: credential, ip };
+
+  const buckets = rule.by
+    .filter((by) => ids[by])
+    .map((by) => {
+      const scale = by === 'ip' ? 1 : multiplier;
+      return {
+        key: `${rule.route}|${by}:${ids[by]}`,
+        capacity: Math.round(rule.capacity * scale),
+        perMs: (rule.perMinute * scale) / 60000,
+      };
+    });
+  if (!buckets.length) {
+    return { allowed: true, remaining: rule.capacity, resetMs: 0, retryAfterMs: 0, limit: rule.capacity };
+  }
+
+  const results = await getStore().take(buckets, now);
+  const allowed = results.every((r) => r.allowed);
+  // Report the bucket that makes the client wait longest, else the one closest to empty
+  let shown = 0;
+  results.forEach((r, i) => {
+    const worse = allowed ? r.remaining < results[shown].remaining : r.retryAfterMs > results[shown].retryAfterMs;
+    if (worse) shown = i;
+  });
+  return { ...results[shown], allowed, limit: buckets[shown].capacity };
+}
+
+/**
+ * Express middleware enforcing ROUTE_LIMITS. Set RATE_LIMIT_ENABLED=false
+ * to turn it off. A failing store lets requests through rather than take
+ * the API down.
+ *
+ * @param {object} [options]
+ * @param {(req: object) => { agent: string, credential: string }|null} [options.identify]
+ *   - Who a request's credential belongs to (see auth.identify)
+ * @param {(agentName: string) => number|undefined} [options.reputation]
+ */
+function middleware(options = {}) {
+  const identify = options.identify || (() => null);
+  const reputation = options.reputation || (() => 0);
+
+  return function rateLimitMiddleware(req, res, next) {
+    if (!ENABLED || req.method === 'OPTIONS') return next();
+
+    const identity = identify(req) || {};
+    const request = {
+      method: req.method,
+      path: req.path,
+      ip: req.ip,
+      agent: identity.agent,
+      credential: identity.credential,
+      reputation: identity.agent ? reputation(identity.agent) : 0,
+    };
+
+    consume(request).then(
+      (result) => {
+        res.set('RateLimit-Limit', String(result.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+        if (result.allowed) return next();
+
+        const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({ error: 'Rate limit exceeded', retryAfter });
+      },
+      (err) => {
+        console.error(`[ratelimit] Store error, not limiting: ${err.message}`);
+        next();
+      }
+    );
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  ROUTE_LIMITS,
+  DEFAULT_LIMIT,
+  REPUTATION_TIERS,
+  init,
+  registerStore,
+  getStore,
+  createMemoryStore,
+  createRedisStore,
+  matchRoute,
+  reputationMultiplier,
+  consume,
+  middleware,
+};
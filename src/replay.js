@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps Replay — Rebuild the trading floor from its journal
+ *
+ * Re-runs every journaled command through the current matching engine on
+ * an empty world and reports:
+ * - Commands and effects replayed
+ * - Divergences: commands whose fills, fees or rewards differ from the
+ *   recorded ones (expected after an engine change, a bug otherwise)
+ * - The rebuilt epoch, balances and a digest of the resulting state
+ * - Whether the rebuilt ledger balances and matches the rebuilt world
+ *
+ * The same journal always produces the same digest, so two replays (or a
+ * replay on two machines) can be compared by digest alone.
+ *
+ * Usage:
+ *   node src/replay.js [journal.jsonl] [--json] [--out state.json]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const amounts = require('./amounts');
+const storage = require('./storage');
+const journal = require('./journal');
+
+// Never touch the live snapshot: the rebuilt world stays in memory
+storage.init({ backend: 'memory' });
+
+const engine = require('./index');
+
+function parseArgs(argv) {
+  const args = { file: null, json: false, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') args.json = true;
+    else if (argv[i] === '--out') args.out = argv[++i];
+    else args.file = argv[i];
+  }
+  args.file = args.file || process.env.JOURNAL_PATH || path.join(__dirname, '..', 'data', 'journal.jsonl');
+  return args;
+}
+
+/**
+ * The replayable part of the world — everything a command can change.
+ */
+function rebuiltState() {
+  const { world } = engine;
+  return {
+    epoch: world.epoch,
+    agents: [...world.agents.values()],
+    intents: [...world.intents.values()],
+    conditionals: [...world.conditionals.values()],
+    algos: [...world.algos.values()],
+    swaps: world.swaps,
+    rings: world.rings,
+    withdrawals: [...world.withdrawals.values()],
+    deposits: [...world.deposits.values()],
+    economy: {
+      totalVolume: world.economy.totalVolume,
+      totalSwaps: world.economy.totalSwaps,
+      totalFees: world.economy.totalFees,
+      treasury: world.economy.treasury,
+      tokenPrices: world.economy.tokenPrices,
+    },
+  };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!fs.existsSync(args.file)) {
+    console.error(`Journal not found: ${args.file}`);
+    process.exit(1);
+  }
+
+  const records = journal.read(args.file);
+
+  // The engine logs every event; a replay only needs the summary
+  const log = console.log;
+  console.log = () => {};
+  let result;
+  try {
+    result = engine.replayJournal(records);
+  } finally {
+    console.log = log;
+  }
+
+  const state = rebuiltState();
+  const ledger = engine.checkLedger();
+  const digest = crypto.createHash('sha256').update(JSON.stringify(state, amounts.replacer)).digest('hex');
+  if (args.out) fs.writeFileSync(args.out, JSON.stringify(state, amounts.replacer, 2));
+
+  const summary = {
+    journal: args.file,
+    records: records.length,
+    commands: result.commands,
+    effects: result.effects,
+    divergences: result.divergences,
+    epoch: state.epoch,
+    agents: state.agents.length,
+    swaps: state.swaps.length,
+    lastSwap: state.swaps.length ? state.swaps[state.swaps.length - 1].id : null,
+    ledger: { ok: ledger.ok, entries: ledger.entries, errors: ledger.errors },
+    digest,
+  };
+
+  if (args.json) {
+    console.log(JSON.stringify(summary, amounts.replacer, 2));
+  } else {
+    console.log(`Replayed ${summary.commands} commands (${summary.effects} effects) from ${summary.journal}`);
+    console.log(`  Epoch: ${summary.epoch}  |  Agents: ${summary.agents}  |  Swaps: ${summary.swaps}`);
+    for (const agent of state.agents) {
+      const held = Object.entries(agent.balance).filter(([, v]) => v !== amounts.ZERO);
+      console.log(`  ${agent.name}: ${held.map(([t, v]) => `${amounts.format(v)} ${t}`).join(', ') || 'empty'}`);
+    }
+    console.log(`  Digest: ${digest}`);
+    if (ledger.ok) {
+      console.log(`  Ledger balanced — ${ledger.entries} entries`);
+    } else {
+      console.log(`  Ledger check failed (${ledger.errors.length}):`);
+      for (const error of ledger.errors.slice(0, 20)) console.log(`    ${error}`);
+    }
+    if (summary.divergences.length === 0) {
+      console.log('  No divergences — fills, fees and rewards match the journal');
+    } else {
+      console.log(`  ${summary.divergences.length} divergence(s):`);
+      for (const d of summary.divergences.slice(0, 20)) {
+        console.log(`    #${d.seq} ${d.type}${d.error ? ` threw: ${d.error}` : ''}`);
+      }
+    }
+  }
+
+  process.exit(summary.divergences.length === 0 && ledger.ok ? 0 : 2);
+}
+
+main();
@@ -0,0 +1,180 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Ring Matching
+ *
+ * Finds cycles in the intent graph that pairwise matching cannot fill:
+ *
+ *   A gives USDC wants ETH  ─┐
+ *   B gives ETH  wants SOL   ├── every agent gets what it wants
+ *   C gives SOL  wants USDC ─┘
+ *
+ * Tokens are nodes, resting intents are edges (give → want). A ring is
+ * feasible when the product of every leg's required rate (want per give)
+ * is ≤ 1 — the surplus goes to the intent that triggered the search, the
+ * same way a taker gets price improvement in a direct match.
+ *
+ * This module only searches and sizes rings. Settlement lives in index.js.
+ */
+
+const amounts = require('./amounts');
+const orderbook = require('./orderbook');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_CONFIG = {
+  // Whether ring matching runs after direct matching
+  enabled: process.env.RING_MATCHING !== 'false',
+
+  // Longest cycle to search (3 = triangle)
+  maxLength: parseInt(process.env.RING_MAX_LENGTH || '4', 10),
+
+  // How many of the best resting intents to try per edge
+  branching: parseInt(process.env.RING_BRANCHING || '5', 10),
+};
+
+// ============================================================================
+// Rates & Sizing
+// ============================================================================
+
+/**
+ * Minimum rate an intent accepts, in want-token per give-token.
+ */
+function rate(intent) {
+  return intent.side === 'ask' ? intent.limitPrice : 1 / intent.limitPrice;
+}
+
+/**
+ * Size a ring. `legs` are ordered so that each intent receives from the
+ * next one and the last receives from the first:
+ *
+ *   legs[i] wants legs[i + 1].give.token, legs[n - 1] wants legs[0].give.token
+ *
+ * Every leg except the last receives its limit rounded up to the next base
+ * unit; the last leg receives whatever the ring produces (≥ its limit when
+ * feasible). Rounding can make a tiny ring infeasible, in which case there
+ * is nothing to size.
+ *
+ * @param {object[]} legs - Intents in receiving order
+ * @returns {{ gives: bigint[], receives: bigint[], product: number }|null}
+ */
+function sizeRing(legs) {
+  const n = legs.length;
+  const rates = legs.map(rate);
+  const product = rates.reduce((p, r) => p * r, 1);
+  if (!(product <= 1)) return null;
+
+  // Estimate the first leg's size from prefix[i] = rate[0] * ... * rate[i - 1]
+  let prefix = 1;
+  let scale = Infinity;
+  for (let i = 0; i < n; i++) {
+    scale = Math.min(scale, Number(legs[i].remaining) / prefix);
+    prefix *= rates[i];
+  }
+  if (!(scale > 0) || !Number.isFinite(scale)) return null;
+
+  let first = amounts.min(legs[0].remaining, amounts.round(legs[0].give.token, BigInt(Math.floor(scale)), 'down'));
+
+  // Walk the ring exactly; if rounding pushes a leg past what it has left,
+  // shrink the first leg in proportion and walk again
+  for (let attempt = 0; attempt < 8 && first > amounts.ZERO; attempt++) {
+    const gives = [first];
+    let over = -1;
+    for (let i = 0; i < n - 1; i++) {
+      const next = amounts.mulPrice(gives[i], rates[i], legs[i + 1].give.token, 'up');
+      if (next > legs[i + 1].remaining) {
+        over = i + 1;
+        first = amounts.mulDiv(first, legs[i + 1].remaining, next, legs[0].give.token, 'down');
+        if (attempt > 0) first -= amounts.quantum(legs[0].give.token);
+        break;
+      }
+      gives.push(next);
+    }
+    if (over !== -1) continue;
+
+    if (gives.some((g) => g <= amounts.ZERO)) return null;
+    if (first < amounts.mulPrice(gives[n - 1], rates[n - 1], legs[0].give.token, 'up')) return null;
+
+    const receives = legs.map((_, i) => gives[(i + 1) % n]);
+    return { gives, receives, product };
+  }
+  return null;
+}
+
+// ============================================================================
+// Search
+// ============================================================================
+
+/**
+ * Search for the best ring that includes `start`.
+ *
+ * Depth-first from the token `start` wants, following the best few resting
+ * intents on each edge. Among the rings found, the one with the lowest rate
+ * product (largest surplus) wins.
+ *
+ * @param {object} start - Open intent that triggered the search
+ * @param {object} opts
+ * @param {string[]} opts.tokens - Tokens to consider as nodes
+ * @param {Function} [opts.accept] - Filter for candidate legs (open, not expired, ...)
+ * @param {Function} [opts.related] - (agentA, agentB) => whether two agents share an
+ *   owner; a ring never contains two related agents (default: same name)
+ * @param {number} [opts.maxLength] - Longest cycle
+ * @param {number} [opts.branching] - Intents tried per edge
+ * @returns {object[]|null} Legs in receiving order, `start` last
+ */
+function findRing(start, opts) {
+  const { tokens, accept = () => true, related = (a, b) => a === b } = opts;
+  const maxLength = opts.maxLength || DEFAULT_CONFIG.maxLength;
+  const branching = opts.branching || DEFAULT_CONFIG.branching;
+  const origin = start.give.token;
+
+  let best = null;
+  let bestProduct = Infinity;
+
+  // path: legs after `start`; each leg gives the token the previous one wants
+  function search(path, token, product, agents) {
+    for (const next of tokens) {
+      if (next === token) continue;
+      const closes = next === origin;
+
+      // Closing with no intermediate leg is a direct match, not a ring;
+      // extending must leave room for the closing leg, and never revisits a token
+      if (closes && path.length === 0) continue;
+      if (!closes && (path.length + 3 > maxLength || path.some((l) => l.give.token === next))) continue;
+
+      for (const leg of orderbook.getResting(token, next, branching)) {
+        if (leg.id === start.id || agents.some((a) => related(a, leg.agent)) || !accept(leg)) continue;
+
+        const p = product * rate(leg);
+
+        if (closes) {
+          // Book is best-first: the first acceptable closing leg is the cheapest
+          if (p <= 1 && p < bestProduct) {
+            bestProduct = p;
+            best = [...path, leg];
+          }
+          break;
+        }
+
+        search([...path, leg], next, p, [...agents, leg.agent]);
+      }
+    }
+  }
+
+  search([], start.want.token, rate(start), [start.agent]);
+
+  // Receiving order: each leg receives from the next, `start` receives last
+  return best ? [...best, start] : null;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  rate,
+  sizeRing,
+  findRing,
+  DEFAULT_CONFIG,
+};
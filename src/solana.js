@@ -7,6 +7,7 @@
  * - Jupiter Ultra API for real-time price discovery
  * - On-chain swap proof recording via memo transactions
  * - Agent wallet derivation and management
+ * - Deposit watcher: SOL and SPL transfers tagged with an agent's memo
  *
  * Hackathon build — devnet by default. Not production-grade.
  */
@@ -21,6 +22,7 @@ const {
   sendAndConfirmTransaction,
 } = require('@solana/web3.js');
 const crypto = require('crypto');
+const amounts = require('./amounts');
 
 // ============================================================================
 // Constants
@@ -102,7 +104,10 @@ function initSolana(opts = {}) {
  * Fetch real-time token prices from Jupiter Price API v2.
  *
  * @param {string[]} tokens - Token symbols (e.g. ['SOL', 'USDC', 'ETH'])
- * @returns {Object} Map of symbol -> price in USD
+ * @returns {Object} Map of symbol -> price in USD, only for tokens Jupiter
+ *   quoted (a pinned price belongs to the static source, PRICE_STATIC)
+ * @throws When Jupiter cannot be reached or answers with an error, so the
+ *   price oracle (oracle.js) can tell a failed source from a missing price
  */
 async function getTokenPrices(tokens = ['SOL', 'USDC', 'ETH', 'BTC']) {
   // Resolve symbols to mint addresses
@@ -132,11 +137,6 @@ async function getTokenPrices(tokens = ['SOL', 'USDC', 'ETH', 'BTC']) {
       }
     }
 
-    // Always set USDC to 1.0 (stablecoin)
-    if (tokens.map((t) => t.toUpperCase()).includes('USDC')) {
-      prices.USDC = 1.0;
-    }
-
     console.log(
       `[solana] Jupiter prices: ${Object.entries(prices)
         .map(([k, v]) => `${k}=$${v}`)
@@ -146,8 +146,7 @@ async function getTokenPrices(tokens = ['SOL', 'USDC', 'ETH', 'BTC']) {
     return prices;
   } catch (err) {
     console.error(`[solana] Jupiter price fetch failed: ${err.message}`);
-    // Return empty — caller should fall back to cached/default prices
-    return {};
+    throw err;
   }
 }
 
@@ -167,7 +166,7 @@ async function getTokenPrices(tokens = ['SOL', 'USDC', 'ETH', 'BTC']) {
  * @param {string} swap.agentB - Agent B name
  * @param {Object} swap.giveA - { token, amount } Agent A gave
  * @param {Object} swap.giveB - { token, amount } Agent B gave
- * @param {number} swap.volumeUSD - Total volume in USD
+ * @param {bigint} swap.volumeUSD - Total volume in USD (fixed-point)
  * @param {string} swap.executedAt - ISO timestamp
  * @returns {Object} { signature, explorer, swapHash }
  */
@@ -183,9 +182,9 @@ async function recordSwapOnChain(swap) {
     swapId: swap.id,
     agentA: swap.agentA,
     agentB: swap.agentB,
-    giveA: `${swap.giveA.amount} ${swap.giveA.token}`,
-    giveB: `${swap.giveB.amount} ${swap.giveB.token}`,
-    volumeUSD: swap.volumeUSD,
+    giveA: `${amounts.format(swap.giveA.amount)} ${swap.giveA.token}`,
+    giveB: `${amounts.format(swap.giveB.amount)} ${swap.giveB.token}`,
+    volumeUSD: amounts.format(swap.volumeUSD),
     executedAt: swap.executedAt,
   };
 
@@ -200,9 +199,9 @@ async function recordSwapOnChain(swap) {
     id: swap.id.slice(0, 8),
     a: swap.agentA,
     b: swap.agentB,
-    ga: `${swap.giveA.amount}${swap.giveA.token}`,
-    gb: `${swap.giveB.amount}${swap.giveB.token}`,
-    vol: Math.round(swap.volumeUSD),
+    ga: `${amounts.format(swap.giveA.amount)}${swap.giveA.token}`,
+    gb: `${amounts.format(swap.giveB.amount)}${swap.giveB.token}`,
+    vol: Math.round(amounts.toNumber(swap.volumeUSD)),
     h: swapHash,
     t: Math.floor(new Date(swap.executedAt).getTime() / 1000),
   });
@@ -300,6 +299,191 @@ function getAgentWallet(agentName) {
   };
 }
 
+// ============================================================================
+// Deposit Watcher — SOL and SPL transfers tagged with an agent's memo
+// ============================================================================
+
+// Deposits go to one wallet (SOLANA_DEPOSIT_ADDRESS): native SOL to the
+// wallet itself, SPL tokens to its token accounts. The sender adds the
+// agent's deposit memo to the transfer, and that memo says whose it is.
+const DEPOSIT_ADDRESS = process.env.SOLANA_DEPOSIT_ADDRESS || null;
+
+// Confirmations a transaction needs before it is credited (finalized
+// transactions always qualify)
+const DEPOSIT_CONFIRMATIONS = Number(process.env.SOLANA_DEPOSIT_CONFIRMATIONS) || 32;
+
+// SPL mints accepted as deposits (override with SOLANA_DEPOSIT_MINTS, JSON —
+// e.g. the devnet USDC mint). Their decimals match the venue's tokens
+const DEPOSIT_MINTS = process.env.SOLANA_DEPOSIT_MINTS
+  ? JSON.parse(process.env.SOLANA_DEPOSIT_MINTS)
+  : { USDC: TOKEN_MINTS.USDC };
+
+const DEPOSIT_POLL_MS = 15_000;
+const SIGNATURE_PAGE = 1000;
+
+/**
+ * The deposit tokens this wallet can receive, by receiving account: the
+ * wallet itself for SOL, its token account for each accepted mint.
+ *
+ * @returns {Promise<Map<string, string>>} account -> token
+ */
+async function getDepositAccounts(owner = DEPOSIT_ADDRESS) {
+  const accounts = new Map([[owner, 'SOL']]);
+  for (const [token, mint] of Object.entries(DEPOSIT_MINTS)) {
+    const { value } = await connection.getTokenAccountsByOwner(new PublicKey(owner), { mint: new PublicKey(mint) });
+    for (const { pubkey } of value) accounts.set(pubkey.toBase58(), token);
+  }
+  return accounts;
+}
+
+/**
+ * Read the deposit into `account` out of a parsed transaction: the amount
+ * transferred to it (in on-chain units) and the transaction's memo.
+ *
+ * @param {object} tx - From getParsedTransaction()
+ * @param {string} account - The receiving account
+ * @param {string} token - What the account holds
+ * @returns {{ units: bigint, memo: string|null }|null} null when nothing reached the account
+ */
+function parseDeposit(tx, account, token) {
+  if (!tx || !tx.meta || tx.meta.err) return null;
+  const instructions = [
+    ...tx.transaction.message.instructions,
+    ...(tx.meta.innerInstructions || []).flatMap((inner) => inner.instructions),
+  ];
+
+  let units = 0n;
+  let memo = null;
+  for (const ix of instructions) {
+    if (ix.program === 'spl-memo') {
+      memo = String(ix.parsed).trim();
+      continue;
+    }
+    const parsed = ix.parsed;
+    if (!parsed || !parsed.info || parsed.info.destination !== account) continue;
+
+    if (token === 'SOL' && ix.program === 'system' && parsed.type === 'transfer') {
+      units += BigInt(parsed.info.lamports);
+    } else if (token !== 'SOL' && ix.program === 'spl-token') {
+      if (parsed.type === 'transfer') units += BigInt(parsed.info.amount);
+      if (parsed.type === 'transferChecked') units += BigInt(parsed.info.tokenAmount.amount);
+    }
+  }
+  return units > 0n ? { units, memo } : null;
+}
+
+/**
+ * Find the confirmed deposits into `account` after the `until` signature,
+ * oldest first. Scanning stops at the first transaction that does not
+ * have enough confirmations yet, so it is picked up again next time.
+ *
+ * @returns {Promise<{ deposits: object[], cursor: string|null }>} `cursor` is the last signature scanned
+ */
+async function scanDeposits(account, token, until, confirmations = DEPOSIT_CONFIRMATIONS) {
+  // Newest first, paged back to `until`
+  const signatures = [];
+  let before;
+  for (;;) {
+    const page = await connection.getSignaturesForAddress(new PublicKey(account), {
+      until: until || undefined,
+      before,
+      limit: SIGNATURE_PAGE,
+    });
+    signatures.push(...page);
+    if (page.length < SIGNATURE_PAGE) break;
+    before = page[page.length - 1].signature;
+  }
+  signatures.reverse();
+
+  const { value: statuses } = await connection.getSignatureStatuses(signatures.map((s) => s.signature));
+  const deposits = [];
+  let cursor = until || null;
+  for (let i = 0; i < signatures.length; i++) {
+    const { signature, err, slot } = signatures[i];
+    const status = statuses[i];
+    const confirmed =
+      status &&
+      (status.confirmationStatus === 'finalized' ||
+        status.confirmations === null ||
+        status.confirmations >= confirmations);
+    if (!confirmed) break;
+    cursor = signature;
+    if (err) continue;
+
+    const tx = await connection.getParsedTransaction(signature, { maxSupportedTransactionVersion: 0 });
+    const deposit = parseDeposit(tx, account, token);
+    if (!deposit) continue;
+    deposits.push({
+      chain: 'solana',
+      ref: `${signature}:${account}`,
+      token,
+      units: deposit.units.toString(),
+      memo: deposit.memo,
+      address: account,
+      txHash: signature,
+      blockNumber: slot,
+    });
+  }
+  return { deposits, cursor };
+}
+
+/**
+ * Poll the deposit wallet for confirmed deposits until stopped. Each scan
+ * hands its deposits and the per-account cursors to `onDeposits`, which
+ * should credit them and keep the cursors. An account seen for the first
+ * time starts at its latest transaction.
+ *
+ * @param {object} options
+ * @param {object} options.cursors - Saved cursors: account -> last signature scanned
+ * @param {(deposits: object[], cursors: object) => void} options.onDeposits
+ * @param {number} [options.intervalMs]
+ * @returns {() => void} Stops the watcher
+ */
+function watchDeposits({ cursors = {}, onDeposits, intervalMs = DEPOSIT_POLL_MS }) {
+  if (!connection) throw new Error('Solana not initialized. Call initSolana() first.');
+  if (!DEPOSIT_ADDRESS) throw new Error('No SOLANA_DEPOSIT_ADDRESS configured');
+  const next = { ...cursors };
+  let busy = false;
+
+  const poll = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const found = [];
+      const scanned = { ...next };
+      for (const [account, token] of await getDepositAccounts()) {
+        if (!(account in scanned)) {
+          const [latest] = await connection.getSignaturesForAddress(new PublicKey(account), { limit: 1 });
+          scanned[account] = latest ? latest.signature : null;
+          continue;
+        }
+        const scan = await scanDeposits(account, token, scanned[account]);
+        found.push(...scan.deposits);
+        scanned[account] = scan.cursor;
+      }
+      onDeposits(found, scanned);
+      Object.assign(next, scanned);
+    } catch (err) {
+      console.error(`[solana] Deposit scan failed: ${err.message}`);
+    } finally {
+      busy = false;
+    }
+  };
+
+  const timer = setInterval(poll, intervalMs);
+  poll();
+  console.log(`[solana] Watching deposits to ${DEPOSIT_ADDRESS} (${DEPOSIT_CONFIRMATIONS} confirmations)`);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Where an agent sends Solana deposits, or null when no deposit wallet is
+ * configured.
+ */
+function getDepositAddress() {
+  return DEPOSIT_ADDRESS;
+}
+
 // ============================================================================
 // Utility Functions
 // ============================================================================
@@ -390,6 +574,13 @@ module.exports = {
   recordSwapOnChain,
   getAgentWallet,
 
+  // Deposits
+  getDepositAddress,
+  getDepositAccounts,
+  parseDeposit,
+  scanDeposits,
+  watchDeposits,
+
   // Utilities
   getSolBalance,
   requestAirdrop,
@@ -399,4 +590,6 @@ module.exports = {
   // Constants (useful for callers)
   TOKEN_MINTS,
   MEMO_PROGRAM_ID,
+  DEPOSIT_CONFIRMATIONS,
+  DEPOSIT_MINTS,
 };
@@ -0,0 +1,295 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Durable Storage
+ *
+ * A pluggable persistence layer for the trading floor. Modules that own
+ * state (the world in index.js, governance, the x402 payment ledger, ...)
+ * register a named section with a snapshot()/restore() pair; the storage
+ * layer writes every section together as one consistent snapshot and hands
+ * each its data back on boot.
+ *
+ * Backends:
+ *
+ *   memory  — keeps the last snapshot in-process (default; nothing survives
+ *             a restart, same as before persistence existed)
+ *   file    — a local JSON file, written atomically: the snapshot goes to a
+ *             temp file that is fsynced and then renamed over the old one,
+ *             so a crash leaves either the previous or the new state
+ *
+ * Other backends plug in with registerBackend(). A backend is an object with
+ * load() → text|null and save(text), where text is the JSON snapshot with
+ * fixed-point amounts encoded losslessly (see amounts.js); load() must be
+ * synchronous so state is in place before the server accepts requests.
+ *
+ * Snapshots are periodic: markDirty() only notes a change, and start()
+ * writes the state every SNAPSHOT_INTERVAL_MS when something changed, so
+ * a busy floor does not rewrite its whole history on every intent. Saves
+ * run between commands, never inside one, so a swap that touches balances,
+ * escrow and the epoch counter is always persisted as a whole.
+ *
+ * A snapshot records the journal sequence number it includes (journalSeq).
+ * Everything the engine changes is journaled and fsynced before a request
+ * is answered, so on boot restore() followed by a replay of the journal
+ * past journalSeq rebuilds the exact state (see start() in index.js).
+ * Changes outside the journal (API keys, sessions, webhooks, votes) are
+ * saved by the next snapshot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const amounts = require('./amounts');
+const journal = require('./journal');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Bumped whenever the snapshot layout changes incompatibly
+const SNAPSHOT_VERSION = 3;
+
+const DEFAULT_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+const DEFAULT_PATH = process.env.STORAGE_PATH || path.join(__dirname, '..', 'data', 'agentswaps.json');
+
+// How often start() saves a changed state
+const SNAPSHOT_INTERVAL_MS = Number(process.env.STORAGE_SNAPSHOT_MS) || 5000;
+
+// ============================================================================
+// Backends
+// ============================================================================
+
+function createMemoryBackend() {
+  let stored = null;
+  return {
+    name: 'memory',
+    load: () => stored,
+    save: (text) => {
+      stored = text;
+    },
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.path] - Snapshot file (default STORAGE_PATH or ./data/agentswaps.json)
+ */
+function createFileBackend(options = {}) {
+  const file = path.resolve(options.path || DEFAULT_PATH);
+
+  return {
+    name: 'file',
+    path: file,
+
+    load() {
+      if (!fs.existsSync(file)) return null;
+      return fs.readFileSync(file, 'utf8');
+    },
+
+    save(text) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      const fd = fs.openSync(tmp, 'w');
+      try {
+        fs.writeSync(fd, text);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tmp, file);
+    },
+  };
+}
+
+// backend name -> factory(options)
+const backends = new Map([
+  ['memory', createMemoryBackend],
+  ['file', createFileBackend],
+]);
+
+/**
+ * Make a backend available to init() under `name`.
+ *
+ * @param {string} name
+ * @param {(options: object) => { load: Function, save: Function }} factory
+ */
+function registerBackend(name, factory) {
+  backends.set(name, factory);
+}
+
+// ============================================================================
+// State
+// ============================================================================
+
+// section name -> { snapshot, restore }
+const sections = new Map();
+
+let backend = null;
+let dirty = false;
+let timer = null;
+let interval = null; // ms between snapshot checks once started
+let lastSavedAt = null;
+let lastError = null;
+let restoredFrom = null;
+
+/**
+ * Register a piece of state to persist.
+ *
+ * @param {string} name - Unique section name ("world", "governance", ...)
+ * @param {object} handlers
+ * @param {() => object} handlers.snapshot - JSON-safe copy of the state (BigInt amounts allowed)
+ * @param {(data: object) => void} handlers.restore - Replace the state with `data`
+ */
+function registerSection(name, { snapshot, restore }) {
+  sections.set(name, { snapshot, restore });
+}
+
+/**
+ * Select the backend. Called once at boot; later calls swap the backend
+ * (tests use this to point at a temp file).
+ *
+ * @param {object} [options]
+ * @param {string} [options.backend] - Backend name (default STORAGE_BACKEND or "memory")
+ * @returns {object} The backend
+ */
+function init(options = {}) {
+  const name = options.backend || DEFAULT_BACKEND;
+  const factory = backends.get(name);
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${name}". Available: ${[...backends.keys()].join(', ')}`);
+  }
+  backend = factory(options);
+  return backend;
+}
+
+function getBackend() {
+  return backend || init();
+}
+
+// ============================================================================
+// Snapshot & Restore
+// ============================================================================
+
+/**
+ * Collect every registered section into one snapshot, with the last
+ * journal record it includes.
+ */
+function snapshot() {
+  const data = {};
+  for (const [name, section] of sections) {
+    data[name] = section.snapshot();
+  }
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    journalSeq: journal.getStatus().seq,
+    sections: data,
+  };
+}
+
+/**
+ * Load the stored snapshot and hand each registered section its data.
+ * Sections missing from the snapshot keep their current state.
+ *
+ * @returns {{ restored: boolean, savedAt?: string, journalSeq?: number, sections?: string[] }}
+ *   journalSeq is null for a snapshot written before it was recorded
+ */
+function restore() {
+  const text = getBackend().load();
+  if (!text) return { restored: false };
+  const stored = JSON.parse(text, amounts.revive);
+  if (stored.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${stored.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+
+  const restored = [];
+  for (const [name, section] of sections) {
+    if (stored.sections[name] === undefined) continue;
+    section.restore(stored.sections[name]);
+    restored.push(name);
+  }
+  restoredFrom = stored.savedAt;
+  return { restored: true, savedAt: stored.savedAt, journalSeq: stored.journalSeq ?? null, sections: restored };
+}
+
+/**
+ * Write the current state now. Errors are kept for getStatus() and
+ * rethrown so callers at shutdown can report them.
+ */
+function flush() {
+  dirty = false;
+  try {
+    const data = snapshot();
+    getBackend().save(JSON.stringify(data, amounts.encode));
+    lastSavedAt = data.savedAt;
+    lastError = null;
+  } catch (err) {
+    dirty = true;
+    lastError = err.message;
+    throw err;
+  }
+}
+
+/**
+ * Note that state changed; the next periodic snapshot saves it.
+ */
+function markDirty() {
+  dirty = true;
+}
+
+/**
+ * Save the state every `intervalMs` when it changed since the last save.
+ * The timer does not keep the process alive.
+ */
+function start(intervalMs = SNAPSHOT_INTERVAL_MS) {
+  stop();
+  interval = intervalMs;
+  timer = setInterval(() => {
+    if (!dirty) return;
+    try {
+      flush();
+    } catch (err) {
+      console.error(`[storage] Save failed: ${err.message}`);
+    }
+  }, intervalMs);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  interval = null;
+}
+
+function getStatus() {
+  const b = getBackend();
+  return {
+    backend: b.name,
+    path: b.path || null,
+    sections: [...sections.keys()],
+    pending: dirty,
+    snapshotIntervalMs: interval,
+    lastSavedAt,
+    restoredFrom,
+    lastError,
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  SNAPSHOT_INTERVAL_MS,
+  init,
+  registerBackend,
+  registerSection,
+  snapshot,
+  restore,
+  flush,
+  markDirty,
+  start,
+  stop,
+  getStatus,
+  createMemoryBackend,
+  createFileBackend,
+};
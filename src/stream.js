@@ -0,0 +1,361 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Event Stream
+ *
+ * Pushes world events to agents as they happen, over Server-Sent Events
+ * (GET /api/stream) or a WebSocket (/api/ws), instead of polling
+ * /api/events.
+ *
+ * Channels narrow what a client receives:
+ *
+ *   type:swap_executed   one event type
+ *   agent:alice          events involving an agent (either side of a swap,
+ *                        any leg of a ring)
+ *   pair:ETH/USDC        events on a token pair (any spelling parsePair
+ *                        accepts: eth-usdc, USDC_ETH, ...)
+ *   intent:<id>          events about one intent
+ *   *                    everything
+ *
+ * A client receives an event if it matches any of its channels.
+ *
+ * Every event carries `seq`, a number one higher than the event before it.
+ * A client that reconnects passes the last seq it saw (SSE: the standard
+ * Last-Event-ID header; WebSocket: `since`) and first receives every
+ * matching event it missed, then live ones. Resuming only reaches back as
+ * far as the server's event history (EVENT_HISTORY events); if the client
+ * is further behind, it is told which sequence numbers it lost (a `gap`).
+ *
+ * Clients that stop reading are disconnected rather than buffered without
+ * bound; they can reconnect and resume from where they stopped.
+ */
+
+const amounts = require('./amounts');
+const orderbook = require('./orderbook');
+const websocket = require('./websocket');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Open SSE and WebSocket connections, together
+const MAX_CLIENTS = Number(process.env.STREAM_MAX_CLIENTS) || 1000;
+
+// Keepalive comment (SSE) or ping (WebSocket) interval; a WebSocket that
+// has not answered the previous ping by the next one is closed
+const HEARTBEAT_MS = 15000;
+
+// Unsent bytes a connection may queue before it is treated as stalled
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// Data fields that put an event on each kind of channel
+const CHANNEL_FIELDS = {
+  agent: ['agent', 'agentA', 'agentB', 'agents'],
+  pair: ['pair', 'pairs'],
+  intent: ['intent', 'intentA', 'intentB', 'intents', 'incoming', 'resting'],
+};
+
+// ============================================================================
+// Channels
+// ============================================================================
+
+/**
+ * Parse a channel list (an array, or a comma-separated string) into
+ * canonical channel names.
+ *
+ * @returns {{ success: boolean, channels?: string[], error?: string }}
+ */
+function parseChannels(list) {
+  const names = (Array.isArray(list) ? list : String(list || '').split(','))
+    .map((c) => String(c).trim())
+    .filter(Boolean);
+
+  const channels = [];
+  for (const name of names) {
+    if (name === '*') {
+      channels.push(name);
+      continue;
+    }
+    const split = name.indexOf(':');
+    const kind = split === -1 ? name : name.slice(0, split);
+    const value = split === -1 ? '' : name.slice(split + 1);
+    if (kind !== 'type' && !CHANNEL_FIELDS[kind]) {
+      return { success: false, error: `Unknown channel "${name}" — use type:, agent:, pair:, intent: or *` };
+    }
+    if (!value) return { success: false, error: `Channel "${name}" needs a value` };
+    if (kind === 'pair') {
+      const pair = orderbook.parsePair(value);
+      if (!pair) return { success: false, error: `Invalid pair "${value}"` };
+      channels.push(`pair:${pair.key}`);
+    } else {
+      channels.push(`${kind}:${value}`);
+    }
+  }
+  return { success: true, channels: [...new Set(channels)] };
+}
+
+/**
+ * Every channel an event is published on.
+ */
+function channelsOf(event) {
+  const channels = [`type:${event.type}`];
+  const data = event.data || {};
+  for (const [kind, fields] of Object.entries(CHANNEL_FIELDS)) {
+    for (const field of fields) {
+      for (const value of [].concat(data[field] ?? [])) channels.push(`${kind}:${value}`);
+    }
+  }
+  return channels;
+}
+
+function matches(channels, event) {
+  if (channels.includes('*')) return true;
+  return channelsOf(event).some((c) => channels.includes(c));
+}
+
+/**
+ * Parse a last-seen sequence number. Absent means "live events only".
+ *
+ * @returns {{ success: boolean, since?: number|null, error?: string }}
+ */
+function parseSince(value, name = 'since') {
+  if (value === undefined || value === null || value === '') return { success: true, since: null };
+  if (!/^\d+$/.test(String(value))) return { success: false, error: `${name} must be an event sequence number` };
+  return { success: true, since: Number(value) };
+}
+
+// ============================================================================
+// Subscribers
+// ============================================================================
+
+const subscribers = new Set();
+
+/**
+ * Register a live subscriber. `send(event)` is called for each published
+ * event matching `subscriber.channels`; a subscriber whose send throws is
+ * dropped.
+ *
+ * @returns {{ success: boolean, subscriber?: object, error?: string }}
+ */
+function subscribe(channels, send) {
+  if (subscribers.size >= MAX_CLIENTS) return { success: false, error: 'Too many stream clients' };
+  const subscriber = { channels, send };
+  subscribers.add(subscriber);
+  return { success: true, subscriber };
+}
+
+function unsubscribe(subscriber) {
+  subscribers.delete(subscriber);
+}
+
+/**
+ * Deliver an event to every matching subscriber. Called by addEvent.
+ */
+function publish(event) {
+  for (const subscriber of subscribers) {
+    if (!matches(subscriber.channels, event)) continue;
+    try {
+      subscriber.send(event);
+    } catch (err) {
+      console.error(`[stream] Dropping subscriber: ${err.message}`);
+      subscribers.delete(subscriber);
+    }
+  }
+}
+
+/**
+ * The matching events after `since` in `history` (oldest first, ordered by
+ * seq), and the range of sequence numbers no longer held, if any.
+ *
+ * Callers subscribe and read the backlog in the same tick, so no event can
+ * land between the two.
+ *
+ * @returns {{ events: object[], gap: { from: number, to: number }|null }}
+ */
+function backlog(history, since, channels) {
+  if (since === null || history.length === 0) return { events: [], gap: null };
+  const oldest = history[0].seq;
+  const gap = oldest > since + 1 ? { from: since + 1, to: oldest - 1 } : null;
+  const events = history.filter((e) => e.seq > since && matches(channels, e));
+  return { events, gap };
+}
+
+function lastSeq(history) {
+  return history.length ? history[history.length - 1].seq : 0;
+}
+
+function getStatus() {
+  return { clients: subscribers.size, maxClients: MAX_CLIENTS };
+}
+
+// ============================================================================
+// Server-Sent Events
+// ============================================================================
+
+/**
+ * Express handler for GET /api/stream.
+ *
+ * Query: `channels` (comma-separated, default *) and `since` (last seen
+ * seq; the Last-Event-ID header wins when present). Each event is sent with
+ * its seq as the SSE id and its type as the SSE event name; a `gap` event
+ * reports sequence numbers that can no longer be replayed.
+ *
+ * @param {{ history: () => object[] }} options - The server's event history
+ */
+function sse({ history }) {
+  return (req, res) => {
+    const parsed = parseChannels(req.query.channels || '*');
+    if (!parsed.success) return res.status(400).json({ error: parsed.error });
+    const resume = parseSince(req.get('Last-Event-ID') ?? req.query.since);
+    if (!resume.success) return res.status(400).json({ error: resume.error });
+
+    const frame = (event) =>
+      `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event, amounts.replacer)}\n\n`;
+    const { success, subscriber, error } = subscribe(parsed.channels, (event) => {
+      res.write(frame(event));
+      if (res.writableLength > MAX_BUFFERED_BYTES) {
+        res.end();
+        throw new Error('SSE client is not reading');
+      }
+    });
+    if (!success) return res.status(503).json({ error });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // stop nginx holding events back
+    });
+    res.write('retry: 2000\n\n');
+
+    const missed = backlog(history(), resume.since, parsed.channels);
+    if (missed.gap) res.write(`event: gap\ndata: ${JSON.stringify(missed.gap)}\n\n`);
+    for (const event of missed.events) res.write(frame(event));
+
+    const heartbeat = setInterval(() => res.write(': keepalive\n\n'), HEARTBEAT_MS);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe(subscriber);
+    });
+  };
+}
+
+// ============================================================================
+// WebSocket
+// ============================================================================
+
+/**
+ * Upgrade handler for the WebSocket endpoint (server.on('upgrade', ...)).
+ *
+ * Clients send JSON commands:
+ *
+ *   { "op": "subscribe", "channels": ["pair:ETH/USDC"], "since": 41 }
+ *   { "op": "unsubscribe", "channels": ["pair:ETH/USDC"] }
+ *   { "op": "ping" }
+ *
+ * and receive { op: "event", event }, { op: "subscribed", channels, seq },
+ * { op: "unsubscribed", channels }, { op: "gap", from, to },
+ * { op: "pong" } or { op: "error", error }. A connection starts with no
+ * channels; `since` replays missed events on all of its channels.
+ *
+ * @param {{ history: () => object[], path?: string }} options
+ */
+function websocketServer({ history, path = '/api/ws' }) {
+  return (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== path) {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    if (subscribers.size >= MAX_CLIENTS) {
+      socket.end('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    const ws = websocket.accept(req, socket, head);
+    if (!ws) return;
+
+    // Closing (rather than throwing) keeps a stalled client's own frames
+    // from raising out of the socket's data handler
+    let open = true;
+    const reply = (message) => {
+      if (!open) return;
+      ws.send(JSON.stringify(message, amounts.replacer));
+      if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+        console.error('[stream] WebSocket closed: client is not reading');
+        ws.close(websocket.CLOSE.tryAgainLater, 'Client is not reading');
+      }
+    };
+    const { subscriber } = subscribe([], (event) => reply({ op: 'event', event }));
+
+    let alive = true;
+    const heartbeat = setInterval(() => {
+      if (!alive) return ws.close(websocket.CLOSE.normal, 'No pong');
+      alive = false;
+      ws.ping();
+    }, HEARTBEAT_MS);
+    ws.on('pong', () => {
+      alive = true;
+    });
+    ws.on('error', () => {});
+    ws.on('close', () => {
+      open = false;
+      clearInterval(heartbeat);
+      unsubscribe(subscriber);
+    });
+
+    ws.on('message', (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        return reply({ op: 'error', error: 'Messages must be JSON' });
+      }
+      try {
+        handle(message || {});
+      } catch (err) {
+        console.error(`[stream] WebSocket command failed: ${err.message}`);
+      }
+    });
+
+    function handle(message) {
+      if (message.op === 'ping') return reply({ op: 'pong' });
+      if (message.op !== 'subscribe' && message.op !== 'unsubscribe') {
+        return reply({ op: 'error', error: 'op must be subscribe, unsubscribe or ping' });
+      }
+
+      const parsed = parseChannels(message.channels || (message.op === 'subscribe' ? '*' : ''));
+      if (!parsed.success) return reply({ op: 'error', error: parsed.error });
+      if (message.op === 'unsubscribe') {
+        subscriber.channels = subscriber.channels.filter((c) => !parsed.channels.includes(c));
+        return reply({ op: 'unsubscribed', channels: parsed.channels });
+      }
+
+      const resume = parseSince(message.since);
+      if (!resume.success) return reply({ op: 'error', error: resume.error });
+      subscriber.channels = [...new Set([...subscriber.channels, ...parsed.channels])];
+      const events = history();
+      reply({ op: 'subscribed', channels: subscriber.channels, seq: lastSeq(events) });
+
+      const missed = backlog(events, resume.since, subscriber.channels);
+      if (missed.gap) reply({ op: 'gap', ...missed.gap });
+      for (const event of missed.events) reply({ op: 'event', event });
+    }
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  MAX_CLIENTS,
+  parseChannels,
+  channelsOf,
+  matches,
+  parseSince,
+  subscribe,
+  unsubscribe,
+  publish,
+  backlog,
+  getStatus,
+  sse,
+  websocketServer,
+};
@@ -0,0 +1,426 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — Outbound Webhooks
+ *
+ * For agents that cannot hold a stream open (serverless functions), the
+ * server POSTs their events to URLs they register. Any event type can be
+ * subscribed to; an agent receives the events it is part of, i.e. the ones
+ * on its `agent:<name>` stream channel (see stream.js): its intents filling
+ * or expiring, its swaps and rings, rewards, proposals it made or voted on.
+ *
+ * Each delivery is a JSON body { id, webhook, agent, event } with headers:
+ *
+ *   X-AgentSwaps-Event      event type
+ *   X-AgentSwaps-Delivery   delivery id (the same on every retry)
+ *   X-AgentSwaps-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ *                           "<t>.<raw body>" keyed with the webhook secret>
+ *
+ * Receivers should recompute the HMAC, compare in constant time and refuse
+ * timestamps more than a few minutes old.
+ *
+ * Webhooks only reach the public internet: loopback, private, link-local
+ * (cloud metadata) and other reserved addresses are refused when the URL
+ * is registered and again on every send, against the address the host
+ * name resolves to at connect time, so DNS cannot point a webhook inside.
+ *
+ * A 2xx answer delivers. Anything else (or no answer within
+ * TIMEOUT_MS) is retried with exponential backoff; after MAX_ATTEMPTS the
+ * delivery becomes dead — kept, listed and replayable by the agent.
+ *
+ * Webhooks and undelivered deliveries are persisted as their own storage
+ * section. Like keys, they are outside the journaled world.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const amounts = require('./amounts');
+const storage = require('./storage');
+const stream = require('./stream');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const MAX_WEBHOOKS_PER_AGENT = 10;
+
+// Retries wait RETRY_BASE_MS, then twice as long each time, up to MAX_RETRY_MS
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 5000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+
+const TIMEOUT_MS = 10000;
+
+// Deliveries in flight at once
+const CONCURRENCY = 10;
+
+// Dead deliveries kept, oldest dropped first
+const MAX_DEAD = 10000;
+
+// Plain http:// URLs and private addresses are for local development only
+const ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === 'true';
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Addresses a webhook may not reach: this host, private networks,
+// link-local (169.254.169.254 is the cloud metadata service), shared,
+// multicast and reserved ranges
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], // unspecified and loopback
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+const SECRET_PREFIX = 'whsec_';
+
+// ============================================================================
+// State
+// ============================================================================
+
+const webhooks = new Map(); // id -> { id, agent, url, events, secret, createdAt }
+const deliveries = new Map(); // id -> delivery, pending or dead
+
+let inFlight = 0;
+let send = post;
+
+function reset() {
+  webhooks.clear();
+  deliveries.clear();
+  inFlight = 0;
+}
+
+/**
+ * Set how deliveries are sent: `send(url, body, headers)` resolves with the
+ * HTTP status. Defaults to fetch.
+ */
+function init(options = {}) {
+  send = options.send || post;
+}
+
+/**
+ * Whether `address` (an IP) is one webhooks may not reach.
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that fails for blocked addresses. The HTTP client connects to
+ * what this returns, so the check covers the address actually used.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const found = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = ALLOW_PRIVATE ? null : found.find((a) => isBlockedAddress(a.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a blocked address (${blocked.address})`));
+    callback(null, address, family);
+  });
+}
+
+function post(url, body, headers) {
+  const target = new URL(url);
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  if (!ALLOW_PRIVATE && isBlockedAddress(host)) return Promise.reject(new Error(`Blocked address ${host}`));
+
+  // Redirects are not followed
+  return new Promise((resolve, reject) => {
+    const req = (target.protocol === 'http:' ? http : https).request(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicLookup,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      },
+      (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// ============================================================================
+// Webhooks
+// ============================================================================
+
+function view({ id, agent, url, events, description, createdAt }) {
+  return { id, agent, url, events, description, createdAt };
+}
+
+/**
+ * Register a webhook for an agent. The signing secret is returned only here.
+ *
+ * @param {string} agentName
+ * @param {{ url: string, events?: string[], description?: string }} options
+ *   events: event types (e.g. intent_filled) or ["*"] for all (default)
+ * @returns {{ success: boolean, webhook?: object, secret?: string, error?: string }}
+ */
+function register(agentName, { url, events = ['*'], description } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { success: false, error: 'url must be an absolute URL' };
+  }
+  if (parsed.protocol !== 'https:' && !(ALLOW_HTTP && parsed.protocol === 'http:')) {
+    return { success: false, error: 'url must use https' };
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (!ALLOW_PRIVATE && (isBlockedAddress(host) || host === 'localhost' || host.endsWith('.localhost'))) {
+    return { success: false, error: 'url must not point to a loopback, private or link-local address' };
+  }
+  if (!Array.isArray(events) || events.length === 0 || events.some((e) => !/^(\*|[a-z][a-z_]*)$/.test(e))) {
+    return { success: false, error: 'events must be a non-empty list of event types, or ["*"]' };
+  }
+  if (listWebhooks(agentName).length >= MAX_WEBHOOKS_PER_AGENT) {
+    return { success: false, error: `At most ${MAX_WEBHOOKS_PER_AGENT} webhooks per agent` };
+  }
+
+  const webhook = {
+    id: crypto.randomUUID(),
+    agent: agentName,
+    url: parsed.href,
+    events: [...new Set(events)],
+    description: description ? String(description).slice(0, 200) : null,
+    secret: SECRET_PREFIX + crypto.randomBytes(24).toString('base64url'),
+    createdAt: new Date().toISOString(),
+  };
+  webhooks.set(webhook.id, webhook);
+  storage.markDirty();
+  return { success: true, webhook: view(webhook), secret: webhook.secret };
+}
+
+/**
+ * An agent's webhooks (without secrets), oldest first.
+ */
+function listWebhooks(agentName) {
+  return [...webhooks.values()].filter((w) => w.agent === agentName).map(view);
+}
+
+/**
+ * Remove a webhook and drop its undelivered deliveries.
+ */
+function remove(agentName, webhookId) {
+  const webhook = webhooks.get(webhookId);
+  if (!webhook || webhook.agent !== agentName) return { success: false, error: 'Webhook not found' };
+  webhooks.delete(webhookId);
+  for (const [id, delivery] of deliveries) {
+    if (delivery.webhook === webhookId) deliveries.delete(id);
+  }
+  storage.markDirty();
+  return { success: true };
+}
+
+// ============================================================================
+// Deliveries
+// ============================================================================
+
+/**
+ * Queue a delivery of `event` to every webhook subscribed to it. Called by
+ * addEvent; sending happens in deliverDue().
+ *
+ * @returns {number} Deliveries queued
+ */
+function dispatch(event, now = Date.now()) {
+  if (webhooks.size === 0) return 0;
+  const channels = stream.channelsOf(event);
+  let queued = 0;
+  for (const webhook of webhooks.values()) {
+    if (!channels.includes(`agent:${webhook.agent}`)) continue;
+    if (!webhook.events.includes('*') && !webhook.events.includes(event.type)) continue;
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhook: webhook.id,
+      agent: webhook.agent,
+      event,
+      status: 'pending', // pending | sending | dead (delivered ones are dropped)
+      attempts: 0,
+      nextAttemptAt: now,
+      lastStatus: null,
+      lastError: null,
+      createdAt: new Date(now).toISOString(),
+    };
+    deliveries.set(delivery.id, delivery);
+    queued++;
+  }
+  if (queued) storage.markDirty();
+  return queued;
+}
+
+/**
+ * HMAC signature header value for a body sent at `timestamp` (unix seconds).
+ */
+function sign(secret, body, timestamp) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Wait before attempt `attempts + 1`.
+ */
+function backoff(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+}
+
+async function attempt(delivery, now) {
+  const webhook = webhooks.get(delivery.webhook);
+  const body = JSON.stringify(
+    { id: delivery.id, webhook: webhook.id, agent: delivery.agent, event: delivery.event },
+    amounts.replacer
+  );
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'AgentSwaps-Webhooks/1.0',
+    'X-AgentSwaps-Event': delivery.event.type,
+    'X-AgentSwaps-Delivery': delivery.id,
+    'X-AgentSwaps-Signature': sign(webhook.secret, body, Math.floor(now / 1000)),
+  };
+
+  delivery.attempts++;
+  delivery.lastAttemptAt = new Date(now).toISOString();
+  try {
+    const status = await send(webhook.url, body, headers);
+    delivery.lastStatus = status;
+    delivery.lastError = status >= 200 && status < 300 ? null : `HTTP ${status}`;
+  } catch (err) {
+    delivery.lastStatus = null;
+    delivery.lastError = err.message;
+  }
+
+  if (!delivery.lastError) {
+    deliveries.delete(delivery.id);
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'dead';
+    delivery.nextAttemptAt = null;
+    console.warn(`[webhooks] Delivery ${delivery.id} to ${webhook.url} dead after ${delivery.attempts} attempts`);
+    pruneDead();
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = now + backoff(delivery.attempts);
+  }
+  storage.markDirty();
+}
+
+function pruneDead() {
+  const dead = [...deliveries.values()].filter((d) => d.status === 'dead');
+  for (const d of dead.slice(0, Math.max(0, dead.length - MAX_DEAD))) deliveries.delete(d.id);
+}
+
+/**
+ * Send every pending delivery that is due, up to CONCURRENCY at a time.
+ * Runs on a timer (see start() in index.js).
+ *
+ * @returns {Promise<number>} Deliveries attempted
+ */
+async function deliverDue(now = Date.now()) {
+  const due = [...deliveries.values()]
+    .filter((d) => d.status === 'pending' && d.nextAttemptAt <= now)
+    .slice(0, Math.max(0, CONCURRENCY - inFlight));
+
+  await Promise.all(
+    due.map(async (delivery) => {
+      delivery.status = 'sending';
+      inFlight++;
+      try {
+        await attempt(delivery, now);
+      } finally {
+        inFlight--;
+      }
+    })
+  );
+  return due.length;
+}
+
+function deliveryView(delivery) {
+  const { event, ...rest } = delivery;
+  return { ...rest, event: { seq: event.seq, type: event.type, timestamp: event.timestamp } };
+}
+
+/**
+ * An agent's undelivered deliveries, oldest first: `status` "pending" or
+ * "dead" (the dead-letter list), or both.
+ */
+function listDeliveries(agentName, status) {
+  return [...deliveries.values()]
+    .filter((d) => d.agent === agentName && (!status || d.status === status))
+    .map(deliveryView);
+}
+
+/**
+ * Send a dead delivery again, with a fresh set of attempts.
+ */
+function replay(agentName, deliveryId, now = Date.now()) {
+  const delivery = deliveries.get(deliveryId);
+  if (!delivery || delivery.agent !== agentName) return { success: false, error: 'Delivery not found' };
+  if (delivery.status !== 'dead') return { success: false, error: `Delivery is ${delivery.status}` };
+  delivery.status = 'pending';
+  delivery.attempts = 0;
+  delivery.nextAttemptAt = now;
+  storage.markDirty();
+  return { success: true, delivery: deliveryView(delivery) };
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+storage.registerSection('webhooks', {
+  snapshot: () => ({ webhooks: [...webhooks.values()], deliveries: [...deliveries.values()] }),
+  restore: (data) => {
+    reset();
+    for (const webhook of data.webhooks) webhooks.set(webhook.id, webhook);
+    for (const delivery of data.deliveries) {
+      // Interrupted mid-send: its outcome is unknown, so send it again
+      if (delivery.status === 'sending') delivery.status = 'pending';
+      deliveries.set(delivery.id, delivery);
+    }
+  },
+});
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  MAX_ATTEMPTS,
+  RETRY_BASE_MS,
+  reset,
+  init,
+  register,
+  listWebhooks,
+  remove,
+  dispatch,
+  sign,
+  isBlockedAddress,
+  publicLookup,
+  backoff,
+  deliverDue,
+  listDeliveries,
+  replay,
+};
@@ -0,0 +1,223 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+/**
+ * AgentSwaps — WebSocket Server
+ *
+ * Just enough of RFC 6455 for the event stream: the HTTP upgrade
+ * handshake, text messages in both directions (fragmented or not), ping,
+ * pong and close. Binary messages are refused, and so are messages over
+ * MAX_MESSAGE_BYTES — clients only send small JSON commands.
+ *
+ * Usage:
+ *
+ *   server.on('upgrade', (req, socket, head) => {
+ *     const ws = websocket.accept(req, socket, head);
+ *     if (ws) ws.on('message', (text) => ws.send(text));
+ *   });
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Appended to the client's key for Sec-WebSocket-Accept (RFC 6455 §1.3)
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Close codes used here
+const CLOSE = { normal: 1000, protocolError: 1002, unsupported: 1003, tooBig: 1009, tryAgainLater: 1013 };
+
+// ============================================================================
+// Frames
+// ============================================================================
+
+/**
+ * Encode one unmasked frame (server to client).
+ *
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the first frame in `buffer`.
+ *
+ * @returns {{ fin: boolean, opcode: number, masked: boolean, payload: Buffer, size: number }|null}
+ *   The frame and how many bytes it used, or null if it is not complete yet
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    const long = buffer.readBigUInt64BE(2);
+    // Larger than any message accepted: report the size without buffering it
+    length = long > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(long);
+    offset = 10;
+  }
+  if (length === Infinity) return { fin, opcode, masked, payload: null, size: Infinity };
+
+  const maskBytes = masked ? 4 : 0;
+  if (buffer.length < offset + maskBytes + length) return null;
+  const payload = Buffer.from(buffer.subarray(offset + maskBytes, offset + maskBytes + length));
+  if (masked) {
+    const mask = buffer.subarray(offset, offset + 4);
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  }
+  return { fin, opcode, masked, payload, size: offset + maskBytes + length };
+}
+
+// ============================================================================
+// Connections
+// ============================================================================
+
+/**
+ * Complete the upgrade handshake for a WebSocket request. Answers 400 and
+ * returns null if the request is not a valid version-13 upgrade.
+ *
+ * The connection emits 'message' (text), 'close' (code) and 'error'.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {net.Socket} socket
+ * @param {Buffer} [head] - Bytes read past the request headers
+ * @returns {EventEmitter|null} With send(text), ping(), close(code, reason) and bufferedAmount
+ */
+function accept(req, socket, head = Buffer.alloc(0)) {
+  const key = req.headers['sec-websocket-key'];
+  const upgrade = (req.headers.upgrade || '').toLowerCase();
+  if (upgrade !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  const acceptKey = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${acceptKey}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const ws = new EventEmitter();
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let closed = false;
+
+  const write = (opcode, payload) => {
+    if (!closed && socket.writable) socket.write(encodeFrame(opcode, payload));
+  };
+
+  ws.send = (text) => write(OPCODES.text, Buffer.from(text));
+  ws.ping = () => write(OPCODES.ping);
+  ws.close = (code = CLOSE.normal, reason = '') => {
+    if (closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    write(OPCODES.close, payload);
+    closed = true;
+    socket.end();
+    ws.emit('close', code);
+  };
+  Object.defineProperty(ws, 'bufferedAmount', { get: () => socket.writableLength });
+
+  function receive(frame) {
+    // Clients must mask every frame (RFC 6455 §5.1)
+    if (!frame.masked) return ws.close(CLOSE.protocolError, 'Frames must be masked');
+    if (frame.size === Infinity) return ws.close(CLOSE.tooBig, 'Message too big');
+
+    switch (frame.opcode) {
+      case OPCODES.ping:
+        return write(OPCODES.pong, frame.payload);
+      case OPCODES.pong:
+        return ws.emit('pong');
+      case OPCODES.close:
+        return ws.close(frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : CLOSE.normal);
+      case OPCODES.binary:
+        return ws.close(CLOSE.unsupported, 'Text messages only');
+      case OPCODES.text:
+      case OPCODES.continuation: {
+        if ((frame.opcode === OPCODES.text) === fragments.length > 0) {
+          return ws.close(CLOSE.protocolError, 'Unexpected frame');
+        }
+        fragmentBytes += frame.payload.length;
+        if (fragmentBytes > MAX_MESSAGE_BYTES) return ws.close(CLOSE.tooBig, 'Message too big');
+        fragments.push(frame.payload);
+        if (!frame.fin) return;
+        const text = Buffer.concat(fragments).toString('utf8');
+        fragments = [];
+        fragmentBytes = 0;
+        return ws.emit('message', text);
+      }
+      default:
+        return ws.close(CLOSE.protocolError, 'Unknown opcode');
+    }
+  }
+
+  function onData(chunk) {
+    buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+    let frame;
+    while (!closed && (frame = decodeFrame(buffered))) {
+      receive(frame);
+      if (frame.size === Infinity) break;
+      buffered = buffered.subarray(frame.size);
+    }
+  }
+
+  socket.on('data', onData);
+  socket.on('error', (err) => ws.emit('error', err));
+  socket.on('close', () => {
+    if (closed) return;
+    closed = true;
+    ws.emit('close', CLOSE.normal);
+  });
+  if (head.length) onData(head);
+
+  return ws;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  MAX_MESSAGE_BYTES,
+  OPCODES,
+  CLOSE,
+  encodeFrame,
+  decodeFrame,
+  accept,
+};
@@ -84,18 +84,57 @@ const ROUTE_PRICING = {
   'GET /health': null,
   'GET /api/world': null,
   'GET /api/events': null,
+  'GET /api/stream': null,
   'GET /api/leaderboard': null,
   'GET /api/prices': null,
+  'GET /api/prices/sources': null,
   'GET /api/solana': null,
+  'GET /api/auctions': null,
+  'GET /api/auctions/:pair': null,
+  'GET /api/ledger/check': null,
 
   // --- Paid endpoints (actions that affect world state) ---
   'POST /api/agents': '$0.01', // Register agent: 1 cent
-  'POST /api/agents/:name/deposit': '$0.001', // Deposit: 0.1 cent
+  'POST /api/agents/:name/deposit': '$0.001', // Sandbox deposit: 0.1 cent
+  'GET /api/agents/:name/deposit-address': null, // Where to send deposits: free
+  'POST /api/agents/:name/siwe/challenge': null, // SIWE challenge: free
+  'POST /api/agents/:name/siwe/verify': null, // SIWE verify: free
+  'GET /api/agents/:name/keys': null, // List API keys: free
+  'POST /api/agents/:name/keys': null, // Issue API key: free
+  'POST /api/agents/:name/delegates': null, // Issue delegated sub-agent key: free
+  'DELETE /api/agents/:name/keys/:id': null, // Revoke API key: free
+  'GET /api/agents/:name/webhooks': null, // List webhooks: free
+  'POST /api/agents/:name/webhooks': null, // Register webhook: free
+  'DELETE /api/agents/:name/webhooks/:id': null, // Remove webhook: free
+  'GET /api/agents/:name/webhooks/deliveries': null, // Undelivered and dead webhook deliveries: free
+  'POST /api/agents/:name/webhooks/deliveries/:id/replay': null, // Replay a dead delivery: free
+  'GET /api/agents/:name/deposits': '$0.001', // Credited deposits: 0.1 cent
+  'POST /api/agents/:name/withdraw': '$0.001', // Withdraw: 0.1 cent
   'POST /api/intents': '$0.01', // Post trade intent: 1 cent
   'GET /api/intents': '$0.001', // Read orderbook: 0.1 cent
+  'GET /api/intents/:id': '$0.001', // Read intent + fills: 0.1 cent
+  'PATCH /api/intents/:id': '$0.01', // Amend intent: 1 cent
+  'DELETE /api/intents/:id': null, // Cancel intent: free (refunds escrow)
+  'POST /api/conditionals': '$0.01', // Stop-loss / take-profit: 1 cent
+  'GET /api/conditionals': '$0.001', // Read conditionals: 0.1 cent
+  'GET /api/conditionals/:id': '$0.001', // Read one conditional: 0.1 cent
+  'DELETE /api/conditionals/:id': null, // Cancel conditional: free (refunds escrow)
+  'POST /api/algos': '$0.01', // Start TWAP / iceberg: 1 cent
+  'GET /api/algos': '$0.001', // Read algos: 0.1 cent
+  'GET /api/algos/:id': '$0.001', // Read algo progress: 0.1 cent
+  'POST /api/algos/:id/pause': null, // Pause algo: free
+  'POST /api/algos/:id/resume': null, // Resume algo: free
+  'DELETE /api/algos/:id': null, // Cancel algo: free (refunds escrow)
+  'GET /api/orderbook': '$0.001', // Order book summary: 0.1 cent
+  'GET /api/orderbook/:pair': '$0.001', // Order book depth: 0.1 cent
+  'GET /api/markets/:pair/candles': '$0.001', // OHLCV candles: 0.1 cent
+  'GET /api/markets/:pair/ticker': '$0.001', // Last, VWAP and mark prices: 0.1 cent
   'GET /api/swaps': '$0.001', // Read swap history: 0.1 cent
+  'GET /api/rings': '$0.001', // Read ring history: 0.1 cent
   'GET /api/agents/:name': '$0.001', // Read agent details: 0.1 cent
   'GET /api/agents/:name/wallet': '$0.001', // Read agent wallet: 0.1 cent
+  'GET /api/agents/:name/statement': '$0.001', // Read ledger statement: 0.1 cent
+  'GET /api/agents/:name/withdrawals': '$0.001', // Read withdrawal status: 0.1 cent
 
   // --- Governance (slightly higher since it affects protocol) ---
   'POST /api/governance/proposals': '$0.05', // Create proposal: 5 cents
@@ -260,6 +299,8 @@ async function settlePayment(paymentPayload, paymentRequired, config) {
 // Payment Ledger — Track payments received
 // ============================================================================
 
+const storage = require('./storage');
+
 const paymentLedger = {
   total: 0,
   count: 0,
@@ -271,6 +312,7 @@ function recordPayment(payment) {
   paymentLedger.count++;
   paymentLedger.payments.push({
     ...payment,
+    seq: paymentLedger.count,
     recordedAt: new Date().toISOString(),
   });
 
@@ -278,16 +320,45 @@ function recordPayment(payment) {
   if (paymentLedger.payments.length > 1000) {
     paymentLedger.payments = paymentLedger.payments.slice(-1000);
   }
+  storage.markDirty();
 
   console.log(
     `[x402] Payment received: $${payment.amount.toFixed(6)} USDC from ${payment.payer || 'unknown'} for ${payment.route}`
   );
 }
 
+// The ledger survives restarts (see storage.js)
+storage.registerSection('x402', {
+  snapshot: () => paymentLedger,
+  restore: (data) => {
+    paymentLedger.total = data.total;
+    paymentLedger.count = data.count;
+    // Number payments recorded before they carried a seq
+    paymentLedger.payments = data.payments.map((p, i) => ({
+      seq: data.count - data.payments.length + i + 1,
+      agent: null,
+      ...p,
+    }));
+  },
+});
+
 // ============================================================================
 // Express Middleware
 // ============================================================================
 
+/**
+ * The agent a paid request acts for, if it names one: the agent in an
+ * /api/agents/:name path, the `agent` of the body, or the name an agent
+ * registers under.
+ */
+function payingAgent(req) {
+  const inPath = req.path.match(/^\/api\/agents\/([^/]+)/);
+  if (inPath) return decodeURIComponent(inPath[1]);
+  if (req.body && req.body.agent) return String(req.body.agent);
+  if (req.method === 'POST' && req.path === '/api/agents' && req.body && req.body.name) return String(req.body.name);
+  return null;
+}
+
 /**
  * Resolve the configured environment into a full config object.
  */
@@ -484,6 +555,7 @@ function paymentMiddleware(configOverrides = {}) {
       route: routeKey,
       amount: usdAmount,
       payer: paymentPayload.payer || paymentPayload.from || 'unknown',
+      agent: payingAgent(req),
       txHash: settlement.receipt?.txHash || settlement.receipt?.transactionHash || null,
       network: config.network,
     });
@@ -523,6 +595,7 @@ function paymentMiddleware(configOverrides = {}) {
  * Mount at /api/x402 for payment status visibility.
  */
 const express = require('express');
+const pagination = require('./pagination');
 const router = express.Router();
 
 // Payment status and stats
@@ -541,13 +614,25 @@ router.get('/status', (req, res) => {
   });
 });
 
-// Payment ledger (recent payments)
+// Payment ledger: recent payments (the last 1000), newest first, paginated
+// and filtered by agent, payer, route and from/to (see pagination.js)
 router.get('/payments', (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
+  const query = pagination.parseQuery(req.query, ['agent', 'payer', 'route', 'from', 'to']);
+  if (!query.success) return res.status(400).json({ error: query.error });
+  const { agent, payer, route } = query.filters;
+  const { items, page } = pagination.paginate(paymentLedger.payments, query, {
+    position: (p) => p.seq,
+    filter: (p) =>
+      (!agent || p.agent === agent) &&
+      (!payer || String(p.payer).toLowerCase() === payer.toLowerCase()) &&
+      (!route || p.route === route) &&
+      pagination.inRange(p.recordedAt, query.filters),
+  });
   res.json({
     total: paymentLedger.total,
     count: paymentLedger.count,
-    payments: paymentLedger.payments.slice(-limit).reverse(),
+    payments: items,
+    page,
   });
 });
 
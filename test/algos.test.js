@@ -0,0 +1,74 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const amounts = require('../src/amounts');
+const algos = require('../src/algos');
+
+const units = (n) => amounts.parse(null, n).value;
+
+describe('Execution Algorithms', function () {
+  describe('Parameters', function () {
+    it('should space TWAP slices evenly over the duration', function () {
+      const { params } = algos.normalizeParams('twap', units(10), { durationMs: 60000, slices: 6 });
+      expect(params).to.deep.equal({ durationMs: 60000, slices: 6, intervalMs: 10000 });
+    });
+
+    it('should default to one TWAP slice a minute', function () {
+      expect(algos.normalizeParams('twap', units(10), { durationMs: 10 * 60000 }).params.slices).to.equal(10);
+      expect(algos.normalizeParams('twap', units(10), { durationMs: 5000 }).params.slices).to.equal(1);
+    });
+
+    it('should reject slices closer than a second apart', function () {
+      expect(algos.normalizeParams('twap', units(10), { durationMs: 5000, slices: 10 }).error).to.match(/apart/);
+    });
+
+    it('should require a visible iceberg size within the order', function () {
+      const order = units(10);
+      expect(algos.normalizeParams('iceberg', order, { visibleAmount: '2' }, 'ETH').params).to.deep.equal({
+        visibleAmount: units(2),
+      });
+      expect(algos.normalizeParams('iceberg', order, { visibleAmount: 11 }, 'ETH').error).to.exist;
+      expect(algos.normalizeParams('iceberg', order, {}, 'ETH').error).to.exist;
+      expect(algos.normalizeParams('iceberg', order, { visibleAmount: '0.0000001' }, 'USDC').error).to.match(
+        /at most 6 decimals/
+      );
+    });
+
+    it('should reject unknown algo types', function () {
+      expect(algos.normalizeParams('vwap', units(10), {}).error).to.match(/twap, iceberg/);
+    });
+  });
+
+  describe('Slicing', function () {
+    it('should spread unreleased TWAP size over the slices left', function () {
+      const give = { token: 'USDC' };
+      const algo = { type: 'twap', give, params: { slices: 4 }, slicesPosted: 1, unreleased: units(3.3) };
+      expect(algos.nextSlice(algo)).to.equal(units(1.1));
+
+      // Rounded down to the token's decimals; the last slice takes the rest
+      algo.unreleased = units(1);
+      expect(algos.nextSlice(algo)).to.equal(units('0.333333'));
+      algo.slicesPosted = 3;
+      expect(algos.nextSlice(algo)).to.equal(units(1));
+    });
+
+    it('should cap iceberg slices at the visible amount', function () {
+      const params = { visibleAmount: units(2) };
+      expect(algos.nextSlice({ type: 'iceberg', params, unreleased: units(5) })).to.equal(units(2));
+      expect(algos.nextSlice({ type: 'iceberg', params, unreleased: units(0.5) })).to.equal(units(0.5));
+    });
+  });
+
+  describe('Average price', function () {
+    it('should weight fills by size in quote per base', function () {
+      const sells = [
+        { gave: units(1), received: units(2800) },
+        { gave: units(3), received: units(8700) },
+      ];
+      expect(algos.averagePrice(sells, true)).to.equal(2875);
+
+      const buys = [{ gave: units(5700), received: units(2) }];
+      expect(algos.averagePrice(buys, false)).to.equal(2850);
+      expect(algos.averagePrice([], true)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const amounts = require('../src/amounts');
+
+describe('Amounts', function () {
+  describe('Parsing', function () {
+    it('should parse decimal strings and numbers to fixed-point', function () {
+      expect(amounts.parse('ETH', '1.5').value).to.equal(1500000000000000000n);
+      expect(amounts.parse('USDC', 2800).value).to.equal(2800n * amounts.ONE);
+      expect(amounts.parse('USDC', '0.000001').value).to.equal(amounts.quantum('USDC'));
+    });
+
+    it('should reject more decimals than the token supports instead of rounding', function () {
+      expect(amounts.parse('USDC', '1.0000001').error).to.match(/USDC supports at most 6 decimals/);
+      expect(amounts.parse('BTC', '0.000000001').error).to.match(/at most 8 decimals/);
+      expect(amounts.parse('USDC', '1.500000000').value).to.equal(amounts.parse('USDC', '1.5').value);
+    });
+
+    it('should reject negative and malformed amounts', function () {
+      expect(amounts.parse('ETH', '-1').error).to.match(/negative/);
+      expect(amounts.parse('ETH', '1e3').error).to.match(/Invalid amount/);
+      expect(amounts.parse('ETH', 'abc').error).to.match(/Invalid amount/);
+      expect(amounts.parse('ETH', NaN).error).to.exist;
+    });
+  });
+
+  describe('Formatting', function () {
+    it('should print trimmed decimal strings', function () {
+      expect(amounts.format(amounts.parse('ETH', '1.50').value)).to.equal('1.5');
+      expect(amounts.format(0n)).to.equal('0');
+      expect(amounts.format(-amounts.parse('SOL', '0.25').value)).to.equal('-0.25');
+    });
+
+    it('should convert to and from on-chain units', function () {
+      expect(amounts.toUnits('USDC', amounts.parse('USDC', '2.5').value)).to.equal(2500000n);
+      expect(amounts.toUnits('ETH', amounts.ONE)).to.equal(10n ** 18n);
+      expect(amounts.fromUnits('SOL', '1500000000')).to.equal(amounts.parse('SOL', '1.5').value);
+    });
+
+    it('should round-trip through storage encoding', function () {
+      const state = { balance: amounts.parse('ETH', '0.000000000000000001').value, debt: -amounts.ONE, n: 3 };
+      const text = JSON.stringify(state, amounts.encode);
+      expect(JSON.parse(text, amounts.revive)).to.deep.equal(state);
+      expect(JSON.stringify(state, amounts.replacer)).to.equal('{"balance":"0.000000000000000001","debt":"-1","n":3}');
+    });
+  });
+
+  describe('Arithmetic', function () {
+    it('should round explicitly to the result token\'s decimals', function () {
+      const third = amounts.parse(null, '0.3333333333').value;
+      expect(amounts.round('USDC', third, 'down')).to.equal(amounts.parse('USDC', '0.333333').value);
+      expect(amounts.round('USDC', third, 'up')).to.equal(amounts.parse('USDC', '0.333334').value);
+    });
+
+    it('should multiply and divide by prices without float error', function () {
+      const tenth = amounts.parse('ETH', '0.1').value;
+      expect(amounts.mulPrice(tenth, 3, 'USDC', 'down')).to.equal(amounts.parse('USDC', '0.3').value);
+      expect(amounts.divPrice(amounts.parse('USDC', 1).value, 3, 'ETH', 'down')).to.equal(
+        amounts.parse('ETH', '0.333333333333333333').value
+      );
+      expect(amounts.divPrice(amounts.ONE, 0, 'ETH', 'down')).to.equal(0n);
+    });
+
+    it('should keep USD volume to 6 decimals, rounded down', function () {
+      const wei = amounts.parse('ETH', '0.000000000000000001').value;
+      expect(amounts.toUSD(wei, 2800)).to.equal(0n);
+      expect(amounts.toUSD(amounts.parse('ETH', '1.5').value, 2800)).to.equal(amounts.parse('USD', 4200).value);
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const auth = require('../src/auth');
+const ratelimit = require('../src/ratelimit');
+const engine = require('../src/index');
+
+// The HTTP API, called over a real socket. Agents are registered with fresh
+// names; rate-limit buckets start empty in every test.
+describe('API', function () {
+  let server;
+  let base;
+  let count = 0;
+  let log;
+
+  // `ip` poses as a client behind a trusted proxy (see the Rate limits tests)
+  async function call(method, path, { body, key, ip } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (key) headers.Authorization = `Bearer ${key}`;
+    if (ip) headers['X-Forwarded-For'] = ip;
+    const res = await fetch(`${base}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  // Register an agent over HTTP, fund it, and return its name and full-scope key
+  async function register(name) {
+    count++;
+    const agent = `${name}-api-${count}`;
+    const res = await call('POST', '/api/agents', { body: { name: agent } });
+    expect(res.body.success).to.equal(true);
+    engine.depositTokens(agent, 'ETH', '10');
+    engine.depositTokens(agent, 'USDC', '50000');
+    return { name: agent, key: res.body.apiKey.key };
+  }
+
+  before(function (done) {
+    log = console.log;
+    console.log = () => {};
+    engine.updateTokenPrices({ USDC: 1, ETH: 2000, SOL: 100, MON: 0.5, BTC: 60000 });
+    server = engine.app.listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  beforeEach(function () {
+    ratelimit.init({ store: 'memory' });
+  });
+
+  after(function (done) {
+    console.log = log;
+    server.close(done);
+  });
+
+  describe('Registration', function () {
+    it('should answer 400 for metadata that is not an object, and accept null', async function () {
+      count++;
+      const refused = await call('POST', '/api/agents', { body: { name: `odd-api-${count}`, metadata: 'x' } });
+      expect(refused.status).to.equal(400);
+      expect(refused.body.error).to.equal('metadata must be an object');
+
+      const nulled = await call('POST', '/api/agents', { body: { name: `odd-api-${count}`, metadata: null } });
+      expect(nulled.status).to.equal(200);
+      expect(nulled.body.agent.metadata).to.deep.equal({});
+    });
+  });
+
+  describe('Authentication', function () {
+    // Every route that acts for an agent, with the scope it needs. The agent
+    // is in the path or, for the rest, in the body.
+    const ROUTES = [
+      ['GET', '/api/agents/:name/keys', 'keys'],
+      ['POST', '/api/agents/:name/keys', 'keys'],
+      ['POST', '/api/agents/:name/delegates', 'keys'],
+      ['POST', '/api/agents/:name/members', 'keys'],
+      ['DELETE', '/api/agents/:name/keys/key-1', 'keys'],
+      ['GET', '/api/agents/:name/webhooks', 'keys'],
+      ['POST', '/api/agents/:name/webhooks', 'keys'],
+      ['DELETE', '/api/agents/:name/webhooks/wh-1', 'keys'],
+      ['GET', '/api/agents/:name/webhooks/deliveries', 'keys'],
+      ['POST', '/api/agents/:name/webhooks/deliveries/dl-1/replay', 'keys'],
+      ['POST', '/api/agents/:name/deposit', 'funds'],
+      ['POST', '/api/agents/:name/withdraw', 'funds'],
+      ['POST', '/api/intents', 'trade'],
+      ['PATCH', '/api/intents/intent-1', 'trade'],
+      ['DELETE', '/api/intents/intent-1', 'trade'],
+      ['POST', '/api/conditionals', 'trade'],
+      ['DELETE', '/api/conditionals/cond-1', 'trade'],
+      ['POST', '/api/algos', 'trade'],
+      ['POST', '/api/algos/algo-1/pause', 'trade'],
+      ['POST', '/api/algos/algo-1/resume', 'trade'],
+      ['DELETE', '/api/algos/algo-1', 'trade'],
+      ['POST', '/api/governance/proposals', 'governance'],
+      ['POST', '/api/governance/proposals/1/vote', 'governance'],
+    ];
+
+    // Call every route for `agent` with `key`, returning [route, status, error]
+    async function callAll(agent, key) {
+      const results = [];
+      for (const [method, route, scope] of ROUTES) {
+        const path = route.replace(':name', agent);
+        const res = await call(method, path, { body: method === 'GET' ? undefined : { agent }, key });
+        results.push([`${method} ${route}`, scope, res.status, res.body.error]);
+      }
+      return results;
+    }
+
+    it('should refuse every agent route without credentials', async function () {
+      const alice = await register('alice');
+      for (const [route, , status] of await callAll(alice.name)) {
+        expect(status, route).to.equal(401);
+      }
+    });
+
+    it("should refuse another agent's key", async function () {
+      const [alice, bob] = [await register('alice'), await register('bob')];
+      for (const [route, , status, error] of await callAll(alice.name, bob.key)) {
+        expect([status, error], route).to.deep.equal([403, `API key does not belong to ${alice.name}`]);
+      }
+    });
+
+    it("should refuse a key without the route's scope", async function () {
+      const alice = await register('alice');
+      for (const scope of auth.SCOPES) {
+        const { key } = auth.issueKey(alice.name, auth.SCOPES.filter((s) => s !== scope));
+        for (const [route, needs, status, error] of await callAll(alice.name, key)) {
+          if (needs !== scope) continue;
+          expect([status, error], route).to.deep.equal([403, `API key lacks the ${scope} scope`]);
+        }
+      }
+    });
+
+    it('should refuse delegated keys on routes other than posting, amending and cancelling intents', async function () {
+      const alice = await register('alice');
+      const { key } = auth.issueDelegateKey(alice.name, {
+        label: 'worker',
+        pairs: ['ETH-USDC'],
+        maxPerIntent: '10000',
+        maxPerDay: '50000',
+      });
+      const delegated = ['POST /api/intents', 'PATCH /api/intents/intent-1', 'DELETE /api/intents/intent-1'];
+      for (const [route, scope, status, error] of await callAll(alice.name, key)) {
+        if (delegated.includes(route)) {
+          expect(status, route).to.not.be.oneOf([401, 403]);
+        } else if (scope === 'trade') {
+          expect([status, error], route).to.deep.equal([403, 'Delegated keys can only post, amend and cancel intents']);
+        } else {
+          expect([status, error], route).to.deep.equal([403, `API key lacks the ${scope} scope`]); // trade only
+        }
+      }
+    });
+
+    it("should trade with the agent's key, and not cancel another agent's intent", async function () {
+      const [alice, bob] = [await register('alice'), await register('bob')];
+      const give = { token: 'ETH', amount: '1' };
+      const want = { token: 'USDC', minAmount: '2500' };
+      const posted = await call('POST', '/api/intents', { body: { agent: alice.name, give, want }, key: alice.key });
+      expect(posted.status).to.equal(200);
+      expect(posted.body.intent.status).to.equal('active');
+      const id = posted.body.intent.id;
+
+      const foreign = await call('DELETE', `/api/intents/${id}`, { body: { agent: bob.name }, key: bob.key });
+      expect(foreign.status).to.equal(400);
+      expect(engine.world.intents.get(id).status).to.equal('active');
+
+      const cancelled = await call('DELETE', `/api/intents/${id}`, { body: { agent: alice.name }, key: alice.key });
+      expect(cancelled.status).to.equal(200);
+      expect(engine.world.intents.get(id).status).to.equal('cancelled');
+    });
+  });
+
+  describe('Delegated keys', function () {
+    it("should refuse a sub-agent's order while the given token's price is stale", async function () {
+      const alice = await register('alice');
+      const { key } = auth.issueDelegateKey(alice.name, {
+        label: 'worker',
+        pairs: ['ETH-USDC'],
+        maxPerIntent: '5000',
+        maxPerDay: '50000',
+      });
+      const give = { token: 'ETH', amount: '1' };
+      const order = { agent: alice.name, give, want: { token: 'USDC', minAmount: '2500' } };
+
+      const info = engine.world.economy.priceInfo.ETH;
+      const old = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      engine.world.economy.priceInfo.ETH = { ...info, updatedAt: old, expiresAt: old };
+      try {
+        const refused = await call('POST', '/api/intents', { body: order, key });
+        expect(refused.status).to.equal(403);
+        expect(refused.body.error).to.equal("Stale price for ETH: the key's limits cannot be checked");
+      } finally {
+        engine.world.economy.priceInfo.ETH = info;
+      }
+
+      const posted = await call('POST', '/api/intents', { body: order, key });
+      expect(posted.status).to.equal(200);
+      expect(posted.body.intent.delegate).to.include({ label: 'worker' });
+      engine.cancelIntent(alice.name, posted.body.intent.id);
+    });
+  });
+
+  describe('Rate limits', function () {
+    before(function () {
+      engine.app.set('trust proxy', 'loopback');
+    });
+
+    after(function () {
+      engine.app.set('trust proxy', false);
+    });
+
+    it('should answer 429 with Retry-After once a route bucket is empty', async function () {
+      const alice = await register('alice');
+      const { capacity } = ratelimit.ROUTE_LIMITS['POST /api/intents'];
+      const post = () => call('POST', '/api/intents', { body: { agent: alice.name }, key: alice.key });
+
+      // A refused request still takes its token
+      for (let i = 0; i < capacity; i++) {
+        const res = await post();
+        expect(res.status).to.equal(400);
+        expect(res.headers.get('RateLimit-Limit')).to.equal(String(capacity));
+      }
+      const limited = await post();
+      expect(limited.status).to.equal(429);
+      expect(limited.body.error).to.equal('Rate limit exceeded');
+      expect(limited.headers.get('Retry-After')).to.equal('1'); // 60 per minute
+      expect(limited.headers.get('RateLimit-Remaining')).to.equal('0');
+
+      // Other routes have buckets of their own
+      expect((await call('GET', `/api/agents/${alice.name}/keys`, { key: alice.key })).status).to.equal(200);
+    });
+
+    it("should count an agent's requests against the agent whatever key it uses", async function () {
+      const alice = await register('alice');
+      const { capacity } = ratelimit.ROUTE_LIMITS['POST /api/agents/:name/keys'];
+      const body = { scopes: ['trade'] };
+      const issue = (key, ip) => call('POST', `/api/agents/${alice.name}/keys`, { body, key, ip });
+      for (let i = 0; i < capacity; i++) {
+        expect((await issue(alice.key, `10.0.0.${i}`)).status).to.equal(201);
+      }
+      const { key } = auth.issueKey(alice.name);
+      expect((await issue(key, '10.0.1.1')).status).to.equal(429);
+
+      const bob = await register('bob');
+      const other = await call('POST', `/api/agents/${bob.name}/keys`, { body, key: bob.key });
+      expect(other.status).to.equal(201);
+    });
+
+    it('should limit registrations by client address', async function () {
+      const { capacity } = ratelimit.ROUTE_LIMITS['POST /api/agents'];
+      const registerFrom = (name, ip) => call('POST', '/api/agents', { body: { name }, ip });
+      for (let i = 0; i < capacity; i++) {
+        expect((await registerFrom(`crowd-api-${++count}`, '10.0.2.1')).status).to.equal(200);
+      }
+      const limited = await registerFrom(`crowd-api-${++count}`, '10.0.2.1');
+      expect(limited.status).to.equal(429);
+      expect(engine.world.agents.has(`crowd-api-${count}`)).to.equal(false);
+      expect((await registerFrom(`crowd-api-${count}`, '10.0.2.2')).status).to.equal(200);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const amounts = require('../src/amounts');
+const auction = require('../src/auction');
+
+const units = (n) => amounts.parse(null, n).value;
+
+function bid(quote, price) {
+  return { side: 'bid', remaining: units(quote), limitPrice: price, want: {} };
+}
+
+function ask(base, price) {
+  return { side: 'ask', remaining: units(base), limitPrice: price, want: {} };
+}
+
+describe('Batch Auction', function () {
+  describe('Clearing price', function () {
+    it('should pick the price that maximises matched volume', function () {
+      const bids = [bid(2900, 2900), bid(5700, 2850)];
+      const asks = [ask(2, 2800), ask(1, 2850)];
+
+      const clearing = auction.clearingPrice(bids, asks);
+      expect(clearing.price).to.equal(2850);
+      expect(clearing.volume).to.equal(units(3));
+    });
+
+    it('should return null when the book does not cross', function () {
+      expect(auction.clearingPrice([bid(2700, 2700)], [ask(1, 2800)])).to.equal(null);
+      expect(auction.clearingPrice([], [ask(1, 2800)])).to.equal(null);
+    });
+
+    it('should break volume ties by smallest imbalance', function () {
+      // One unit clears at 100 (demand 2.1, supply 1) and at 110 (demand 1, supply 2)
+      const bids = [bid(110, 110), bid(100, 100)];
+      const asks = [ask(1, 100), ask(1, 110)];
+
+      const clearing = auction.clearingPrice(bids, asks);
+      expect(clearing.volume).to.equal(units(1));
+      expect(clearing.price).to.equal(110);
+    });
+  });
+
+  describe('Pair mode', function () {
+    it('should report pairs as due once their window elapses', function () {
+      auction.enable('SOL/USDC', 5000);
+      const now = Date.now();
+      expect(auction.duePairs(now)).to.not.include('SOL/USDC');
+      expect(auction.duePairs(now + 5000)).to.include('SOL/USDC');
+
+      auction.markCleared('SOL/USDC', now + 5000);
+      expect(auction.duePairs(now + 6000)).to.not.include('SOL/USDC');
+
+      auction.disable('SOL/USDC');
+      expect(auction.isEnabled('SOL/USDC')).to.equal(false);
+    });
+  });
+});
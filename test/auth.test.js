@@ -0,0 +1,213 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const auth = require('../src/auth');
+
+describe('Auth', function () {
+  const wallet = ethers.Wallet.createRandom();
+  const alice = { name: 'alice', walletAddress: wallet.address };
+  const body = JSON.stringify({ agent: 'alice', give: { token: 'ETH', amount: '1' } });
+
+  // A request as the auth middleware sees it
+  function request(headers, overrides = {}) {
+    return {
+      method: 'POST',
+      path: '/api/intents',
+      body: Buffer.from(body),
+      get: (name) => headers[name],
+      ...overrides,
+    };
+  }
+
+  async function signed(nonce, type, signer = wallet) {
+    return request(await auth.signRequest(signer, { method: 'POST', path: '/api/intents', body, nonce }, type));
+  }
+
+  beforeEach(function () {
+    auth.reset();
+  });
+
+  describe('API keys', function () {
+    it('should accept an agent\'s key for its scopes only', function () {
+      const { key } = auth.issueKey('alice', ['trade']);
+      const bearer = request({ Authorization: `Bearer ${key}` });
+
+      expect(auth.authenticate(alice, 'trade', bearer)).to.include({ agent: 'alice', via: 'key' });
+      expect(auth.authenticate(alice, 'funds', bearer)).to.deep.equal({
+        status: 403,
+        error: 'API key lacks the funds scope',
+      });
+    });
+
+    it('should not let one agent\'s key act for another', function () {
+      const { key } = auth.issueKey('bob');
+      const result = auth.authenticate(alice, 'trade', request({ Authorization: `Bearer ${key}` }));
+      expect(result.status).to.equal(403);
+    });
+
+    it('should refuse a key as soon as it is revoked', function () {
+      const { key, id } = auth.issueKey('alice');
+      expect(auth.revokeKey('alice', id).success).to.equal(true);
+      const result = auth.authenticate(alice, 'trade', request({ Authorization: `Bearer ${key}` }));
+      expect(result).to.deep.equal({ status: 401, error: 'Invalid or revoked API key' });
+    });
+
+    it('should list keys without the keys themselves', function () {
+      const { key } = auth.issueKey('alice', ['trade', 'trade']);
+      const [listed] = auth.listKeys('alice');
+      expect(listed.scopes).to.deep.equal(['trade']);
+      expect(JSON.stringify(listed)).to.not.include(key);
+    });
+
+    it('should reject unknown scopes', function () {
+      expect(auth.issueKey('alice', ['admin']).success).to.equal(false);
+      expect(auth.issueKey('alice', []).success).to.equal(false);
+    });
+  });
+
+  describe('Signed requests', function () {
+    it('should accept EIP-191 and EIP-712 signatures from the agent\'s wallet', async function () {
+      expect(auth.authenticate(alice, 'funds', await signed(1, 'eip191'))).to.deep.equal({
+        agent: 'alice',
+        via: 'signature',
+        address: wallet.address,
+      });
+      expect(auth.authenticate(alice, 'funds', await signed(2, 'eip712')).via).to.equal('signature');
+    });
+
+    it('should refuse a replayed or older nonce', async function () {
+      const first = await signed(5);
+      expect(auth.authenticate(alice, 'trade', first).via).to.equal('signature');
+      expect(auth.authenticate(alice, 'trade', first).error).to.equal('Nonce must be greater than 5');
+      expect(auth.authenticate(alice, 'trade', await signed(4)).status).to.equal(401);
+    });
+
+    it('should refuse a signature over a different body or path', async function () {
+      const headers = await auth.signRequest(wallet, { method: 'POST', path: '/api/intents', body, nonce: 1 });
+      const tampered = request(headers, { body: Buffer.from(body.replace('"1"', '"100"')) });
+      expect(auth.authenticate(alice, 'trade', tampered).error).to.match(/not from alice's wallet/);
+
+      const elsewhere = request(headers, { path: '/api/agents/alice/withdraw' });
+      expect(auth.authenticate(alice, 'funds', elsewhere).status).to.equal(401);
+    });
+
+    it('should refuse signatures from another wallet', async function () {
+      const result = auth.authenticate(alice, 'trade', await signed(1, 'eip191', ethers.Wallet.createRandom()));
+      expect(result.status).to.equal(401);
+    });
+
+    it('should need credentials', function () {
+      expect(auth.authenticate(alice, 'trade', request({})).status).to.equal(401);
+    });
+  });
+
+  describe('Delegated keys', function () {
+    const limits = { label: 'worker-1', pairs: ['usdc-eth'], maxPerIntent: '100', maxPerDay: '250' };
+    const usd = (value) => BigInt(value) * 10n ** 18n;
+
+    it('should issue a trade-only key for canonical pairs', function () {
+      const { key, delegate } = auth.issueDelegateKey('alice', limits);
+      expect(delegate).to.include({ label: 'worker-1', spentToday: 0n });
+      expect(delegate.pairs).to.deep.equal(['ETH/USDC']);
+
+      const bearer = request({ Authorization: `Bearer ${key}` });
+      expect(auth.authenticate(alice, 'trade', bearer)).to.include({ via: 'key', delegate: 'worker-1' });
+      expect(auth.authenticate(alice, 'funds', bearer).status).to.equal(403);
+    });
+
+    it('should reject invalid limits', function () {
+      expect(auth.issueDelegateKey('alice', { ...limits, pairs: ['ETH'] }).error).to.equal('Invalid pair "ETH"');
+      expect(auth.issueDelegateKey('alice', { ...limits, maxPerDay: '50' }).success).to.equal(false);
+      expect(auth.issueDelegateKey('alice', { ...limits, expiresAt: '2020-01-01' }).success).to.equal(false);
+    });
+
+    it('should hold orders to the pair, per-intent and daily limits', function () {
+      const { id } = auth.issueDelegateKey('alice', limits);
+      expect(auth.checkDelegated(id, { pair: 'SOL/USDC', notional: usd(1) })).to.match(/may not trade SOL\/USDC/);
+      expect(auth.checkDelegated(id, { pair: 'ETH/USDC', notional: usd(101) })).to.match(/per intent/);
+
+      auth.recordDelegated(id, usd(100));
+      auth.recordDelegated(id, usd(100));
+      expect(auth.checkDelegated(id, { pair: 'ETH/USDC', notional: usd(50) })).to.equal(null);
+      expect(auth.checkDelegated(id, { pair: 'ETH/USDC', notional: usd(51) })).to.match(/per day/);
+      expect(auth.listKeys('alice')[0].delegate.spentToday).to.equal(usd(200));
+    });
+
+    it('should refuse a delegated key once it expires', function () {
+      const { key } = auth.issueDelegateKey('alice', { ...limits, expiresAt: new Date(Date.now() + 50).toISOString() });
+      const bearer = request({ Authorization: `Bearer ${key}` });
+      const realNow = Date.now;
+      Date.now = () => realNow() + 1000;
+      try {
+        expect(auth.authenticate(alice, 'trade', bearer).error).to.equal('Delegated key expired');
+      } finally {
+        Date.now = realNow;
+      }
+    });
+  });
+
+  describe('Sign-In With Ethereum', function () {
+    const origin = { domain: 'agentswaps.test', uri: 'https://agentswaps.test' };
+
+    it('should issue an EIP-4361 message for the address', function () {
+      const { message } = auth.createChallenge('alice', wallet.address.toLowerCase(), origin);
+      const lines = message.split('\n');
+      expect(lines[0]).to.equal('agentswaps.test wants you to sign in with your Ethereum account:');
+      expect(lines[1]).to.equal(wallet.address);
+      expect(message).to.match(/\nChain ID: 8453\nNonce: [0-9a-f]{24}\nIssued At: /);
+    });
+
+    it('should verify the challenged wallet once', async function () {
+      const { message } = auth.createChallenge('alice', wallet.address, origin);
+      const signature = await wallet.signMessage(message);
+      expect(auth.verifyChallenge('alice', message, signature)).to.deep.equal({
+        success: true,
+        address: wallet.address,
+      });
+      expect(auth.verifyChallenge('alice', message, signature).success).to.equal(false);
+    });
+
+    it('should refuse another wallet, another agent or an altered message', async function () {
+      const { message } = auth.createChallenge('alice', wallet.address, origin);
+      const other = await ethers.Wallet.createRandom().signMessage(message);
+      expect(auth.verifyChallenge('alice', message, other).error).to.equal(
+        'Signature is not from the challenged address'
+      );
+
+      const again = auth.createChallenge('alice', wallet.address, origin).message;
+      const signature = await wallet.signMessage(again);
+      expect(auth.verifyChallenge('bob', again, signature).success).to.equal(false);
+      expect(auth.verifyChallenge('alice', again.replace('alice', 'bob'), signature).success).to.equal(false);
+    });
+
+    it('should keep a pending challenge when someone asks for another', async function () {
+      const { message } = auth.createChallenge('alice', wallet.address, origin);
+      auth.createChallenge('alice', wallet.address, origin);
+      auth.createChallenge('alice', wallet.address, origin);
+      const signature = await wallet.signMessage(message);
+      expect(auth.verifyChallenge('alice', message, signature).success).to.equal(true);
+    });
+
+    it('should sweep expired sessions and challenges', function () {
+      const { message } = auth.createChallenge('alice', wallet.address, origin);
+      const { token } = auth.issueSession('alice', wallet.address);
+      const bearer = request({ Authorization: `Bearer ${token}` });
+      expect(auth.sweep()).to.deep.equal({ sessions: 0, challenges: 0 });
+
+      const later = Date.now() + 2 * 60 * 60 * 1000;
+      expect(auth.sweep(later)).to.deep.equal({ sessions: 1, challenges: 1 });
+      expect(auth.verifyChallenge('alice', message, '0x').error).to.equal('No such challenge for this agent');
+      expect(auth.authenticate(alice, 'funds', bearer).status).to.equal(401);
+    });
+
+    it('should authenticate with the session while the wallet is unchanged', function () {
+      const { token } = auth.issueSession('alice', wallet.address);
+      const bearer = request({ Authorization: `Bearer ${token}` });
+      expect(auth.authenticate(alice, 'funds', bearer)).to.include({ via: 'session', address: wallet.address });
+
+      const moved = { ...alice, walletAddress: ethers.Wallet.createRandom().address };
+      expect(auth.authenticate(moved, 'funds', bearer).status).to.equal(401);
+      expect(auth.authenticate({ name: 'bob', walletAddress: wallet.address }, 'funds', bearer).status).to.equal(403);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const conditionals = require('../src/conditionals');
+
+function conditional(type, give, want, price) {
+  return { type, trigger: { price, direction: conditionals.direction(type, give, want) } };
+}
+
+describe('Conditional Intents', function () {
+  it('should fire a stop-loss on the side that limits the loss', function () {
+    expect(conditionals.direction('stop_loss', 'ETH', 'USDC')).to.equal('below');
+    expect(conditionals.direction('stop_loss', 'USDC', 'ETH')).to.equal('above');
+  });
+
+  it('should fire a take-profit on the opposite side', function () {
+    expect(conditionals.direction('take_profit', 'ETH', 'USDC')).to.equal('above');
+    expect(conditionals.direction('take_profit', 'USDC', 'ETH')).to.equal('below');
+  });
+
+  it('should trigger at and through the trigger price', function () {
+    const stop = conditional('stop_loss', 'ETH', 'USDC', 2500);
+    expect(conditionals.isTriggered(stop, 2600)).to.equal(false);
+    expect(conditionals.isTriggered(stop, 2500)).to.equal(true);
+    expect(conditionals.isTriggered(stop, 2400)).to.equal(true);
+
+    const target = conditional('take_profit', 'ETH', 'USDC', 3000);
+    expect(conditionals.isTriggered(target, 2900)).to.equal(false);
+    expect(conditionals.isTriggered(target, 3100)).to.equal(true);
+  });
+
+  it('should never trigger on a missing price', function () {
+    const stop = conditional('stop_loss', 'ETH', 'USDC', 2500);
+    expect(conditionals.isTriggered(stop, 0)).to.equal(false);
+    expect(conditionals.isTriggered(stop, NaN)).to.equal(false);
+  });
+});
@@ -0,0 +1,97 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const base = require('../src/base');
+
+describe('Base deposits', function () {
+  const account = ethers.HDNodeWallet.fromPhrase('test test test test test test test test test test test junk');
+  const xpub = account.neuter().extendedKey;
+  const alice = base.depositAddress(0, xpub);
+  const bob = base.depositAddress(1, xpub);
+
+  const transferLog = (contract, to, units, extra = {}) => ({
+    address: contract,
+    topics: [
+      ethers.id('Transfer(address,address,uint256)'),
+      ethers.zeroPadValue('0x52908400098527886E0F7030069857D2E4169EE7', 32),
+      ethers.zeroPadValue(to, 32),
+    ],
+    data: ethers.toBeHex(units, 32),
+    transactionHash: '0xfeed',
+    index: 4,
+    blockNumber: 95,
+    ...extra,
+  });
+
+  // A provider at block `head` that records each getLogs filter
+  function fakeProvider(head, logs) {
+    const filters = [];
+    return {
+      filters,
+      getBlockNumber: async () => head,
+      getLogs: async (filter) => {
+        filters.push(filter);
+        return logs;
+      },
+    };
+  }
+
+  describe('Addresses', function () {
+    it('should derive a distinct address per deposit index from the xpub', function () {
+      expect(alice).to.equal(account.deriveChild(0).address);
+      expect(bob).to.not.equal(alice);
+      expect(base.depositAddress(0, xpub)).to.equal(alice);
+    });
+
+    it('should issue no address without an xpub or index', function () {
+      expect(base.depositAddress(0, null)).to.equal(null);
+      expect(base.depositAddress(undefined, xpub)).to.equal(null);
+    });
+  });
+
+  describe('Scanning', function () {
+    it('should only scan blocks with enough confirmations', async function () {
+      const rpc = fakeProvider(100, []);
+      const scan = await base.scanDeposits(rpc, { fromBlock: 80, addresses: [alice], confirmations: 12 });
+      expect(rpc.filters[0].fromBlock).to.equal(80);
+      expect(rpc.filters[0].toBlock).to.equal(89);
+      expect(scan.nextBlock).to.equal(90);
+    });
+
+    it('should wait when no new block is confirmed yet', async function () {
+      const rpc = fakeProvider(100, []);
+      const scan = await base.scanDeposits(rpc, { fromBlock: 95, addresses: [alice], confirmations: 12 });
+      expect(rpc.filters).to.have.length(0);
+      expect(scan).to.deep.equal({ deposits: [], nextBlock: 95 });
+    });
+
+    it('should read transfers to deposit addresses of accepted tokens', async function () {
+      const rpc = fakeProvider(200, [
+        transferLog(base.DEPOSIT_TOKENS.USDC, bob, 2500000n),
+        transferLog('0x0000000000000000000000000000000000000bad', bob, 1n, { index: 5 }),
+      ]);
+      const scan = await base.scanDeposits(rpc, { fromBlock: 90, addresses: [alice, bob], confirmations: 12 });
+
+      expect(rpc.filters[0].topics[2]).to.deep.equal([ethers.zeroPadValue(alice, 32), ethers.zeroPadValue(bob, 32)]);
+      expect(scan.deposits).to.deep.equal([
+        {
+          chain: 'base',
+          ref: '0xfeed:4',
+          token: 'USDC',
+          units: '2500000',
+          from: '0x52908400098527886E0F7030069857D2E4169EE7',
+          address: bob,
+          txHash: '0xfeed',
+          blockNumber: 95,
+        },
+      ]);
+    });
+
+    it('should move past confirmed blocks when there is no address to watch', async function () {
+      const rpc = fakeProvider(100, []);
+      const scan = await base.scanDeposits(rpc, { fromBlock: 50, addresses: [], confirmations: 1 });
+      expect(rpc.filters).to.have.length(0);
+      expect(scan.nextBlock).to.equal(101);
+    });
+  });
+});
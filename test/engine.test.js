@@ -0,0 +1,426 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const amounts = require('../src/amounts');
+const ledger = require('../src/ledger');
+const storage = require('../src/storage');
+const engine = require('../src/index');
+
+// The engine through its journaled entry points. The world is shared by the
+// whole file: each test trades between agents of its own, and whatever it
+// leaves on the book is cancelled afterwards.
+describe('Engine', function () {
+  const units = (n) => amounts.fromNumber(n);
+  const balance = (agent, token) => engine.world.agents.get(agent).balance[token];
+  let count = 0;
+  let log;
+
+  // Register agents with fresh names and fund them
+  function agents(...names) {
+    count++;
+    return names.map((name) => {
+      const agent = `${name}-${count}`;
+      expect(engine.registerAgent(agent, null).success).to.equal(true);
+      expect(engine.depositTokens(agent, 'ETH', '10').success).to.equal(true);
+      expect(engine.depositTokens(agent, 'USDC', '50000').success).to.equal(true);
+      return agent;
+    });
+  }
+
+  const eventsOf = (type, intent) => engine.world.events.filter((e) => e.type === type && e.data.intent === intent.id);
+
+  // Sell `eth` ETH for at least `usdc` USDC, or buy `eth` ETH with `usdc` USDC
+  const sell = (agent, eth, usdc, options) =>
+    engine.postIntent(agent, { token: 'ETH', amount: `${eth}` }, { token: 'USDC', minAmount: `${usdc}` }, options);
+  const buy = (agent, eth, usdc, options) =>
+    engine.postIntent(agent, { token: 'USDC', amount: `${usdc}` }, { token: 'ETH', minAmount: `${eth}` }, options);
+
+  before(function () {
+    log = console.log;
+    console.log = () => {};
+    engine.updateTokenPrices({ USDC: 1, ETH: 2000, SOL: 100, MON: 0.5, BTC: 60000 });
+  });
+
+  afterEach(function () {
+    for (const intent of engine.world.intents.values()) {
+      if (intent.status === 'active' || intent.status === 'partially_filled') {
+        engine.cancelIntent(intent.agent, intent.id);
+      }
+    }
+    expect(engine.checkLedger().errors).to.deep.equal([]);
+  });
+
+  after(function () {
+    console.log = log;
+  });
+
+  describe('Registration', function () {
+    it('should store missing or null metadata as {} and trade with it', function () {
+      count++;
+      for (const [name, metadata] of [[`nulled-${count}`, null], [`missing-${count}`, undefined]]) {
+        const result = engine.registerAgent(name, null, metadata);
+        expect(result.success).to.equal(true);
+        expect(result.agent.metadata).to.deep.equal({});
+        engine.depositTokens(name, 'ETH', '1');
+        expect(sell(name, 1, 2000).success).to.equal(true);
+      }
+    });
+
+    it('should refuse metadata that is not an object', function () {
+      count++;
+      for (const metadata of ['owner', 42, ['a']]) {
+        const result = engine.registerAgent(`odd-${count}`, null, metadata);
+        expect(result).to.deep.equal({ success: false, error: 'metadata must be an object' });
+      }
+      expect(engine.world.agents.has(`odd-${count}`)).to.equal(false);
+    });
+  });
+
+  describe('Matching', function () {
+    it('should escrow a resting intent and fill both sides at the maker price, less fees', function () {
+      const [alice, bob] = agents('alice', 'bob');
+      const ask = sell(alice, 1, 2000);
+      expect(ask.matched).to.equal(false);
+      expect(ask.intent).to.include({ status: 'active', side: 'ask', pair: 'ETH/USDC' });
+      expect(balance(alice, 'ETH')).to.equal(units(9));
+
+      const bid = buy(bob, 1, 2000);
+      expect(bid.matched).to.equal(true);
+      expect(bid.swap).to.include({ agentA: bob, agentB: alice, price: 2000 });
+      expect(ask.intent).to.include({ status: 'filled', remaining: amounts.ZERO });
+      expect(bid.intent).to.include({ status: 'filled', remaining: amounts.ZERO });
+
+      // 0.3% of what each side receives stays with the venue
+      expect(balance(alice, 'USDC')).to.equal(units(50000 + 2000 - 6));
+      expect(balance(bob, 'ETH')).to.equal(units(10 + 1 - 0.003));
+      expect(balance(bob, 'USDC')).to.equal(units(48000));
+    });
+
+    it('should partially fill a larger resting intent and keep the rest escrowed', function () {
+      const [alice, bob, carol] = agents('alice', 'bob', 'carol');
+      const ask = sell(alice, 2, 4000);
+
+      buy(bob, 0.5, 1000);
+      expect(ask.intent.status).to.equal('partially_filled');
+      expect(ask.intent.remaining).to.equal(units(1.5));
+      expect(ask.intent.filledAmount).to.equal(units(0.5));
+      expect(ask.intent.receivedAmount).to.equal(units(1000));
+      expect(balance(alice, 'ETH')).to.equal(units(8)); // 1.5 still escrowed
+
+      const rest = buy(carol, 1.5, 3000);
+      expect(rest.intent.status).to.equal('filled');
+      expect(ask.intent).to.include({ status: 'filled', remaining: amounts.ZERO });
+      expect(ask.intent.fills).to.have.length(2);
+      expect(engine.getIntent(ask.intent.id).fills).to.have.length(2);
+    });
+
+    it('should fill a taker across several makers, best price first', function () {
+      const [alice, bob, carol] = agents('alice', 'bob', 'carol');
+      const dearer = sell(alice, 1, 2010);
+      const cheaper = sell(bob, 1, 2000);
+
+      const bid = buy(carol, 1.5, 3030);
+      expect(bid.swaps.map((s) => s.price)).to.deep.equal([2000, 2010]);
+      expect(cheaper.intent.status).to.equal('filled');
+      expect(dearer.intent.status).to.equal('partially_filled');
+      expect(dearer.intent.remaining).to.equal(units(0.5));
+    });
+
+    it('should release the escrow a bid saves by filling below its limit', function () {
+      const [alice, bob] = agents('alice', 'bob');
+      sell(alice, 1, 2000);
+
+      // Willing to pay 2100 for 1 ETH; buys it at the resting 2000
+      const bid = buy(bob, 1, 2100);
+      expect(bid.intent.status).to.equal('filled');
+      expect(bid.intent.refunded).to.equal(units(100));
+      expect(balance(bob, 'USDC')).to.equal(units(48000));
+    });
+
+    it('should not match intents whose prices do not cross', function () {
+      const [alice, bob] = agents('alice', 'bob');
+      const ask = sell(alice, 1, 2100);
+      const bid = buy(bob, 1, 2000);
+      expect(bid.matched).to.equal(false);
+      expect(ask.intent.status).to.equal('active');
+      expect(bid.intent.status).to.equal('active');
+    });
+
+    it('should refuse intents the agent cannot escrow', function () {
+      const [alice] = agents('alice');
+      const result = sell(alice, 11, 22000);
+      expect(result.success).to.equal(false);
+      expect(result.error).to.match(/^Insufficient ETH balance/);
+      expect(balance(alice, 'ETH')).to.equal(units(10));
+    });
+  });
+
+  describe('Order types', function () {
+    it('should fill a fill-or-kill intent in full or reject it untouched', function () {
+      const [alice, bob, carol] = agents('alice', 'bob', 'carol');
+      const ask = sell(alice, 1, 2000);
+
+      const rejected = buy(bob, 2, 4000, { timeInForce: 'fok' });
+      expect(rejected).to.include({ success: false, error: 'fok intent cannot be filled in full' });
+      expect(rejected.intent.status).to.equal('rejected');
+      expect(balance(bob, 'USDC')).to.equal(units(50000));
+      expect(ask.intent.status).to.equal('active');
+
+      const filled = buy(carol, 1, 2000, { timeInForce: 'fok' });
+      expect(filled.intent.status).to.equal('filled');
+    });
+
+    it('should fill what an immediate-or-cancel intent can and refund the rest', function () {
+      const [alice, bob] = agents('alice', 'bob');
+      sell(alice, 1, 2000);
+
+      const ioc = buy(bob, 2, 4000, { timeInForce: 'ioc' });
+      expect(ioc.matched).to.equal(true);
+      expect(ioc.intent).to.include({ status: 'cancelled', closeReason: 'ioc remainder' });
+      expect(ioc.refunded).to.equal(units(2000));
+      expect(balance(bob, 'USDC')).to.equal(units(48000));
+      expect(engine.getActiveIntents('USDC').map((i) => i.id)).to.not.include(ioc.intent.id);
+    });
+
+    it('should rest a post-only intent and reject one that would take liquidity', function () {
+      const [alice, bob] = agents('alice', 'bob');
+      sell(alice, 1, 2000);
+
+      const taking = buy(bob, 1, 2000, { postOnly: true });
+      expect(taking).to.include({ success: false, error: 'postOnly intent would cross the book' });
+      expect(balance(bob, 'USDC')).to.equal(units(50000));
+
+      const resting = buy(bob, 1, 1990, { postOnly: true });
+      expect(resting.intent).to.include({ status: 'active', postOnly: true });
+      expect(buy(bob, 1, 1990, { postOnly: true, timeInForce: 'ioc' }).error).to.equal(
+        'postOnly cannot be combined with ioc'
+      );
+    });
+
+    it('should require a future expiresAt for good-til-time intents', function () {
+      const [alice] = agents('alice');
+      expect(sell(alice, 1, 2000, { timeInForce: 'gtt' }).error).to.equal('gtt intents require expiresAt');
+      const past = new Date(Date.now() - 1000).toISOString();
+      expect(sell(alice, 1, 2000, { expiresAt: past }).error).to.equal('expiresAt must be a future timestamp');
+      expect(sell(alice, 1, 2000, { timeInForce: 'day' }).success).to.equal(false);
+    });
+  });
+
+  describe('Limits', function () {
+    it('should bound a market intent by maxSlippage around the market price', function () {
+      const [alice, bob, carol] = agents('alice', 'bob', 'carol');
+      const market = (agent) =>
+        engine.postIntent(agent, { token: 'ETH', amount: '1' }, { token: 'USDC', maxSlippage: 0.01 });
+      buy(bob, 1, 1950); // 2.5% under the 2000 market
+
+      const outside = market(alice);
+      expect(outside.matched).to.equal(false);
+      expect(outside.intent.limitPrice).to.be.closeTo(1980, 1e-9);
+
+      // Resting at 1980, it is the maker: the bid at 1990 pays 1980
+      buy(carol, 1, 1990);
+      expect(outside.intent.status).to.equal('filled');
+      expect(outside.intent.receivedAmount).to.equal(units(1980));
+    });
+
+    it('should hold a limit intent to its minAmount pro rata', function () {
+      const [alice, bob] = agents('alice', 'bob');
+      sell(alice, 1, 2000);
+      expect(buy(bob, 1, 1999).matched).to.equal(false);
+    });
+
+    it('should give a taker the maker price and record the improvement', function () {
+      const [alice, bob] = agents('alice', 'bob');
+      buy(bob, 1, 2000);
+
+      const ask = sell(alice, 1, 1900);
+      expect(ask.swap.price).to.equal(2000);
+      expect(ask.swap.priceImprovement).to.deep.equal({ token: 'USDC', A: units(100), B: amounts.ZERO });
+      expect(ask.intent.receivedAmount).to.equal(units(2000));
+    });
+  });
+
+  describe('Cancel, amend and expire', function () {
+    it('should refund the unfilled escrow of a cancelled intent, to its owner only', function () {
+      const [alice, bob] = agents('alice', 'bob');
+      const ask = sell(alice, 2, 4000);
+      buy(bob, 0.5, 1000);
+
+      expect(engine.cancelIntent(bob, ask.intent.id).error).to.equal('Intent belongs to another agent');
+      const cancelled = engine.cancelIntent(alice, ask.intent.id);
+      expect(cancelled.success).to.equal(true);
+      expect(cancelled.refunded).to.equal(units(1.5));
+      expect(ask.intent).to.include({ status: 'cancelled', remaining: amounts.ZERO });
+      expect(balance(alice, 'ETH')).to.equal(units(9.5));
+
+      const [event] = eventsOf('intent_cancelled', ask.intent);
+      expect(event.data).to.include({ agent: alice, token: 'ETH', refunded: units(1.5) });
+      expect(engine.cancelIntent(alice, ask.intent.id).error).to.equal('Intent is cancelled');
+    });
+
+    it('should lock a size increase, which loses time priority', function () {
+      const [alice, bob, carol] = agents('alice', 'bob', 'carol');
+      const first = sell(alice, 1, 2000);
+      const second = sell(bob, 1, 2000);
+
+      const amended = engine.amendIntent(alice, first.intent.id, { amount: '2' });
+      expect(amended.success).to.equal(true);
+      expect(first.intent.remaining).to.equal(units(2));
+      expect(first.intent.want.minAmount).to.equal(units(4000)); // same limit price
+      expect(balance(alice, 'ETH')).to.equal(units(8));
+      expect(eventsOf('intent_amended', first.intent)).to.have.length(1);
+
+      buy(carol, 1, 2000);
+      expect(second.intent.status).to.equal('filled');
+      expect(first.intent.status).to.equal('active');
+    });
+
+    it('should release a size decrease, which keeps time priority', function () {
+      const [alice, bob, carol] = agents('alice', 'bob', 'carol');
+      const first = sell(alice, 2, 4000);
+      const second = sell(bob, 1, 2000);
+
+      engine.amendIntent(alice, first.intent.id, { amount: '1' });
+      expect(balance(alice, 'ETH')).to.equal(units(9));
+
+      buy(carol, 1, 2000);
+      expect(first.intent.status).to.equal('filled');
+      expect(second.intent.status).to.equal('active');
+    });
+
+    it('should refuse to amend below the filled amount, and match a price that now crosses', function () {
+      const [alice, bob] = agents('alice', 'bob');
+      const ask = sell(alice, 2, 4400);
+      const bid = buy(bob, 1, 2100);
+      expect(bid.matched).to.equal(false);
+
+      expect(engine.amendIntent(alice, ask.intent.id, { amount: '0' }).success).to.equal(false);
+      const amended = engine.amendIntent(alice, ask.intent.id, { minAmount: '4000' });
+      expect(amended.matched).to.equal(true);
+      expect(amended.swaps[0].price).to.equal(2100); // bob's resting bid is the maker
+      expect(bid.intent.status).to.equal('filled');
+
+      const error = engine.amendIntent(alice, ask.intent.id, { amount: '0.5' }).error;
+      expect(error).to.equal('amount must be greater than the filled amount (1)');
+    });
+
+    it('should expire intents past their expiresAt and refund them', function () {
+      const [alice] = agents('alice');
+      const soon = sell(alice, 1, 2000, { timeInForce: 'gtt', expiresAt: new Date(Date.now() + 60000).toISOString() });
+      const later = sell(alice, 1, 2000); // the default hour
+      expect(balance(alice, 'ETH')).to.equal(units(8));
+
+      expect(engine.expireIntents(Date.now() + 2 * 60000)).to.equal(1);
+      expect(soon.intent).to.include({ status: 'expired', remaining: amounts.ZERO });
+      expect(later.intent.status).to.equal('active');
+      expect(balance(alice, 'ETH')).to.equal(units(9));
+      expect(eventsOf('intent_expired', soon.intent)[0].data.refunded).to.equal(units(1));
+    });
+  });
+
+  describe('Rings', function () {
+    // USDC → ETH → SOL → USDC: each gives what the one before it wants
+    function ring() {
+      const [alice, bob, carol] = agents('alice', 'bob', 'carol');
+      engine.depositTokens(carol, 'SOL', '100');
+      engine.postIntent(alice, { token: 'USDC', amount: '2000' }, { token: 'ETH', minAmount: '0.99' });
+      engine.postIntent(bob, { token: 'ETH', amount: '1' }, { token: 'SOL', minAmount: '19.8' });
+      const close = () =>
+        engine.postIntent(carol, { token: 'SOL', amount: '20' }, { token: 'USDC', minAmount: '1980' });
+      return { alice, close };
+    }
+
+    it('should settle a ring and count it in every agent\'s stats', function () {
+      const { alice, close } = ring();
+      expect(close().rings).to.have.length(1);
+      expect(engine.world.agents.get(alice).swapsCompleted).to.equal(1);
+    });
+
+    it('should leave agent stats alone when the ring fails to settle', function () {
+      const { alice, close } = ring();
+      const before = { ...engine.world.agents.get(alice) };
+      const rings = engine.world.rings.length;
+      const post = ledger.post;
+      ledger.post = (type, ...rest) => {
+        if (type === 'ring') throw new Error('Entry does not balance');
+        return post(type, ...rest);
+      };
+      try {
+        expect(close).to.throw('Entry does not balance');
+      } finally {
+        ledger.post = post;
+      }
+      expect(engine.world.rings).to.have.length(rings);
+      expect(engine.world.agents.get(alice)).to.include({
+        swapsCompleted: before.swapsCompleted,
+        totalVolume: before.totalVolume,
+        reputation: before.reputation,
+        lastActive: before.lastActive,
+      });
+    });
+  });
+
+  describe('Recovery', function () {
+    it('should rebuild the changes journaled after the last snapshot', function () {
+      storage.init({ backend: 'memory' });
+      storage.flush();
+
+      const [alice, bob] = agents('alice', 'bob');
+      sell(alice, 1, 2000);
+      const { swap } = buy(bob, 1, 2000);
+      const after = { alice: { ...engine.world.agents.get(alice).balance }, swaps: engine.world.swaps.length };
+
+      // A crash before the next snapshot: boot restores it and replays the rest
+      const { restored, replayed } = engine.recover();
+      expect(restored.restored).to.equal(true);
+      expect(replayed).to.include({ commands: 8 }); // 2 registrations, 4 deposits, 2 intents
+      expect(replayed.divergences).to.deep.equal([]);
+      expect(engine.world.agents.get(alice).balance).to.deep.equal(after.alice);
+      expect(engine.world.swaps).to.have.length(after.swaps);
+      expect(engine.world.swaps[after.swaps - 1].id).to.equal(swap.id);
+    });
+  });
+
+  describe('Self-trade prevention', function () {
+    const WALLET = '0x000000000000000000000000000000000000dEaD';
+
+    it("should not let an agent claim a victim's wallet or owner to cancel its intents", function () {
+      const [victim] = agents('victim');
+      engine.world.agents.get(victim).walletAddress = WALLET;
+      expect(engine.registerAgent(`mallory-${count}`, WALLET, { owner: victim }).success).to.equal(true);
+      const mallory = `mallory-${count}`;
+      engine.depositTokens(mallory, 'USDC', '5000');
+
+      const ask = sell(victim, 1, 2000);
+      const bid = buy(mallory, 1, 2000, { selfTradePrevention: 'cancel_oldest' });
+      expect(bid.matched).to.equal(true);
+      expect(ask.intent.status).to.equal('filled');
+      expect(bid.swap.rewardsExcluded).to.equal(undefined);
+      expect(engine.world.events.some((e) => e.type === 'self_trade_prevented' && e.data.resting === ask.intent.id))
+        .to.equal(false);
+    });
+
+    it('should relate a member only once its owner approves it', function () {
+      const [owner, member] = agents('owner', 'member');
+      engine.world.agents.get(member).group = owner;
+      expect(engine.approveMember(member, owner).success).to.equal(false); // owner declared no one
+
+      const ask = sell(owner, 1, 2000);
+      expect(engine.approveMember(owner, member).success).to.equal(true);
+      const bid = buy(member, 1, 2000, { selfTradePrevention: 'cancel_oldest' });
+      expect(bid.matched).to.equal(false);
+      expect(ask.intent.status).to.equal('cancelled');
+      expect(bid.intent.status).to.equal('active');
+    });
+
+    it('should relate agents that verified the same wallet', function () {
+      const [alice, bob] = agents('alice', 'bob');
+      engine.verifyWallet(alice, WALLET);
+      engine.verifyWallet(bob, WALLET);
+
+      const ask = sell(alice, 1, 2000);
+      const bid = buy(bob, 1, 2000); // cancel_newest by default
+      expect(bid.intent.status).to.equal('cancelled');
+      expect(ask.intent.status).to.equal('active');
+    });
+  });
+});
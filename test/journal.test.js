@@ -0,0 +1,110 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const journal = require('../src/journal');
+
+// A toy engine: deposits credit a balance, trades draw an id and emit a fill
+function createEngine(feeRate = 0.01) {
+  const state = { balances: {}, trades: [] };
+  const run = {
+    deposit: ({ agent, amount }) => {
+      state.balances[agent] = (state.balances[agent] || 0) + amount;
+    },
+    trade: ({ agent, amount }) => {
+      const id = journal.newId();
+      state.trades.push({ id, at: journal.timestamp() });
+      journal.effect('fee.charged', { trade: id, agent, amount: amount * feeRate });
+    },
+    tick: () => {},
+  };
+  return {
+    state,
+    execute: (type, data) => run[type](data),
+    call: (type, data, options) => journal.command(type, data, () => run[type](data), options),
+  };
+}
+
+describe('Journal', function () {
+  beforeEach(function () {
+    journal.init({ path: null });
+  });
+
+  it('should record commands with their time, ids and effects', function () {
+    const engine = createEngine();
+    engine.call('deposit', { agent: 'alice', amount: 10 });
+    engine.call('trade', { agent: 'alice', amount: 100 });
+
+    const records = journal.getRecords();
+    expect(records.map((r) => `${r.kind}:${r.type}`)).to.deep.equal([
+      'command:deposit',
+      'command:trade',
+      'effect:fee.charged',
+    ]);
+    expect(records.map((r) => r.seq)).to.deep.equal([1, 2, 3]);
+    expect(records[1].ids).to.deep.equal([engine.state.trades[0].id]);
+    expect(records[2].cause).to.equal(2);
+    expect(records[2].v).to.equal(journal.JOURNAL_VERSION);
+  });
+
+  it('should record nested commands once, as part of the outer one', function () {
+    journal.command('outer', {}, () => journal.command('inner', {}, () => journal.newId()));
+    expect(journal.getRecords().map((r) => r.type)).to.deep.equal(['outer']);
+  });
+
+  it('should drop quiet commands that changed nothing', function () {
+    const engine = createEngine();
+    engine.call('tick', {}, { quiet: true });
+    expect(journal.getRecords()).to.have.length(0);
+  });
+
+  it('should keep only the most recent whole commands in memory', function () {
+    journal.init({ path: null, memoryRecords: 4 });
+    const engine = createEngine();
+    for (let i = 0; i < 5; i++) engine.call('trade', { agent: 'alice', amount: 100 });
+
+    const records = journal.getRecords();
+    expect(records.map((r) => r.seq)).to.deep.equal([7, 8, 9, 10]);
+    expect(records[0].kind).to.equal('command');
+    expect(journal.getStatus().seq).to.equal(10);
+  });
+
+  it('should replay to the same ids, timestamps and state', function () {
+    const live = createEngine();
+    live.call('deposit', { agent: 'alice', amount: 10 });
+    live.call('trade', { agent: 'alice', amount: 100 });
+    live.call('trade', { agent: 'bob', amount: 50 });
+    const records = journal.getRecords();
+
+    const rebuilt = createEngine();
+    const result = journal.replay(records, rebuilt.execute);
+    expect(result).to.deep.equal({ commands: 3, effects: 2, divergences: [] });
+    expect(rebuilt.state).to.deep.equal(live.state);
+    expect(journal.getRecords()).to.have.length(records.length); // replay writes nothing
+  });
+
+  it('should report effects that differ from the recorded ones', function () {
+    createEngine(0.01).call('trade', { agent: 'alice', amount: 100 });
+    const result = journal.replay(journal.getRecords(), createEngine(0.02).execute);
+    expect(result.divergences).to.have.length(1);
+    expect(result.divergences[0].type).to.equal('trade');
+    expect(result.divergences[0].actual[0].data.amount).to.equal(2);
+  });
+
+  it('should append to a file and ignore a torn final line', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentswaps-journal-'));
+    const file = path.join(dir, 'journal.jsonl');
+    try {
+      journal.init({ path: file });
+      createEngine().call('deposit', { agent: 'alice', amount: 1 });
+      fs.appendFileSync(file, '{"v":1,"seq":2,"kind":"com');
+
+      expect(journal.read(file)).to.have.length(1);
+      expect(journal.init({ path: file }).seq).to.equal(1);
+    } finally {
+      journal.init({ path: null });
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,120 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const amounts = require('../src/amounts');
+const ledger = require('../src/ledger');
+const storage = require('../src/storage');
+
+const units = (token, value) => amounts.parse(token, value).value;
+
+describe('Ledger', function () {
+  const available = ledger.agentAccount('alice', 'available');
+  const escrow = ledger.agentAccount('alice', 'escrow');
+
+  beforeEach(function () {
+    ledger.reset();
+  });
+
+  describe('Posting', function () {
+    it('should move value between accounts and keep every token at zero', function () {
+      ledger.transfer('deposit', 'ETH', ledger.EXTERNAL, available, units('ETH', 2));
+      ledger.transfer('escrow', 'ETH', available, escrow, units('ETH', '0.5'), { intent: 'i1' });
+
+      expect(ledger.balance(available, 'ETH')).to.equal(units('ETH', '1.5'));
+      expect(ledger.balance(escrow, 'ETH')).to.equal(units('ETH', '0.5'));
+      expect(ledger.balance(ledger.EXTERNAL, 'ETH')).to.equal(-units('ETH', 2));
+      expect(ledger.totals()).to.deep.equal({ ETH: 0n });
+    });
+
+    it('should post multi-token entries that balance per token', function () {
+      const bob = ledger.agentAccount('bob', 'available');
+      const entry = ledger.post(
+        'swap',
+        [
+          { account: escrow, token: 'ETH', amount: -units('ETH', 1) },
+          { account: bob, token: 'ETH', amount: units('ETH', '0.997') },
+          { account: ledger.TREASURY, token: 'ETH', amount: units('ETH', '0.003') },
+          { account: ledger.agentAccount('bob', 'escrow'), token: 'USDC', amount: -units('USDC', 2800) },
+          { account: available, token: 'USDC', amount: units('USDC', 2800) },
+        ],
+        { swap: 's1' }
+      );
+
+      expect(entry.seq).to.equal(1);
+      expect(entry.postings).to.have.length(5);
+      expect(ledger.totals()).to.deep.equal({ ETH: 0n, USDC: 0n });
+    });
+
+    it('should refuse an unbalanced entry without changing any balance', function () {
+      expect(() =>
+        ledger.post('swap', [
+          { account: available, token: 'ETH', amount: units('ETH', 1) },
+          { account: escrow, token: 'ETH', amount: -units('ETH', '0.9') },
+        ])
+      ).to.throw(/Unbalanced swap entry: ETH/);
+      expect(ledger.getBalances(available)).to.deep.equal({});
+      expect(ledger.getStatus().entries).to.equal(0);
+    });
+
+    it('should skip entries that move nothing', function () {
+      expect(ledger.transfer('release', 'ETH', escrow, available, 0n)).to.equal(null);
+      expect(ledger.getStatus().entries).to.equal(0);
+    });
+  });
+
+  describe('Accounts', function () {
+    it('should split agent accounts even when the name contains colons', function () {
+      expect(ledger.parseAccount(ledger.agentAccount('desk:1', 'escrow'))).to.deep.equal({
+        agent: 'desk:1',
+        kind: 'escrow',
+      });
+      expect(ledger.parseAccount(ledger.TREASURY)).to.equal(null);
+    });
+  });
+
+  describe('Statements', function () {
+    beforeEach(function () {
+      ledger.transfer('deposit', 'USDC', ledger.EXTERNAL, available, units('USDC', 100));
+      ledger.transfer('escrow', 'USDC', available, escrow, units('USDC', 40), { intent: 'i1' });
+      ledger.transfer('deposit', 'USDC', ledger.EXTERNAL, ledger.agentAccount('bob', 'available'), units('USDC', 5));
+    });
+
+    it('should list only the agent\'s postings with running balances', function () {
+      const statement = ledger.statement('alice');
+      expect(statement.lines.map((l) => [l.type, l.account, l.amount, l.balance])).to.deep.equal([
+        ['deposit', 'available', units('USDC', 100), units('USDC', 100)],
+        ['escrow', 'available', -units('USDC', 40), units('USDC', 60)],
+        ['escrow', 'escrow', units('USDC', 40), units('USDC', 40)],
+      ]);
+      expect(statement.closing.available).to.deep.equal({ USDC: units('USDC', 60) });
+      expect(statement.closing.escrow).to.deep.equal({ USDC: units('USDC', 40) });
+    });
+
+    it('should carry postings before `from` into the opening balance', function () {
+      const later = new Date(Date.now() + 60000).toISOString();
+      const statement = ledger.statement('alice', { from: later });
+      expect(statement.lines).to.deep.equal([]);
+      expect(statement.opening).to.deep.equal(statement.closing);
+      expect(statement.opening.available).to.deep.equal({ USDC: units('USDC', 60) });
+    });
+
+    it('should leave out postings after `to`', function () {
+      const statement = ledger.statement('alice', { to: '2020-01-01T00:00:00.000Z' });
+      expect(statement.lines).to.deep.equal([]);
+      expect(statement.closing.available).to.deep.equal({});
+    });
+  });
+
+  describe('Persistence', function () {
+    it('should rebuild balances from the restored entries', function () {
+      storage.init({ backend: 'memory' });
+      ledger.transfer('deposit', 'SOL', ledger.EXTERNAL, available, units('SOL', '1.5'));
+      storage.flush();
+
+      ledger.reset();
+      storage.restore();
+      expect(ledger.balance(available, 'SOL')).to.equal(units('SOL', '1.5'));
+      expect(ledger.totals()).to.deep.equal({ SOL: 0n });
+      expect(ledger.transfer('deposit', 'SOL', ledger.EXTERNAL, available, 1n).seq).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const amounts = require('../src/amounts');
+const markets = require('../src/markets');
+
+describe('Markets', function () {
+  const pair = { key: 'ETH/USDC', base: 'ETH', quote: 'USDC' };
+  const t0 = Date.UTC(2026, 0, 1);
+  const MINUTE = 60 * 1000;
+
+  // A fill of `eth` ETH at `price` USDC, `ms` after t0; legs in either order
+  function swap(ms, eth, price, flip = false) {
+    const base = { token: 'ETH', amount: amounts.fromNumber(eth) };
+    const quote = { token: 'USDC', amount: amounts.fromNumber(eth * price) };
+    return {
+      pair: 'ETH/USDC',
+      price,
+      executedAt: new Date(t0 + ms).toISOString(),
+      giveA: flip ? quote : base,
+      giveB: flip ? base : quote,
+    };
+  }
+
+  const trades = markets.tradesOf(
+    [
+      swap(0, 1, 2000),
+      swap(20 * 1000, 2, 2100, true),
+      { pair: 'SOL/USDC', price: 150, executedAt: new Date(t0).toISOString() },
+      swap(50 * 1000, 1, 1900),
+      swap(3 * MINUTE, 1, 2050, true),
+    ],
+    pair
+  );
+
+  describe('Prices', function () {
+    it('should read the base and quote legs of the pair\'s fills', function () {
+      expect(trades).to.have.length(4);
+      expect(trades[1]).to.deep.equal({
+        time: t0 + 20 * 1000,
+        price: 2100,
+        base: amounts.fromNumber(2),
+        quote: amounts.fromNumber(4200),
+      });
+    });
+
+    it('should count ring legs between the pair\'s tokens, at their rate before fees, in time order', function () {
+      const units = amounts.fromNumber;
+      const leg = (give, gave, receive, received, fee) => ({
+        give: { token: give, amount: units(gave) },
+        receive: { token: receive, amount: units(received - fee) },
+        fee: units(fee),
+      });
+      // USDC → ETH → SOL → USDC: only the first leg trades ETH/USDC
+      const ring = {
+        executedAt: new Date(t0 + 10 * 1000).toISOString(),
+        legs: [leg('USDC', 4000, 'ETH', 2, 0.006), leg('ETH', 2, 'SOL', 26, 0.078), leg('SOL', 26, 'USDC', 4000, 12)],
+      };
+      const withRings = markets.tradesOf([swap(0, 1, 2000), swap(20 * 1000, 1, 2100)], pair, [ring]);
+      expect(withRings.map((t) => t.price)).to.deep.equal([2000, 2000, 2100]);
+      expect(withRings[1]).to.deep.equal({ time: t0 + 10 * 1000, price: 2000, base: units(2), quote: units(4000) });
+
+      const sold = { ...ring, legs: [leg('ETH', 1, 'USDC', 2050, 6.15)] };
+      expect(markets.tradesOf([], pair, [sold])[0]).to.include({ price: 2050 });
+    });
+
+    it('should weight the VWAP by volume', function () {
+      expect(markets.vwap(trades)).to.be.closeTo((2000 + 4200 + 1900 + 2050) / 5, 1e-9);
+      expect(markets.vwap([])).to.equal(null);
+    });
+
+    it('should mark at the median, clamp to one side of the book, or take the middle', function () {
+      expect(markets.markPrice(2100, 1990, 2010)).to.deep.equal({ price: 2010, source: 'median' });
+      expect(markets.markPrice(2000, 1990, 2010)).to.deep.equal({ price: 2000, source: 'median' });
+      expect(markets.markPrice(1900, 1990, null)).to.deep.equal({ price: 1990, source: 'last' });
+      expect(markets.markPrice(2000, null, null)).to.deep.equal({ price: 2000, source: 'last' });
+      expect(markets.markPrice(null, 1990, 2010)).to.deep.equal({ price: 2000, source: 'book_mid' });
+      expect(markets.markPrice(null, 1990, null)).to.deep.equal({ price: null, source: null });
+    });
+  });
+
+  describe('Candles', function () {
+    it('should bucket trades into OHLCV candles and skip empty intervals', function () {
+      const candles = markets.candles(trades, { interval: '1m' });
+      expect(candles).to.have.length(2);
+      expect(candles[0]).to.deep.include({
+        openTime: new Date(t0).toISOString(),
+        closeTime: new Date(t0 + MINUTE).toISOString(),
+        open: 2000,
+        high: 2100,
+        low: 1900,
+        close: 1900,
+        volume: amounts.fromNumber(4),
+        quoteVolume: amounts.fromNumber(8100),
+        trades: 3,
+      });
+      expect(candles[1]).to.include({ openTime: new Date(t0 + 3 * MINUTE).toISOString(), open: 2050, trades: 1 });
+      expect(markets.candles(trades, { interval: '5m' })).to.have.length(1);
+    });
+
+    it('should keep the most recent candles within the range', function () {
+      expect(markets.candles(trades, { interval: '1m', limit: 1 })[0].open).to.equal(2050);
+      expect(markets.candles(trades, { interval: '1m', to: t0 + MINUTE })).to.have.length(1);
+      expect(markets.candles(trades, { interval: '1m', from: t0 + 1 })[0].open).to.equal(2050);
+    });
+
+    it('should validate the query', function () {
+      expect(markets.parseCandleQuery({})).to.deep.equal({ success: true, interval: '1m', limit: 500 });
+      expect(markets.parseCandleQuery({ interval: '1h', limit: '5000' }).limit).to.equal(markets.MAX_CANDLES);
+      expect(markets.parseCandleQuery({ interval: '15m' }).success).to.equal(false);
+      expect(markets.parseCandleQuery({ from: 'yesterday' }).error).to.equal('from must be an ISO timestamp');
+      expect(markets.parseCandleQuery({ limit: '0' }).success).to.equal(false);
+    });
+  });
+
+  describe('Ticker', function () {
+    it('should report the last trade and the 24-hour window', function () {
+      const now = t0 + 24 * 60 * MINUTE + 10 * 1000; // the first trade has left the window
+      const ticker = markets.ticker(trades, { bestBid: 2040, bestAsk: 2060 }, now);
+      expect(ticker).to.include({
+        lastPrice: 2050,
+        lastTradeAt: new Date(t0 + 3 * MINUTE).toISOString(),
+        markPrice: 2050,
+        markSource: 'median',
+        open24h: 2100,
+        high24h: 2100,
+        low24h: 1900,
+        trades24h: 3,
+      });
+      expect(ticker.vwap24h).to.be.closeTo((4200 + 1900 + 2050) / 4, 1e-9);
+      expect(ticker.change24h).to.be.closeTo((2050 - 2100) / 2100, 1e-12);
+      expect(ticker.volume24h).to.equal(amounts.fromNumber(4));
+    });
+
+    it('should price an untraded pair from the book only', function () {
+      const ticker = markets.ticker([], { bestBid: null, bestAsk: null }, t0);
+      expect(ticker).to.include({ lastPrice: null, vwap24h: null, markPrice: null, open24h: null, trades24h: 0 });
+      expect(ticker.volume24h).to.equal(amounts.ZERO);
+    });
+  });
+});
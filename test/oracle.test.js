@@ -0,0 +1,164 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const oracle = require('../src/oracle');
+
+describe('Price oracle', function () {
+  const now = Date.UTC(2026, 0, 1);
+
+  beforeEach(function () {
+    oracle.reset();
+  });
+
+  describe('Aggregation', function () {
+    it('should take the median of the sources and score their agreement', async function () {
+      oracle.registerSource('a', oracle.staticSource({ ETH: 3000, BTC: 60000 }));
+      oracle.registerSource('b', oracle.staticSource({ ETH: 3010 }));
+      oracle.registerSource('c', oracle.staticSource({ ETH: 3600, BTC: 61000 }));
+
+      const prices = await oracle.refresh(['ETH', 'BTC', 'SOL'], now);
+      expect(prices.ETH).to.deep.equal({
+        price: 3010,
+        updatedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + oracle.TTL_MS).toISOString(),
+        confidence: 0.67, // c is 20% off
+        sources: ['a', 'b', 'c'],
+      });
+      expect(prices.BTC.price).to.equal(60500);
+      expect(prices.BTC.confidence).to.equal(1);
+      expect(prices).to.not.have.property('SOL');
+    });
+
+    it('should leave out quotes older than the TTL and date a price by its oldest quote', async function () {
+      const observed = now - 60000;
+      oracle.registerSource('feed', { tokens: ['ETH'], fetch: async () => ({ ETH: { price: 3000, at: observed } }) });
+      const expired = now - oracle.TTL_MS - 1;
+      oracle.registerSource('old', { tokens: ['ETH'], fetch: async () => ({ ETH: { price: 100, at: expired } }) });
+
+      const { ETH } = await oracle.refresh(['ETH'], now);
+      expect(ETH).to.include({ price: 3000, updatedAt: new Date(observed).toISOString(), confidence: 0.5 });
+    });
+
+    it('should keep a quote fresh for its own maxAge and expire the price with its first quote', async function () {
+      const round = now - 15 * 60 * 1000; // older than the TTL, within a 20-minute heartbeat
+      const maxAge = 20 * 60 * 1000;
+      const quote = { price: 3000, at: round, maxAge };
+      oracle.registerSource('feed', { tokens: ['ETH'], fetch: async () => ({ ETH: quote }) });
+      oracle.registerSource('api', oracle.staticSource({ ETH: 3002 }));
+
+      const { ETH } = await oracle.refresh(['ETH'], now);
+      expect(ETH).to.include({ price: 3001, confidence: 1, updatedAt: new Date(round).toISOString() });
+      expect(ETH.expiresAt).to.equal(new Date(round + maxAge).toISOString());
+      expect(oracle.isStale(ETH, now)).to.equal(false);
+      expect(oracle.isStale(ETH, round + maxAge + 1)).to.equal(true);
+    });
+
+    it('should record a failing source and price from the rest', async function () {
+      const warn = console.warn;
+      console.warn = () => {};
+      oracle.registerSource('down', {
+        tokens: ['ETH'],
+        fetch: async () => {
+          throw new Error('HTTP 503');
+        },
+      });
+      oracle.registerSource('up', oracle.staticSource({ ETH: 3000 }));
+      let prices;
+      try {
+        prices = await oracle.refresh(['ETH'], now);
+      } finally {
+        console.warn = warn;
+      }
+
+      expect(prices.ETH).to.include({ price: 3000, confidence: 0.5 });
+      const [down, up] = oracle.getStatus().sources;
+      expect(down).to.include({ name: 'down', lastError: 'HTTP 503', lastSuccessAt: null });
+      expect(up).to.include({ lastError: null, lastSuccessAt: new Date(now).toISOString() });
+    });
+  });
+
+  describe('Staleness', function () {
+    it('should treat missing and expired prices as stale', function () {
+      const updatedAt = new Date(now).toISOString();
+      expect(oracle.isStale({ updatedAt }, now + oracle.TTL_MS)).to.equal(false);
+      expect(oracle.isStale({ updatedAt }, now + oracle.TTL_MS + 1)).to.equal(true);
+      expect(oracle.isStale(undefined, now)).to.equal(true);
+    });
+  });
+
+  describe('Sources', function () {
+    it('should refuse to start with a supported token no source covers', function () {
+      const init = (names) =>
+        oracle.init({ tokens: ['ETH', 'MON'], names, getTokenPrices: async () => ({}), jupiterTokens: ['ETH'] });
+      expect(() => init(['jupiter'])).to.throw('No price source covers MON');
+
+      const log = console.log;
+      console.log = () => {};
+      try {
+        init(['jupiter', 'coingecko']);
+      } finally {
+        console.log = log;
+      }
+      expect(oracle.getStatus().sources.map((s) => s.name)).to.deep.equal(['jupiter', 'coingecko']);
+    });
+
+    it('should read CoinGecko prices dated by their last update', async function () {
+      let url;
+      const request = async (to) => {
+        url = to;
+        return { ok: true, json: async () => ({ monad: { usd: 0.042, last_updated_at: now / 1000 } }) };
+      };
+      const source = oracle.coingeckoSource({ ids: { MON: 'monad', ETH: 'ethereum' }, request });
+      expect(await source.fetch(['MON', 'ETH'])).to.deep.equal({ MON: { price: 0.042, at: now } });
+      expect(url).to.include('ids=monad,ethereum&vs_currencies=usd');
+
+      const down = oracle.coingeckoSource({ request: async () => ({ ok: false, status: 429 }) });
+      let error;
+      await down.fetch(['MON']).catch((err) => (error = err));
+      expect(error.message).to.equal('CoinGecko returned 429');
+    });
+
+    it('should only give the prices Jupiter quoted', async function () {
+      const { getTokenPrices, TOKEN_MINTS } = require('../src/solana');
+      const [request, log] = [global.fetch, console.log];
+      const data = { [TOKEN_MINTS.SOL]: { price: '150.5' } };
+      global.fetch = async () => ({ ok: true, json: async () => ({ data }) });
+      console.log = () => {};
+      try {
+        expect(await getTokenPrices(['SOL', 'USDC'])).to.deep.equal({ SOL: 150.5 });
+      } finally {
+        [global.fetch, console.log] = [request, log];
+      }
+    });
+  });
+
+  describe('Chainlink', function () {
+    it('should scale the answer by the feed decimals and date it by the round', async function () {
+      const { ethers } = require('ethers');
+      const feed = new ethers.Interface([
+        'function decimals() view returns (uint8)',
+        'function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)',
+      ]);
+      // Answers eth_call like an aggregator at 8 decimals
+      const provider = {
+        provider: null,
+        call: async ({ data }) => {
+          const fn = feed.parseTransaction({ data }).name;
+          const result = fn === 'decimals' ? [8] : [1, 301234000000n, 0, now / 1000, 1];
+          return feed.encodeFunctionResult(fn, result);
+        },
+      };
+      const source = oracle.chainlinkSource({ provider: () => provider, feeds: { ETH: ethers.ZeroAddress } });
+      expect(await source.fetch(['ETH'])).to.deep.equal({
+        ETH: { price: 3012.34, at: now, maxAge: 20 * 60 * 1000 + 60000 }, // the feed's 20-minute heartbeat
+      });
+    });
+
+    it('should fail without a provider', async function () {
+      const source = oracle.chainlinkSource({ provider: () => null });
+      expect(source.tokens).to.include('ETH');
+      let error;
+      await source.fetch(['ETH']).catch((err) => (error = err));
+      expect(error.message).to.equal('Base provider not connected');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const amounts = require('../src/amounts');
+const orderbook = require('../src/orderbook');
+
+let nextId = 0;
+
+// Fixed-point value of a decimal amount
+const units = (n) => amounts.parse(null, n).value;
+
+function intent(agent, give, want, referencePrice = 2800) {
+  const i = {
+    id: `i${++nextId}`,
+    agent,
+    give: { token: give[1], amount: units(give[0]) },
+    remaining: units(give[0]),
+    want: { token: want[1], minAmount: units(want[0] || 0), maxSlippage: 0.01 },
+    status: 'active',
+  };
+  const { pair, side, price } = orderbook.limitPrice(i, referencePrice);
+  return Object.assign(i, { pair, side, limitPrice: price });
+}
+
+describe('Order Book', function () {
+  beforeEach(function () {
+    orderbook.reset();
+  });
+
+  describe('Pairs', function () {
+    it('should quote against USDC regardless of token order', function () {
+      expect(orderbook.getPair('ETH', 'USDC').key).to.equal('ETH/USDC');
+      expect(orderbook.getPair('USDC', 'ETH').key).to.equal('ETH/USDC');
+      expect(orderbook.getPair('SOL', 'ETH').key).to.equal('SOL/ETH');
+    });
+
+    it('should parse URL-friendly pair strings', function () {
+      expect(orderbook.parsePair('eth-usdc').key).to.equal('ETH/USDC');
+      expect(orderbook.parsePair('USDC_ETH').key).to.equal('ETH/USDC');
+      expect(orderbook.parsePair('ETH')).to.equal(null);
+      expect(orderbook.parsePair('ETH-ETH')).to.equal(null);
+    });
+
+    it('should derive side and limit price from minAmount', function () {
+      const ask = intent('a', [1, 'ETH'], [2900, 'USDC']);
+      expect(ask.side).to.equal('ask');
+      expect(ask.limitPrice).to.equal(2900);
+
+      const bid = intent('b', [2700, 'USDC'], [1, 'ETH']);
+      expect(bid.side).to.equal('bid');
+      expect(bid.limitPrice).to.equal(2700);
+    });
+
+    it('should bound market orders by slippage around the reference price', function () {
+      const ask = intent('a', [1, 'ETH'], [0, 'USDC'], 1000);
+      const bid = intent('b', [1000, 'USDC'], [0, 'ETH'], 1000);
+      expect(ask.limitPrice).to.be.closeTo(990, 1e-9);
+      expect(bid.limitPrice).to.be.closeTo(1010, 1e-9);
+    });
+  });
+
+  describe('Priority', function () {
+    it('should sort asks lowest first, then by arrival', function () {
+      const a1 = intent('a', [1, 'ETH'], [2900, 'USDC']);
+      const a2 = intent('b', [1, 'ETH'], [2850, 'USDC']);
+      const a3 = intent('c', [1, 'ETH'], [2850, 'USDC']);
+      [a1, a2, a3].forEach(orderbook.add);
+
+      const bid = intent('d', [3000, 'USDC'], [1, 'ETH']);
+      expect(orderbook.findCrossing(bid)).to.equal(a2);
+
+      orderbook.remove(a2);
+      expect(orderbook.findCrossing(bid)).to.equal(a3);
+    });
+
+    it('should sort bids highest first', function () {
+      const b1 = intent('a', [2700, 'USDC'], [1, 'ETH']);
+      const b2 = intent('b', [2750, 'USDC'], [1, 'ETH']);
+      [b1, b2].forEach(orderbook.add);
+
+      const ask = intent('c', [1, 'ETH'], [2600, 'USDC']);
+      expect(orderbook.findCrossing(ask)).to.equal(b2);
+    });
+  });
+
+  describe('Crossing', function () {
+    it('should not match when limit prices do not cross', function () {
+      orderbook.add(intent('a', [1, 'ETH'], [3000, 'USDC']));
+      const bid = intent('b', [2900, 'USDC'], [1, 'ETH']);
+      expect(orderbook.findCrossing(bid)).to.equal(null);
+    });
+
+    it('should skip orders rejected by the filter but keep walking crossing prices', function () {
+      const own = intent('a', [1, 'ETH'], [2800, 'USDC']);
+      const other = intent('b', [1, 'ETH'], [2850, 'USDC']);
+      [own, other].forEach(orderbook.add);
+
+      const bid = intent('a', [2900, 'USDC'], [1, 'ETH']);
+      expect(orderbook.findCrossing(bid, (i) => i.agent !== bid.agent)).to.equal(other);
+    });
+  });
+
+  describe('Capacity', function () {
+    it('should let asks sell their whole escrow', function () {
+      const ask = intent('a', [2, 'ETH'], [5600, 'USDC']);
+      expect(orderbook.capacity(ask, 3000)).to.equal(units(2));
+    });
+
+    it('should cap bids at minAmount even at a better price', function () {
+      const bid = intent('b', [2900, 'USDC'], [1, 'ETH']);
+      expect(orderbook.capacity(bid, 2800)).to.equal(units(1));
+
+      bid.receivedAmount = units(0.25);
+      expect(orderbook.capacity(bid, 2800)).to.equal(units(0.75));
+    });
+
+    it('should size market bids by their escrow', function () {
+      const bid = intent('b', [2800, 'USDC'], [0, 'ETH']);
+      expect(orderbook.capacity(bid, 2800)).to.equal(units(1));
+    });
+
+    it('should round bid capacity down to the base token\'s decimals', function () {
+      const bid = intent('b', [1, 'USDC'], [0, 'BTC'], 98000);
+      // 1 / 98000 = 0.0000102040816... BTC, kept to 8 decimals
+      expect(orderbook.capacity(bid, 98000)).to.equal(units('0.0000102'));
+    });
+  });
+
+  describe('Rounding', function () {
+    it('should charge the buyer the quote rounded up and pay the seller rounded down', function () {
+      const quote = orderbook.quoteFor(units('0.000000001'), 2800.123457, 'USDC');
+      expect(quote.paid).to.equal(units('0.000003'));
+      expect(quote.received).to.equal(units('0.000002'));
+    });
+
+    it('should treat an intent worth less than one unit of its want token as exhausted', function () {
+      const ask = intent('a', [1, 'ETH'], [2800, 'USDC']);
+      expect(orderbook.isExhausted(ask)).to.equal(false);
+
+      ask.remaining = units('0.0000000001');
+      expect(orderbook.isExhausted(ask)).to.equal(true);
+    });
+  });
+
+  describe('Fillable', function () {
+    it('should walk crossing liquidity at the makers\' prices', function () {
+      orderbook.add(intent('a', [1, 'ETH'], [2800, 'USDC']));
+      orderbook.add(intent('b', [1, 'ETH'], [2900, 'USDC']));
+      orderbook.add(intent('c', [1, 'ETH'], [3100, 'USDC']));
+
+      const bid = intent('d', [9000, 'USDC'], [3, 'ETH']);
+      expect(orderbook.fillable(bid)).to.deep.equal({ base: units(2), complete: false });
+
+      const small = intent('d', [6000, 'USDC'], [2, 'ETH']);
+      expect(orderbook.fillable(small)).to.deep.equal({ base: units(2), complete: true });
+    });
+
+    it('should skip rejected orders and size bids in base', function () {
+      orderbook.add(intent('a', [2800, 'USDC'], [1, 'ETH']));
+      orderbook.add(intent('b', [5600, 'USDC'], [2, 'ETH']));
+
+      const ask = intent('a', [3, 'ETH'], [8100, 'USDC']);
+      expect(orderbook.fillable(ask, (i) => i.agent !== 'a')).to.deep.equal({ base: units(2), complete: false });
+    });
+  });
+
+  describe('Depth', function () {
+    it('should aggregate price levels per side', function () {
+      orderbook.add(intent('a', [1, 'ETH'], [2900, 'USDC']));
+      orderbook.add(intent('b', [2, 'ETH'], [5800, 'USDC']));
+      orderbook.add(intent('c', [1, 'ETH'], [3000, 'USDC']));
+      orderbook.add(intent('d', [2700, 'USDC'], [1, 'ETH']));
+
+      const depth = orderbook.getDepth('ETH/USDC');
+      expect(depth.asks).to.deep.equal([
+        { price: 2900, amount: units(3), orders: 2 },
+        { price: 3000, amount: units(1), orders: 1 },
+      ]);
+      expect(depth.bids).to.deep.equal([{ price: 2700, amount: units(1), orders: 1 }]);
+      expect(depth.spread).to.equal(200);
+    });
+
+    it('should size levels by remaining amount after partial fills', function () {
+      const ask = intent('a', [2, 'ETH'], [5800, 'USDC']);
+      orderbook.add(ask);
+      ask.remaining = units(0.5);
+
+      expect(orderbook.getDepth('ETH/USDC').asks).to.deep.equal([{ price: 2900, amount: units(0.5), orders: 1 }]);
+    });
+
+    it('should return an empty book for unknown pairs', function () {
+      const depth = orderbook.getDepth('BTC/USDC');
+      expect(depth.bids).to.deep.equal([]);
+      expect(depth.bestAsk).to.equal(null);
+    });
+  });
+});
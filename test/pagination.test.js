@@ -0,0 +1,80 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const pagination = require('../src/pagination');
+
+describe('Pagination', function () {
+  const swaps = (n) =>
+    Array.from({ length: n }, (_, i) => ({
+      id: i,
+      pair: i % 2 ? 'ETH/USDC' : 'SOL/USDC',
+      executedAt: new Date(Date.UTC(2026, 0, 1, i)).toISOString(),
+    }));
+
+  function query(params, allowed = ['pair', 'status', 'type', 'from', 'to']) {
+    const parsed = pagination.parseQuery(params, allowed);
+    expect(parsed.success, parsed.error).to.equal(true);
+    return parsed;
+  }
+
+  describe('Query', function () {
+    it('should canonicalize filters and read only the allowed ones', function () {
+      const { limit, filters } = pagination.parseQuery(
+        { limit: '10', pair: 'usdc-eth', status: 'filled, cancelled', agent: 'alice', from: '2026-01-01T00:00:00Z' },
+        ['pair', 'status', 'from']
+      );
+      expect(limit).to.equal(10);
+      expect(filters).to.deep.equal({ pair: 'ETH/USDC', status: ['filled', 'cancelled'], from: Date.UTC(2026, 0, 1) });
+    });
+
+    it('should refuse bad limits, cursors, pairs and timestamps', function () {
+      expect(pagination.parseQuery({ limit: '0' }).error).to.equal('limit must be a positive integer');
+      expect(pagination.parseQuery({ cursor: 'nope' }).error).to.equal('Invalid cursor');
+      expect(pagination.parseQuery({ pair: 'ETH' }, ['pair']).error).to.equal('Invalid pair "ETH"');
+      expect(pagination.parseQuery({ to: 'yesterday' }, ['to']).error).to.equal('to must be an ISO timestamp');
+      expect(pagination.parseQuery({ limit: '100000' }).limit).to.equal(pagination.MAX_LIMIT);
+    });
+  });
+
+  describe('Pages', function () {
+    it('should page newest first with a total and no cursor on the last page', function () {
+      const items = swaps(5);
+      const first = pagination.paginate(items, query({ limit: '2' }));
+      expect(first.items.map((s) => s.id)).to.deep.equal([4, 3]);
+      expect(first.page).to.include({ total: 5, limit: 2 });
+
+      const second = pagination.paginate(items, query({ limit: '2', cursor: first.page.nextCursor }));
+      const third = pagination.paginate(items, query({ limit: '2', cursor: second.page.nextCursor }));
+      expect(second.items.map((s) => s.id)).to.deep.equal([2, 1]);
+      expect(third.items.map((s) => s.id)).to.deep.equal([0]);
+      expect(third.page.nextCursor).to.equal(null);
+    });
+
+    it('should neither skip nor repeat items appended between pages', function () {
+      const items = swaps(4);
+      const first = pagination.paginate(items, query({ limit: '2' }));
+      items.push(...swaps(7).slice(4));
+      const second = pagination.paginate(items, query({ limit: '2', cursor: first.page.nextCursor }));
+      expect(second.items.map((s) => s.id)).to.deep.equal([1, 0]);
+      expect(second.page.total).to.equal(7);
+    });
+
+    it('should count and page only matching items', function () {
+      const q = query({ limit: '2', pair: 'eth-usdc', from: '2026-01-01T01:00:00Z', to: '2026-01-01T07:00:00Z' });
+      const filter = (s) => s.pair === q.filters.pair && pagination.inRange(s.executedAt, q.filters);
+      const { items, page } = pagination.paginate(swaps(10), q, { filter });
+      expect(items.map((s) => s.id)).to.deep.equal([5, 3]);
+      expect(page.total).to.equal(3);
+
+      const next = { ...q, cursor: pagination.decodeCursor(page.nextCursor) };
+      expect(pagination.paginate(swaps(10), next, { filter }).items.map((s) => s.id)).to.deep.equal([1]);
+    });
+
+    it('should keep paging forward from an ascending cursor by position', function () {
+      const events = [5, 6, 7, 8].map((seq) => ({ seq }));
+      const cursor = pagination.decodeCursor(pagination.encodeCursor(5, 'asc'));
+      const { items, page } = pagination.paginate(events, { limit: 2, cursor }, { position: (e) => e.seq });
+      expect(items.map((e) => e.seq)).to.deep.equal([6, 7]);
+      expect(pagination.decodeCursor(page.nextCursor)).to.deep.equal({ position: 7, order: 'asc' });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const payouts = require('../src/payouts');
+
+const EVM_ADDRESS = '0x52908400098527886E0F7030069857D2E4169EE7';
+
+describe('Payouts', function () {
+  // Records every update(status, details) the payout reports
+  function runWith(executor, withdrawal) {
+    payouts.registerExecutor('test', () => ({ name: 'test', tokens: null, ...executor }));
+    payouts.init({ executor: 'test' });
+    const steps = [];
+    return payouts
+      .run(withdrawal, (status, details) => {
+        steps.push([status, details]);
+        if (details.txHash) withdrawal.txHash = details.txHash;
+        if (status) withdrawal.status = status;
+      })
+      .then(() => steps);
+  }
+
+  afterEach(function () {
+    payouts.init({ executor: 'sandbox' });
+  });
+
+  describe('Routing', function () {
+    const agent = { walletAddress: EVM_ADDRESS.toLowerCase(), metadata: {} };
+
+    it('should pay Base tokens to the checksummed wallet address', function () {
+      expect(payouts.route(agent, 'USDC')).to.deep.equal({ chain: 'base', address: EVM_ADDRESS });
+      expect(payouts.route(agent, 'MON').chain).to.equal('monad');
+    });
+
+    it('should need a registered Solana address for SOL', function () {
+      expect(payouts.route(agent, 'SOL').error).to.match(/No Solana address registered/);
+      const withSolana = { ...agent, metadata: { solanaAddress: 'So11111111111111111111111111111111111111112' } };
+      expect(payouts.route(withSolana, 'SOL')).to.deep.equal({
+        chain: 'solana',
+        address: 'So11111111111111111111111111111111111111112',
+      });
+    });
+
+    it('should refuse agents without a valid wallet address', function () {
+      expect(payouts.route({ walletAddress: '0x1234', metadata: {} }, 'ETH').error).to.match(/No valid base address/);
+    });
+
+    it('should refuse tokens the executor cannot pay out', function () {
+      payouts.registerExecutor('usdc-only', () => ({ name: 'usdc-only', tokens: ['USDC'] }));
+      payouts.init({ executor: 'usdc-only' });
+      expect(payouts.route(agent, 'ETH').error).to.equal('ETH withdrawals are not available');
+      expect(payouts.route(agent, 'USDC').address).to.equal(EVM_ADDRESS);
+    });
+  });
+
+  describe('Execution', function () {
+    it('should confirm sandbox payouts without a transaction', async function () {
+      payouts.init({ executor: 'sandbox' });
+      const steps = [];
+      await payouts.run({ status: 'pending' }, (status, details) => steps.push([status, details]));
+      expect(steps).to.deep.equal([
+        ['broadcast', { txHash: null }],
+        ['confirmed', { blockNumber: null }],
+      ]);
+    });
+
+    it('should report broadcast then confirmed', async function () {
+      const steps = await runWith(
+        {
+          send: async () => ({ txHash: '0xabc' }),
+          confirm: async (w) => ({ status: 'confirmed', blockNumber: w.txHash === '0xabc' ? 7 : 0 }),
+        },
+        { status: 'pending' }
+      );
+      expect(steps).to.deep.equal([
+        ['broadcast', { txHash: '0xabc' }],
+        ['confirmed', { blockNumber: 7 }],
+      ]);
+    });
+
+    it('should fail a payout that could not be sent', async function () {
+      const steps = await runWith(
+        {
+          send: async () => {
+            throw new Error('insufficient funds for gas');
+          },
+        },
+        { status: 'pending' }
+      );
+      expect(steps).to.deep.equal([['failed', { error: 'insufficient funds for gas' }]]);
+    });
+
+    it('should fail a reverted transfer', async function () {
+      const steps = await runWith(
+        { send: async () => ({ txHash: '0xdef' }), confirm: async () => ({ status: 'failed', error: 'reverted' }) },
+        { status: 'pending' }
+      );
+      expect(steps[1]).to.deep.equal(['failed', { error: 'reverted' }]);
+    });
+
+    it('should only confirm a resumed broadcast payout, and keep it open when the outcome is unknown', async function () {
+      let sent = false;
+      const steps = await runWith(
+        {
+          send: async () => {
+            sent = true;
+          },
+          confirm: async () => {
+            throw new Error('timeout');
+          },
+        },
+        { status: 'broadcast', txHash: '0x1' }
+      );
+      expect(sent).to.equal(false);
+      expect(steps).to.deep.equal([[null, { error: 'timeout' }]]);
+    });
+
+    it('should reject unknown executors', function () {
+      expect(() => payouts.init({ executor: 'carrier-pigeon' })).to.throw(/Unknown payout executor/);
+    });
+
+    it('should need a key for the evm executor', function () {
+      expect(() => payouts.createEvmExecutor({ privateKey: '' })).to.throw(/PAYOUT_PRIVATE_KEY/);
+    });
+  });
+});
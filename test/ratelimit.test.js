@@ -0,0 +1,121 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const ratelimit = require('../src/ratelimit');
+
+describe('Rate limits', function () {
+  const intents = { method: 'POST', path: '/api/intents', ip: '10.0.0.1' };
+  const capacity = ratelimit.ROUTE_LIMITS['POST /api/intents'].capacity;
+
+  // Take `n` tokens at the same instant and return the last result
+  async function drain(request, n, now = 0) {
+    let result;
+    for (let i = 0; i < n; i++) result = await ratelimit.consume(request, now);
+    return result;
+  }
+
+  beforeEach(function () {
+    ratelimit.init({ store: 'memory' });
+  });
+
+  describe('Buckets', function () {
+    it('should allow a burst up to capacity, then refuse with a retry time', async function () {
+      expect(await drain(intents, capacity)).to.include({ allowed: true, remaining: 0, limit: capacity });
+      const refused = await ratelimit.consume(intents, 0);
+      expect(refused.allowed).to.equal(false);
+      expect(refused.retryAfterMs).to.equal(1000); // 60 per minute
+    });
+
+    it('should refill at the route rate', async function () {
+      await drain(intents, capacity + 1);
+      expect((await ratelimit.consume(intents, 999)).allowed).to.equal(false);
+      expect((await ratelimit.consume(intents, 1000)).allowed).to.equal(true);
+    });
+
+    it('should count every key of an agent against the agent', async function () {
+      const viaKey = (credential, ip) => ({ ...intents, agent: 'alice', credential, ip });
+      await drain(viaKey('key-1', '10.0.0.1'), capacity);
+      const other = await ratelimit.consume(viaKey('key-2', '10.0.0.2'), 0);
+      expect(other.allowed).to.equal(false);
+      expect((await ratelimit.consume({ ...intents, ip: '10.0.0.3' }, 0)).allowed).to.equal(true);
+    });
+
+    it('should take nothing from any bucket when one of them refuses', async function () {
+      const viaKey = { ...intents, agent: 'alice', credential: 'key-1', ip: '10.0.0.1' };
+      await drain({ ...intents, ip: '10.0.0.1' }, capacity); // someone else used up the address
+      for (let i = 0; i < 10; i++) expect((await ratelimit.consume(viaKey, 0)).allowed).to.equal(false);
+      expect(await drain({ ...viaKey, ip: '10.0.0.2' }, capacity)).to.include({ allowed: true, remaining: 0 });
+    });
+
+    it('should give reputable agents larger agent and key buckets, not a larger address bucket', async function () {
+      const trusted = (ip) => ({ ...intents, ip, agent: 'alice', credential: 'key-1', reputation: 1000 });
+      expect(ratelimit.reputationMultiplier(100)).to.equal(1);
+
+      expect(await drain(trusted('10.0.0.1'), capacity)).to.include({ allowed: true, remaining: 0, limit: capacity });
+      expect((await ratelimit.consume(trusted('10.0.0.1'), 0)).allowed).to.equal(false);
+      for (let i = 2; i <= 5; i++) expect((await drain(trusted(`10.0.0.${i}`), capacity)).allowed).to.equal(true);
+      expect(await ratelimit.consume(trusted('10.0.0.6'), 0)).to.include({ allowed: false, limit: capacity * 5 });
+    });
+
+    it('should match routes with parameters and fall back to the default', function () {
+      expect(ratelimit.matchRoute('PATCH', '/api/intents/abc').route).to.equal('PATCH /api/intents/:id');
+      expect(ratelimit.matchRoute('GET', '/api/world')).to.include({ route: '*', ...ratelimit.DEFAULT_LIMIT });
+    });
+  });
+
+  describe('Middleware', function () {
+    function response() {
+      return {
+        headers: {},
+        statusCode: 200,
+        set(name, value) {
+          this.headers[name] = value;
+        },
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+      };
+    }
+
+    // Run the middleware once; resolves with the response and whether next() was called
+    function run(middleware, req) {
+      return new Promise((resolve) => {
+        const res = response();
+        res.json = (body) => resolve({ res, body, passed: false });
+        middleware(req, res, () => resolve({ res, passed: true }));
+      });
+    }
+
+    const req = { method: 'POST', path: '/api/agents', ip: '10.0.0.9', get: () => undefined };
+
+    it('should send rate-limit headers, then a 429 with Retry-After', async function () {
+      const middleware = ratelimit.middleware();
+      const { capacity: burst } = ratelimit.ROUTE_LIMITS['POST /api/agents'];
+
+      const first = await run(middleware, req);
+      expect(first.passed).to.equal(true);
+      expect(first.res.headers).to.include({
+        'RateLimit-Limit': String(burst),
+        'RateLimit-Remaining': String(burst - 1),
+      });
+
+      for (let i = 1; i < burst; i++) await run(middleware, req);
+      const refused = await run(middleware, req);
+      expect(refused.res.statusCode).to.equal(429);
+      expect(refused.res.headers['Retry-After']).to.equal('30'); // 2 per minute
+      expect(refused.body).to.deep.equal({ error: 'Rate limit exceeded', retryAfter: 30 });
+    });
+
+    it('should let requests through when the store fails', async function () {
+      ratelimit.registerStore('broken', () => ({ take: async () => Promise.reject(new Error('down')) }));
+      ratelimit.init({ store: 'broken' });
+      const errors = console.error;
+      console.error = () => {};
+      try {
+        expect((await run(ratelimit.middleware(), req)).passed).to.equal(true);
+      } finally {
+        console.error = errors;
+      }
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const amounts = require('../src/amounts');
+const orderbook = require('../src/orderbook');
+const rings = require('../src/rings');
+
+const TOKENS = ['USDC', 'ETH', 'SOL', 'MON', 'BTC'];
+let nextId = 0;
+
+const units = (n) => amounts.parse(null, n).value;
+
+function rest(agent, give, want) {
+  const i = {
+    id: `r${++nextId}`,
+    agent,
+    give: { token: give[1], amount: units(give[0]) },
+    remaining: units(give[0]),
+    want: { token: want[1], minAmount: units(want[0]), maxSlippage: 0.01 },
+    status: 'active',
+  };
+  const { pair, side, price } = orderbook.limitPrice(i, 1);
+  Object.assign(i, { pair, side, limitPrice: price });
+  orderbook.add(i);
+  return i;
+}
+
+describe('Ring Matching', function () {
+  beforeEach(function () {
+    orderbook.reset();
+  });
+
+  it('should express every limit as want per give', function () {
+    const ask = rest('a', [1, 'ETH'], [2800, 'USDC']);
+    const bid = rest('b', [2800, 'USDC'], [1, 'ETH']);
+    expect(rings.rate(ask)).to.equal(2800);
+    expect(rings.rate(bid)).to.be.closeTo(1 / 2800, 1e-12);
+  });
+
+  it('should find a three-agent cycle', function () {
+    rest('b', [1, 'ETH'], [23, 'SOL']);
+    const c = rest('c', [50, 'SOL'], [5900, 'USDC']);
+
+    const start = rest('a', [3000, 'USDC'], [1, 'ETH']);
+    orderbook.remove(start);
+
+    const legs = rings.findRing(start, { tokens: TOKENS });
+    expect(legs.map((l) => l.agent)).to.deep.equal(['b', 'c', 'a']);
+    expect(legs[1]).to.equal(c);
+  });
+
+  it('should not return a ring whose rates cannot all be met', function () {
+    rest('b', [1, 'ETH'], [30, 'SOL']);
+    rest('c', [50, 'SOL'], [6000, 'USDC']);
+    const start = rest('a', [2800, 'USDC'], [1, 'ETH']);
+    orderbook.remove(start);
+
+    expect(rings.findRing(start, { tokens: TOKENS })).to.equal(null);
+  });
+
+  it('should not let one agent appear twice in a ring', function () {
+    rest('a', [1, 'ETH'], [23, 'SOL']);
+    rest('c', [50, 'SOL'], [5900, 'USDC']);
+    const start = rest('a', [3000, 'USDC'], [1, 'ETH']);
+    orderbook.remove(start);
+
+    expect(rings.findRing(start, { tokens: TOKENS })).to.equal(null);
+  });
+
+  it('should not put two related agents in one ring', function () {
+    rest('b', [1, 'ETH'], [23, 'SOL']);
+    rest('a2', [50, 'SOL'], [5900, 'USDC']);
+    const start = rest('a', [3000, 'USDC'], [1, 'ETH']);
+    orderbook.remove(start);
+
+    const related = (x, y) => x[0] === y[0];
+    expect(rings.findRing(start, { tokens: TOKENS })).to.have.length(3);
+    expect(rings.findRing(start, { tokens: TOKENS, related })).to.equal(null);
+  });
+
+  it('should size legs to their limits and give the surplus to the last leg', function () {
+    const b = rest('b', [1, 'ETH'], [23, 'SOL']);
+    const c = rest('c', [50, 'SOL'], [5900, 'USDC']);
+    const a = rest('a', [3000, 'USDC'], [1, 'ETH']);
+
+    const { gives, receives } = rings.sizeRing([b, c, a]);
+    expect(gives[0]).to.equal(units(1));
+    expect(receives[0]).to.equal(units(23));
+    expect(receives[1]).to.equal(units(23 * 118));
+    expect(gives[2]).to.equal(units(2714));
+    expect(receives[2]).to.equal(units(1));
+  });
+
+  it('should keep every leg within its escrow after rounding', function () {
+    const b = rest('b', ['0.3', 'ETH'], [7, 'SOL']);
+    const c = rest('c', ['2.000000001', 'SOL'], ['236.000001', 'USDC']);
+    const a = rest('a', [3000, 'USDC'], [1, 'ETH']);
+
+    const sizing = rings.sizeRing([b, c, a]);
+    [b, c, a].forEach((leg, i) => expect(sizing.gives[i] <= leg.remaining).to.equal(true));
+    expect(sizing.gives[1]).to.equal(units('2.000000001'));
+  });
+});
@@ -0,0 +1,98 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const journal = require('../src/journal');
+const storage = require('../src/storage');
+
+describe('Storage', function () {
+  let dir;
+  let state;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentswaps-storage-'));
+    state = { epoch: 0, balances: new Map() };
+    storage.registerSection('test', {
+      snapshot: () => ({ epoch: state.epoch, balances: [...state.balances.entries()] }),
+      restore: (data) => {
+        state.epoch = data.epoch;
+        state.balances = new Map(data.balances);
+      },
+    });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should restore every section from the file backend', function () {
+    const file = path.join(dir, 'nested', 'world.json');
+    storage.init({ backend: 'file', path: file });
+    state.epoch = 7;
+    state.balances.set('alice', 12.5);
+    storage.flush();
+
+    state = { epoch: 0, balances: new Map() };
+    const result = storage.restore();
+    expect(result.restored).to.equal(true);
+    expect(result.sections).to.include('test');
+    expect(state.epoch).to.equal(7);
+    expect(state.balances.get('alice')).to.equal(12.5);
+  });
+
+  it('should replace the file atomically and leave no temp files', function () {
+    const file = path.join(dir, 'world.json');
+    storage.init({ backend: 'file', path: file });
+    storage.flush();
+    state.epoch = 1;
+    storage.flush();
+
+    expect(fs.readdirSync(dir)).to.deep.equal(['world.json']);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).sections.test.epoch).to.equal(1);
+  });
+
+  it('should report nothing to restore on a fresh store', function () {
+    storage.init({ backend: 'file', path: path.join(dir, 'missing.json') });
+    expect(storage.restore()).to.deep.equal({ restored: false });
+  });
+
+  it('should refuse a snapshot from another layout version', function () {
+    const file = path.join(dir, 'world.json');
+    fs.writeFileSync(file, JSON.stringify({ version: storage.SNAPSHOT_VERSION + 1, sections: {} }));
+    storage.init({ backend: 'file', path: file });
+    expect(() => storage.restore()).to.throw(/Unsupported snapshot version/);
+  });
+
+  it('should save changes periodically, once per interval and only when something changed', function (done) {
+    let saves = 0;
+    storage.registerBackend('counting', () => ({ name: 'counting', load: () => null, save: () => saves++ }));
+    storage.init({ backend: 'counting' });
+
+    storage.markDirty();
+    storage.markDirty();
+    storage.markDirty();
+    expect(saves).to.equal(0);
+    storage.start(10);
+    setTimeout(() => {
+      storage.stop();
+      expect(saves).to.equal(1);
+      expect(storage.getStatus().pending).to.equal(false);
+      done();
+    }, 55);
+  });
+
+  it('should record the journal position the snapshot includes', function () {
+    const file = path.join(dir, 'world.json');
+    storage.init({ backend: 'file', path: file });
+    storage.flush();
+    const { seq } = journal.getStatus();
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).journalSeq).to.equal(seq);
+    expect(storage.restore().journalSeq).to.equal(seq);
+  });
+
+  it('should reject unknown backends', function () {
+    expect(() => storage.init({ backend: 'nope' })).to.throw(/Unknown storage backend/);
+    storage.init({ backend: 'memory' });
+  });
+});
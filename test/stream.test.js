@@ -0,0 +1,163 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const { expect } = require('chai');
+const stream = require('../src/stream');
+const websocket = require('../src/websocket');
+
+describe('Event stream', function () {
+  const swap = {
+    seq: 7,
+    type: 'swap_executed',
+    data: { pair: 'ETH/USDC', intentA: 'i-1', intentB: 'i-2', agentA: 'alice', agentB: 'bob' },
+  };
+  const history = [3, 4, 5, 6].map((seq) => ({ seq, type: 'intent_posted', data: { agent: 'alice', intent: 'i-1' } }));
+
+  describe('Channels', function () {
+    it('should canonicalize pairs and refuse unknown channels', function () {
+      expect(stream.parseChannels('pair:usdc-eth, type:swap_executed,pair:ETH/USDC').channels).to.deep.equal([
+        'pair:ETH/USDC',
+        'type:swap_executed',
+      ]);
+      expect(stream.parseChannels(['wallet:0xabc']).success).to.equal(false);
+      expect(stream.parseChannels(['pair:ETH']).error).to.equal('Invalid pair "ETH"');
+      expect(stream.parseChannels(['agent:']).success).to.equal(false);
+    });
+
+    it('should match an event on either side of a swap, its pair, intents or type', function () {
+      for (const channel of ['agent:bob', 'pair:ETH/USDC', 'intent:i-2', 'type:swap_executed', '*']) {
+        expect(stream.matches([channel], swap), channel).to.equal(true);
+      }
+      expect(stream.matches(['agent:carol', 'pair:SOL/USDC'], swap)).to.equal(false);
+      expect(stream.matches([], swap)).to.equal(false);
+    });
+  });
+
+  describe('Resume', function () {
+    it('should return only matching events after the last seen seq', function () {
+      const { events, gap } = stream.backlog([...history, swap], 4, ['agent:bob', 'intent:i-1']);
+      expect(events.map((e) => e.seq)).to.deep.equal([5, 6, 7]);
+      expect(gap).to.equal(null);
+    });
+
+    it('should report sequence numbers that fell out of the history', function () {
+      expect(stream.backlog(history, 0, ['*']).gap).to.deep.equal({ from: 1, to: 2 });
+      expect(stream.backlog(history, 2, ['*']).gap).to.equal(null);
+    });
+
+    it('should send nothing old to a client that is not resuming', function () {
+      expect(stream.backlog(history, null, ['*']).events).to.deep.equal([]);
+      expect(stream.parseSince('')).to.deep.equal({ success: true, since: null });
+      expect(stream.parseSince('-1').success).to.equal(false);
+    });
+  });
+
+  describe('Subscribers', function () {
+    it('should push matching events and drop subscribers that fail', function () {
+      const received = [];
+      const { subscriber } = stream.subscribe(['agent:bob'], (event) => received.push(event.seq));
+      const broken = stream.subscribe(['*'], () => {
+        throw new Error('gone');
+      }).subscriber;
+
+      const errors = console.error;
+      console.error = () => {};
+      try {
+        stream.publish(history[0]);
+        stream.publish(swap);
+      } finally {
+        console.error = errors;
+      }
+      expect(received).to.deep.equal([7]);
+      expect(stream.getStatus().clients).to.equal(1);
+
+      stream.unsubscribe(subscriber);
+      stream.unsubscribe(broken);
+      expect(stream.getStatus().clients).to.equal(0);
+    });
+  });
+
+  describe('WebSocket frames', function () {
+    // A frame as a client sends it: masked
+    function clientFrame(opcode, text, fin = true) {
+      const payload = Buffer.from(text);
+      const mask = Buffer.from([1, 2, 3, 4]);
+      const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+      return Buffer.concat([Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length]), mask, masked]);
+    }
+
+    it('should unmask client frames and wait for the whole frame', function () {
+      const frame = clientFrame(websocket.OPCODES.text, '{"op":"ping"}');
+      expect(websocket.decodeFrame(frame.subarray(0, 8))).to.equal(null);
+      const decoded = websocket.decodeFrame(frame);
+      expect(decoded).to.include({ fin: true, opcode: websocket.OPCODES.text, masked: true, size: frame.length });
+      expect(decoded.payload.toString()).to.equal('{"op":"ping"}');
+    });
+
+    it('should round-trip server frames with extended lengths', function () {
+      for (const size of [5, 300, 70000]) {
+        const payload = Buffer.alloc(size, 'a');
+        const decoded = websocket.decodeFrame(websocket.encodeFrame(websocket.OPCODES.text, payload));
+        if (size > websocket.MAX_MESSAGE_BYTES) {
+          expect(decoded.size).to.equal(Infinity);
+        } else {
+          expect(decoded.payload.equals(payload)).to.equal(true);
+        }
+      }
+    });
+
+    it('should complete the handshake and reassemble fragmented messages', function () {
+      const { EventEmitter } = require('events');
+      const socket = new EventEmitter();
+      const written = [];
+      Object.assign(socket, { writable: true, write: (data) => written.push(data), setNoDelay() {}, end() {} });
+      const headers = { upgrade: 'websocket', 'sec-websocket-version': '13' };
+      const req = { headers: { ...headers, 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' } };
+
+      const ws = websocket.accept(req, socket);
+      expect(written[0]).to.include('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo='); // RFC 6455 §1.3
+      const messages = [];
+      ws.on('message', (text) => messages.push(text));
+
+      const first = clientFrame(websocket.OPCODES.text, '{"op":', false);
+      const rest = clientFrame(websocket.OPCODES.continuation, '"ping"}');
+      socket.emit('data', Buffer.concat([first, rest.subarray(0, 3)]));
+      socket.emit('data', rest.subarray(3));
+      expect(messages).to.deep.equal(['{"op":"ping"}']);
+    });
+
+    it('should close a client that floods frames and never reads, without throwing', function () {
+      const { EventEmitter } = require('events');
+      const socket = new EventEmitter();
+      let ended = false;
+      Object.assign(socket, {
+        writable: true,
+        writableLength: 0,
+        // Nothing is ever read: every byte written stays queued
+        write(data) {
+          socket.writableLength += data.length;
+        },
+        setNoDelay() {},
+        end() {
+          ended = true;
+        },
+      });
+      const headers = {
+        upgrade: 'websocket',
+        'sec-websocket-version': '13',
+        'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==',
+      };
+      stream.websocketServer({ history: () => [] })({ url: '/api/ws', headers }, socket);
+
+      const flood = Buffer.concat(Array.from({ length: 50000 }, () => clientFrame(websocket.OPCODES.text, 'not json')));
+      const errors = console.error;
+      console.error = () => {};
+      try {
+        expect(() => socket.emit('data', flood)).to.not.throw();
+        expect(() => socket.emit('data', flood)).to.not.throw();
+      } finally {
+        console.error = errors;
+      }
+      expect(ended).to.equal(true);
+      expect(stream.getStatus().clients).to.equal(0);
+    });
+  });
+});
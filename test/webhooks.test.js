@@ -0,0 +1,149 @@
+/* eslint-disable @typescript-eslint/no-require-imports */
+const crypto = require('crypto');
+const { expect } = require('chai');
+const webhooks = require('../src/webhooks');
+
+describe('Webhooks', function () {
+  const url = 'https://agent.example/hook';
+  const HOUR = 60 * 60 * 1000;
+  const filled = { seq: 12, type: 'intent_filled', data: { agent: 'alice', intent: 'i-1', filled: 5n * 10n ** 17n } };
+  const swap = { seq: 13, type: 'swap_executed', data: { agentA: 'bob', agentB: 'alice', pair: 'ETH/USDC' } };
+
+  let sent;
+  let status;
+
+  beforeEach(function () {
+    webhooks.reset();
+    sent = [];
+    status = 200;
+    webhooks.init({
+      send: async (to, body, headers) => {
+        sent.push({ to, body, headers });
+        return status;
+      },
+    });
+  });
+
+  after(function () {
+    webhooks.init();
+  });
+
+  describe('Registration', function () {
+    it('should return the secret once and list webhooks without it', function () {
+      const { webhook, secret } = webhooks.register('alice', { url, events: ['intent_filled'] });
+      expect(secret).to.match(/^whsec_/);
+      expect(webhooks.listWebhooks('alice')).to.deep.equal([webhook]);
+      expect(JSON.stringify(webhooks.listWebhooks('alice'))).to.not.include(secret);
+      expect(webhooks.listWebhooks('bob')).to.deep.equal([]);
+    });
+
+    it('should refuse plain http, bad URLs and bad event lists', function () {
+      expect(webhooks.register('alice', { url: 'http://agent.example/hook' }).error).to.equal('url must use https');
+      expect(webhooks.register('alice', { url: 'not a url' }).success).to.equal(false);
+      expect(webhooks.register('alice', { url, events: [] }).success).to.equal(false);
+      expect(webhooks.register('alice', { url, events: ['Intent Filled'] }).success).to.equal(false);
+    });
+
+    it('should refuse loopback, private and link-local hosts', function () {
+      const hosts = ['169.254.169.254', '127.0.0.1', '10.0.0.8', '192.168.1.1', '[::1]', '[fd00::1]', 'localhost'];
+      for (const host of hosts) {
+        expect(webhooks.register('alice', { url: `https://${host}/hook` }).success, host).to.equal(false);
+      }
+      // Alternative spellings of 127.0.0.1 and an IPv4-mapped metadata address
+      expect(webhooks.register('alice', { url: 'https://2130706433/hook' }).success).to.equal(false);
+      expect(webhooks.register('alice', { url: 'https://[::ffff:169.254.169.254]/hook' }).success).to.equal(false);
+      expect(webhooks.isBlockedAddress('93.184.215.14')).to.equal(false);
+    });
+
+    it('should refuse to connect to a host that resolves to a blocked address', function (done) {
+      webhooks.publicLookup('localhost', {}, (err) => {
+        expect(err.message).to.match(/^localhost resolves to a blocked address/);
+        done();
+      });
+    });
+
+    it('should only let the owner remove a webhook', function () {
+      const { webhook } = webhooks.register('alice', { url });
+      expect(webhooks.remove('bob', webhook.id).success).to.equal(false);
+      expect(webhooks.remove('alice', webhook.id).success).to.equal(true);
+    });
+  });
+
+  describe('Delivery', function () {
+    it('should deliver the agent\'s own events of the subscribed types', async function () {
+      webhooks.register('alice', { url, events: ['intent_filled'] });
+      webhooks.register('bob', { url, events: ['*'] });
+
+      expect(webhooks.dispatch(filled)).to.equal(1);
+      expect(webhooks.dispatch(swap)).to.equal(1); // bob's; alice did not subscribe to swaps
+      expect(await webhooks.deliverDue()).to.equal(2);
+      expect(sent.map((s) => [JSON.parse(s.body).agent, s.headers['X-AgentSwaps-Event']])).to.deep.equal([
+        ['alice', 'intent_filled'],
+        ['bob', 'swap_executed'],
+      ]);
+      expect(JSON.parse(sent[0].body).event.data.filled).to.equal('0.5');
+      expect(webhooks.listDeliveries('alice')).to.deep.equal([]);
+    });
+
+    it('should sign the timestamp and body with the webhook secret', async function () {
+      const { secret } = webhooks.register('alice', { url });
+      webhooks.dispatch(filled, 1700000000000);
+      await webhooks.deliverDue(1700000000000);
+
+      const { body, headers } = sent[0];
+      const mac = crypto.createHmac('sha256', secret).update(`1700000000.${body}`).digest('hex');
+      expect(headers['X-AgentSwaps-Signature']).to.equal(`t=1700000000,v1=${mac}`);
+      expect(headers['X-AgentSwaps-Delivery']).to.equal(JSON.parse(body).id);
+    });
+
+    it('should retry with exponential backoff, then dead-letter', async function () {
+      const warn = console.warn;
+      console.warn = () => {};
+      status = 500;
+      webhooks.register('alice', { url });
+      webhooks.dispatch(filled, 0);
+
+      let now = 0;
+      try {
+        for (let attempt = 1; attempt <= webhooks.MAX_ATTEMPTS; attempt++) {
+          expect(await webhooks.deliverDue(now)).to.equal(1);
+          if (attempt < webhooks.MAX_ATTEMPTS) {
+            expect(await webhooks.deliverDue(now + webhooks.backoff(attempt) - 1)).to.equal(0);
+            now += webhooks.backoff(attempt);
+          }
+        }
+      } finally {
+        console.warn = warn;
+      }
+      expect(webhooks.backoff(2)).to.equal(2 * webhooks.backoff(1));
+
+      const [dead] = webhooks.listDeliveries('alice', 'dead');
+      expect(dead).to.include({ attempts: webhooks.MAX_ATTEMPTS, lastError: 'HTTP 500', lastStatus: 500 });
+      expect(dead.event).to.include({ seq: 12, type: 'intent_filled' });
+      expect(await webhooks.deliverDue(now + 24 * HOUR)).to.equal(0);
+    });
+
+    it('should replay a dead delivery for its agent only', async function () {
+      webhooks.register('alice', { url });
+      webhooks.dispatch(filled);
+      const [delivery] = webhooks.listDeliveries('alice');
+      expect(webhooks.replay('alice', delivery.id).error).to.equal('Delivery is pending');
+
+      const warn = console.warn;
+      console.warn = () => {};
+      status = 410;
+      try {
+        // Backoff never exceeds an hour
+        for (let i = 0; i < webhooks.MAX_ATTEMPTS; i++) await webhooks.deliverDue(Date.now() + i * HOUR);
+      } finally {
+        console.warn = warn;
+      }
+      expect(webhooks.replay('bob', delivery.id).error).to.equal('Delivery not found');
+      expect(webhooks.replay('alice', delivery.id).delivery).to.include({ status: 'pending', attempts: 0 });
+
+      status = 204;
+      await webhooks.deliverDue();
+      expect(webhooks.listDeliveries('alice')).to.deep.equal([]);
+    });
+  });
+});